@@ -1,55 +1,72 @@
-const jwt = require("jwt-simple");
 const dotenv = require("dotenv");
+const { verifyToken, isTokenRevoked } = require("../utils/tokenService.js");
 
 dotenv.config();
 
+// Extract the bearer token from the Authorization header
+const getBearerToken = (req) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+        return { error: "Access Denied. No Token Provided." };
+    }
+
+    const [scheme, token] = authHeader.split(" ");
+    if (!token || scheme.toLowerCase() !== "bearer") {
+        return { error: "Access Denied. Token is missing." };
+    }
+
+    return { token };
+};
+
 const authenticate = (requiredRoles) => {
-    return (req, res, next) => {
-        const authHeader = req.headers.authorization;
+    return async (req, res, next) => {
+        const { token, error: headerError } = getBearerToken(req);
 
-        if (!authHeader) {
-            return res.status(401).json({ error: "Access Denied. No Token Provided." });
+        if (headerError) {
+            return res.status(401).json({ error: headerError });
         }
 
-        const token = authHeader.split(" ")[1];
-
-        if (!token) {
-            return res.status(401).json({ error: "Access Denied. Token is missing." });
+        let decoded;
+        try {
+            // Verifies signature, algorithm, exp/nbf and iss/aud (when configured)
+            decoded = verifyToken(token, "access");
+        } catch (error) {
+            const message = error.name === "TokenExpiredError" ? "Token Expired" : "Invalid Token";
+            return res.status(401).json({ error: message, details: error.message });
         }
 
         try {
-            if (!process.env.SECRET_KEY) {
-                throw new Error("SECRET_KEY is missing in environment variables.");
+            if (await isTokenRevoked(decoded)) {
+                return res.status(401).json({ error: "Token Revoked" });
             }
+        } catch (error) {
+            console.error("❌ Error checking token revocation:", error.message);
+            return res.status(503).json({ error: "Unable to verify token at this time" });
+        }
 
-            const decoded = jwt.decode(token, process.env.SECRET_KEY);
+        // If no specific roles required, allow any authenticated user
+        if (!requiredRoles) {
+            req.user = decoded;
+            return next();
+        }
 
-            // If no specific roles required, allow any authenticated user
-            if (!requiredRoles) {
-                req.user = decoded;
-                return next();
-            }
+        // Support both single role and array of roles
+        const roleList = Array.isArray(requiredRoles) ? requiredRoles : [requiredRoles];
+        const allowedRoles = roleList.map(r => r.toLowerCase());
 
-            // Support both single role and array of roles
-            const allowedRoles = Array.isArray(requiredRoles) 
-                ? requiredRoles.map(r => r.toLowerCase()) 
-                : [requiredRoles.toLowerCase()];
-            
-            const userRole = (decoded.role || "").toLowerCase();
-            
-            if (!allowedRoles.includes(userRole)) {
-                return res.status(403).json({ 
-                    error: `Access Denied. Role "${decoded.role}" is not authorized. Allowed: ${requiredRoles.join(', ')}` 
-                });
-            }
+        const userRole = (decoded.role || "").toLowerCase();
 
-            req.user = decoded;
-            next();
-        } catch (error) {
-            return res.status(400).json({ error: "Invalid Token", details: error.message });
+        if (!allowedRoles.includes(userRole)) {
+            return res.status(403).json({
+                error: `Access Denied. Role "${decoded.role}" is not authorized. Allowed: ${roleList.join(', ')}`
+            });
         }
+
+        req.user = decoded;
+        next();
     };
 };
 
 // ✅ Correct export (not { authenticate })
 module.exports = authenticate;
+module.exports.getBearerToken = getBearerToken;
@@ -1,57 +1,64 @@
 const supabase = require("../config/supabase.js");
-
-// Helper function to check if user is authorized for batch operations
-const isUserAuthorizedForBatch = async (userId, userRole, batchTeacherId, batchAssistantTutorId = null) => {
-
-    
-    if (['academic', 'manager', 'admin'].includes(userRole)) {
-
-        return true; // Admin roles can access all batches
+const { canAccessBatch, canAccessCenter, GLOBAL_BATCH_ROLES } = require("../utils/batchPolicy.js");
+const { getMergedBatchIds } = require("../utils/batchMergeHelper.js");
+const { resolveStudentId, isStudentEnrolledInBatch } = require("../utils/studentAccess.js");
+const { generateSecret, currentCode, verifyCode, parseQrPayload, checkInStatus } = require("../utils/checkInCodes.js");
+const {
+    emptyCounts,
+    attendancePercentage,
+    loadAttendance,
+    buildStudentStats,
+    buildSessionSeries,
+    averagePercentage
+} = require("../utils/attendanceAnalytics.js");
+const { evaluateAttendanceAlerts, getAlertRules } = require("../utils/attendanceAlerts.js");
+const {
+    isValidDate,
+    buildAttendanceRegister,
+    registerTable,
+    toCsv,
+    combineRegisters,
+    addRegisterSheet,
+    createWorkbook
+} = require("../utils/attendanceRegister.js");
+const { parseAttendanceCsv } = require("../utils/attendanceImport.js");
+const { getStudentsOnLeave, defaultRecordStatus } = require("../utils/leaveRequests.js");
+
+const MAX_IMPORT_ROWS = 5000;
+
+const DEFAULT_CHECKIN_GRACE_MINUTES = Number(process.env.CHECKIN_GRACE_MINUTES) || 10;
+const MAX_CHECKIN_FAILURES = 5;
+
+// Failed code attempts per window and student, { count, expiresAt }. Kept in
+// memory: it only has to slow down guessing within a window that lasts minutes,
+// so an entry expires when its window closes.
+const checkInFailures = new Map();
+
+const failedCheckIns = (key, now) => {
+    const entry = checkInFailures.get(key);
+    if (!entry) return 0;
+    if (entry.expiresAt <= now) {
+        checkInFailures.delete(key);
+        return 0;
     }
-    
-    if (userRole === 'teacher') {
-        // Check if user is the main teacher
-        if (batchTeacherId) {
-
-        const { data: teacherRecord, error: teacherError } = await supabase
-            .from('teachers')
-            .select('*')
-            .eq('teacher_id', batchTeacherId)
-            .single();
-        
-            if (!teacherError && teacherRecord && teacherRecord.teacher === userId) {
-
-                return true;
-            }
-        }
-        
-        // Check if user is the assistant tutor
-        if (batchAssistantTutorId) {
-
-            const { data: assistantTutorRecord, error: assistantTutorError } = await supabase
-                .from('teachers')
-                .select('*')
-                .eq('teacher_id', batchAssistantTutorId)
-                .single();
-            
-            if (!assistantTutorError && assistantTutorRecord && assistantTutorRecord.teacher === userId) {
-
-                return true;
-        }
-        }
-        
+    return entry.count;
+};
 
-        return false;
+const recordFailedCheckIn = (key, expiresAt, now) => {
+    // Drop entries of closed windows so the map does not grow with every window
+    for (const [otherKey, entry] of checkInFailures) {
+        if (entry.expiresAt <= now) checkInFailures.delete(otherKey);
     }
-    
-
-    return false;
+    checkInFailures.set(key, { count: failedCheckIns(key, now) + 1, expiresAt });
 };
 
+// Batch-level authorization (teacher, assistant tutor, approved substitute, admins)
+// is enforced by the authorizeBatch middleware on each route, see routes/attendanceRoutes.js
+
 // Create attendance session and auto-create records for all enrolled students
 const createAttendanceSession = async (req, res) => {
     try {
-        const { batch_id, session_date, notes } = req.body;
+        const { batch_id, session_date, notes, gmeet_id } = req.body;
         const teacherId = req.user.id;
         const userRole = req.user.role;
 
@@ -83,45 +90,7 @@ const createAttendanceSession = async (req, res) => {
             });
         }
 
-        // 2. Verify teacher is assigned to this batch (or admin role) or an approved sub teacher on session_date
-        let isAuthorized = await isUserAuthorizedForBatch(teacherId, userRole, batch.teacher, batch.assistant_tutor);
-
-        if (!isAuthorized && userRole === 'teacher') {
-            // Resolve current user's teachers.teacher_id
-            const { data: meTeacher, error: meErr } = await supabase
-                .from('teachers')
-                .select('teacher_id')
-                .eq('teacher', teacherId)
-                .single();
-
-            if (!meErr && meTeacher) {
-                const { data: subRows, error: subErr } = await supabase
-                    .from('teacher_batch_requests')
-                    .select('approved_at, date_from, date_to, sub_teacher_id')
-                    .eq('batch_id', batch_id)
-                    .in('status', ['APPROVED','Approved'])
-                    .in('sub_teacher_id', [meTeacher.teacher_id, teacherId]);
-
-                if (!subErr) {
-                    isAuthorized = (subRows || []).some(r => {
-                        const visStart = r.approved_at
-                            ? new Date(r.approved_at).toISOString().slice(0,10)
-                            : r.date_from;
-                        // Use the requested session_date for window check
-                        return visStart <= session_date && r.date_to >= session_date;
-                    });
-                }
-            }
-        }
-        
-        if (!isAuthorized) {
-            return res.status(403).json({ 
-                success: false, 
-                error: 'You are not authorized to create sessions for this batch.' 
-            });
-        }
-
-        // 3. Check if session already exists for this date
+        // 2. Check if session already exists for this date
         const { data: existingSession, error: existingError } = await supabase
             .from('attendance_sessions')
             .select('id')
@@ -136,6 +105,25 @@ const createAttendanceSession = async (req, res) => {
             });
         }
 
+        // 3. Resolve the optional gmeet link (the gmeet must belong to this batch or its merge group)
+        let gmeet = null;
+        if (gmeet_id) {
+            const { data: meet, error: meetError } = await supabase
+                .from('gmeets')
+                .select('meet_id, batch_id, session_number')
+                .eq('meet_id', gmeet_id)
+                .single();
+
+            const mergedBatchIds = await getMergedBatchIds(batch_id);
+            if (meetError || !meet || !mergedBatchIds.includes(meet.batch_id)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'The gmeet session does not belong to this batch.' 
+                });
+            }
+            gmeet = meet;
+        }
+
         // 4. Create the attendance session
         const { data: session, error: createSessionError } = await supabase
             .from('attendance_sessions')
@@ -143,11 +131,20 @@ const createAttendanceSession = async (req, res) => {
                 batch_id,
                 session_date,
                 created_by: teacherId,
-                notes: notes || null
+                notes: notes || null,
+                gmeet_id: gmeet ? gmeet.meet_id : null,
+                session_number: gmeet ? gmeet.session_number : (req.body.session_number ?? null)
             }])
             .select()
             .single();
 
+        if (createSessionError?.code === '23505') {
+            return res.status(409).json({ 
+                success: false, 
+                error: `Attendance session for ${session_date} already exists for this batch.` 
+            });
+        }
+
         if (createSessionError) {
             console.error('Error creating attendance session:', createSessionError);
             return res.status(400).json({ 
@@ -183,11 +180,12 @@ const createAttendanceSession = async (req, res) => {
             });
         }
 
-        // 6. Create attendance records for each enrolled student
+        // 6. Create attendance records for each enrolled student (excused if on approved leave)
+        const studentsOnLeave = await getStudentsOnLeave([batch_id], session_date);
         const attendanceRecords = enrollments.map(enrollment => ({
             session_id: session.id,
             student_id: enrollment.student, // enrollment.student is the student_id
-            status: 'absent'
+            status: defaultRecordStatus(enrollment.student, studentsOnLeave)
         }));
 
 
@@ -207,6 +205,10 @@ const createAttendanceSession = async (req, res) => {
             });
         }
 
+        // 7. Re-check low-attendance alerts now that the previous sessions are final
+        // (the new session still holds the all-absent defaults, so it is skipped)
+        await evaluateAttendanceAlerts(batch_id, { excludeSessionIds: [session.id] });
+
         res.status(201).json({
             success: true,
             data: {
@@ -249,46 +251,6 @@ const getBatchAttendance = async (req, res) => {
             });
         }
 
-        // Role-based access control
-        let isAuthorized = await isUserAuthorizedForBatch(userId, userRole, batch.teacher, batch.assistant_tutor);
-
-        // If not authorized yet and role is teacher, allow approved sub-teacher within visibility window
-        if (!isAuthorized && userRole === 'teacher') {
-            // Resolve current user's teachers.teacher_id
-            const { data: meTeacher, error: meErr } = await supabase
-                .from('teachers')
-                .select('teacher_id')
-                .eq('teacher', userId)
-                .single();
-
-            if (!meErr && meTeacher) {
-                const { data: subRows, error: subErr } = await supabase
-                    .from('teacher_batch_requests')
-                    .select('approved_at, date_from, date_to, sub_teacher_id')
-                    .eq('batch_id', id)
-                    .in('status', ['APPROVED','Approved'])
-                    .in('sub_teacher_id', [meTeacher.teacher_id, userId]);
-
-                if (!subErr) {
-                    isAuthorized = (subRows || []).some(r => {
-                        const visStart = r.approved_at 
-                            ? new Date(r.approved_at).toISOString().slice(0,10) 
-                            : r.date_from;
-                        return visStart <= selectedDate && r.date_to >= selectedDate;
-                    });
-                }
-            }
-        }
-        
-
-        
-        if (!isAuthorized) {
-            return res.status(403).json({ 
-                success: false, 
-                error: 'You are not authorized to view attendance for this batch.' 
-            });
-        }
-
         // Get all sessions for the batch
         const { data: sessions, error: sessionsError } = await supabase
             .from('attendance_sessions')
@@ -296,6 +258,10 @@ const getBatchAttendance = async (req, res) => {
                 id,
                 session_date,
                 notes,
+                gmeet_id,
+                session_number,
+                status,
+                cancellation_reason,
                 created_at,
                 created_by,
                 users!attendance_sessions_created_by_fkey(name)
@@ -402,6 +368,237 @@ const getBatchAttendance = async (req, res) => {
     }
 };
 
+// Attendance report for a batch (and its merge group): per-student counts,
+// percentage and absence streaks, plus a per-session attendance rate series.
+// Optional query: from, to (YYYY-MM-DD)
+const getBatchAttendanceReport = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { from, to } = req.query;
+
+        const { data: batch, error: batchError } = await supabase
+            .from('batches')
+            .select('batch_id, batch_name, status')
+            .eq('batch_id', id)
+            .single();
+
+        if (batchError || !batch) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Batch not found.' 
+            });
+        }
+
+        const mergedBatchIds = await getMergedBatchIds(id);
+        const { sessions, records } = await loadAttendance(mergedBatchIds, { from, to });
+
+        // Students currently enrolled anywhere in the merge group
+        const { data: enrollments, error: enrollmentsError } = await supabase
+            .from('enrollment')
+            .select(`
+                student,
+                batch,
+                students!inner (
+                    student_id,
+                    name,
+                    registration_number
+                )
+            `)
+            .in('batch', mergedBatchIds)
+            .eq('status', true);
+
+        if (enrollmentsError) {
+            console.error('Error fetching enrolled students:', enrollmentsError);
+            return res.status(400).json({ 
+                success: false, 
+                error: enrollmentsError.message 
+            });
+        }
+
+        // Students with records who are no longer enrolled (e.g. transferred) still appear
+        const enrolledIds = new Set(enrollments.map(e => e.student));
+        const formerIds = [...new Set(records.map(r => r.student_id))].filter(sid => !enrolledIds.has(sid));
+        let formerStudents = [];
+        if (formerIds.length > 0) {
+            const { data, error } = await supabase
+                .from('students')
+                .select('student_id, name, registration_number')
+                .in('student_id', formerIds);
+
+            if (error) {
+                console.error('Error fetching students:', error);
+                return res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+            formerStudents = data;
+        }
+
+        const studentStats = buildStudentStats(sessions, records);
+        const toStudentReport = (student, batchId, isEnrolled) => {
+            const stats = studentStats.get(student.student_id);
+            return {
+                student_id: student.student_id,
+                name: student.name,
+                registration_number: student.registration_number,
+                batch_id: batchId,
+                is_enrolled: isEnrolled,
+                counts: stats ? stats.counts : emptyCounts(),
+                attendance_percentage: stats ? stats.attendance_percentage : null,
+                current_absence_streak: stats ? stats.current_absence_streak : 0,
+                longest_absence_streak: stats ? stats.longest_absence_streak : 0,
+                last_attended_date: stats ? stats.last_attended_date : null
+            };
+        };
+
+        const students = [
+            ...enrollments.map(e => toStudentReport(e.students, e.batch, true)),
+            ...formerStudents.map(s => toStudentReport(s, null, false))
+        ].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+        const series = buildSessionSeries(sessions, records);
+
+        res.json({
+            success: true,
+            data: {
+                batch,
+                merged_batch_ids: mergedBatchIds,
+                range: { from: from || null, to: to || null },
+                summary: {
+                    total_sessions: series.length,
+                    total_students: students.length,
+                    average_attendance_percentage: averagePercentage(students.map(s => s.attendance_percentage)),
+                    average_session_rate: averagePercentage(series.map(p => p.attendance_rate))
+                },
+                students,
+                sessions: series
+            }
+        });
+
+    } catch (error) {
+        console.error('Server error in getBatchAttendanceReport:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Internal server error' 
+        });
+    }
+};
+
+// Attendance summary for one student across all of their batches.
+// Students may only view their own; teachers, center and state admins only
+// see batches they have access to.
+const getStudentAttendance = async (req, res) => {
+    try {
+        const { studentId } = req.params;
+        const { from, to } = req.query;
+
+        if (req.user.role === 'student') {
+            const ownStudentId = await resolveStudentId(req.user);
+            if (!ownStudentId || ownStudentId !== studentId) {
+                return res.status(403).json({ 
+                    success: false, 
+                    error: 'You can only view your own attendance.' 
+                });
+            }
+        }
+
+        const { data: student, error: studentError } = await supabase
+            .from('students')
+            .select('student_id, name, registration_number')
+            .eq('student_id', studentId)
+            .single();
+
+        if (studentError || !student) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Student not found.' 
+            });
+        }
+
+        const { data: enrollments, error: enrollmentsError } = await supabase
+            .from('enrollment')
+            .select(`
+                batch,
+                status,
+                batches!inner (
+                    batch_id,
+                    batch_name,
+                    status
+                )
+            `)
+            .eq('student', studentId);
+
+        if (enrollmentsError) {
+            console.error('Error fetching enrollments:', enrollmentsError);
+            return res.status(400).json({ 
+                success: false, 
+                error: enrollmentsError.message 
+            });
+        }
+
+        let visibleEnrollments = enrollments;
+        if (req.user.role !== 'student' && !GLOBAL_BATCH_ROLES.includes(req.user.role)) {
+            const access = await Promise.all(enrollments.map(e => canAccessBatch(req.user, e.batch)));
+            visibleEnrollments = enrollments.filter((e, index) => access[index]);
+
+            if (visibleEnrollments.length === 0) {
+                return res.status(403).json({ 
+                    success: false, 
+                    error: 'You are not authorized to view this student\'s attendance.' 
+                });
+            }
+        }
+
+        const batches = [];
+        const totals = emptyCounts();
+
+        for (const enrollment of visibleEnrollments) {
+            // Sessions may be held on any batch of the merge group
+            const mergedBatchIds = await getMergedBatchIds(enrollment.batch);
+            const { sessions, records } = await loadAttendance(mergedBatchIds, { from, to });
+            const ownRecords = records.filter(r => r.student_id === studentId);
+            const stats = buildStudentStats(sessions, ownRecords).get(studentId);
+            const counts = stats ? stats.counts : emptyCounts();
+
+            Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+
+            batches.push({
+                batch_id: enrollment.batches.batch_id,
+                batch_name: enrollment.batches.batch_name,
+                batch_status: enrollment.batches.status,
+                is_enrolled: enrollment.status === true,
+                merged_batch_ids: mergedBatchIds,
+                counts,
+                attendance_percentage: stats ? stats.attendance_percentage : null,
+                current_absence_streak: stats ? stats.current_absence_streak : 0,
+                longest_absence_streak: stats ? stats.longest_absence_streak : 0,
+                last_attended_date: stats ? stats.last_attended_date : null
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                student,
+                range: { from: from || null, to: to || null },
+                overall: {
+                    counts: totals,
+                    attendance_percentage: attendancePercentage(totals)
+                },
+                batches
+            }
+        });
+
+    } catch (error) {
+        console.error('Server error in getStudentAttendance:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Internal server error' 
+        });
+    }
+};
+
 // Update individual attendance record
 const updateAttendanceRecord = async (req, res) => {
     try {
@@ -425,6 +622,7 @@ const updateAttendanceRecord = async (req, res) => {
                 attendance_sessions!inner(
                     batch_id,
                     session_date,
+                    status,
                     batches!inner(teacher, assistant_tutor, status)
                 )
             `)
@@ -446,42 +644,10 @@ const updateAttendanceRecord = async (req, res) => {
             });
         }
 
-        // Check if teacher is assigned to this batch (or admin role) OR is approved sub on session date
-        const userRole = req.user.role;
-        let isAuthorized = await isUserAuthorizedForBatch(teacherId, userRole, record.attendance_sessions.batches.teacher, record.attendance_sessions.batches.assistant_tutor);
-
-        if (!isAuthorized && userRole === 'teacher') {
-            // Resolve current user's teachers.teacher_id
-            const { data: meTeacher, error: meErr } = await supabase
-                .from('teachers')
-                .select('teacher_id')
-                .eq('teacher', teacherId)
-                .single();
-
-            if (!meErr && meTeacher) {
-                const { data: subRows, error: subErr } = await supabase
-                    .from('teacher_batch_requests')
-                    .select('approved_at, date_from, date_to, sub_teacher_id')
-                    .eq('batch_id', record.attendance_sessions.batch_id)
-                    .in('status', ['APPROVED','Approved'])
-                    .in('sub_teacher_id', [meTeacher.teacher_id, teacherId]);
-
-                if (!subErr) {
-                    const sessionDate = new Date(record.attendance_sessions.session_date).toISOString().slice(0,10);
-                    isAuthorized = (subRows || []).some(r => {
-                        const visStart = r.approved_at
-                            ? new Date(r.approved_at).toISOString().slice(0,10)
-                            : r.date_from;
-                        return visStart <= sessionDate && r.date_to >= sessionDate;
-                    });
-                }
-            }
-        }
-        
-        if (!isAuthorized) {
-            return res.status(403).json({ 
+        if (record.attendance_sessions.status === 'Cancelled') {
+            return res.status(400).json({ 
                 success: false, 
-                error: 'You are not authorized to update this attendance record.' 
+                error: 'This session was cancelled.' 
             });
         }
 
@@ -595,6 +761,8 @@ const bulkUpdateAttendanceRecords = async (req, res) => {
             });
         }
 
+        const touchedBatchIds = new Set();
+
         for (const record of records) {
             const { id, status } = record;
 
@@ -611,8 +779,10 @@ const bulkUpdateAttendanceRecords = async (req, res) => {
                 .select(`
                     id,
                     attendance_sessions!inner(
+                        batch_id,
                         session_date,
-                        batches!inner(teacher, assistant_tutor, status)
+                        status,
+                        batches!inner(status)
                     )
                 `)
                 .eq('id', id)
@@ -632,12 +802,18 @@ const bulkUpdateAttendanceRecords = async (req, res) => {
                 });
             }
 
-            // Authorization check
-            const isAuthorized = await isUserAuthorizedForBatch(
-                teacherId,
-                userRole,
-                existing.attendance_sessions.batches.teacher,
-                existing.attendance_sessions.batches.assistant_tutor
+            if (existing.attendance_sessions.status === 'Cancelled') {
+                return res.status(400).json({
+                    success: false,
+                    error: "This session was cancelled."
+                });
+            }
+
+            // Authorization check (records may span batches, so check each one)
+            const isAuthorized = await canAccessBatch(
+                req.user,
+                existing.attendance_sessions.batch_id,
+                { date: existing.attendance_sessions.session_date }
             );
 
             if (!isAuthorized) {
@@ -654,6 +830,13 @@ const bulkUpdateAttendanceRecords = async (req, res) => {
                     marked_at: new Date().toISOString()
                 })
                 .eq('id', id);
+
+            touchedBatchIds.add(existing.attendance_sessions.batch_id);
+        }
+
+        // Re-check low-attendance alerts for every batch that was touched
+        for (const batchId of touchedBatchIds) {
+            await evaluateAttendanceAlerts(batchId);
         }
 
         res.json({
@@ -670,11 +853,934 @@ const bulkUpdateAttendanceRecords = async (req, res) => {
     }
 };
 
+// Validate ?format=csv|xlsx&from=&to= for the register exports
+const parseExportQuery = (query) => {
+    const format = (query.format || 'csv').toLowerCase();
+    const { from, to } = query;
+
+    if (!['csv', 'xlsx'].includes(format)) {
+        return { error: "Format must be 'csv' or 'xlsx'." };
+    }
+    if (!isValidDate(from) || !isValidDate(to)) {
+        return { error: 'Dates must be in YYYY-MM-DD format.' };
+    }
+    if (from && to && from > to) {
+        return { error: "'from' must not be after 'to'." };
+    }
+    return { format, from, to };
+};
+
+const exportFileName = (name, { from, to, format }) => {
+    const safeName = (name || 'attendance').replace(/[^A-Za-z0-9_-]+/g, '_');
+    return `attendance_${safeName}_${from || 'start'}_${to || 'today'}.${format}`;
+};
+
+const sendExport = async (res, fileName, format, buildWorkbook, csvTable) => {
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'xlsx') {
+        const buffer = await buildWorkbook().xlsx.writeBuffer();
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        return res.send(Buffer.from(buffer));
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send(toCsv(csvTable));
+};
+
+// Export a batch attendance register (students × session dates) as CSV or XLSX.
+// Merged batches are exported together.
+const exportBatchAttendance = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const options = parseExportQuery(req.query);
+
+        if (options.error) {
+            return res.status(400).json({ 
+                success: false, 
+                error: options.error 
+            });
+        }
+
+        const { data: batch, error: batchError } = await supabase
+            .from('batches')
+            .select('batch_id, batch_name')
+            .eq('batch_id', id)
+            .single();
+
+        if (batchError || !batch) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Batch not found.' 
+            });
+        }
+
+        const mergedBatchIds = await getMergedBatchIds(id);
+        const register = await buildAttendanceRegister(mergedBatchIds, options);
+
+        await sendExport(
+            res,
+            exportFileName(batch.batch_name, options),
+            options.format,
+            () => {
+                const workbook = createWorkbook();
+                addRegisterSheet(workbook, batch.batch_name, register);
+                return workbook;
+            },
+            registerTable(register)
+        );
+
+    } catch (error) {
+        console.error('Server error in exportBatchAttendance:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Internal server error' 
+        });
+    }
+};
+
+// Export attendance registers for every started batch of a center.
+// XLSX gets one sheet per batch (merge group); CSV combines them over all dates.
+// Merged batches of other centers are left out.
+const exportCenterAttendance = async (req, res) => {
+    try {
+        const { centerId } = req.params;
+        const options = parseExportQuery(req.query);
+
+        if (options.error) {
+            return res.status(400).json({ 
+                success: false, 
+                error: options.error 
+            });
+        }
+
+        const { data: center, error: centerError } = await supabase
+            .from('centers')
+            .select('center_id, center_name')
+            .eq('center_id', centerId)
+            .single();
+
+        if (centerError || !center) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Center not found.' 
+            });
+        }
+
+        if (!(await canAccessCenter(req.user, centerId))) {
+            return res.status(403).json({ 
+                success: false, 
+                error: 'You are not authorized to export attendance for this center.' 
+            });
+        }
+
+        const { data: batches, error: batchesError } = await supabase
+            .from('batches')
+            .select('batch_id, batch_name')
+            .eq('center', centerId)
+            .eq('status', 'Started')
+            .order('batch_name', { ascending: true });
+
+        if (batchesError) {
+            console.error('Error fetching center batches:', batchesError);
+            return res.status(400).json({ 
+                success: false, 
+                error: batchesError.message 
+            });
+        }
+
+        // Export each merge group once, named after its first batch at this center
+        const exported = new Set();
+        const registers = [];
+        for (const batch of batches) {
+            if (exported.has(batch.batch_id)) continue;
+
+            const { data: centerMembers, error: membersError } = await supabase
+                .from('batches')
+                .select('batch_id')
+                .in('batch_id', await getMergedBatchIds(batch.batch_id))
+                .eq('center', centerId);
+
+            if (membersError) throw membersError;
+
+            const mergedBatchIds = centerMembers.map(b => b.batch_id);
+            mergedBatchIds.forEach(batchId => exported.add(batchId));
+
+            registers.push({
+                name: batch.batch_name,
+                register: await buildAttendanceRegister(mergedBatchIds, options)
+            });
+        }
+
+        await sendExport(
+            res,
+            exportFileName(center.center_name, options),
+            options.format,
+            () => {
+                const workbook = createWorkbook();
+                if (registers.length === 0) {
+                    addRegisterSheet(workbook, 'No started batches', { dates: [], rows: [] });
+                }
+                registers.forEach(({ name, register }) => addRegisterSheet(workbook, name, register));
+                return workbook;
+            },
+            registerTable(combineRegisters(registers.map(r => r.register)))
+        );
+
+    } catch (error) {
+        console.error('Server error in exportCenterAttendance:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Internal server error' 
+        });
+    }
+};
+
+// Undo a failed import: delete the sessions it created and their default records
+const removeImportedSessions = async (sessionIds) => {
+    if (sessionIds.length === 0) return;
+
+    const { error: recordsError } = await supabase
+        .from('attendance_records')
+        .delete()
+        .in('session_id', sessionIds);
+
+    const { error: sessionsError } = await supabase
+        .from('attendance_sessions')
+        .delete()
+        .in('id', sessionIds);
+
+    if (recordsError || sessionsError) {
+        console.error('Error removing sessions of a failed import:', recordsError || sessionsError);
+    }
+};
+
+// Import attendance from a CSV (registration number, date, status).
+// Always validates every row and returns a row-level report; records are only
+// written with ?commit=true and when no row has errors. A failure while writing
+// removes the sessions the import created.
+const importBatchAttendance = async (req, res) => {
+    // Sessions created by this request, removed again if a later step fails
+    let createdSessionIds = [];
+
+    try {
+        const { id } = req.params;
+        const commit = String(req.query.commit ?? req.body?.commit) === 'true';
+        const csvText = req.file ? req.file.buffer.toString('utf8') : req.body?.csv;
+
+        if (!csvText || typeof csvText !== 'string') {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'A CSV file ("file") or CSV text ("csv") is required.' 
+            });
+        }
+
+        // 1. Validate batch exists and is started
+        const { data: batch, error: batchError } = await supabase
+            .from('batches')
+            .select('batch_id, batch_name, status, start_date')
+            .eq('batch_id', id)
+            .single();
+
+        if (batchError || !batch) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Batch not found.' 
+            });
+        }
+
+        if (batch.status !== 'Started') {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Attendance can only be imported for 'Started' batches. Current status: ${batch.status}` 
+            });
+        }
+
+        // 2. Parse rows
+        const rows = parseAttendanceCsv(csvText);
+        if (rows.length === 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'The CSV has no data rows.' 
+            });
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `The CSV has ${rows.length} rows; the maximum is ${MAX_IMPORT_ROWS}.` 
+            });
+        }
+
+        // 3. Resolve students and check enrollment in the batch or its merge group
+        const registrationNumbers = [...new Set(rows.map(r => r.registration_number).filter(Boolean))];
+        const { data: students, error: studentsError } = await supabase
+            .from('students')
+            .select('student_id, name, registration_number')
+            .in('registration_number', registrationNumbers);
+
+        if (studentsError) {
+            console.error('Error fetching students:', studentsError);
+            return res.status(400).json({ 
+                success: false, 
+                error: studentsError.message 
+            });
+        }
+
+        const mergedBatchIds = await getMergedBatchIds(id);
+        const studentByRegNo = new Map(students.map(s => [s.registration_number, s]));
+
+        const { data: enrollments, error: enrollmentsError } = await supabase
+            .from('enrollment')
+            .select('student')
+            .in('batch', mergedBatchIds)
+            .in('student', students.map(s => s.student_id))
+            .eq('status', true);
+
+        if (enrollmentsError) {
+            console.error('Error fetching enrollments:', enrollmentsError);
+            return res.status(400).json({ 
+                success: false, 
+                error: enrollmentsError.message 
+            });
+        }
+
+        const enrolledIds = new Set(enrollments.map(e => e.student));
+        const today = new Date().toISOString().slice(0, 10);
+        const startDate = batch.start_date ? new Date(batch.start_date).toISOString().slice(0, 10) : null;
+        const seen = new Map();
+
+        rows.forEach(row => {
+            const student = studentByRegNo.get(row.registration_number);
+            row.student_id = student?.student_id || null;
+            row.student_name = student?.name || null;
+
+            if (row.registration_number && !student) {
+                row.errors.push(`No student with registration number ${row.registration_number}.`);
+            } else if (student && !enrolledIds.has(student.student_id)) {
+                row.errors.push('Student is not enrolled in this batch.');
+            }
+
+            if (row.date && row.date > today) {
+                row.errors.push('Date is in the future.');
+            } else if (row.date && startDate && row.date < startDate) {
+                row.errors.push(`Date is before the batch start date (${startDate}).`);
+            }
+
+            if (row.student_id && row.date) {
+                const key = `${row.student_id}:${row.date}`;
+                if (seen.has(key)) {
+                    row.errors.push(`Duplicate of row ${seen.get(key)}.`);
+                } else {
+                    seen.set(key, row.row);
+                }
+            }
+        });
+
+        // 4. Work out which sessions and records would be created or updated
+        const validRows = rows.filter(r => r.errors.length === 0);
+        const dates = [...new Set(validRows.map(r => r.date))];
+
+        let existingSessions = [];
+        if (dates.length > 0) {
+            const { data, error } = await supabase
+                .from('attendance_sessions')
+                .select('id, session_date, status')
+                .eq('batch_id', id)
+                .in('session_date', dates);
+
+            if (error) {
+                console.error('Error fetching sessions:', error);
+                return res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+            existingSessions = data;
+        }
+
+        const sessionByDate = new Map(existingSessions.map(s => [s.session_date, s]));
+        let existingRecords = [];
+        if (existingSessions.length > 0) {
+            const { data, error } = await supabase
+                .from('attendance_records')
+                .select('id, session_id, student_id, status')
+                .in('session_id', existingSessions.map(s => s.id))
+                .in('student_id', [...new Set(validRows.map(r => r.student_id))]);
+
+            if (error) {
+                console.error('Error fetching records:', error);
+                return res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+            existingRecords = data;
+        }
+
+        const recordByKey = new Map(existingRecords.map(r => [`${r.session_id}:${r.student_id}`, r]));
+        rows.forEach(row => {
+            if (row.errors.length === 0 && sessionByDate.get(row.date)?.status === 'Cancelled') {
+                row.errors.push('The session on this date was cancelled.');
+            }
+            if (row.errors.length > 0) {
+                row.action = 'error';
+                return;
+            }
+            const session = sessionByDate.get(row.date);
+            const existing = session ? recordByKey.get(`${session.id}:${row.student_id}`) : null;
+            row.session_exists = Boolean(session);
+            row.previous_status = existing ? existing.status : null;
+            row.action = !existing ? 'create' : existing.status === row.status ? 'unchanged' : 'update';
+        });
+
+        const summary = {
+            total_rows: rows.length,
+            valid_rows: rows.filter(r => r.action !== 'error').length,
+            error_rows: rows.filter(r => r.action === 'error').length,
+            sessions_to_create: dates.filter(d => !sessionByDate.has(d)).length,
+            records_to_create: rows.filter(r => r.action === 'create').length,
+            records_to_update: rows.filter(r => r.action === 'update').length,
+            records_unchanged: rows.filter(r => r.action === 'unchanged').length
+        };
+
+        if (!commit) {
+            return res.json({ 
+                success: true, 
+                data: { committed: false, summary, rows } 
+            });
+        }
+
+        if (summary.error_rows > 0) {
+            return res.status(422).json({ 
+                success: false, 
+                error: 'Fix the rows with errors before committing the import.',
+                data: { committed: false, summary, rows } 
+            });
+        }
+
+        // 5. Create missing sessions, with every enrolled student absent (or excused when on leave) by default
+        const missingDates = dates.filter(d => !sessionByDate.has(d));
+        if (missingDates.length > 0) {
+            const { data: createdSessions, error: createSessionsError } = await supabase
+                .from('attendance_sessions')
+                .insert(missingDates.map(date => ({
+                    batch_id: id,
+                    session_date: date,
+                    created_by: req.user.id,
+                    notes: 'Imported from CSV'
+                })))
+                .select('id, session_date');
+
+            if (createSessionsError) {
+                console.error('Error creating attendance sessions:', createSessionsError);
+                return res.status(400).json({ 
+                    success: false, 
+                    error: createSessionsError.message 
+                });
+            }
+            createdSessionIds = createdSessions.map(s => s.id);
+            createdSessions.forEach(s => sessionByDate.set(s.session_date, s));
+
+            const { data: batchEnrollments, error: batchEnrollmentsError } = await supabase
+                .from('enrollment')
+                .select('student')
+                .eq('batch', id)
+                .eq('status', true);
+
+            if (batchEnrollmentsError) {
+                console.error('Error fetching enrolled students:', batchEnrollmentsError);
+                await removeImportedSessions(createdSessionIds);
+                return res.status(500).json({ 
+                    success: false, 
+                    error: 'Failed to fetch enrolled students.' 
+                });
+            }
+
+            const defaultRecords = [];
+            for (const session of createdSessions) {
+                const studentsOnLeave = await getStudentsOnLeave([id], session.session_date);
+                batchEnrollments.forEach(enrollment => defaultRecords.push({
+                    session_id: session.id,
+                    student_id: enrollment.student,
+                    status: defaultRecordStatus(enrollment.student, studentsOnLeave)
+                }));
+            }
+
+            if (defaultRecords.length > 0) {
+                const { error: defaultRecordsError } = await supabase
+                    .from('attendance_records')
+                    .upsert(defaultRecords, { onConflict: 'session_id,student_id', ignoreDuplicates: true });
+
+                if (defaultRecordsError) {
+                    console.error('Error creating attendance records:', defaultRecordsError);
+                    await removeImportedSessions(createdSessionIds);
+                    return res.status(500).json({ 
+                        success: false, 
+                        error: 'Failed to create attendance records for students.' 
+                    });
+                }
+            }
+        }
+
+        // 6. Upsert the imported records
+        const markedAt = new Date().toISOString();
+        const changedRows = rows.filter(r => r.action === 'create' || r.action === 'update');
+        if (changedRows.length > 0) {
+            const { error: upsertError } = await supabase
+                .from('attendance_records')
+                .upsert(changedRows.map(row => ({
+                    session_id: sessionByDate.get(row.date).id,
+                    student_id: row.student_id,
+                    status: row.status,
+                    marked_at: markedAt
+                })), { onConflict: 'session_id,student_id' });
+
+            if (upsertError) {
+                console.error('Error importing attendance records:', upsertError);
+                await removeImportedSessions(createdSessionIds);
+                return res.status(400).json({ 
+                    success: false, 
+                    error: upsertError.message 
+                });
+            }
+        }
+
+        // The import is complete; nothing to undo from here on
+        createdSessionIds = [];
+
+        // 7. Re-check low-attendance alerts with the imported history
+        await evaluateAttendanceAlerts(id);
+
+        res.json({ 
+            success: true, 
+            data: { committed: true, summary, rows } 
+        });
+
+    } catch (error) {
+        console.error('Server error in importBatchAttendance:', error);
+        await removeImportedSessions(createdSessionIds);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Internal server error' 
+        });
+    }
+};
+
+// Open a self check-in window on an attendance session (Teacher).
+// Body: duration_minutes (default 15), grace_minutes (default CHECKIN_GRACE_MINUTES or 10),
+// rotation_seconds (default 30). Any open window on the session is closed first.
+const openCheckInWindow = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const durationMinutes = parseInt(req.body.duration_minutes ?? 15, 10);
+        const graceMinutes = parseInt(req.body.grace_minutes ?? DEFAULT_CHECKIN_GRACE_MINUTES, 10);
+        const rotationSeconds = parseInt(req.body.rotation_seconds ?? 30, 10);
+
+        if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > 180) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'duration_minutes must be between 1 and 180.' 
+            });
+        }
+        if (!Number.isInteger(graceMinutes) || graceMinutes < 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'grace_minutes must be a non-negative integer.' 
+            });
+        }
+        if (!Number.isInteger(rotationSeconds) || rotationSeconds < 10 || rotationSeconds > 600) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'rotation_seconds must be between 10 and 600.' 
+            });
+        }
+
+        const { data: session, error: sessionError } = await supabase
+            .from('attendance_sessions')
+            .select('id, batch_id, session_date, status, batches!inner(status)')
+            .eq('id', sessionId)
+            .single();
+
+        if (sessionError || !session) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Attendance session not found.' 
+            });
+        }
+
+        if (session.batches.status !== 'Started') {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Attendance can only be marked for started batches.' 
+            });
+        }
+
+        if (session.status === 'Cancelled') {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'This session was cancelled.' 
+            });
+        }
+
+        const now = new Date();
+        await supabase
+            .from('attendance_checkin_windows')
+            .update({ closed_at: now.toISOString() })
+            .eq('session_id', sessionId)
+            .is('closed_at', null);
+
+        const { data: window, error: windowError } = await supabase
+            .from('attendance_checkin_windows')
+            .insert([{
+                session_id: sessionId,
+                opened_by: req.user.id,
+                closes_at: new Date(now.getTime() + durationMinutes * 60000).toISOString(),
+                secret: generateSecret(),
+                rotation_seconds: rotationSeconds,
+                grace_minutes: graceMinutes
+            }])
+            .select()
+            .single();
+
+        if (windowError) {
+            console.error('Error opening check-in window:', windowError);
+            return res.status(400).json({ 
+                success: false, 
+                error: windowError.message 
+            });
+        }
+
+        const { secret, ...windowInfo } = window;
+        res.status(201).json({
+            success: true,
+            data: {
+                window: windowInfo,
+                ...currentCode(window)
+            }
+        });
+
+    } catch (error) {
+        console.error('Server error in openCheckInWindow:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Internal server error' 
+        });
+    }
+};
+
+// Open check-in window of a session, or null
+const getOpenCheckInWindow = async (sessionId) => {
+    const { data, error } = await supabase
+        .from('attendance_checkin_windows')
+        .select('*')
+        .eq('session_id', sessionId)
+        .is('closed_at', null)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+// Current rotating code for the teacher's screen (poll every rotation)
+const getCheckInCode = async (req, res) => {
+    try {
+        const window = await getOpenCheckInWindow(req.params.sessionId);
+
+        if (!window || new Date(window.closes_at) <= new Date()) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'No open check-in window for this session.' 
+            });
+        }
+
+        const { secret, ...windowInfo } = window;
+        res.json({
+            success: true,
+            data: {
+                window: windowInfo,
+                ...currentCode(window)
+            }
+        });
+
+    } catch (error) {
+        console.error('Server error in getCheckInCode:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Internal server error' 
+        });
+    }
+};
+
+// Close the check-in window early (Teacher)
+const closeCheckInWindow = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('attendance_checkin_windows')
+            .update({ closed_at: new Date().toISOString() })
+            .eq('session_id', req.params.sessionId)
+            .is('closed_at', null)
+            .select('id, session_id, opened_at, closes_at, closed_at');
+
+        if (error) {
+            console.error('Error closing check-in window:', error);
+            return res.status(400).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
+
+        if (data.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'No open check-in window for this session.' 
+            });
+        }
+
+        res.json({ success: true, data: data[0] });
+
+    } catch (error) {
+        console.error('Server error in closeCheckInWindow:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Internal server error' 
+        });
+    }
+};
+
+// Student self check-in with the rotating code ({ session_id, code }) or a scanned
+// QR payload ({ payload }). Marks the record present, or late after time_from + grace.
+// Records the teacher already marked other than absent are left unchanged.
+const studentCheckIn = async (req, res) => {
+    try {
+        const studentId = req.student?.student_id;
+        const qr = req.body.payload ? parseQrPayload(req.body.payload) : null;
+
+        if (req.body.payload && !qr) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Invalid check-in QR code.' 
+            });
+        }
+        if (!qr && (!req.body.session_id || !req.body.code)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'session_id and code (or a QR payload) are required.' 
+            });
+        }
+
+        let window;
+        if (qr) {
+            const { data } = await supabase
+                .from('attendance_checkin_windows')
+                .select('*')
+                .eq('id', qr.windowId)
+                .maybeSingle();
+            window = data;
+        } else {
+            window = await getOpenCheckInWindow(req.body.session_id);
+        }
+
+        const now = new Date();
+        if (!window || window.closed_at || new Date(window.closes_at) <= now) {
+            return res.status(410).json({ 
+                success: false, 
+                error: 'Check-in is closed for this session.' 
+            });
+        }
+
+        const failureKey = `${window.id}:${studentId}`;
+        if (failedCheckIns(failureKey, now.getTime()) >= MAX_CHECKIN_FAILURES) {
+            return res.status(429).json({ 
+                success: false, 
+                error: 'Too many incorrect codes. Ask your teacher to mark your attendance.' 
+            });
+        }
+
+        if (!verifyCode(window, qr ? qr.code : String(req.body.code).trim(), now.getTime())) {
+            recordFailedCheckIn(failureKey, new Date(window.closes_at).getTime(), now.getTime());
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Incorrect or expired check-in code.' 
+            });
+        }
+
+        const { data: session, error: sessionError } = await supabase
+            .from('attendance_sessions')
+            .select('id, batch_id, session_date, status, batches!inner(time_from)')
+            .eq('id', window.session_id)
+            .single();
+
+        if (sessionError || !session || session.status === 'Cancelled') {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Attendance session not found.' 
+            });
+        }
+
+        if (!(await isStudentEnrolledInBatch(studentId, session.batch_id))) {
+            return res.status(403).json({ 
+                success: false, 
+                error: 'You are not enrolled in this batch.' 
+            });
+        }
+
+        const { data: existing } = await supabase
+            .from('attendance_records')
+            .select('id, status, checked_in_at')
+            .eq('session_id', session.id)
+            .eq('student_id', studentId)
+            .maybeSingle();
+
+        if (existing && existing.status !== 'absent') {
+            return res.json({
+                success: true,
+                data: {
+                    record_id: existing.id,
+                    status: existing.status,
+                    checked_in_at: existing.checked_in_at,
+                    message: 'Your attendance is already marked.'
+                }
+            });
+        }
+
+        const status = checkInStatus({
+            sessionDate: session.session_date,
+            timeFrom: session.batches.time_from,
+            graceMinutes: window.grace_minutes
+        }, now);
+
+        const { data: record, error: recordError } = await supabase
+            .from('attendance_records')
+            .upsert({
+                session_id: session.id,
+                student_id: studentId,
+                status,
+                marked_at: now.toISOString(),
+                checked_in_at: now.toISOString()
+            }, { onConflict: 'session_id,student_id' })
+            .select('id, status, checked_in_at')
+            .single();
+
+        if (recordError) {
+            console.error('Error recording check-in:', recordError);
+            return res.status(400).json({ 
+                success: false, 
+                error: recordError.message 
+            });
+        }
+
+        checkInFailures.delete(failureKey);
+        res.json({
+            success: true,
+            data: {
+                record_id: record.id,
+                status: record.status,
+                checked_in_at: record.checked_in_at,
+                message: status === 'late' ? 'Checked in (late).' : 'Checked in.'
+            }
+        });
+
+    } catch (error) {
+        console.error('Server error in studentCheckIn:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Internal server error' 
+        });
+    }
+};
+
+// Get low-attendance alert thresholds
+const getAttendanceAlertRules = async (req, res) => {
+    try {
+        const rules = await getAlertRules();
+        res.json({ success: true, data: rules });
+    } catch (error) {
+        console.error('Server error in getAttendanceAlertRules:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Internal server error' 
+        });
+    }
+};
+
+// Update (or create) a low-attendance alert threshold
+const updateAttendanceAlertRule = async (req, res) => {
+    try {
+        const { ruleType } = req.params;
+        const { threshold, min_sessions, is_active } = req.body;
+
+        if (!['LOW_ATTENDANCE', 'CONSECUTIVE_ABSENCES'].includes(ruleType)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: "Rule type must be 'LOW_ATTENDANCE' or 'CONSECUTIVE_ABSENCES'." 
+            });
+        }
+
+        const thresholdValue = Number(threshold);
+        if (!Number.isFinite(thresholdValue) || thresholdValue <= 0 || (ruleType === 'LOW_ATTENDANCE' && thresholdValue > 100)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: ruleType === 'LOW_ATTENDANCE'
+                    ? 'Threshold must be a percentage between 0 and 100.'
+                    : 'Threshold must be a positive number of absences.' 
+            });
+        }
+
+        const minSessions = min_sessions === undefined ? 0 : parseInt(min_sessions, 10);
+        if (!Number.isInteger(minSessions) || minSessions < 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'min_sessions must be a non-negative integer.' 
+            });
+        }
+
+        const { data: rule, error } = await supabase
+            .from('attendance_alert_rules')
+            .upsert({
+                rule_type: ruleType,
+                threshold: thresholdValue,
+                min_sessions: minSessions,
+                is_active: is_active === undefined ? true : Boolean(is_active),
+                updated_by: req.user.id,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'rule_type' })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error updating attendance alert rule:', error);
+            return res.status(400).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
+
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        console.error('Server error in updateAttendanceAlertRule:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Internal server error' 
+        });
+    }
+};
+
 
 module.exports = {
   createAttendanceSession,
   getBatchAttendance,
+  getBatchAttendanceReport,
+  getStudentAttendance,
+  exportBatchAttendance,
+  exportCenterAttendance,
+  importBatchAttendance,
+  openCheckInWindow,
+  getCheckInCode,
+  closeCheckInWindow,
+  studentCheckIn,
   updateAttendanceRecord,
   bulkUpdateAttendanceRecords,
+  getAttendanceAlertRules,
+  updateAttendanceAlertRule,
   debugTeacherAssignment
 };
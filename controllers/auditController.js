@@ -0,0 +1,68 @@
+const { supabaseAdmin } = require("../config/supabase.js");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Get audit events with optional filters (Admin/Manager)
+// Query: actor_id, actor_role, action, entity_type, entity_id, from, to, limit, offset
+const getAuditEvents = async (req, res) => {
+    try {
+        const { actor_id, actor_role, action, entity_type, entity_id, from, to } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        let query = supabaseAdmin
+            .from('audit_events')
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (actor_id) query = query.eq('actor_id', actor_id);
+        if (actor_role) query = query.eq('actor_role', actor_role);
+        if (action) query = query.in('action', action.split(','));
+        if (entity_type) query = query.eq('entity_type', entity_type);
+        if (entity_id) query = query.eq('entity_id', entity_id);
+        if (from) query = query.gte('created_at', from);
+        if (to) query = query.lte('created_at', to);
+
+        const { data, error, count } = await query;
+
+        if (error) {
+            console.error('Error fetching audit events:', error);
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        res.json({
+            success: true,
+            data,
+            pagination: { total: count, limit, offset }
+        });
+    } catch (error) {
+        console.error('Server error in getAuditEvents:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+// Get a single audit event
+const getAuditEventById = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data, error } = await supabaseAdmin
+            .from('audit_events')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error || !data) {
+            return res.status(404).json({ success: false, error: 'Audit event not found' });
+        }
+
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Server error in getAuditEventById:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+module.exports = { getAuditEvents, getAuditEventById };
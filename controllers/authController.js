@@ -0,0 +1,212 @@
+const crypto = require("crypto");
+const supabase = require("../config/supabase.js");
+const {
+    verifyToken,
+    isTokenRevoked,
+    extractClaims,
+    issueAccessToken,
+    issueRefreshToken,
+    revokeToken,
+    consumeRefreshToken,
+    startRefreshSession,
+    revokeAllUserTokens
+} = require("../utils/tokenService.js");
+
+// Claims for a refreshed token from the account as it is now, or null when the
+// account no longer exists or is disabled. Students are looked up in students,
+// staff in users, whose role may have changed since the token was issued.
+const currentClaims = async (decoded) => {
+    const claims = extractClaims(decoded);
+
+    if ((decoded.role || "").toLowerCase() === "student") {
+        const { data: student, error } = await supabase
+            .from("students")
+            .select("student_id, status")
+            .eq("student_id", decoded.student_id || decoded.id)
+            .maybeSingle();
+
+        if (error) throw error;
+        return student && student.status ? claims : null;
+    }
+
+    const { data: user, error } = await supabase
+        .from("users")
+        .select("id, role, status")
+        .eq("id", decoded.id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!user || user.status === false) return null;
+
+    return { ...claims, role: user.role };
+};
+
+// Issue a refresh token (plus a fresh access token) for the caller's current session.
+// Only a login token can start one, and only once: tokens issued with a refresh
+// token carry its session id (sid) and are refused, so the session cannot be
+// extended past the refresh token by chaining calls. The account is re-read as on refresh.
+const issueSessionTokens = async (req, res) => {
+    if (req.user.sid) {
+        return res.status(409).json({ success: false, error: "This session already has a refresh token; use /refresh" });
+    }
+    if (!req.user.jti) {
+        return res.status(400).json({ success: false, error: "This token cannot start a session; log in again" });
+    }
+
+    try {
+        const claims = await currentClaims(req.user);
+        if (!claims) {
+            return res.status(401).json({ success: false, error: "Account is disabled or no longer exists" });
+        }
+
+        if (!(await startRefreshSession(req.user))) {
+            return res.status(409).json({ success: false, error: "This session already has a refresh token; use /refresh" });
+        }
+
+        const sessionClaims = { ...claims, sid: crypto.randomUUID() };
+        const accessToken = issueAccessToken(sessionClaims);
+        const refreshToken = issueRefreshToken(sessionClaims);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                access_token: accessToken.token,
+                access_token_expires_at: accessToken.expires_at,
+                refresh_token: refreshToken.token,
+                refresh_token_expires_at: refreshToken.expires_at
+            }
+        });
+    } catch (error) {
+        console.error("Error issuing session tokens:", error);
+        res.status(500).json({ success: false, error: "Internal server error" });
+    }
+};
+
+// Exchange a refresh token for a new access token. Refresh tokens are single-use:
+// the presented token is revoked and a new one is returned (rotation). Presenting
+// an already rotated token means it was copied, so all of the user's tokens are revoked.
+const refreshAccessToken = async (req, res) => {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+        return res.status(400).json({ success: false, error: "refresh_token is required" });
+    }
+
+    let decoded;
+    try {
+        decoded = verifyToken(refresh_token, "refresh");
+    } catch (error) {
+        const message = error.name === "TokenExpiredError" ? "Refresh Token Expired" : "Invalid Refresh Token";
+        return res.status(401).json({ success: false, error: message, details: error.message });
+    }
+
+    try {
+        const { used, previousReason } = await consumeRefreshToken(decoded);
+        if (used) {
+            if (previousReason === "rotated") {
+                await revokeAllUserTokens({ user_id: decoded.id, reason: "refresh token reuse", revoked_by: decoded.id });
+                return res.status(401).json({ success: false, error: "Refresh Token Reused" });
+            }
+            return res.status(401).json({ success: false, error: "Refresh Token Revoked" });
+        }
+
+        // User-wide revocations; the token's own jti is listed now, so leave it out
+        if (await isTokenRevoked({ id: decoded.id, iat: decoded.iat })) {
+            return res.status(401).json({ success: false, error: "Refresh Token Revoked" });
+        }
+
+        const current = await currentClaims(decoded);
+        if (!current) {
+            return res.status(401).json({ success: false, error: "Account is disabled or no longer exists" });
+        }
+
+        // Refresh tokens issued before sessions had ids start one here
+        const claims = { ...current, sid: current.sid || crypto.randomUUID() };
+        const accessToken = issueAccessToken(claims);
+        const refreshToken = issueRefreshToken(claims);
+
+        res.json({
+            success: true,
+            data: {
+                access_token: accessToken.token,
+                access_token_expires_at: accessToken.expires_at,
+                refresh_token: refreshToken.token,
+                refresh_token_expires_at: refreshToken.expires_at
+            }
+        });
+    } catch (error) {
+        console.error("Error refreshing access token:", error);
+        res.status(500).json({ success: false, error: "Internal server error" });
+    }
+};
+
+// Revoke the caller's current access token and, optionally, their refresh token
+const logout = async (req, res) => {
+    const { refresh_token } = req.body || {};
+
+    try {
+        if (req.user.jti) {
+            await revokeToken({
+                jti: req.user.jti,
+                user_id: req.user.id,
+                expires_at: new Date(req.user.exp * 1000).toISOString(),
+                reason: "logout",
+                revoked_by: req.user.id
+            });
+        }
+
+        if (refresh_token) {
+            try {
+                const decoded = verifyToken(refresh_token, "refresh");
+                if (decoded.id === req.user.id) {
+                    await revokeToken({
+                        jti: decoded.jti,
+                        user_id: decoded.id,
+                        expires_at: new Date(decoded.exp * 1000).toISOString(),
+                        reason: "logout",
+                        revoked_by: req.user.id
+                    });
+                }
+            } catch (error) {
+                // An already invalid refresh token needs no revocation
+            }
+        }
+
+        res.json({ success: true, message: "Logged out successfully" });
+    } catch (error) {
+        console.error("Error during logout:", error);
+        res.status(500).json({ success: false, error: "Internal server error" });
+    }
+};
+
+// Revoke a single token by jti, or every token a user holds (Admin/Manager)
+const revokeTokens = async (req, res) => {
+    const { jti, user_id, reason } = req.body;
+
+    if (!jti && !user_id) {
+        return res.status(400).json({ success: false, error: "Either jti or user_id is required" });
+    }
+
+    try {
+        if (jti) {
+            await revokeToken({ jti, user_id: user_id || null, reason: reason || null, revoked_by: req.user.id });
+        } else {
+            await revokeAllUserTokens({ user_id, reason: reason || null, revoked_by: req.user.id });
+        }
+
+        res.json({
+            success: true,
+            message: jti ? "Token revoked successfully" : "All tokens for the user have been revoked"
+        });
+    } catch (error) {
+        console.error("Error revoking tokens:", error);
+        res.status(500).json({ success: false, error: "Internal server error" });
+    }
+};
+
+module.exports = {
+    issueSessionTokens,
+    refreshAccessToken,
+    logout,
+    revokeTokens
+};
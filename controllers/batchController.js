@@ -1,8 +1,19 @@
 const supabase = require("../config/supabase.js");
 const { supabaseAdmin } = require("../config/supabase.js");
-const nodemailer = require("nodemailer");
+const { isValidDate, normalizeWeekdays, materializeSchedule } = require("../utils/batchSchedule.js");
+const { findBatchConflicts, shouldBlock } = require("../utils/scheduleConflicts.js");
+const { LSRW_MODES, CLOSED_BATCH_STATUSES, checkTransfer, moveEnrollment } = require("../utils/batchTransfer.js");
+const { REGISTRATION_NUMBER_FORMAT, validateFormat, nextRegistrationNumber, previewRegistrationNumber } = require("../utils/registrationNumbers.js");
+const { invalidateStudentCredentials, issueSetupToken, sendSetupEmail } = require("../utils/studentOnboarding.js");
+const { notify, emitEvent } = require("../utils/notificationService.js");
+const { getUserDisplayName } = require("../utils/notificationRecipients.js");
+const { buildBatchName, batchCodeFromName, allocateBatchCode } = require("../utils/batchNaming.js");
+const { isCapacityError, getOccupancy, getWaitingEntries, waitlistProblems, addToWaitlist, markWaitlistPromoted, promoteFromWaitlist } = require("../utils/batchCapacity.js");
 require("dotenv").config(); // to load .env
 
+// Registration numbers tried per approval before giving up on clashes with older numbers
+const REGISTRATION_NUMBER_ATTEMPTS = 10;
+
 
 const createBatch = async (req, res) => {
     const { duration, center, teacher, assistant_tutor, course_id, time_from, time_to, max_students = 10 } = req.body;
@@ -14,24 +25,13 @@ const createBatch = async (req, res) => {
     }
 
     try {
-        // 1. Get the latest batch_name to increment
-        const { data: lastBatch, error: fetchError } = await supabase
-            .from("batches")
-            .select("batch_name")
-            .like("batch_name", "B%")
-            .order("batch_name", { ascending: false })
-            .limit(1)
-            .single();
-
-        let newBatchNumber = 118; // default start
-        if (lastBatch && lastBatch.batch_name) {
-            const match = lastBatch.batch_name.match(/^B(\d+)/);
-            if (match) {
-                newBatchNumber = parseInt(match[1]) + 1;
-            }
+        // 0. Make sure the teacher, assistant tutor and center are free at this time
+        const conflicts = await findBatchConflicts({ teacher, assistant_tutor, center, time_from, time_to });
+        if (shouldBlock(conflicts)) {
+            return res.status(409).json({ error: "Scheduling conflicts found", conflicts });
         }
 
-        // 2. Get course name
+        // 1. Get course name
         const { data: courseExists, error: courseError } = await supabase
             .from("courses")
             .select("course_name")
@@ -42,27 +42,15 @@ const createBatch = async (req, res) => {
             return res.status(400).json({ error: "Invalid course ID" });
         }
 
-        // 3. Construct batch_name
-        const courseName = courseExists.course_name.toUpperCase();
-        const formatToAmPm = (time) => {
-            const [hours, minutes] = time.split(':');
-            const date = new Date();
-            date.setHours(hours, minutes);
-            return date.toLocaleTimeString('en-US', {
-                hour: '2-digit',
-                minute: '2-digit',
-                hour12: true
-            }).replace(/\s/g, '');
-        };
-
-        const formattedFrom = formatToAmPm(time_from);
-        const formattedTo = formatToAmPm(time_to);
-
-        const batch_name = `B${newBatchNumber}-${courseName}-${formattedFrom}-${formattedTo}`;
+        // 2. Allocate the batch code (B118) and build the display name from it
+        const { batch_number, batch_code } = await allocateBatchCode();
+        const batch_name = buildBatchName({ batchCode: batch_code, courseName: courseExists.course_name, timeFrom: time_from, timeTo: time_to });
 
-        // 4. Insert into batches with status and created_by
+        // 3. Insert into batches with status and created_by
         const batchData = {
                 batch_name,
+                batch_number,
+                batch_code,
                 duration,
                 center,
                 teacher,
@@ -93,168 +81,15 @@ const createBatch = async (req, res) => {
             return res.status(400).json({ error: error.message });
         }
 
-        // Create notifications for assigned teachers
+        // Tell the assigned teachers, and every manager and admin that the batch awaits approval
         const batchName = data.batch_name || 'a new batch';
-        
-        // Notify main teacher if assigned
-        if (data.teacher) {
-            const notificationMessage = `New Batch Assigned 🎉\nYou have been assigned as the main teacher for batch "${batchName}". The batch is pending approval.`;
-            
-            const { error: mainTeacherNotifError } = await supabaseAdmin
-                .from("teacher_notifications")
-                .insert({
-                    teacher: data.teacher, // teacher_id from batches table
-                    message: notificationMessage,
-                    type: 'BATCH_ASSIGNED',
-                    related_id: data.batch_id,
-                    is_read: false
-                });
-            
-            if (mainTeacherNotifError) {
-                console.error("Error creating notification for main teacher:", mainTeacherNotifError);
-            } else {
-                console.log(`✅ Notification sent to main teacher for batch ${batchName}`);
-            }
-        }
-        
-        // Notify assistant teacher if assigned
-        if (data.assistant_tutor) {
-            const notificationMessage = `New Batch Assigned 🎉\nYou have been assigned as the assistant teacher for batch "${batchName}". The batch is pending approval.`;
-            
-            const { error: assistantNotifError } = await supabaseAdmin
-                .from("teacher_notifications")
-                .insert({
-                    teacher: data.assistant_tutor, // teacher_id from batches table
-                    message: notificationMessage,
-                    type: 'BATCH_ASSIGNED',
-                    related_id: data.batch_id,
-                    is_read: false
-                });
-            
-            if (assistantNotifError) {
-                console.error("Error creating notification for assistant teacher:", assistantNotifError);
-            } else {
-                console.log(`✅ Notification sent to assistant teacher for batch ${batchName}`);
-            }
-        }
-
-        // ✅ Notify all managers when batch is created and waiting for approval
-        try {
-            // Fetch all managers
-            const { data: managers, error: managersError } = await supabaseAdmin
-                .from('users')
-                .select('id, full_name, name')
-                .eq('role', 'manager')
-                .eq('status', true); // Only active managers
-            
-            if (!managersError && managers && managers.length > 0) {
-                // Get academic coordinator name who created the batch
-                let academicName = 'Academic Coordinator';
-                if (data.created_by) {
-                    try {
-                        const { data: academicData } = await supabaseAdmin
-                            .from('users')
-                            .select('full_name, name')
-                            .eq('id', data.created_by)
-                            .single();
-                        
-                        if (academicData) {
-                            academicName = academicData.full_name || academicData.name || 'Academic Coordinator';
-                        }
-                    } catch (err) {
-                        console.error('Error fetching academic coordinator name:', err);
-                    }
-                }
-
-                // Create notifications for all managers
-                const managerNotifications = managers.map(manager => ({
-                    manager_id: manager.id,
-                    message: `New Batch Waiting for Approval 📋\nBatch "${batchName}" has been created by ${academicName} and is waiting for your approval.`,
-                    type: 'BATCH_PENDING_APPROVAL',
-                    is_read: false,
-                    metadata: {
-                        batch_id: data.batch_id,
-                        batch_name: batchName,
-                        created_by: data.created_by,
-                        created_by_name: academicName
-                    }
-                }));
-
-                const { error: managerNotifError } = await supabaseAdmin
-                    .from('manager_notifications')
-                    .insert(managerNotifications);
-                
-                if (managerNotifError) {
-                    console.error("❌ Error creating manager notifications:", managerNotifError);
-                } else {
-                    console.log(`✅ Notifications sent to ${managers.length} manager(s) for pending batch "${batchName}"`);
-                }
-            } else {
-                console.log('ℹ️ No active managers found to notify about pending batch');
-            }
-        } catch (managerNotifErr) {
-            console.error('❌ Error in manager notification creation:', managerNotifErr);
-            // Don't fail batch creation if notification fails
-        }
-
-        // ✅ Notify all admins when batch is created and waiting for approval
-        try {
-            // Fetch all admins
-            const { data: admins, error: adminsError } = await supabaseAdmin
-                .from('users')
-                .select('id, full_name, name')
-                .eq('role', 'admin')
-                .eq('status', true); // Only active admins
-            
-            if (!adminsError && admins && admins.length > 0) {
-                // Get academic coordinator name who created the batch
-                let academicName = 'Academic Coordinator';
-                if (data.created_by) {
-                    try {
-                        const { data: academicData } = await supabaseAdmin
-                            .from('users')
-                            .select('full_name, name')
-                            .eq('id', data.created_by)
-                            .single();
-                        
-                        if (academicData) {
-                            academicName = academicData.full_name || academicData.name || 'Academic Coordinator';
-                        }
-                    } catch (err) {
-                        console.error('Error fetching academic coordinator name:', err);
-                    }
-                }
-
-                // Create notifications for all admins
-                const adminNotifications = admins.map(admin => ({
-                    admin_id: admin.id,
-                    message: `New Batch Waiting for Approval 📋\nBatch "${batchName}" has been created by ${academicName} and is waiting for approval.`,
-                    type: 'BATCH_PENDING_APPROVAL',
-                    is_read: false,
-                    metadata: {
-                        batch_id: data.batch_id,
-                        batch_name: batchName,
-                        created_by: data.created_by,
-                        created_by_name: academicName
-                    }
-                }));
-
-                const { error: adminNotifError } = await supabaseAdmin
-                    .from('admin_notifications')
-                    .insert(adminNotifications);
-                
-                if (adminNotifError) {
-                    console.error("❌ Error creating admin notifications:", adminNotifError);
-                } else {
-                    console.log(`✅ Notifications sent to ${admins.length} admin(s) for pending batch "${batchName}"`);
-                }
-            } else {
-                console.log('ℹ️ No active admins found to notify about pending batch');
-            }
-        } catch (adminNotifErr) {
-            console.error('❌ Error in admin notification creation:', adminNotifErr);
-            // Don't fail batch creation if notification fails
-        }
+        await notify('BATCH_ASSIGNED', { batchName, pending: true }, { batch: data }, { relatedId: data.batch_id });
+        await notify('BATCH_PENDING_APPROVAL', {
+            batchId: data.batch_id,
+            batchName,
+            createdBy: data.created_by,
+            createdByName: await getUserDisplayName(data.created_by, 'Academic Coordinator')
+        }, { managers: true, admins: true });
 
         res.status(201).json({
             message: "Batch created successfully and is pending approval",
@@ -262,7 +97,8 @@ const createBatch = async (req, res) => {
                 ...data,
                 course_name: data.course?.course_name,
                 course_type: data.course?.type
-            }
+            },
+            ...(conflicts.length > 0 && { conflicts })
         });
     } catch (error) {
         console.error("Server error:", error);
@@ -278,6 +114,7 @@ const getBatches = async (req, res) => {
         let query = supabase.from("batches").select(`
                 batch_id,
                 batch_name,
+                batch_code,
                 duration,
                 max_students,
                 created_at,
@@ -319,6 +156,8 @@ const getBatches = async (req, res) => {
             return res.status(400).json({ error: error.message });
         }
 
+        const occupancy = await getOccupancy(data);
+
         // 🔄 Transform + add student_count + fetch user names + merge info
         const transformedData = await Promise.all(data.map(async (batch) => {
             // Fetch creator name
@@ -407,7 +246,8 @@ const getBatches = async (req, res) => {
                 assistant_tutor_name: batch.assistant_tutor?.user?.name || null,
                 course_name: batch.course?.course_name,
                 course_type: batch.course?.type,
-                student_count: batch.enrollment ? batch.enrollment.length : 0,
+                student_count: occupancy[batch.batch_id].enrolled,
+                occupancy: occupancy[batch.batch_id],
                 // Use fetched user names
                 created_by: creatorName,
                 creator_role: creatorRole,
@@ -530,8 +370,14 @@ const getBatchById = async (req, res) => {
     // Extract created_by UUID before transformation
     const originalCreatedBy = data.created_by;
     
-    // Calculate student count from enrollment
-    const studentCount = data.enrollment ? data.enrollment.length : 0;
+    // Active enrollments against max_students, plus the waitlist length
+    let occupancy = null;
+    try {
+        occupancy = (await getOccupancy([data]))[data.batch_id];
+    } catch (occupancyError) {
+        console.error('❌ Error fetching batch occupancy:', occupancyError);
+    }
+    const studentCount = occupancy ? occupancy.enrolled : (data.enrollment ? data.enrollment.length : 0);
     
     // Check if this batch is part of a merge group
     let mergeInfo = null;
@@ -641,6 +487,7 @@ const getBatchById = async (req, res) => {
     const transformedData = {
         batch_id: data.batch_id,
         batch_name: data.batch_name,
+        batch_code: data.batch_code,
         duration: data.duration,
         max_students: data.max_students,
         status: data.status,
@@ -663,6 +510,7 @@ const getBatchById = async (req, res) => {
         assistant_tutor_name: data.assistant_tutor?.user?.name || null,
         center_name: data.center?.center_name,
         student_count: studentCount,
+        occupancy,
         // CRITICAL: Set created_by to name, NOT UUID
         created_by: creatorName,
         creator_role: creatorRole,
@@ -704,7 +552,7 @@ const updateBatch = async (req, res) => {
         // 1. Get old batch to keep batch number and check for teacher changes
         const { data: oldBatch, error: oldBatchError } = await supabase
             .from("batches")
-            .select("batch_name, teacher, assistant_tutor")
+            .select("batch_name, batch_code, course_id, teacher, assistant_tutor, center, time_from, time_to, start_date, end_date, schedule_days, schedule_start_date, max_students")
             .eq("batch_id", id)
             .single();
 
@@ -712,41 +560,64 @@ const updateBatch = async (req, res) => {
             return res.status(404).json({ error: "Batch not found" });
         }
 
-        // Extract number part (B118 → 118)
-        const match = oldBatch.batch_name.match(/^B(\d+)/);
-        const batchNumber = match ? match[1] : "000";
+        const conflicts = await findBatchConflicts({
+            ...oldBatch,
+            batch_id: id,
+            teacher: teacher || oldBatch.teacher,
+            assistant_tutor: assistant_tutor !== undefined ? (assistant_tutor || null) : oldBatch.assistant_tutor,
+            center: center || oldBatch.center,
+            time_from: time_from || oldBatch.time_from,
+            time_to: time_to || oldBatch.time_to
+        });
+        if (shouldBlock(conflicts)) {
+            return res.status(409).json({ error: "Scheduling conflicts found", conflicts });
+        }
 
-        // 2. Get course name
-        const { data: course, error: courseError } = await supabase
-            .from("courses")
-            .select("course_name")
-            .eq("id", course_id)
-            .single();
+        // Capacity cannot drop below the students already enrolled
+        if (max_students) {
+            const { enrolled } = (await getOccupancy([{ batch_id: id, max_students }]))[id];
+            if (Number(max_students) < enrolled) {
+                return res.status(409).json({ error: `max_students cannot be lower than the ${enrolled} students already enrolled` });
+            }
+        }
 
-        if (courseError || !course) {
-            return res.status(400).json({ error: "Invalid course ID" });
+        // 2. Keep the batch code; a batch from before batch_code existed takes it from its name
+        const codeFields = {};
+        let batchCode = oldBatch.batch_code || batchCodeFromName(oldBatch.batch_name);
+        if (!oldBatch.batch_code) {
+            if (batchCode) {
+                Object.assign(codeFields, { batch_code: batchCode, batch_number: parseInt(batchCode.slice(1), 10) });
+            } else {
+                Object.assign(codeFields, await allocateBatchCode());
+                batchCode = codeFields.batch_code;
+            }
         }
 
-        // 3. Format time → 09:00 → 09:00AM
-        const formatToAmPm = (time) => {
-            const [hours, minutes] = time.split(':');
-            const d = new Date();
-            d.setHours(hours, minutes);
-            return d.toLocaleTimeString("en-US", {
-                hour: "2-digit",
-                minute: "2-digit",
-                hour12: true
-            }).replace(/\s/g, "");
-        };
+        // 3. Rebuild the display name when the course or timings change
+        const newCourseId = course_id || oldBatch.course_id;
+        const newTimeFrom = time_from || oldBatch.time_from;
+        const newTimeTo = time_to || oldBatch.time_to;
+        const sameTime = (a, b) => String(a || '').slice(0, 5) === String(b || '').slice(0, 5);
 
-        const formattedFrom = formatToAmPm(time_from);
-        const formattedTo = formatToAmPm(time_to);
+        let batch_name;
+        if (newCourseId !== oldBatch.course_id || !sameTime(newTimeFrom, oldBatch.time_from)
+            || !sameTime(newTimeTo, oldBatch.time_to) || codeFields.batch_code) {
+            const { data: course, error: courseError } = await supabase
+                .from("courses")
+                .select("course_name")
+                .eq("id", newCourseId)
+                .single();
 
-        // 4. Rebuild batch_name
-        const batch_name = `B${batchNumber}-${course.course_name.toUpperCase()}-${formattedFrom}-${formattedTo}`;
+            if (courseError || !course) {
+                return res.status(400).json({ error: "Invalid course ID" });
+            }
+
+            // 4. B118-FRENCH A1-09:00AM-10:00AM
+            batch_name = buildBatchName({ batchCode, courseName: course.course_name, timeFrom: newTimeFrom, timeTo: newTimeTo });
+        }
 
         // 5. Update DB
-        const updateData = { batch_name, duration, center, teacher, course_id, time_from, time_to, max_students };
+        const updateData = { batch_name, ...codeFields, duration, center, teacher, course_id, time_from, time_to, max_students };
         
         // Add assistant_tutor if provided (can be null to remove)
         if (assistant_tutor !== undefined) {
@@ -769,52 +640,29 @@ const updateBatch = async (req, res) => {
         const updatedBatch = data[0] || data;
         const batchName = updatedBatch?.batch_name || oldBatch.batch_name;
 
-        // 6. Create notifications for newly assigned teachers
-        // Check if main teacher was changed/assigned
-        if (teacher && teacher !== oldBatch.teacher) {
-            const notificationMessage = `Batch Assigned 🎉\nYou have been assigned as the main teacher for batch "${batchName}".`;
-            
-            const { error: mainTeacherNotifError } = await supabaseAdmin
-                .from("teacher_notifications")
-                .insert({
-                    teacher: teacher, // teacher_id from batches table
-                    message: notificationMessage,
-                    type: 'BATCH_ASSIGNED',
-                    related_id: id,
-                    is_read: false
-                });
-            
-            if (mainTeacherNotifError) {
-                console.error("Error creating notification for main teacher:", mainTeacherNotifError);
-            } else {
-                console.log(`✅ Notification sent to main teacher for batch ${batchName}`);
-            }
-        }
-        
-        // Check if assistant teacher was changed/assigned
+        // 6. Notify newly assigned teachers
         const newAssistantTutor = assistant_tutor !== undefined ? (assistant_tutor || null) : oldBatch.assistant_tutor;
-        if (newAssistantTutor && newAssistantTutor !== oldBatch.assistant_tutor) {
-            const notificationMessage = `Batch Assigned 🎉\nYou have been assigned as the assistant teacher for batch "${batchName}".`;
-            
-            const { error: assistantNotifError } = await supabaseAdmin
-                .from("teacher_notifications")
-                .insert({
-                    teacher: newAssistantTutor, // teacher_id from batches table
-                    message: notificationMessage,
-                    type: 'BATCH_ASSIGNED',
-                    related_id: id,
-                    is_read: false
-                });
-            
-            if (assistantNotifError) {
-                console.error("Error creating notification for assistant teacher:", assistantNotifError);
-            } else {
-                console.log(`✅ Notification sent to assistant teacher for batch ${batchName}`);
+        await notify('BATCH_ASSIGNED', { batchName }, {
+            batch: {
+                teacher: teacher && teacher !== oldBatch.teacher ? teacher : null,
+                assistant_tutor: newAssistantTutor !== oldBatch.assistant_tutor ? newAssistantTutor : null
             }
+        }, { relatedId: id });
+
+        // More seats: move students up from the waitlist
+        let promoted = [];
+        if (max_students && (!oldBatch.max_students || Number(max_students) > oldBatch.max_students)) {
+            promoted = await promoteFromWaitlist(id, { promotedBy: req.user?.id })
+                .catch(err => { console.error("Error promoting waitlist:", err); return []; });
         }
 
         console.log('✅ Batch updated successfully:', updatedBatch);
-        res.json({ message: "Batch updated successfully", batch: updatedBatch });
+        res.json({
+            message: "Batch updated successfully",
+            batch: updatedBatch,
+            ...(conflicts.length > 0 && { conflicts }),
+            ...(promoted.length > 0 && { promoted_from_waitlist: promoted })
+        });
     } catch (err) {
         console.error("Update batch error:", err);
         res.status(500).json({ error: "Internal server error" });
@@ -887,7 +735,7 @@ const approveStudent = async (req, res) => {
     // Fetch student details including state, center, and status
     const { data: student, error: fetchError } = await supabase
         .from("students")
-        .select(`state:states!students_state_fkey(state_name), center:centers!students_center_fkey(center_name), status, email, name`)
+        .select(`student_id, state:states!students_state_fkey(state_name), center:centers!students_center_fkey(center_name), status, email, name`)
         .eq("student_id", student_id)
         .single();
 
@@ -899,137 +747,162 @@ const approveStudent = async (req, res) => {
         return res.status(400).json({ error: "Student is already approved" });
     }
 
-    // Extract codes
-    const stateCode = student.state?.state_name?.slice(0, 2).toUpperCase() || "XX";
-    const centerCode = student.center?.center_name?.slice(0, 2).toUpperCase() || "YY";
-    const nextNumber = Math.floor(1000 + Math.random() * 9000);
-    const registrationNumber = `ISML${stateCode}${centerCode}${nextNumber}`;
+    // Take the next sequential number for the student's state/center. A unique index
+    // backs the counter; a clash with an older random number just takes the next value.
+    const codes = { stateName: student.state?.state_name, centerName: student.center?.center_name };
+    let registrationNumber = null;
+    let data = null;
 
-    // Approve student in DB
-    const { data, error } = await supabase
-        .from("students")
-        .update({ status: true, registration_number: registrationNumber })
-        .eq("student_id", student_id)
-        .select();
+    for (let attempt = 0; attempt < REGISTRATION_NUMBER_ATTEMPTS && !data; attempt++) {
+        try {
+            ({ registrationNumber } = await nextRegistrationNumber(codes));
+        } catch (sequenceError) {
+            console.error("❌ Failed to generate registration number:", sequenceError);
+            return res.status(500).json({ error: "Failed to generate registration number" });
+        }
 
-    if (error) {
-        return res.status(400).json({ error: error.message });
+        // Approve student in DB (only if still pending, so two approvals cannot both go through)
+        const { data: updated, error } = await supabase
+            .from("students")
+            .update({ status: true, registration_number: registrationNumber })
+            .eq("student_id", student_id)
+            .not("status", "is", true)
+            .select();
+
+        if (error && error.code === "23505") continue;
+        if (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (!updated || updated.length === 0) {
+            return res.status(400).json({ error: "Student is already approved" });
+        }
+        data = updated;
     }
 
-    // Create welcome notification for the student
-    try {
-        const welcomeMessage = `Welcome to ISML! 🎉\n\nYour registration has been approved.\n\nYour Registration Number: ${registrationNumber}\n\n"Education is the most powerful weapon which you can use to change the world." - Nelson Mandela\n\nWe're excited to have you on board! Start your learning journey today. 🚀`;
-
-        const { error: notifError } = await supabase
-            .from("notifications")
-            .insert({
-                student: student_id,
-                message: welcomeMessage,
-                is_read: false
-            });
+    if (!data) {
+        return res.status(500).json({ error: "Could not allocate a unique registration number" });
+    }
 
-        if (notifError) {
-            console.error("❌ Failed to create welcome notification:", notifError);
-            // Don't fail the approval if notification creation fails
-        } else {
-            console.log(`✅ Welcome notification created for student ${student_id} with registration number ${registrationNumber}`);
-        }
-    } catch (notifErr) {
-        console.error("❌ Error creating welcome notification:", notifErr);
-        // Don't fail the approval if notification creation fails
+    // Welcome notification with the registration number
+    await notify('STUDENT_APPROVED', { registrationNumber }, { students: [student_id] });
+
+    // Email a single-use password-setup link instead of a password
+    let setup;
+    try {
+        await invalidateStudentCredentials(student_id, req.user?.id);
+        setup = await issueSetupToken(student_id, req.user?.id);
+    } catch (tokenError) {
+        console.error("❌ Failed to issue password setup link:", tokenError);
+        return res.status(500).json({ error: "Student approved but the password setup link could not be created. Use resend to try again.", student: data });
     }
 
-    // Validate email configuration
-    if (!process.env.MAIL_USER || !process.env.MAIL_PASSWORD) {
-        console.error("⚠️  WARNING: Email configuration missing!");
-        console.error("   Please set MAIL_USER and MAIL_PASSWORD in .env file");
-        console.error("   For Gmail, you need to use App Password (not regular password)");
-        console.error("   See GMAIL_SETUP_INSTRUCTIONS.md for details");
-        return res.status(500).json({ 
-            error: "Email configuration missing. Please configure MAIL_USER and MAIL_PASSWORD in .env file" 
+    // Goes through the email outbox, so a failed send is retried automatically
+    let email = null;
+    try {
+        email = await sendSetupEmail(student, {
+            link: setup.link,
+            expiresAt: setup.expires_at,
+            registrationNumber,
+            sentBy: req.user?.id
         });
+    } catch (mailError) {
+        console.error("❌ Failed to queue setup email:", mailError);
     }
 
-    // Setup mail transport
-    const transporter = nodemailer.createTransport({
-        service: "Gmail",
-        auth: {
-            user: process.env.MAIL_USER,
-            pass: process.env.MAIL_PASSWORD
+    const emailSent = email?.status === "sent";
+    let message = "Student approved successfully and setup link emailed";
+    if (!email) message = "Student approved, but the setup email could not be queued. Use resend to try again.";
+    else if (!emailSent) message = "Student approved. The setup email could not be sent yet and will be retried automatically.";
+
+    res.json({
+        message,
+        student: data,
+        onboarding: {
+            status: "INVITED",
+            link_expires_at: setup.expires_at,
+            email_sent: emailSent,
+            email_id: email?.id || null,
+            email_status: email?.status || null
         }
     });
+};
 
-    const mailOptions = {
-        from: `"ISML Team" <${process.env.MAIL_USER}>`,
-        to: student.email,
-        subject: "🎉 Congratulations! Your ISML Registration is Approved 🎉",
-        html: `
-    <div style="font-family: Arial, sans-serif; background:#f9f9f9; padding:20px; color:#333;">
-      <div style="max-width:600px; margin:0 auto; background:white; border-radius:10px; box-shadow:0 2px 8px rgba(0,0,0,0.1); overflow:hidden;">
-        
-        <div style="background:#2563eb; padding:20px; text-align:center; color:white;">
-          <h1 style="margin:0; font-size:24px;">Welcome to ISML 🎓</h1>
-        </div>
-        
-        <div style="padding:20px;">
-          <p style="font-size:16px;">Hi <b>${student.name}</b>,</p>
-          <p style="font-size:15px; line-height:1.6;">
-            🎉 Congratulations! Your <b>ISML Registration</b> has been successfully <span style="color:green; font-weight:bold;">approved</span>.
-          </p>
-
-          <div style="margin:20px 0; padding:15px; border:2px dashed #2563eb; border-radius:8px; text-align:center;">
-            <p style="margin:0; font-size:16px;">Your Registration Number:</p>
-            <h2 style="margin:10px 0; font-size:22px; color:#2563eb;">${registrationNumber}</h2>
-          </div>
-
-          <div style="margin:20px 0; padding:15px; border:2px dashed #10b981; border-radius:8px; text-align:center; background:#f0fdf4;">
-            <p style="margin:0; font-size:16px;">Your Password:</p>
-            <h2 style="margin:10px 0; font-size:22px; color:#10b981; font-family:monospace;">Isml@20$14!</h2>
-            <p style="margin-top:12px; font-size:13px; color:#666; font-style:italic;">
-              💡 You can change this password later using the <b>"Forget Password"</b> option on the login page.
-            </p>
-          </div>
-
-          <p style="font-size:15px; line-height:1.6;">
-            You can now access ISML's courses and resources. We're excited to have you onboard! 🚀
-          </p>
-          
-          <a href="https://ismlstudents.iypan.com/login" target="_blank"
-            style="display:inline-block; margin-top:20px; padding:12px 20px; background:#2563eb; color:white; text-decoration:none; border-radius:6px; font-size:16px;">
-            Access Your Dashboard →
-          </a>
-        </div>
-
-        <div style="background:#f1f5f9; padding:15px; text-align:center; font-size:12px; color:#555;">
-          <p style="margin:0;">Regards,<br/>Team <b>ISML</b></p>
-        </div>
-      </div>
-    </div>
-  `,
-    };
+// Preview the registration number the next approval would get, for a student
+// (their state/center) or an explicit state_id/center_id. An optional ?format=
+// tries out a template without changing the configured one.
+const getRegistrationNumberPreview = async (req, res) => {
+    const { student_id, state_id, center_id } = req.query;
+    const format = req.query.format || REGISTRATION_NUMBER_FORMAT;
 
+    const formatProblem = validateFormat(format);
+    if (formatProblem) {
+        return res.status(400).json({ error: formatProblem });
+    }
 
-    // Send email
-    transporter.sendMail(mailOptions, (err, info) => {
-        if (err) {
-            console.error("❌ Email sending failed:", err);
+    try {
+        let stateName = null;
+        let centerName = null;
+
+        if (student_id) {
+            const { data: student, error } = await supabase
+                .from("students")
+                .select(`state:states!students_state_fkey(state_name), center:centers!students_center_fkey(center_name)`)
+                .eq("student_id", student_id)
+                .single();
+
+            if (error || !student) {
+                return res.status(404).json({ error: "Student not found" });
+            }
+            stateName = student.state?.state_name;
+            centerName = student.center?.center_name;
+        } else if (state_id || center_id) {
+            if (state_id) {
+                const { data: state } = await supabase.from("states").select("state_name").eq("state_id", state_id).single();
+                if (!state) return res.status(404).json({ error: "State not found" });
+                stateName = state.state_name;
+            }
+            if (center_id) {
+                const { data: center } = await supabase.from("centers").select("center_name").eq("center_id", center_id).single();
+                if (!center) return res.status(404).json({ error: "Center not found" });
+                centerName = center.center_name;
+            }
         } else {
-            console.log("✅ Email sent:", info.response);
+            return res.status(400).json({ error: "student_id, or state_id and center_id, is required" });
         }
-    });
 
-    res.json({ message: "Student approved successfully and email sent", student: data });
+        const preview = await previewRegistrationNumber({ stateName, centerName }, { format });
+
+        res.json({
+            success: true,
+            data: {
+                registration_number: preview.registrationNumber,
+                sequence: preview.sequence,
+                scope: preview.scope,
+                format,
+                note: "Preview only; concurrent approvals may take this number first"
+            }
+        });
+    } catch (error) {
+        console.error("Registration number preview error:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
 };
 
-// Update student batch assignment (for enrolled students only)
+// Update student batch assignment (for enrolled students only).
+// An inactive enrollment is only made active again with reactivate: true.
 const updateStudentBatch = async (req, res) => {
     try {
-        const { student_id, batch_id } = req.body;
+        const { student_id, batch_id, reason, allow_course_change, join_waitlist, reactivate } = req.body;
+        const lsrwMode = req.body.lsrw_mode || 'carry_over';
 
         if (!student_id || !batch_id) {
             return res.status(400).json({ error: "Student ID and Batch ID are required" });
         }
 
+        if (!LSRW_MODES.includes(lsrwMode)) {
+            return res.status(400).json({ error: `lsrw_mode must be one of: ${LSRW_MODES.join(', ')}` });
+        }
+
         // Check if student exists and is approved
         const { data: student, error: studentError } = await supabase
             .from("students")
@@ -1048,7 +921,7 @@ const updateStudentBatch = async (req, res) => {
         // Check if batch exists
         const { data: batch, error: batchError } = await supabase
             .from("batches")
-            .select("batch_id, batch_name")
+            .select("batch_id, batch_name, status, course_id, max_students, teacher, assistant_tutor")
             .eq("batch_id", batch_id)
             .single();
 
@@ -1059,7 +932,7 @@ const updateStudentBatch = async (req, res) => {
         // Check if student already has an enrollment
         const { data: existingEnrollment, error: enrollmentError } = await supabase
             .from("enrollment")
-            .select("enrollment_id, batch")
+            .select("enrollment_id, batch, status")
             .eq("student", student_id)
             .single();
 
@@ -1067,24 +940,77 @@ const updateStudentBatch = async (req, res) => {
             return res.status(500).json({ error: "Error checking existing enrollment" });
         }
 
-        if (existingEnrollment) {
-            // Update existing enrollment
-            const { data, error: updateError } = await supabase
-                .from("enrollment")
-                .update({ batch: batch_id })
-                .eq("enrollment_id", existingEnrollment.enrollment_id)
-                .select()
+        let fromBatch = null;
+        if (existingEnrollment && existingEnrollment.batch) {
+            const { data } = await supabase
+                .from("batches")
+                .select("batch_id, batch_name, course_id, teacher, assistant_tutor")
+                .eq("batch_id", existingEnrollment.batch)
                 .single();
+            fromBatch = data;
+        }
+
+        const problems = await checkTransfer({ fromBatch, toBatch: batch, allowCourseChange: allow_course_change === true });
+        const blocking = join_waitlist === true ? problems.filter(p => p.code !== 'BATCH_FULL') : problems;
+        if (blocking.length > 0) {
+            return res.status(blocking.some(p => p.code === 'BATCH_FULL') ? 409 : 400).json({
+                error: blocking[0].message,
+                problems: blocking
+            });
+        }
+
+        if (problems.length > 0) {
+            return addStudentToWaitlist(res, { batch, student, notes: reason, addedBy: req.user.id });
+        }
 
-            if (updateError) {
+        if (existingEnrollment) {
+            // Transfer: record history, move the enrollment, then carry over or archive LSRW progress.
+            // Attendance and assessment marks stay under the old batch; the history row links them.
+            let transfer;
+            try {
+                transfer = await moveEnrollment({
+                    studentId: student_id,
+                    enrollment: existingEnrollment,
+                    fromBatch,
+                    toBatch: batch,
+                    reason,
+                    mode: lsrwMode,
+                    transferredBy: req.user.id,
+                    reactivate: reactivate === true
+                });
+            } catch (transferError) {
+                if (isCapacityError(transferError)) {
+                    return join_waitlist === true
+                        ? addStudentToWaitlist(res, { batch, student, notes: reason, addedBy: req.user.id })
+                        : res.status(409).json({ error: "The target batch is full.", problems: [{ code: 'BATCH_FULL', message: "The target batch is full." }] });
+                }
+                console.error("Failed to transfer enrollment:", transferError);
                 return res.status(500).json({ error: "Failed to update enrollment" });
             }
 
+            await markWaitlistPromoted(batch_id, student_id).catch(err => console.error("Error closing waitlist entry:", err));
+
+            // Notify the teachers of both batches
+            const transferData = { studentName: student.name, fromName: fromBatch?.batch_name || 'their previous batch', toName: batch.batch_name };
+            if (fromBatch) {
+                await notify('STUDENT_TRANSFERRED_OUT', transferData, { batch: fromBatch }, { relatedId: fromBatch.batch_id });
+            }
+            await notify('STUDENT_TRANSFERRED_IN', transferData, { batch }, { relatedId: batch.batch_id });
+
+            // The student's old seat is free now
+            let promoted = [];
+            if (fromBatch && existingEnrollment.status) {
+                promoted = await promoteFromWaitlist(fromBatch.batch_id, { promotedBy: req.user.id })
+                    .catch(err => { console.error("Error promoting waitlist:", err); return []; });
+            }
+
             res.json({ 
-                message: "Student batch assignment updated successfully", 
-                enrollment: data,
+                message: "Student transferred successfully", 
+                enrollment: transfer.enrollment,
                 student: student,
-                batch: batch
+                batch: batch,
+                transfer: transfer.history,
+                ...(promoted.length > 0 && { promoted_from_waitlist: promoted })
             });
         } else {
             // Create new enrollment
@@ -1099,25 +1025,321 @@ const updateStudentBatch = async (req, res) => {
                 .select()
                 .single();
 
-            if (createError) {
-                return res.status(500).json({ error: "Failed to create enrollment" });
-            }
+            if (createError) {
+                if (isCapacityError(createError)) {
+                    return join_waitlist === true
+                        ? addStudentToWaitlist(res, { batch, student, notes: reason, addedBy: req.user.id })
+                        : res.status(409).json({ error: "The target batch is full.", problems: [{ code: 'BATCH_FULL', message: "The target batch is full." }] });
+                }
+                return res.status(500).json({ error: "Failed to create enrollment" });
+            }
+
+            await markWaitlistPromoted(batch_id, student_id).catch(err => console.error("Error closing waitlist entry:", err));
+
+            res.json({ 
+                message: "Student batch assignment created successfully", 
+                enrollment: data,
+                student: student,
+                batch: batch
+            });
+        }
+
+    } catch (error) {
+        console.error("Update student batch error:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+// Queue a student for a full batch; responds 202 with the waitlist entry
+// `batch` needs batch_id, batch_name, status, course_id and max_students
+const addStudentToWaitlist = async (res, { batch, student, notes, addedBy }) => {
+    try {
+        const { data: enrollment, error: enrollmentError } = await supabase
+            .from("enrollment")
+            .select("batch, status")
+            .eq("student", student.student_id)
+            .maybeSingle();
+
+        if (enrollmentError) throw enrollmentError;
+
+        const { problems } = await waitlistProblems(batch, enrollment);
+        if (problems.length > 0) {
+            return res.status(400).json({ error: problems[0].message, problems });
+        }
+
+        const entry = await addToWaitlist({ batchId: batch.batch_id, studentId: student.student_id, notes, addedBy });
+        const occupancy = (await getOccupancy([batch]))[batch.batch_id];
+
+        return res.status(202).json({
+            message: `Batch is full; ${student.name || 'student'} has been added to the waitlist`,
+            waitlist_entry: entry,
+            occupancy
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: "Student is already on the waitlist for this batch" });
+        }
+        console.error("Error adding student to waitlist:", error);
+        return res.status(500).json({ error: "Failed to add student to the waitlist" });
+    }
+};
+
+// Batch transfers of a student, newest first
+const getEnrollmentHistory = async (req, res) => {
+    try {
+        const { student_id } = req.params;
+
+        const { data, error } = await supabase
+            .from("enrollment_history")
+            .select(`
+                *,
+                from_batch:batches!enrollment_history_from_batch_id_fkey(batch_id, batch_name),
+                to_batch:batches!enrollment_history_to_batch_id_fkey(batch_id, batch_name),
+                transferred_by_user:users!enrollment_history_transferred_by_fkey(id, name)
+            `)
+            .eq("student_id", student_id)
+            .order("transferred_at", { ascending: false });
+
+        if (error) {
+            console.error("Error fetching enrollment history:", error);
+            return res.status(400).json({ error: error.message });
+        }
+
+        res.json({ history: data });
+    } catch (error) {
+        console.error("Get enrollment history error:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+
+// ==================== BATCH WAITLIST ====================
+
+const WAITLIST_BATCH_COLUMNS = "batch_id, batch_name, status, course_id, max_students";
+
+// Waiting students of a batch in promotion order, with the batch's occupancy
+const getBatchWaitlist = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const { data: batch, error: batchError } = await supabase
+            .from("batches")
+            .select(WAITLIST_BATCH_COLUMNS)
+            .eq("batch_id", id)
+            .single();
+
+        if (batchError || !batch) {
+            return res.status(404).json({ error: "Batch not found" });
+        }
+
+        const entries = await getWaitingEntries(id);
+        const studentIds = entries.map(e => e.student_id);
+
+        let students = [];
+        if (studentIds.length > 0) {
+            const { data } = await supabase
+                .from("students")
+                .select("student_id, name, email, registration_number")
+                .in("student_id", studentIds);
+            students = data || [];
+        }
+
+        const studentMap = Object.fromEntries(students.map(s => [s.student_id, s]));
+        const occupancy = (await getOccupancy([batch]))[id];
+
+        res.json({
+            success: true,
+            data: {
+                batch,
+                occupancy,
+                waitlist: entries.map((entry, index) => ({
+                    ...entry,
+                    rank: index + 1,
+                    student: studentMap[entry.student_id] || null
+                }))
+            }
+        });
+    } catch (error) {
+        console.error("Get batch waitlist error:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+// Put an approved student on a full batch's waitlist
+const addBatchWaitlistEntry = async (req, res) => {
+    const { id } = req.params;
+    const { student_id, notes } = req.body;
+
+    if (!student_id) {
+        return res.status(400).json({ error: "Student ID is required" });
+    }
+
+    try {
+        const { data: batch, error: batchError } = await supabase
+            .from("batches")
+            .select(WAITLIST_BATCH_COLUMNS)
+            .eq("batch_id", id)
+            .single();
+
+        if (batchError || !batch) {
+            return res.status(404).json({ error: "Batch not found" });
+        }
+
+        if (CLOSED_BATCH_STATUSES.includes(batch.status)) {
+            return res.status(400).json({ error: `Students cannot wait for a ${batch.status.toLowerCase()} batch` });
+        }
+
+        const { data: student, error: studentError } = await supabase
+            .from("students")
+            .select("student_id, name, status")
+            .eq("student_id", student_id)
+            .single();
+
+        if (studentError || !student) {
+            return res.status(404).json({ error: "Student not found" });
+        }
+
+        if (!student.status) {
+            return res.status(400).json({ error: "Student must be approved before joining a waitlist" });
+        }
+
+        const { data: enrollment } = await supabase
+            .from("enrollment")
+            .select("batch, status")
+            .eq("student", student_id)
+            .maybeSingle();
+
+        if (enrollment && enrollment.batch === id && enrollment.status) {
+            return res.status(400).json({ error: "Student is already enrolled in this batch" });
+        }
+
+        const occupancy = (await getOccupancy([batch]))[id];
+        if (!occupancy.is_full) {
+            return res.status(400).json({ error: "Batch has free seats; enroll the student directly", occupancy });
+        }
+
+        return addStudentToWaitlist(res, { batch, student, notes, addedBy: req.user.id });
+    } catch (error) {
+        console.error("Add waitlist entry error:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+// Move a waiting student to another place in the queue (1 = next to be promoted)
+const moveBatchWaitlistEntry = async (req, res) => {
+    const { id, entry_id } = req.params;
+    const rank = parseInt(req.body.position, 10);
+
+    if (!Number.isInteger(rank) || rank < 1) {
+        return res.status(400).json({ error: "position must be a positive integer" });
+    }
+
+    try {
+        const entries = await getWaitingEntries(id);
+        const index = entries.findIndex(e => e.id === entry_id);
+
+        if (index === -1) {
+            return res.status(404).json({ error: "Waitlist entry not found" });
+        }
+
+        const [entry] = entries.splice(index, 1);
+        entries.splice(Math.min(rank, entries.length + 1) - 1, 0, entry);
+
+        // Renumber 1..n, writing only the rows whose position changed
+        const changed = entries
+            .map((e, i) => ({ ...e, newPosition: i + 1 }))
+            .filter(e => e.position !== e.newPosition);
+
+        for (const e of changed) {
+            const { error } = await supabase
+                .from("batch_waitlist")
+                .update({ position: e.newPosition })
+                .eq("id", e.id);
+
+            if (error) {
+                console.error("Error reordering waitlist:", error);
+                return res.status(500).json({ error: "Failed to reorder waitlist" });
+            }
+        }
+
+        res.json({
+            success: true,
+            message: "Waitlist reordered",
+            data: entries.map((e, i) => ({ ...e, position: i + 1 }))
+        });
+    } catch (error) {
+        console.error("Move waitlist entry error:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+// Take a student off the waitlist
+const removeBatchWaitlistEntry = async (req, res) => {
+    const { id, entry_id } = req.params;
+
+    try {
+        const { data, error } = await supabase
+            .from("batch_waitlist")
+            .update({ status: "CANCELLED", cancelled_at: new Date().toISOString() })
+            .eq("id", entry_id)
+            .eq("batch_id", id)
+            .eq("status", "WAITING")
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error("Error removing waitlist entry:", error);
+            return res.status(500).json({ error: "Failed to remove waitlist entry" });
+        }
+
+        if (!data) {
+            return res.status(404).json({ error: "Waitlist entry not found" });
+        }
+
+        res.json({ success: true, message: "Student removed from the waitlist", data });
+    } catch (error) {
+        console.error("Remove waitlist entry error:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+// Withdraw a student from a batch; the freed seat goes to the head of the waitlist
+const withdrawStudentFromBatch = async (req, res) => {
+    const { id, student_id } = req.params;
+
+    try {
+        const { data: enrollment, error } = await supabase
+            .from("enrollment")
+            .update({ status: false })
+            .eq("batch", id)
+            .eq("student", student_id)
+            .eq("status", true)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error("Error withdrawing student:", error);
+            return res.status(500).json({ error: "Failed to withdraw student" });
+        }
 
-            res.json({ 
-                message: "Student batch assignment created successfully", 
-                enrollment: data,
-                student: student,
-                batch: batch
-            });
+        if (!enrollment) {
+            return res.status(404).json({ error: "Student is not enrolled in this batch" });
         }
 
+        const promoted = await promoteFromWaitlist(id, { promotedBy: req.user.id })
+            .catch(err => { console.error("Error promoting waitlist:", err); return []; });
+
+        res.json({
+            message: "Student withdrawn from batch",
+            enrollment,
+            promoted_from_waitlist: promoted
+        });
     } catch (error) {
-        console.error("Update student batch error:", error);
+        console.error("Withdraw student error:", error);
         res.status(500).json({ error: "Internal server error" });
     }
 };
 
-
 // Get pending batches for approval (Manager and Admin only)
 const getPendingBatches = async (req, res) => {
     try {
@@ -1299,241 +1521,34 @@ const approveBatch = async (req, res) => {
             ? `Manager (${approverFullName})` 
             : approverFullName;
 
-        // Send notification to Academic Coordinator who created the batch
-        if (approvedBatch.created_by || batchBeforeUpdate.created_by) {
-            const creatorId = approvedBatch.created_by || batchBeforeUpdate.created_by;
-            
-            // Verify that the creator is an academic coordinator
-            try {
-                const { data: creatorData, error: creatorError } = await supabaseAdmin
-                    .from('users')
-                    .select('id, role, full_name, name')
-                    .eq('id', creatorId)
-                    .single();
-                
-                if (!creatorError && creatorData && creatorData.role === 'academic') {
-                    // Format: "Batch [batch_name] approved by Manager (Full Name)" or "Batch [batch_name] approved by Admin (Full Name)"
-                    const notificationMessage = `Batch "${batchName}" approved by ${approverDisplayName}`;
-                    
-                    console.log('📧 Creating academic notification:', {
-                        academic_coordinator_id: creatorId,
-                        message: notificationMessage,
-                        batch_name: batchName,
-                        approver: approverDisplayName
-                    });
-                    
-                    const { error: academicNotifError } = await supabaseAdmin
-                        .from('academic_notifications')
-                        .insert({
-                            academic_coordinator_id: creatorId,
-                            message: notificationMessage,
-                            type: 'BATCH_APPROVED',
-                            related_id: approvedBatch.batch_id,
-                            is_read: false
-                        });
-                    
-                    if (academicNotifError) {
-                        console.error("❌ Error creating notification for academic coordinator:", academicNotifError);
-                    } else {
-                        console.log(`✅ Approval notification sent to academic coordinator (${creatorId}) for batch "${batchName}"`);
-                    }
-                } else {
-                    console.log('ℹ️ Batch creator is not an academic coordinator, skipping notification:', { 
-                        creatorId, 
-                        role: creatorData?.role,
-                        error: creatorError?.message 
-                    });
-                }
-            } catch (notifError) {
-                console.error('❌ Error in academic notification creation:', notifError);
-                // Don't fail the approval if notification fails
-            }
-        } else {
-            console.log('ℹ️ Batch has no created_by field, skipping academic notification');
-        }
-
-        // ✅ Notify all managers when batch is approved
-        try {
-            // Fetch all managers (excluding the approver if approver is a manager)
-            let managersQuery = supabaseAdmin
-                .from('users')
-                .select('id, full_name, name')
-                .eq('role', 'manager')
-                .eq('status', true); // Only active managers
-            
-            // If approver is a manager, exclude them from notifications (they already know)
-            if (approverRole === 'manager') {
-                managersQuery = managersQuery.neq('id', req.user.id);
-            }
-            
-            const { data: managers, error: managersError } = await managersQuery;
-            
-            if (!managersError && managers && managers.length > 0) {
-                // Get academic coordinator name who created the batch
-                let academicName = 'Academic Coordinator';
-                if (approvedBatch.created_by || batchBeforeUpdate.created_by) {
-                    const creatorId = approvedBatch.created_by || batchBeforeUpdate.created_by;
-                    try {
-                        const { data: academicData } = await supabaseAdmin
-                            .from('users')
-                            .select('full_name, name')
-                            .eq('id', creatorId)
-                            .single();
-                        
-                        if (academicData) {
-                            academicName = academicData.full_name || academicData.name || 'Academic Coordinator';
-                        }
-                    } catch (err) {
-                        console.error('Error fetching academic coordinator name:', err);
-                    }
-                }
-
-                // Create notifications for all managers
-                const managerNotifications = managers.map(manager => ({
-                    manager_id: manager.id,
-                    message: `Batch Approved ✅\nBatch "${batchName}" created by ${academicName} has been approved by ${approverDisplayName}.`,
-                    type: 'BATCH_APPROVED',
-                    is_read: false,
-                    metadata: {
-                        batch_id: approvedBatch.batch_id,
-                        batch_name: batchName,
-                        approved_by: req.user.id,
-                        approved_by_name: approverDisplayName,
-                        created_by: approvedBatch.created_by || batchBeforeUpdate.created_by,
-                        created_by_name: academicName
-                    }
-                }));
-
-                const { error: managerNotifError } = await supabaseAdmin
-                    .from('manager_notifications')
-                    .insert(managerNotifications);
-                
-                if (managerNotifError) {
-                    console.error("❌ Error creating manager notifications for approval:", managerNotifError);
-                } else {
-                    console.log(`✅ Approval notifications sent to ${managers.length} manager(s) for batch "${batchName}"`);
-                }
-            } else {
-                console.log('ℹ️ No active managers found to notify about batch approval');
-            }
-        } catch (managerNotifErr) {
-            console.error('❌ Error in manager notification creation for approval:', managerNotifErr);
-            // Don't fail the approval if notification fails
-        }
-
-        // ✅ Notify all admins when batch is approved
-        try {
-            // Fetch all admins (excluding approver if approver is an admin)
-            let adminsQuery = supabaseAdmin
-                .from('users')
-                .select('id, full_name, name')
-                .eq('role', 'admin')
-                .eq('status', true); // Only active admins
-            
-            // If approver is an admin, exclude them from notifications (they already know)
-            if (approverRole === 'admin') {
-                adminsQuery = adminsQuery.neq('id', req.user.id);
-            }
-            
-            const { data: admins, error: adminsError } = await adminsQuery;
-            
-            if (!adminsError && admins && admins.length > 0) {
-                // Get academic coordinator name who created batch
-                let academicName = 'Academic Coordinator';
-                if (approvedBatch.created_by || batchBeforeUpdate.created_by) {
-                    const creatorId = approvedBatch.created_by || batchBeforeUpdate.created_by;
-                    try {
-                        const { data: academicData } = await supabaseAdmin
-                            .from('users')
-                            .select('full_name, name')
-                            .eq('id', creatorId)
-                            .single();
-                        
-                        if (academicData) {
-                            academicName = academicData.full_name || academicData.name || 'Academic Coordinator';
-                        }
-                    } catch (err) {
-                        console.error('Error fetching academic coordinator name:', err);
-                    }
-                }
-
-                // Create notifications for all admins
-                const adminNotifications = admins.map(admin => ({
-                    admin_id: admin.id,
-                    message: `Batch Approved ✅\nBatch "${batchName}" created by ${academicName} has been approved by ${approverDisplayName}.`,
-                    type: 'BATCH_APPROVED',
-                    is_read: false,
-                    metadata: {
-                        batch_id: approvedBatch.batch_id,
-                        batch_name: batchName,
-                        approved_by: req.user.id,
-                        approved_by_name: approverDisplayName,
-                        created_by: approvedBatch.created_by || batchBeforeUpdate.created_by,
-                        created_by_name: academicName
-                    }
-                }));
-
-                const { error: adminNotifError } = await supabaseAdmin
-                    .from('admin_notifications')
-                    .insert(adminNotifications);
-                
-                if (adminNotifError) {
-                    console.error("❌ Error creating admin notifications for approval:", adminNotifError);
-                } else {
-                    console.log(`✅ Approval notifications sent to ${admins.length} admin(s) for batch "${batchName}"`);
-                }
-            } else {
-                console.log('ℹ️ No active admins found to notify about batch approval');
-            }
-        } catch (adminNotifErr) {
-            console.error('❌ Error in admin notification creation for approval:', adminNotifErr);
-            // Don't fail the approval if notification fails
-        }
-
-        // Send notifications to teachers when batch is approved
-        // Notify main teacher if assigned
-        if (approvedBatch.teacher || batchBeforeUpdate.teacher) {
-            const teacherId = approvedBatch.teacher || batchBeforeUpdate.teacher;
-            const notificationMessage = `Batch Approved 🎉\nYou have been assigned to batch "${batchName}" as the main teacher. The batch has been approved and is now active.`;
-            
-            const { error: mainTeacherNotifError } = await supabaseAdmin
-                .from("teacher_notifications")
-                .insert({
-                    teacher: teacherId, // teacher_id from batches table
-                    message: notificationMessage,
-                    type: 'BATCH_APPROVED',
-                    related_id: approvedBatch.batch_id,
-                    is_read: false
-                });
-            
-            if (mainTeacherNotifError) {
-                console.error("Error creating notification for main teacher:", mainTeacherNotifError);
-            } else {
-                console.log(`✅ Approval notification sent to main teacher for batch ${batchName}`);
-            }
-        }
-        
-        // Notify assistant teacher if assigned
-        if (approvedBatch.assistant_tutor || batchBeforeUpdate.assistant_tutor) {
-            const assistantId = approvedBatch.assistant_tutor || batchBeforeUpdate.assistant_tutor;
-            const notificationMessage = `Batch Approved 🎉\nYou have been assigned to batch "${batchName}" as the assistant teacher. The batch has been approved and is now active.`;
-            
-            const { error: assistantNotifError } = await supabaseAdmin
-                .from("teacher_notifications")
-                .insert({
-                    teacher: assistantId, // teacher_id from batches table
-                    message: notificationMessage,
-                    type: 'BATCH_APPROVED',
-                    related_id: approvedBatch.batch_id,
-                    is_read: false
-                });
-            
-            if (assistantNotifError) {
-                console.error("Error creating notification for assistant teacher:", assistantNotifError);
-            } else {
-                console.log(`✅ Approval notification sent to assistant teacher for batch ${batchName}`);
-            }
-        }
+        // Notify the creating academic coordinator, the other managers and admins, and the teachers
+        const createdBy = approvedBatch.created_by || batchBeforeUpdate.created_by;
+        const recipients = {
+            academicCreator: createdBy,
+            managers: true,
+            admins: true,
+            batch: {
+                teacher: approvedBatch.teacher || batchBeforeUpdate.teacher,
+                assistant_tutor: approvedBatch.assistant_tutor || batchBeforeUpdate.assistant_tutor
+            },
+            exclude: [req.user.id]
+        };
+        await notify('BATCH_APPROVED', {
+            batchId: approvedBatch.batch_id,
+            batchName,
+            approvedBy: req.user.id,
+            approverName: approverDisplayName,
+            createdBy,
+            createdByName: await getUserDisplayName(createdBy, 'Academic Coordinator')
+        }, recipients, { relatedId: approvedBatch.batch_id });
+
+        // Live update for open batch lists and approval queues
+        await emitEvent('batch.approved', {
+            batch_id: approvedBatch.batch_id,
+            batch_name: batchName,
+            status: approvedBatch.status,
+            approved_by: req.user.id
+        }, recipients);
 
         res.json({
             success: true,
@@ -1621,58 +1636,16 @@ const rejectBatch = async (req, res) => {
             ? `Manager (${approverFullName})` 
             : approverFullName;
 
-        // Send notification to Academic Coordinator who created the batch
-        if (rejectedBatch.created_by || batchBeforeUpdate.created_by) {
-            const creatorId = rejectedBatch.created_by || batchBeforeUpdate.created_by;
-            
-            // Verify that the creator is an academic coordinator
-            try {
-                const { data: creatorData, error: creatorError } = await supabaseAdmin
-                    .from('users')
-                    .select('id, role, full_name, name')
-                    .eq('id', creatorId)
-                    .single();
-                
-                if (!creatorError && creatorData && creatorData.role === 'academic') {
-                    // Format: "Batch [batch_name] rejected by Manager (Full Name)" or "Batch [batch_name] rejected by Admin (Full Name)"
-                    const notificationMessage = `Batch "${batchName}" rejected by ${approverDisplayName}. Reason: ${rejection_reason}`;
-                    
-                    console.log('📧 Creating academic rejection notification:', {
-                        academic_coordinator_id: creatorId,
-                        message: notificationMessage,
-                        batch_name: batchName,
-                        approver: approverDisplayName
-                    });
-                    
-                    const { error: academicNotifError } = await supabaseAdmin
-                        .from('academic_notifications')
-                        .insert({
-                            academic_coordinator_id: creatorId,
-                            message: notificationMessage,
-                            type: 'BATCH_REJECTED',
-                            related_id: rejectedBatch.batch_id,
-                            is_read: false
-                        });
-                    
-                    if (academicNotifError) {
-                        console.error("❌ Error creating rejection notification for academic coordinator:", academicNotifError);
-                    } else {
-                        console.log(`✅ Rejection notification sent to academic coordinator (${creatorId}) for batch "${batchName}"`);
-                    }
-                } else {
-                    console.log('ℹ️ Batch creator is not an academic coordinator, skipping rejection notification:', { 
-                        creatorId, 
-                        role: creatorData?.role,
-                        error: creatorError?.message 
-                    });
-                }
-            } catch (notifError) {
-                console.error('❌ Error in academic rejection notification creation:', notifError);
-                // Don't fail the rejection if notification fails
-            }
-        } else {
-            console.log('ℹ️ Batch has no created_by field, skipping academic rejection notification');
-        }
+        // Notify the academic coordinator who created the batch
+        const recipients = { academicCreator: rejectedBatch.created_by || batchBeforeUpdate.created_by };
+        await notify('BATCH_REJECTED', { batchName, approverName: approverDisplayName, reason: rejection_reason }, recipients, { relatedId: rejectedBatch.batch_id });
+
+        await emitEvent('batch.rejected', {
+            batch_id: rejectedBatch.batch_id,
+            batch_name: batchName,
+            status: rejectedBatch.status,
+            rejection_reason
+        }, recipients);
 
         res.json({
             success: true,
@@ -1843,46 +1816,8 @@ const createBatchRequest = async (req, res) => {
         const centerName = centerData?.center_name || 'Unknown Center';
         const courseName = courseExists?.course_name || 'Unknown Course';
 
-        // Send notification to all academic coordinators
-        try {
-            // Get all academic coordinators
-            const { data: academicCoordinators, error: academicError } = await supabaseAdmin
-                .from('users')
-                .select('id')
-                .eq('role', 'academic');
-
-            if (academicError) {
-                console.error('❌ Error fetching academic coordinators:', academicError);
-            } else if (academicCoordinators && academicCoordinators.length > 0) {
-                // Create notification message
-                const notificationMessage = `Center ${centerName} has submitted a request to create ${courseName} batch.`;
-
-                // Insert notification for each academic coordinator
-                const notifications = academicCoordinators.map(coord => ({
-                    academic_coordinator_id: coord.id,
-                    message: notificationMessage,
-                    type: 'BATCH_REQUEST',
-                    related_id: requestData.request_id,
-                    is_read: false
-                }));
-
-                const { error: notificationError } = await supabaseAdmin
-                    .from('academic_notifications')
-                    .insert(notifications);
-
-                if (notificationError) {
-                    console.error('❌ Error creating notifications for academic coordinators:', notificationError);
-                } else {
-                    console.log(`✅ Batch request notifications sent to ${academicCoordinators.length} academic coordinator(s) for request "${courseName}" from "${centerName}"`);
-                }
-            } else {
-                console.log('ℹ️ No academic coordinators found to notify');
-            }
-        } catch (notifError) {
-            console.error('❌ Error in notification creation for batch request:', notifError);
-            // Don't fail the request if notification fails
-        }
-
+        // Notify all academic coordinators
+        await notify('BATCH_REQUEST', { centerName, courseName }, { allAcademics: true }, { relatedId: requestData.request_id });
 
         res.status(201).json({ 
             message: 'Batch request created successfully', 
@@ -2105,43 +2040,32 @@ const createBatchFromRequest = async (req, res) => {
             });
         }
 
-        // Generate batch name (reuse existing logic)
-        const { data: lastBatch } = await supabase
-            .from("batches")
-            .select("batch_name")
-            .like("batch_name", "B%")
-            .order("batch_name", { ascending: false })
-            .limit(1)
-            .single();
-
-        let newBatchNumber = 118;
-        if (lastBatch && lastBatch.batch_name) {
-            const match = lastBatch.batch_name.match(/^B(\d+)/);
-            if (match) {
-                newBatchNumber = parseInt(match[1]) + 1;
-            }
+        const conflicts = await findBatchConflicts({
+            teacher: requestData.teacher_id,
+            center: requestData.center_id,
+            time_from: requestData.time_from,
+            time_to: requestData.time_to
+        });
+        if (shouldBlock(conflicts)) {
+            return res.status(409).json({ error: 'Scheduling conflicts found', conflicts });
         }
 
-        const formatToAmPm = (time) => {
-            const [hours, minutes] = time.split(':');
-            const date = new Date();
-            date.setHours(hours, minutes);
-            return date.toLocaleTimeString('en-US', {
-                hour: '2-digit',
-                minute: '2-digit',
-                hour12: true
-            }).replace(/\s/g, '');
-        };
-
-        const formattedFrom = formatToAmPm(requestData.time_from);
-        const formattedTo = formatToAmPm(requestData.time_to);
-        const batch_name = `B${newBatchNumber}-${requestData.course_name.toUpperCase()}-${formattedFrom}-${formattedTo}`;
+        // Allocate the batch code and build the display name from it
+        const { batch_number, batch_code } = await allocateBatchCode();
+        const batch_name = buildBatchName({
+            batchCode: batch_code,
+            courseName: requestData.course_name,
+            timeFrom: requestData.time_from,
+            timeTo: requestData.time_to
+        });
 
         // Create the batch
         const { data: batchData, error: batchError } = await supabase
             .from("batches")
             .insert([{
                 batch_name,
+                batch_number,
+                batch_code,
                 duration: requestData.duration,
                 center: requestData.center_id,
                 teacher: requestData.teacher_id,
@@ -2181,7 +2105,8 @@ const createBatchFromRequest = async (req, res) => {
             data: {
                 request: requestData,
                 batch: batchData
-            }
+            },
+            ...(conflicts.length > 0 && { conflicts })
         });
     } catch (error) {
         console.error('Error in createBatchFromRequest:', error.message);
@@ -2244,53 +2169,25 @@ const startBatch = async (req, res) => {
 
         const batchName = updatedBatch.batch_name || batch.batch_name;
 
-        // Send notifications to teachers when batch is started
-        // Notify main teacher if assigned
-        if (updatedBatch.teacher || batch.teacher) {
-            const teacherId = updatedBatch.teacher || batch.teacher;
-            const notificationMessage = `Batch Started 🚀\nYour batch "${batchName}" has been started. You can now begin conducting classes and managing sessions.`;
-            
-            const { error: mainTeacherNotifError } = await supabaseAdmin
-                .from("teacher_notifications")
-                .insert({
-                    teacher: teacherId, // teacher_id from batches table
-                    message: notificationMessage,
-                    type: 'BATCH_STARTED',
-                    related_id: updatedBatch.batch_id,
-                    is_read: false
-                });
-            
-            if (mainTeacherNotifError) {
-                console.error("Error creating notification for main teacher:", mainTeacherNotifError);
-            } else {
-                console.log(`✅ Start notification sent to main teacher for batch ${batchName}`);
-            }
-        }
-        
-        // Notify assistant teacher if assigned
-        if (updatedBatch.assistant_tutor || batch.assistant_tutor) {
-            const assistantId = updatedBatch.assistant_tutor || batch.assistant_tutor;
-            const notificationMessage = `Batch Started 🚀\nThe batch "${batchName}" where you are assigned as assistant teacher has been started. You can now begin assisting with classes.`;
-            
-            const { error: assistantNotifError } = await supabaseAdmin
-                .from("teacher_notifications")
-                .insert({
-                    teacher: assistantId, // teacher_id from batches table
-                    message: notificationMessage,
-                    type: 'BATCH_STARTED',
-                    related_id: updatedBatch.batch_id,
-                    is_read: false
-                });
-            
-            if (assistantNotifError) {
-                console.error("Error creating notification for assistant teacher:", assistantNotifError);
-            } else {
-                console.log(`✅ Start notification sent to assistant teacher for batch ${batchName}`);
+        // Notify the teachers that classes can begin
+        await notify('BATCH_STARTED', { batchName }, {
+            batch: {
+                teacher: updatedBatch.teacher || batch.teacher,
+                assistant_tutor: updatedBatch.assistant_tutor || batch.assistant_tutor
             }
-        }
+        }, { relatedId: updatedBatch.batch_id });
 
-        // Optionally auto-create empty gmeet rows if total_sessions is provided
-        if (total_sessions && total_sessions > 0) {
+        // With a complete schedule, create dated sessions; otherwise
+        // optionally auto-create empty gmeet rows if total_sessions is provided
+        let schedule = null;
+        if (missingScheduleFields(updatedBatch).length === 0) {
+            try {
+                schedule = await materializeSchedule(updatedBatch);
+            } catch (scheduleError) {
+                console.error('Error generating scheduled sessions:', scheduleError);
+                // Don't fail the batch start if session creation fails
+            }
+        } else if (total_sessions && total_sessions > 0) {
             try {
                 // Check existing sessions for this batch
                 const { data: existingSessions } = await supabase
@@ -2337,6 +2234,7 @@ const startBatch = async (req, res) => {
             success: true,
             data: {
                 batch: updatedBatch,
+                schedule,
                 message: 'Batch started successfully.'
             }
         });
@@ -2464,6 +2362,213 @@ const getStartedBatches = async (req, res) => {
     }
 };
 
+// =====================================================
+// BATCH SCHEDULE FUNCTIONS
+// =====================================================
+
+const SCHEDULE_COLUMNS = 'batch_id, batch_name, status, total_sessions, time_from, time_to, schedule_days, schedule_start_date, schedule_skip_dates';
+
+// Schedule fields still needed before sessions can be generated
+const missingScheduleFields = (batch) => [
+    !batch.total_sessions && 'total_sessions',
+    !(batch.schedule_days && batch.schedule_days.length) && 'days',
+    !batch.schedule_start_date && 'start_date',
+    !batch.time_from && 'time_from'
+].filter(Boolean);
+
+// Get the recurring schedule of a batch
+const getBatchSchedule = async (req, res) => {
+    try {
+        const { data: batch, error } = await supabase
+            .from('batches')
+            .select(SCHEDULE_COLUMNS)
+            .eq('batch_id', req.params.id)
+            .single();
+
+        if (error || !batch) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Batch not found.' 
+            });
+        }
+
+        res.json({ 
+            success: true, 
+            data: batch 
+        });
+
+    } catch (error) {
+        console.error('Server error in getBatchSchedule:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Internal server error' 
+        });
+    }
+};
+
+// Save the recurring schedule (weekdays, start date, class times, skip dates).
+// Pass regenerate: true to re-date the remaining future sessions straight away.
+const updateBatchSchedule = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { days, start_date, time_from, time_to, skip_dates, total_sessions, regenerate } = req.body;
+
+        const updateData = { schedule_updated_at: new Date().toISOString() };
+
+        if (days !== undefined) {
+            const weekdays = normalizeWeekdays(days);
+            if (!weekdays) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'days must be a non-empty list of weekdays (e.g. ["mon", "wed", "fri"]).' 
+                });
+            }
+            updateData.schedule_days = weekdays;
+        }
+
+        if (start_date !== undefined) {
+            if (!isValidDate(start_date)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'start_date must be in YYYY-MM-DD format.' 
+                });
+            }
+            updateData.schedule_start_date = start_date;
+        }
+
+        if (skip_dates !== undefined) {
+            if (!Array.isArray(skip_dates) || !skip_dates.every(isValidDate)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'skip_dates must be a list of YYYY-MM-DD dates.' 
+                });
+            }
+            updateData.schedule_skip_dates = [...new Set(skip_dates)].sort();
+        }
+
+        if (time_from && time_to && time_from >= time_to) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'time_to must be after time_from.' 
+            });
+        }
+        if (time_from !== undefined) updateData.time_from = time_from;
+        if (time_to !== undefined) updateData.time_to = time_to;
+
+        if (total_sessions !== undefined) {
+            const totalSessions = parseInt(total_sessions);
+            if (!Number.isInteger(totalSessions) || totalSessions < 1) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'total_sessions must be a positive number.' 
+                });
+            }
+            updateData.total_sessions = totalSessions;
+        }
+
+        const { data: batch, error: updateError } = await supabase
+            .from('batches')
+            .update(updateData)
+            .eq('batch_id', id)
+            .select(SCHEDULE_COLUMNS)
+            .single();
+
+        if (updateError || !batch) {
+            console.error('Error updating batch schedule:', updateError);
+            return res.status(updateError ? 400 : 404).json({ 
+                success: false, 
+                error: updateError ? updateError.message : 'Batch not found.' 
+            });
+        }
+
+        let generated = null;
+        let warning;
+        if (regenerate === true || regenerate === 'true') {
+            const missing = missingScheduleFields(batch);
+            if (missing.length > 0) {
+                warning = `Sessions were not generated. The schedule is missing: ${missing.join(', ')}.`;
+            } else {
+                generated = await materializeSchedule(batch, { regenerate: true });
+                if (generated.blocked) {
+                    warning = 'The schedule was saved, but sessions were not regenerated because of scheduling conflicts.';
+                }
+            }
+        }
+
+        res.json({ 
+            success: true, 
+            data: { batch, generated },
+            ...(warning && { warning })
+        });
+
+    } catch (error) {
+        console.error('Server error in updateBatchSchedule:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Internal server error' 
+        });
+    }
+};
+
+// Create dated gmeet sessions for all total_sessions from the batch schedule.
+// regenerate: true also re-dates future sessions that already have a date.
+const generateBatchSessions = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const regenerate = req.body.regenerate === true || req.body.regenerate === 'true';
+
+        const { data: batch, error: batchError } = await supabase
+            .from('batches')
+            .select(SCHEDULE_COLUMNS)
+            .eq('batch_id', id)
+            .single();
+
+        if (batchError || !batch) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Batch not found.' 
+            });
+        }
+
+        if (['Completed', 'Rejected'].includes(batch.status)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Sessions cannot be scheduled for a ${batch.status.toLowerCase()} batch.` 
+            });
+        }
+
+        const missing = missingScheduleFields(batch);
+        if (missing.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `The batch schedule is missing: ${missing.join(', ')}.` 
+            });
+        }
+
+        const summary = await materializeSchedule(batch, { regenerate });
+
+        if (summary.blocked) {
+            return res.status(409).json({ 
+                success: false, 
+                error: 'Scheduling conflicts found', 
+                conflicts: summary.conflicts 
+            });
+        }
+
+        res.json({ 
+            success: true, 
+            data: summary 
+        });
+
+    } catch (error) {
+        console.error('Server error in generateBatchSessions:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message || 'Internal server error' 
+        });
+    }
+};
+
 
 // =====================================================
 // BATCH MERGE FUNCTIONS
@@ -2681,7 +2786,15 @@ module.exports = {
     updateBatch, 
     deleteBatch, 
     approveStudent,
+    getRegistrationNumberPreview,
     updateStudentBatch,
+    getEnrollmentHistory,
+    // Batch Waitlist Functions
+    getBatchWaitlist,
+    addBatchWaitlistEntry,
+    moveBatchWaitlistEntry,
+    removeBatchWaitlistEntry,
+    withdrawStudentFromBatch,
     getPendingBatches,
     approveBatch,
     rejectBatch,
@@ -2696,6 +2809,10 @@ module.exports = {
     startBatch,
     completeBatch,
     getStartedBatches,
+    // Batch Schedule Functions
+    getBatchSchedule,
+    updateBatchSchedule,
+    generateBatchSessions,
     // Batch Merge Functions
     getBatchesForMerge,
     createMergeGroup,
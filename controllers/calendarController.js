@@ -0,0 +1,292 @@
+const supabase = require("../config/supabase.js");
+const { getMergedBatchIds } = require("../utils/batchMergeHelper.js");
+const { GLOBAL_BATCH_ROLES, getTeacherIdForUser, checkBatchAccess } = require("../utils/batchPolicy.js");
+const { resolveStudentId, isStudentEnrolledInBatch } = require("../utils/studentAccess.js");
+const { getFeedKey, rotateFeedKey, signFeedToken, verifyFeedToken } = require("../utils/calendarFeeds.js");
+const { addMinutes, uidFor, buildCalendar } = require("../utils/icsCalendar.js");
+
+// Batches whose sessions appear in a teacher's feed
+const TEACHER_FEED_STATUSES = ['Approved', 'Started', 'Completed'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const baseUrl = (req) => (process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+const feedUrl = (req, path, token) => `${baseUrl(req)}/api/calendar/${path}.ics?token=${encodeURIComponent(token)}`;
+
+// Feed keys belong to users.id, or to students.student_id for students
+const feedSubject = async (user) => {
+    const role = (user.role || '').toLowerCase();
+    const subjectId = role === 'student' ? await resolveStudentId(user) : user.id;
+    return { role, subjectId };
+};
+
+const sessionMinutes = (batch) => {
+    const [fromHours, fromMinutes] = String(batch.time_from || '').split(':').map(Number);
+    const [toHours, toMinutes] = String(batch.time_to || '').split(':').map(Number);
+    const minutes = (toHours * 60 + toMinutes) - (fromHours * 60 + fromMinutes);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : 60;
+};
+
+// gmeet rows -> VEVENTs; sessions without a date are not on the calendar yet
+const gmeetEvents = (gmeets, batchById) => gmeets
+    .filter(gmeet => gmeet.date)
+    .map(gmeet => {
+        const batch = batchById.get(gmeet.batch_id) || {};
+        const startTime = gmeet.time || batch.time_from || null;
+        const description = [
+            gmeet.note,
+            gmeet.meet_link && `Join: ${gmeet.meet_link}`,
+            gmeet.status === 'Cancelled' && `Cancelled${gmeet.cancellation_reason ? `: ${gmeet.cancellation_reason}` : ''}`
+        ].filter(Boolean).join('\n');
+
+        return {
+            uid: uidFor('gmeet', gmeet.meet_id),
+            summary: `${batch.batch_name || 'Class'} - ${gmeet.title || `Session ${gmeet.session_number}`}`,
+            description,
+            location: gmeet.meet_link,
+            url: gmeet.meet_link,
+            date: gmeet.date,
+            startTime,
+            endTime: startTime ? addMinutes(startTime, sessionMinutes(batch)) : null,
+            status: gmeet.status === 'Cancelled' ? 'CANCELLED' : 'CONFIRMED',
+            updatedAt: gmeet.updated_at
+        };
+    });
+
+const loadBatchSessions = async (batchIds) => {
+    const { data: batches, error: batchesError } = await supabase
+        .from('batches')
+        .select('batch_id, batch_name, time_from, time_to')
+        .in('batch_id', batchIds);
+
+    if (batchesError) throw batchesError;
+
+    const { data: gmeets, error: gmeetsError } = await supabase
+        .from('gmeets')
+        .select('*')
+        .in('batch_id', batchIds)
+        .not('date', 'is', null)
+        .order('date', { ascending: true });
+
+    if (gmeetsError) throw gmeetsError;
+
+    return gmeetEvents(gmeets, new Map(batches.map(b => [b.batch_id, b])));
+};
+
+const sendCalendar = (res, fileName, calendar) => {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}.ics"`);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(calendar);
+};
+
+// Feed URLs for the logged-in user. Teachers get their own feed and their
+// batches; students get their enrolled batches; staff can pass ?batch_id or
+// (academic/manager/admin) ?teacher_id for a specific feed.
+const getCalendarLinks = async (req, res) => {
+    try {
+        const { role, subjectId } = await feedSubject(req.user);
+        if (!subjectId) {
+            return res.status(403).json({ error: "Access Denied. Student record not found." });
+        }
+
+        const feedKey = await getFeedKey(subjectId, role, { create: true });
+        const sign = (feedType, resourceId) => signFeedToken(role, subjectId, feedKey, feedType, resourceId);
+
+        const links = { events: null, teacher: null, batches: [] };
+        let batchRows = [];
+
+        if (role === 'student') {
+            const { data: enrollments, error } = await supabase
+                .from('enrollment')
+                .select('batch, batches(batch_id, batch_name)')
+                .eq('student', subjectId)
+                .eq('status', true);
+
+            if (error) throw error;
+            batchRows = enrollments.map(e => e.batches).filter(Boolean);
+        } else {
+            links.events = feedUrl(req, 'events', sign('events', 'all'));
+        }
+
+        if (role === 'teacher') {
+            const teacherId = await getTeacherIdForUser(subjectId);
+            if (teacherId) {
+                links.teacher = feedUrl(req, `teacher/${teacherId}`, sign('teacher', teacherId));
+
+                const { data: batches, error } = await supabase
+                    .from('batches')
+                    .select('batch_id, batch_name')
+                    .or(`teacher.eq.${teacherId},assistant_tutor.eq.${teacherId}`)
+                    .in('status', TEACHER_FEED_STATUSES);
+
+                if (error) throw error;
+                batchRows = batches;
+            }
+        } else if (UUID_PATTERN.test(req.query.teacher_id || '') && GLOBAL_BATCH_ROLES.includes(role)) {
+            links.teacher = feedUrl(req, `teacher/${req.query.teacher_id}`, sign('teacher', req.query.teacher_id));
+        }
+
+        if (req.query.batch_id && role !== 'student') {
+            const access = await checkBatchAccess(req.user, req.query.batch_id);
+            if (!access.allowed) {
+                return res.status(access.status).json({ error: access.reason });
+            }
+            const { data: batch } = await supabase
+                .from('batches')
+                .select('batch_id, batch_name')
+                .eq('batch_id', req.query.batch_id)
+                .single();
+            if (batch && !batchRows.some(b => b.batch_id === batch.batch_id)) batchRows.push(batch);
+        }
+
+        links.batches = batchRows.map(batch => ({
+            batch_id: batch.batch_id,
+            batch_name: batch.batch_name,
+            url: feedUrl(req, `batch/${batch.batch_id}`, sign('batch', batch.batch_id))
+        }));
+
+        res.status(200).json(links);
+    } catch (error) {
+        console.error('Error building calendar links:', error);
+        res.status(500).json({ error: "Failed to build calendar links" });
+    }
+};
+
+// Invalidate every feed URL issued to the logged-in user
+const rotateCalendarLinks = async (req, res) => {
+    try {
+        const { role, subjectId } = await feedSubject(req.user);
+        if (!subjectId) {
+            return res.status(403).json({ error: "Access Denied. Student record not found." });
+        }
+
+        await rotateFeedKey(subjectId, role);
+        res.status(200).json({ message: "Calendar links reset. Fetch your links again to resubscribe." });
+    } catch (error) {
+        console.error('Error rotating calendar feed key:', error);
+        res.status(500).json({ error: "Failed to reset calendar links" });
+    }
+};
+
+// Signed feed: every session of a batch and its merge group
+const getBatchFeed = async (req, res) => {
+    const { batch_id } = req.params;
+
+    try {
+        const subject = await verifyFeedToken(req.query.token, 'batch', batch_id);
+        if (!subject) {
+            return res.status(403).json({ error: "Invalid or expired calendar link" });
+        }
+
+        // The link stops working once the user loses access to the batch
+        const allowed = subject.role === 'student'
+            ? await isStudentEnrolledInBatch(subject.subjectId, batch_id)
+            : (await checkBatchAccess({ id: subject.subjectId, role: subject.role }, batch_id)).allowed;
+
+        if (!allowed) {
+            return res.status(403).json({ error: "You no longer have access to this batch" });
+        }
+
+        const mergedBatchIds = await getMergedBatchIds(batch_id);
+        const events = await loadBatchSessions(mergedBatchIds);
+
+        const { data: batch } = await supabase
+            .from('batches')
+            .select('batch_name')
+            .eq('batch_id', batch_id)
+            .single();
+
+        const name = batch?.batch_name || 'Batch';
+        sendCalendar(res, name.replace(/[^\w-]+/g, '_'), buildCalendar({ name: `${name} classes`, events }));
+    } catch (error) {
+        console.error('Error building batch calendar feed:', error);
+        res.status(500).json({ error: "Failed to build calendar feed" });
+    }
+};
+
+// Signed feed: sessions of every batch a teacher teaches or assists
+const getTeacherFeed = async (req, res) => {
+    const { teacher_id } = req.params;
+
+    try {
+        const subject = await verifyFeedToken(req.query.token, 'teacher', teacher_id);
+        if (!subject) {
+            return res.status(403).json({ error: "Invalid or expired calendar link" });
+        }
+
+        const allowed = subject.role === 'teacher'
+            ? (await getTeacherIdForUser(subject.subjectId)) === teacher_id
+            : GLOBAL_BATCH_ROLES.includes(subject.role);
+
+        if (!allowed) {
+            return res.status(403).json({ error: "You no longer have access to this calendar" });
+        }
+
+        const { data: batches, error: batchesError } = await supabase
+            .from('batches')
+            .select('batch_id')
+            .or(`teacher.eq.${teacher_id},assistant_tutor.eq.${teacher_id}`)
+            .in('status', TEACHER_FEED_STATUSES);
+
+        if (batchesError) throw batchesError;
+
+        // Merged batches share classes, which may be stored on any member
+        const batchIds = new Set();
+        for (const batch of batches) {
+            (await getMergedBatchIds(batch.batch_id)).forEach(id => batchIds.add(id));
+        }
+
+        const events = batchIds.size > 0 ? await loadBatchSessions([...batchIds]) : [];
+
+        const { data: teacher } = await supabase
+            .from('teachers')
+            .select('user:users(name)')
+            .eq('teacher_id', teacher_id)
+            .single();
+
+        const name = teacher?.user?.name ? `${teacher.user.name} - classes` : 'Teaching schedule';
+        sendCalendar(res, 'teaching_schedule', buildCalendar({ name, events }));
+    } catch (error) {
+        console.error('Error building teacher calendar feed:', error);
+        res.status(500).json({ error: "Failed to build calendar feed" });
+    }
+};
+
+// Signed feed: academic events; deleted (cancelled) events stay in the feed as CANCELLED
+const getEventsFeed = async (req, res) => {
+    try {
+        const subject = await verifyFeedToken(req.query.token, 'events', 'all');
+        if (!subject || subject.role === 'student') {
+            return res.status(403).json({ error: "Invalid or expired calendar link" });
+        }
+
+        const { data: academicEvents, error } = await supabase
+            .from('academic_events')
+            .select('id, title, description, event_type, event_start_date, event_end_date, event_start_time, event_end_time, status, updated_at')
+            .in('status', ['active', 'cancelled'])
+            .order('event_start_date', { ascending: true });
+
+        if (error) throw error;
+
+        const events = academicEvents.map(event => ({
+            uid: uidFor('event', event.id),
+            summary: event.title,
+            description: [event.event_type && `Type: ${event.event_type}`, event.description].filter(Boolean).join('\n'),
+            date: event.event_start_date,
+            endDate: event.event_end_date || null,
+            startTime: event.event_start_time || null,
+            endTime: event.event_end_time || null,
+            status: event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+            updatedAt: event.updated_at
+        }));
+
+        sendCalendar(res, 'academic_events', buildCalendar({ name: 'Academic events', events }));
+    } catch (error) {
+        console.error('Error building events calendar feed:', error);
+        res.status(500).json({ error: "Failed to build calendar feed" });
+    }
+};
+
+module.exports = { getCalendarLinks, rotateCalendarLinks, getBatchFeed, getTeacherFeed, getEventsFeed };
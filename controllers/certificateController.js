@@ -1,5 +1,6 @@
 const supabase = require('../config/supabase');
 const { supabaseAdmin } = require('../config/supabase');
+const { notify } = require('../utils/notificationService');
 const multer = require('multer');
 const PDFDocument = require('pdfkit');
 const https = require('https');
@@ -652,15 +653,7 @@ const approveGeneratedCertificate = async (req, res) => {
         if (error) throw error;
 
         // 4. Send notification to student
-        const notificationMessage = `Congratulations! 🎓\nYour certificate for the course "${courseName}" has been issued. Well done on your achievement and keep up the great work! ✨`;
-
-        await supabase
-            .from('notifications')
-            .insert({
-                student: cert.student_id,
-                message: notificationMessage,
-                is_read: false
-            });
+        await notify('CERTIFICATE_ISSUED', { courseName }, { students: [cert.student_id] }, { relatedId: certificateId });
 
         res.json({ success: true, message: 'Certificate approved and student notified' });
     } catch (error) {
@@ -0,0 +1,106 @@
+const supabase = require("../config/supabase.js");
+const { OUTBOX_COLUMNS, isSensitive, retryEmail } = require("../utils/emailOutbox.js");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// List outbox emails, newest first (Admin)
+// Query: status, template, to_address, related_type, related_id, from, to, limit, offset
+const getEmails = async (req, res) => {
+    try {
+        const { status, template, to_address, related_type, related_id, from, to } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        let query = supabase
+            .from('email_outbox')
+            .select(OUTBOX_COLUMNS, { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (status) query = query.in('status', status.split(','));
+        if (template) query = query.eq('template', template);
+        if (to_address) query = query.ilike('to_address', to_address);
+        if (related_type) query = query.eq('related_type', related_type);
+        if (related_id) query = query.eq('related_id', related_id);
+        if (from) query = query.gte('created_at', from);
+        if (to) query = query.lte('created_at', to);
+
+        const { data, error, count } = await query;
+
+        if (error) {
+            console.error('Error fetching outbox emails:', error);
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        res.json({
+            success: true,
+            data,
+            pagination: { total: count, limit, offset }
+        });
+    } catch (error) {
+        console.error('Server error in getEmails:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+// Get a single outbox email (without its body)
+const getEmailById = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('email_outbox')
+            .select(OUTBOX_COLUMNS)
+            .eq('id', req.params.id)
+            .single();
+
+        if (error || !data) {
+            return res.status(404).json({ success: false, error: 'Email not found' });
+        }
+
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Server error in getEmailById:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+// Send a queued or failed email now (Admin)
+const retryOutboxEmail = async (req, res) => {
+    try {
+        const { data: email, error } = await supabase
+            .from('email_outbox')
+            .select(OUTBOX_COLUMNS)
+            .eq('id', req.params.id)
+            .single();
+
+        if (error || !email) {
+            return res.status(404).json({ success: false, error: 'Email not found' });
+        }
+
+        if (email.status === 'sent') {
+            return res.status(409).json({ success: false, error: 'Email has already been sent' });
+        }
+        if (email.status === 'sending') {
+            return res.status(409).json({ success: false, error: 'Email is being sent right now' });
+        }
+        if (email.status === 'failed' && isSensitive(email)) {
+            return res.status(409).json({ success: false, error: 'The body of this email was discarded because it held a single-use link; send a new link instead' });
+        }
+
+        const result = await retryEmail(email);
+        if (!result) {
+            return res.status(409).json({ success: false, error: 'Email was picked up by the outbox worker, check again shortly' });
+        }
+
+        res.json({
+            success: result.status === 'sent',
+            message: result.status === 'sent' ? 'Email sent' : 'Email could not be sent',
+            data: result
+        });
+    } catch (error) {
+        console.error('Server error in retryOutboxEmail:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+module.exports = { getEmails, getEmailById, retryOutboxEmail };
@@ -1,4 +1,6 @@
 const supabase = require("../config/supabase.js");
+const { syncAttendanceWithGMeet } = require("../utils/gmeetAttendance.js");
+const { findGMeetConflicts, shouldBlock } = require("../utils/scheduleConflicts.js");
 
 // Helper function to get all batch IDs in a merge group (including the original batch)
 const getMergedBatchIds = async (batch_id) => {
@@ -40,6 +42,18 @@ const createGMeet = async (req, res) => {
         return res.status(400).json({ error: "Missing required fields: batch_id and title are required" });
     }
 
+    // The batch's teacher, assistant tutor and center must be free at this date and time
+    let conflicts;
+    try {
+        conflicts = await findGMeetConflicts({ batch_id, date, time });
+    } catch (conflictError) {
+        console.error('Error checking scheduling conflicts:', conflictError);
+        return res.status(500).json({ error: conflictError.message });
+    }
+    if (shouldBlock(conflicts)) {
+        return res.status(409).json({ error: "Scheduling conflicts found", conflicts });
+    }
+
     const insertData = { batch_id, title };
     
     // Optional fields
@@ -58,7 +72,7 @@ const createGMeet = async (req, res) => {
         return res.status(500).json({ error: error.message });
     }
 
-    res.status(201).json({ message: "GMeet created successfully", data });
+    res.status(201).json({ message: "GMeet created successfully", data, ...(conflicts.length > 0 && { conflicts }) });
 };
 
 // Get all GMeets for a specific batch (including merged batches)
@@ -109,7 +123,7 @@ const getGMeetsByBatch = async (req, res) => {
             // Get all attendance_sessions for merged batch IDs
             const { data: attendanceSessions, error: sessionsError } = await supabase
                 .from('attendance_sessions')
-                .select('id, batch_id, session_date')
+                .select('id, batch_id, session_date, gmeet_id, status, cancellation_reason')
                 .in('batch_id', mergedBatchIds);
 
             if (sessionsError) {
@@ -133,9 +147,15 @@ const getGMeetsByBatch = async (req, res) => {
                 }
             }
 
-            // Create a map of session_date to attendance_session
-            const sessionMap = {};
+            // Sessions explicitly linked to a gmeet, by gmeet_id
+            const linkedSessionMap = {};
             attendanceSessions?.forEach(session => {
+                if (session.gmeet_id) linkedSessionMap[session.gmeet_id] = session;
+            });
+
+            // Create a map of session_date to attendance_session (unlinked sessions only)
+            const sessionMap = {};
+            attendanceSessions?.filter(session => !session.gmeet_id).forEach(session => {
                 const dateKey = session.session_date; // Format: YYYY-MM-DD
                 if (!sessionMap[dateKey]) {
                     sessionMap[dateKey] = [];
@@ -154,10 +174,11 @@ const getGMeetsByBatch = async (req, res) => {
 
             // Attach attendance data to each gmeet
             const gmeetsWithAttendance = sortedData.map(gmeet => {
-                // Match attendance_session by date (gmeet.date format: YYYY-MM-DD)
-                if (gmeet.date && sessionMap[gmeet.date] && sessionMap[gmeet.date].length > 0) {
+                // Match the linked attendance_session, else fall back to the date (YYYY-MM-DD)
+                const linkedSession = linkedSessionMap[gmeet.meet_id];
+                if (linkedSession || (gmeet.date && sessionMap[gmeet.date] && sessionMap[gmeet.date].length > 0)) {
                     // Find session for this batch_id
-                    const matchedSession = sessionMap[gmeet.date].find(
+                    const matchedSession = linkedSession || sessionMap[gmeet.date].find(
                         s => mergedBatchIds.includes(s.batch_id)
                     );
 
@@ -177,7 +198,9 @@ const getGMeetsByBatch = async (req, res) => {
                                 late_count: lateCount,
                                 excused_count: excusedCount,
                                 total_students: records.length,
-                                attendance_session_id: matchedSession.id
+                                attendance_session_id: matchedSession.id,
+                                session_status: matchedSession.status,
+                                cancellation_reason: matchedSession.cancellation_reason
                             }
                         };
                     }
@@ -221,10 +244,64 @@ const getGMeetById = async (req, res) => {
     res.status(200).json(data);
 };
 
-// Update a GMeet
+// Fields a GMeet update may change; batch_id, session_number and is_generated
+// are set when the session is created or generated
+const EDITABLE_GMEET_FIELDS = ["title", "date", "time", "meet_link", "note", "current", "status", "cancellation_reason"];
+
+// Update a GMeet. Marking it Completed creates its attendance session (everyone
+// absent); marking it Cancelled cancels the attendance session with the same reason.
+// A new date or time is checked for scheduling conflicts like a new GMeet.
 const updateGMeet = async (req, res) => {
     const { meet_id } = req.params;
-    const updates = req.body;
+    const body = req.body || {};
+
+    const updates = {};
+    EDITABLE_GMEET_FIELDS.forEach(field => {
+        if (body[field] !== undefined) updates[field] = body[field];
+    });
+
+    const { data: previous, error: previousError } = await supabase
+        .from("gmeets")
+        .select("batch_id, date, time, status, cancellation_reason")
+        .eq("meet_id", meet_id)
+        .maybeSingle();
+
+    if (previousError) {
+        return res.status(500).json({ error: previousError.message });
+    }
+    if (!previous) {
+        return res.status(404).json({ error: "GMeet not found" });
+    }
+
+    // Access was checked for the session's batch; it cannot be moved to another one
+    if (body.batch_id !== undefined && body.batch_id !== previous.batch_id) {
+        return res.status(400).json({ error: "A GMeet cannot be moved to another batch" });
+    }
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: `Nothing to update. Editable fields: ${EDITABLE_GMEET_FIELDS.join(", ")}` });
+    }
+
+    let conflicts = [];
+    const rescheduled = (
+        (updates.date !== undefined && updates.date !== previous.date) ||
+        (updates.time !== undefined && updates.time !== previous.time)
+    );
+    if (rescheduled) {
+        try {
+            conflicts = await findGMeetConflicts({
+                batch_id: previous.batch_id,
+                date: updates.date !== undefined ? updates.date : previous.date,
+                time: updates.time !== undefined ? updates.time : previous.time,
+                meet_id
+            });
+        } catch (conflictError) {
+            console.error('Error checking scheduling conflicts:', conflictError);
+            return res.status(500).json({ error: conflictError.message });
+        }
+        if (shouldBlock(conflicts)) {
+            return res.status(409).json({ error: "Scheduling conflicts found", conflicts });
+        }
+    }
 
     const { data, error } = await supabase
         .from("gmeets")
@@ -236,7 +313,18 @@ const updateGMeet = async (req, res) => {
         return res.status(500).json({ error: error.message });
     }
 
-    res.status(200).json({ message: "GMeet updated successfully", data });
+    const updated = data && data[0];
+    const statusChanged = updated && (
+        updated.status !== previous.status ||
+        (updated.status === 'Cancelled' && updated.cancellation_reason !== previous.cancellation_reason)
+    );
+
+    let attendance;
+    if (statusChanged) {
+        attendance = await syncAttendanceWithGMeet(updated, { userId: req.user.id });
+    }
+
+    res.status(200).json({ message: "GMeet updated successfully", data, attendance, ...(conflicts.length > 0 && { conflicts }) });
 };
 
 // Delete a GMeet
@@ -0,0 +1,279 @@
+const supabase = require("../config/supabase.js");
+const { supabaseAdmin } = require("../config/supabase.js");
+const path = require('path');
+const { excuseRecordsForLeave } = require("../utils/leaveRequests.js");
+const { notify } = require("../utils/notificationService.js");
+const { evaluateAttendanceAlerts } = require("../utils/attendanceAlerts.js");
+const { isValidDate } = require("../utils/batchSchedule.js");
+
+const LEAVE_BUCKET = 'leave_documents';
+const MAX_LEAVE_DAYS = 60;
+
+const formatDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', { timeZone: 'UTC' });
+
+const dateRangeText = (leave) => (
+    leave.date_from === leave.date_to
+        ? formatDate(leave.date_from)
+        : `${formatDate(leave.date_from)} to ${formatDate(leave.date_to)}`
+);
+
+// Short-lived link to the private supporting document
+const withDocumentUrl = async (leave) => {
+    if (!leave.document_path) return { ...leave, document_url: null };
+
+    const { data, error } = await supabaseAdmin.storage
+        .from(LEAVE_BUCKET)
+        .createSignedUrl(leave.document_path, 60 * 60);
+
+    if (error) {
+        console.error('Error signing leave document URL:', error);
+        return { ...leave, document_url: null };
+    }
+    return { ...leave, document_url: data.signedUrl };
+};
+
+// Notify the batch teacher, assistant tutor and academic coordinator about a new request
+const notifyStaffOfLeaveRequest = (leave, batch, studentName) => notify('LEAVE_REQUESTED', {
+    studentName,
+    dates: dateRangeText(leave),
+    batchName: batch.batch_name,
+    reason: leave.reason
+}, { batch, academicsFor: batch.created_by }, { relatedId: leave.id });
+
+// Student: submit a leave request (optional supporting document as "document")
+exports.createLeaveRequest = async (req, res) => {
+    try {
+        const studentId = req.student?.student_id;
+        const { batch_id, date_from, date_to, reason } = req.body;
+
+        if (!batch_id || !date_from || !reason || !reason.trim()) {
+            return res.status(400).json({ success: false, error: 'batch_id, date_from and reason are required.' });
+        }
+
+        const dateTo = date_to || date_from;
+        if (!isValidDate(date_from) || !isValidDate(dateTo)) {
+            return res.status(400).json({ success: false, error: 'Dates must be valid dates in YYYY-MM-DD format.' });
+        }
+        if (dateTo < date_from) {
+            return res.status(400).json({ success: false, error: 'date_to must not be before date_from.' });
+        }
+
+        const days = (new Date(dateTo) - new Date(date_from)) / 86400000 + 1;
+        if (days > MAX_LEAVE_DAYS) {
+            return res.status(400).json({ success: false, error: `Leave cannot exceed ${MAX_LEAVE_DAYS} days.` });
+        }
+
+        // Overlapping pending or approved requests for the same batch
+        const { data: overlapping, error: overlapError } = await supabase
+            .from('leave_requests')
+            .select('id')
+            .eq('student_id', studentId)
+            .eq('batch_id', batch_id)
+            .in('status', ['pending', 'approved'])
+            .lte('date_from', dateTo)
+            .gte('date_to', date_from)
+            .limit(1);
+
+        if (overlapError) {
+            console.error('Error checking overlapping leave:', overlapError);
+            return res.status(500).json({ success: false, error: 'Failed to check existing leave requests.' });
+        }
+        if (overlapping.length > 0) {
+            return res.status(409).json({ success: false, error: 'You already have a leave request covering these dates.' });
+        }
+
+        const { data: batch, error: batchError } = await supabase
+            .from('batches')
+            .select('batch_id, batch_name, teacher, assistant_tutor, created_by')
+            .eq('batch_id', batch_id)
+            .single();
+
+        if (batchError || !batch) {
+            return res.status(404).json({ success: false, error: 'Batch not found.' });
+        }
+
+        // Upload the supporting document to the private bucket
+        let documentPath = null;
+        if (req.file) {
+            const fileExt = path.extname(req.file.originalname);
+            documentPath = `${studentId}/${Date.now()}_${Math.random().toString(36).substring(2, 10)}${fileExt}`;
+
+            const { error: uploadError } = await supabaseAdmin.storage
+                .from(LEAVE_BUCKET)
+                .upload(documentPath, req.file.buffer, {
+                    contentType: req.file.mimetype,
+                    upsert: false
+                });
+
+            if (uploadError) {
+                console.error('Leave document upload error:', uploadError);
+                return res.status(500).json({ success: false, error: `Failed to upload document: ${uploadError.message}` });
+            }
+        }
+
+        const { data: leave, error: insertError } = await supabase
+            .from('leave_requests')
+            .insert([{
+                student_id: studentId,
+                batch_id,
+                date_from,
+                date_to: dateTo,
+                reason: reason.trim(),
+                document_path: documentPath,
+                document_name: req.file ? req.file.originalname : null
+            }])
+            .select()
+            .single();
+
+        if (insertError) {
+            console.error('Error creating leave request:', insertError);
+            if (documentPath) await supabaseAdmin.storage.from(LEAVE_BUCKET).remove([documentPath]);
+            return res.status(400).json({ success: false, error: insertError.message });
+        }
+
+        const { data: student } = await supabase
+            .from('students')
+            .select('name')
+            .eq('student_id', studentId)
+            .single();
+
+        await notifyStaffOfLeaveRequest(leave, batch, student?.name || 'A student');
+
+        res.status(201).json({ success: true, message: 'Leave request submitted.', data: await withDocumentUrl(leave) });
+    } catch (error) {
+        console.error('Server error in createLeaveRequest:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+// Student: own leave requests, newest first
+exports.getMyLeaveRequests = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('leave_requests')
+            .select('*, batches(batch_name)')
+            .eq('student_id', req.student?.student_id)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching leave requests:', error);
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        res.json({ success: true, data: await Promise.all(data.map(withDocumentUrl)) });
+    } catch (error) {
+        console.error('Server error in getMyLeaveRequests:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+// Student: withdraw a pending request
+exports.cancelLeaveRequest = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('leave_requests')
+            .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .eq('student_id', req.student?.student_id)
+            .eq('status', 'pending')
+            .select();
+
+        if (error) {
+            console.error('Error cancelling leave request:', error);
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (data.length === 0) {
+            return res.status(404).json({ success: false, error: 'No pending leave request found.' });
+        }
+
+        res.json({ success: true, message: 'Leave request cancelled.', data: data[0] });
+    } catch (error) {
+        console.error('Server error in cancelLeaveRequest:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+// Teacher / Academic: leave requests for a batch, optionally ?status=pending
+exports.getBatchLeaveRequests = async (req, res) => {
+    try {
+        let query = supabase
+            .from('leave_requests')
+            .select('*, students(name, registration_number)')
+            .eq('batch_id', req.params.batch_id)
+            .order('created_at', { ascending: false });
+
+        if (req.query.status) query = query.eq('status', req.query.status);
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Error fetching batch leave requests:', error);
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        res.json({ success: true, data: await Promise.all(data.map(withDocumentUrl)) });
+    } catch (error) {
+        console.error('Server error in getBatchLeaveRequests:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+// Teacher / Academic: approve or reject a pending request.
+// Approval marks the student's absent records in the date range as excused.
+exports.reviewLeaveRequest = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const decision = (req.body.decision || '').toLowerCase();
+        const notes = req.body.notes || null;
+
+        if (!['approved', 'rejected'].includes(decision)) {
+            return res.status(400).json({ success: false, error: "decision must be 'approved' or 'rejected'." });
+        }
+
+        const { data: leave, error: updateError } = await supabase
+            .from('leave_requests')
+            .update({
+                status: decision,
+                reviewed_by: req.user.id,
+                reviewed_at: new Date().toISOString(),
+                review_notes: notes,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .eq('status', 'pending')
+            .select('*, batches(batch_name)')
+            .maybeSingle();
+
+        if (updateError) {
+            console.error('Error reviewing leave request:', updateError);
+            return res.status(400).json({ success: false, error: updateError.message });
+        }
+        if (!leave) {
+            return res.status(409).json({ success: false, error: 'Leave request not found or already reviewed.' });
+        }
+
+        let recordsExcused = 0;
+        if (decision === 'approved') {
+            recordsExcused = await excuseRecordsForLeave(leave);
+            await supabase.from('leave_requests').update({ records_excused: recordsExcused }).eq('id', id);
+
+            // Excused sessions no longer count against the student
+            if (recordsExcused > 0) await evaluateAttendanceAlerts(leave.batch_id);
+        }
+
+        await notify(decision === 'approved' ? 'LEAVE_APPROVED' : 'LEAVE_REJECTED', {
+            dates: dateRangeText(leave),
+            batchName: leave.batches?.batch_name || 'your batch',
+            notes
+        }, { students: [leave.student_id] }, { relatedId: leave.id });
+
+        res.json({
+            success: true,
+            message: `Leave request ${decision}.`,
+            data: { ...leave, records_excused: recordsExcused }
+        });
+    } catch (error) {
+        console.error('Server error in reviewLeaveRequest:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
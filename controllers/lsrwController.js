@@ -3,6 +3,7 @@ const { supabaseAdmin } = require("../config/supabase.js");
 const path = require('path');
 const mammoth = require('mammoth');
 const { extractTextFromFile, isValidTextFile } = require('../utils/textExtractor');
+const { emitEvent } = require('../utils/notificationService');
 
 /**
  * Parse DOCX file to extract questions and answers
@@ -1976,7 +1977,7 @@ exports.getStudentLSRW = async (req, res) => {
     try {
         const { batch_id } = req.params;
         const { module_type = 'listening' } = req.query;
-        const studentId = req.user?.id || req.query.student_id;
+        const studentId = req.student?.student_id;
 
         // Get batch details to find course_id
         const { data: batch, error: batchError } = await supabase
@@ -2076,9 +2077,14 @@ exports.getStudentLSRW = async (req, res) => {
  */
 exports.submitStudentAnswers = async (req, res) => {
     try {
-        const { student_id, lsrw_content_id, batch_id, answers } = req.body;
+        const { lsrw_content_id, batch_id, answers } = req.body;
+        const student_id = req.student?.student_id;
 
-        if (!student_id || !lsrw_content_id || !batch_id || !answers) {
+        if (!student_id) {
+            return res.status(401).json({ error: "Student authentication required" });
+        }
+
+        if (!lsrw_content_id || !batch_id || !answers) {
             return res.status(400).json({ error: "Missing required fields" });
         }
 
@@ -2151,7 +2157,13 @@ exports.submitStudentAnswers = async (req, res) => {
  */
 exports.getStudentResults = async (req, res) => {
     try {
-        const { student_id, lsrw_id } = req.params;
+        const { lsrw_id } = req.params;
+        const student_id = req.student?.student_id;
+
+        // Students may only read their own results
+        if (!student_id || req.params.student_id !== student_id) {
+            return res.status(403).json({ error: "You can only view your own results" });
+        }
 
         const { data, error } = await supabase
             .from('lsrw_student_answers')
@@ -2669,7 +2681,7 @@ exports.markSpeakingComplete = async (req, res) => {
 exports.getStudentSpeaking = async (req, res) => {
     try {
         const { batch_id } = req.params;
-        const studentId = req.user?.id || req.query.student_id;
+        const studentId = req.student?.student_id;
 
         // Get batch details
         const { data: batch, error: batchError } = await supabase
@@ -2768,7 +2780,7 @@ exports.getStudentSpeaking = async (req, res) => {
 exports.saveSpeakingAttempt = async (req, res) => {
     try {
         const { speaking_material_id, batch_id, audio_url, status = 'draft' } = req.body;
-        const studentId = req.user?.id;
+        const studentId = req.student?.student_id;
 
         if (!studentId) {
             return res.status(401).json({ error: "Student authentication required" });
@@ -2850,6 +2862,17 @@ exports.saveSpeakingAttempt = async (req, res) => {
             return res.status(500).json({ error: insertError.message });
         }
 
+        // Let the batch's teachers see the new submission in their review queue
+        if (status === 'submitted') {
+            await emitEvent('speaking_attempt.submitted', {
+                attempt_id: attempt.id,
+                batch_id,
+                student_id: studentId,
+                speaking_material_id,
+                submitted_at: attempt.submitted_at
+            }, { batchTeachers: batch_id });
+        }
+
         res.status(201).json({
             success: true,
             message: status === 'submitted' ? "Speaking attempt submitted successfully" : "Draft saved successfully",
@@ -3552,7 +3575,7 @@ exports.markReadingComplete = async (req, res) => {
 exports.getStudentReading = async (req, res) => {
     try {
         const { batch_id } = req.params;
-        const studentId = req.user?.id || req.query.student_id;
+        const studentId = req.student?.student_id;
 
         // Get batch details
         const { data: batch, error: batchError } = await supabase
@@ -3680,7 +3703,7 @@ exports.submitReadingAttempt = async (req, res) => {
     try {
         console.log('📥 submitReadingAttempt called - body:', req.body);
         const { reading_material_id, batch_id, answers } = req.body;
-        const studentId = req.user?.id || req.student?.student_id;
+        const studentId = req.student?.student_id;
 
         console.log('📋 Parsed values - reading_material_id:', reading_material_id, 'batch_id:', batch_id, 'studentId:', studentId, 'answers count:', answers ? Object.keys(answers).length : 0);
 
@@ -4788,7 +4811,7 @@ exports.markWritingComplete = async (req, res) => {
 exports.getStudentWriting = async (req, res) => {
     try {
         const { batch_id } = req.params;
-        const studentId = req.user?.id || req.query.student_id;
+        const studentId = req.student?.student_id;
 
         // Get batch details
         const { data: batch, error: batchError } = await supabase
@@ -5217,7 +5240,7 @@ exports.submitWritingSubmission = async (req, res) => {
     try {
         const { writing_task_id, batch_id } = req.body;
         const submissionImage = req.file; // Single image file
-        const studentId = req.user?.id || req.student?.student_id;
+        const studentId = req.student?.student_id;
 
         if (!studentId) {
             return res.status(401).json({ error: "Student authentication required" });
@@ -5332,6 +5355,14 @@ exports.submitWritingSubmission = async (req, res) => {
                 return res.status(500).json({ error: error.message });
             }
 
+            await emitEvent('writing_submission.submitted', {
+                submission_id: data.id,
+                batch_id,
+                student_id: studentId,
+                writing_task_id,
+                resubmitted: true
+            }, { batchTeachers: batch_id });
+
             return res.json({
                 success: true,
                 message: "Writing submission updated successfully",
@@ -5356,6 +5387,14 @@ exports.submitWritingSubmission = async (req, res) => {
                 return res.status(500).json({ error: error.message });
             }
 
+            await emitEvent('writing_submission.submitted', {
+                submission_id: data.id,
+                batch_id,
+                student_id: studentId,
+                writing_task_id,
+                resubmitted: false
+            }, { batchTeachers: batch_id });
+
             return res.status(201).json({
                 success: true,
                 message: "Writing submission uploaded successfully",
@@ -0,0 +1,233 @@
+const { supabaseAdmin } = require("../config/supabase.js");
+const { AUDIENCES } = require("../utils/notificationService.js");
+const { subscribe, eventsSince } = require("../utils/notificationStream.js");
+const { validatePreference, getPreferences, setPreferences } = require("../utils/notificationPreferences.js");
+const { buildDigest, runDailyDigests } = require("../utils/notificationDigest.js");
+const { isValidDate, localToday } = require("../utils/batchSchedule.js");
+const { getTeacherIdForUser } = require("../utils/batchPolicy.js");
+const { isTokenRevoked } = require("../utils/tokenService.js");
+
+const HEARTBEAT_MS = 25 * 1000;
+// Tells EventSource how long to wait before reconnecting
+const RECONNECT_MS = 5 * 1000;
+const MAX_STORED_REPLAY = 200;
+// How often an open stream checks that its token was not revoked (logout, /revoke)
+const REVOCATION_CHECK_MS = 60 * 1000;
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+const writeEvent = (res, { id, event, data }) => {
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// Stored notifications of a recipient created after a time, oldest first
+const storedNotificationsSince = async ({ audience, id }, since) => {
+    const { table, column } = AUDIENCES[audience];
+
+    const { data, error } = await supabaseAdmin
+        .from(table)
+        .select("*")
+        .eq(column, id)
+        .gt("created_at", since.toISOString())
+        .order("created_at", { ascending: true })
+        .limit(MAX_STORED_REPLAY);
+
+    if (error) throw error;
+
+    // Id from the row's time alone, so a later resume continues from there
+    return data.map(row => ({
+        id: `${new Date(row.created_at).getTime()}-0`,
+        event: "notification",
+        data: { table, notification: row }
+    }));
+};
+
+/**
+ * Stream the caller's new notifications and live events over Server-Sent Events
+ * GET /api/notifications/stream (staff) and /api/notifications/student/stream
+ *
+ * Events:
+ *   ready          once connected, { audience }
+ *   notification   a new row of the caller's notification table, { table, notification }
+ *   resync         the missed live events could not be replayed; refetch lists
+ *   session_ended  the token expired or was revoked, { reason }; the stream is
+ *                  closed, reconnect with a fresh token
+ *   <live event>   e.g. speaking_attempt.submitted, batch.approved
+ *
+ * Reconnecting with Last-Event-ID (or ?last_event_id=) replays what was missed.
+ */
+const streamNotifications = async (req, res) => {
+    let recipient;
+    if (req.student) {
+        recipient = { audience: "student", id: req.student.student_id };
+    } else if (req.user.role.toLowerCase() === "teacher") {
+        // teacher_notifications and the stream address teachers by teachers.teacher_id
+        const teacherId = await getTeacherIdForUser(req.user.id);
+        if (!teacherId) {
+            return res.status(403).json({ success: false, error: "No teacher record for this account" });
+        }
+        recipient = { audience: "teacher", id: teacherId };
+    } else {
+        recipient = { audience: req.user.role.toLowerCase(), id: req.user.id };
+    }
+
+    const lastEventId = req.get("Last-Event-ID") || req.query.last_event_id;
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        // Stop reverse proxies from buffering the stream
+        "X-Accel-Buffering": "no"
+    });
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    // Hold live events back until the replay is written, so order is kept
+    let replaying = true;
+    const held = [];
+    // Rows can arrive both from the replay and live while it runs
+    let sentNotificationIds = new Set();
+
+    const send = (entry) => {
+        const notificationId = entry.event === "notification" ? entry.data.notification?.id : null;
+        if (notificationId && sentNotificationIds) {
+            if (sentNotificationIds.has(notificationId)) return;
+            sentNotificationIds.add(notificationId);
+        }
+        writeEvent(res, entry);
+    };
+
+    const unsubscribe = subscribe(recipient, (entry) => {
+        if (replaying) held.push(entry);
+        else send(entry);
+    });
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+    let closed = false;
+    let expiry = null;
+    let revocationCheck = null;
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        clearInterval(revocationCheck);
+        unsubscribe();
+    };
+    const endSession = (reason) => {
+        if (closed) return;
+        writeEvent(res, { event: "session_ended", data: { reason } });
+        close();
+        res.end();
+    };
+
+    req.on("close", close);
+
+    // The stream lives no longer than the token it was opened with
+    // (setTimeout delays are capped at 2^31 - 1 ms)
+    expiry = setTimeout(() => endSession("Token expired"), Math.min(Math.max(req.user.exp * 1000 - Date.now(), 0), MAX_TIMEOUT_MS));
+    revocationCheck = setInterval(async () => {
+        try {
+            if (await isTokenRevoked(req.user)) endSession("Token revoked");
+        } catch (error) {
+            // Checked again on the next interval
+            console.error("❌ Error checking stream token revocation:", error.message);
+        }
+    }, REVOCATION_CHECK_MS);
+
+    try {
+        if (lastEventId) {
+            const missed = eventsSince(recipient, lastEventId);
+            if (missed.complete) {
+                missed.events.forEach(send);
+            } else if (missed.since) {
+                (await storedNotificationsSince(recipient, missed.since)).forEach(send);
+                writeEvent(res, { event: "resync", data: { reason: "Live events since the last event id are no longer available" } });
+            }
+        }
+    } catch (error) {
+        console.error("❌ Error replaying missed notifications:", error);
+        writeEvent(res, { event: "resync", data: { reason: "Missed notifications could not be replayed" } });
+    }
+
+    if (closed) return;
+
+    replaying = false;
+    held.forEach(send);
+    sentNotificationIds = null;
+
+    writeEvent(res, { event: "ready", data: { audience: recipient.audience } });
+};
+
+// The caller's channel for every notification type (staff)
+const getNotificationPreferences = async (req, res) => {
+    try {
+        const preferences = await getPreferences(req.user.id);
+        res.json({ success: true, data: preferences });
+    } catch (error) {
+        console.error("Get notification preferences error:", error);
+        res.status(500).json({ success: false, error: "Internal server error" });
+    }
+};
+
+// Set channels by type: { preferences: { BATCH_APPROVED: "email", LOW_ATTENDANCE: "digest" } }
+const updateNotificationPreferences = async (req, res) => {
+    const { preferences } = req.body;
+
+    if (!preferences || typeof preferences !== "object" || Array.isArray(preferences) || Object.keys(preferences).length === 0) {
+        return res.status(400).json({ success: false, error: "preferences must map notification types to channels" });
+    }
+
+    for (const [type, channel] of Object.entries(preferences)) {
+        const problem = validatePreference(type, channel);
+        if (problem) {
+            return res.status(400).json({ success: false, error: problem });
+        }
+    }
+
+    try {
+        await setPreferences(req.user.id, preferences);
+        res.json({ success: true, data: await getPreferences(req.user.id) });
+    } catch (error) {
+        console.error("Update notification preferences error:", error);
+        res.status(500).json({ success: false, error: "Internal server error" });
+    }
+};
+
+// What the caller's digest for today would contain, without sending it
+const previewDigest = async (req, res) => {
+    try {
+        const digest = await buildDigest(req.user, localToday());
+        res.json({ success: true, data: digest });
+    } catch (error) {
+        console.error("Preview digest error:", error);
+        res.status(500).json({ success: false, error: "Internal server error" });
+    }
+};
+
+// Send the day's digests now; users who already got theirs are skipped (admin)
+const runDigests = async (req, res) => {
+    const { date } = req.body;
+
+    if (date !== undefined && !isValidDate(date)) {
+        return res.status(400).json({ success: false, error: "date must be YYYY-MM-DD" });
+    }
+
+    try {
+        const result = await runDailyDigests(date ? { date } : {});
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error("Run digests error:", error);
+        res.status(500).json({ success: false, error: "Internal server error" });
+    }
+};
+
+module.exports = {
+    streamNotifications,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    previewDigest,
+    runDigests
+};
@@ -0,0 +1,276 @@
+const crypto = require("crypto");
+const supabase = require("../config/supabase.js");
+const { issueAccessToken, issueRefreshToken } = require("../utils/tokenService.js");
+const {
+    checkPasswordStrength,
+    hashPassword,
+    verifyPassword,
+    revokeSetupTokens,
+    issueSetupToken,
+    findUsableToken,
+    consumeSetupToken,
+    sendSetupEmail
+} = require("../utils/studentOnboarding.js");
+
+const STUDENT_ONBOARDING_COLUMNS = "student_id, name, email, status, registration_number, onboarding_status, setup_link_sent_at, onboarding_completed_at";
+
+// Latest link of a student, described without the token
+const describeLatestLink = async (studentId) => {
+    const { data, error } = await supabase
+        .from("password_setup_tokens")
+        .select("created_at, expires_at, used_at, revoked_at")
+        .eq("student_id", studentId)
+        .order("created_at", { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    let state = "ACTIVE";
+    if (data.used_at) state = "USED";
+    else if (data.revoked_at) state = "REVOKED";
+    else if (new Date(data.expires_at) <= new Date()) state = "EXPIRED";
+
+    return { ...data, state };
+};
+
+// Check a setup link before showing the password form (public)
+const verifySetupToken = async (req, res) => {
+    try {
+        const tokenRow = await findUsableToken(req.body.token);
+        if (!tokenRow) {
+            return res.status(400).json({ error: "This setup link is invalid or has expired. Ask your coordinator for a new one." });
+        }
+
+        const { data: student } = await supabase
+            .from("students")
+            .select("name, registration_number")
+            .eq("student_id", tokenRow.student_id)
+            .single();
+
+        res.json({
+            success: true,
+            data: {
+                name: student?.name || null,
+                registration_number: student?.registration_number || null,
+                expires_at: tokenRow.expires_at
+            }
+        });
+    } catch (error) {
+        console.error("Verify setup token error:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+// Set the password with a setup link; the link stops working afterwards (public)
+const completePasswordSetup = async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        return res.status(400).json({ error: "token and password are required" });
+    }
+
+    const passwordProblem = checkPasswordStrength(password);
+    if (passwordProblem) {
+        return res.status(400).json({ error: passwordProblem });
+    }
+
+    try {
+        // Hash first so the token is only consumed once we are ready to write
+        const passwordHash = await hashPassword(password);
+
+        const tokenRow = await consumeSetupToken(token);
+        if (!tokenRow) {
+            return res.status(400).json({ error: "This setup link is invalid or has expired. Ask your coordinator for a new one." });
+        }
+
+        const { error } = await supabase
+            .from("students")
+            .update({
+                password_hash: passwordHash,
+                onboarding_status: "COMPLETED",
+                onboarding_completed_at: new Date().toISOString()
+            })
+            .eq("student_id", tokenRow.student_id);
+
+        if (error) {
+            console.error("Error saving student password:", error);
+            // Give the link back so the student can try again
+            await supabase.from("password_setup_tokens").update({ used_at: null }).eq("id", tokenRow.id);
+            return res.status(500).json({ error: "Failed to set password" });
+        }
+
+        res.json({ success: true, message: "Password set. You can now log in." });
+    } catch (error) {
+        console.error("Complete password setup error:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+// Student login with the password chosen through the setup link (public).
+// Identified by registration_number or email; returns access and refresh tokens.
+const loginStudent = async (req, res) => {
+    const { registration_number, email, password } = req.body;
+
+    if ((!registration_number && !email) || !password) {
+        return res.status(400).json({ error: "registration_number or email, and password are required" });
+    }
+
+    try {
+        const { data: student, error } = await supabase
+            .from("students")
+            .select("student_id, name, status, onboarding_status, password_hash")
+            .eq(registration_number ? "registration_number" : "email", registration_number || email)
+            .maybeSingle();
+
+        // More than one student with the email is treated like no match
+        if (error && error.code !== "PGRST116") throw error;
+
+        // Students approved before setup links (or not yet set up) have no usable password
+        const valid = student?.status === true
+            && student.onboarding_status === "COMPLETED"
+            && await verifyPassword(password, student.password_hash);
+
+        if (!valid) {
+            return res.status(401).json({ error: "Invalid credentials. If you have not set your password yet, use the link from your approval email." });
+        }
+
+        // sid: the refresh-token session, kept through every refresh
+        const claims = { id: student.student_id, student_id: student.student_id, role: "student", name: student.name, sid: crypto.randomUUID() };
+        const accessToken = issueAccessToken(claims);
+        const refreshToken = issueRefreshToken(claims);
+
+        res.json({
+            success: true,
+            data: {
+                access_token: accessToken.token,
+                access_token_expires_at: accessToken.expires_at,
+                refresh_token: refreshToken.token,
+                refresh_token_expires_at: refreshToken.expires_at
+            }
+        });
+    } catch (error) {
+        console.error("Student login error:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+// Onboarding status of a student (academic/manager/admin)
+const getOnboardingStatus = async (req, res) => {
+    const { student_id } = req.params;
+
+    try {
+        const { data: student, error } = await supabase
+            .from("students")
+            .select(STUDENT_ONBOARDING_COLUMNS)
+            .eq("student_id", student_id)
+            .single();
+
+        if (error || !student) {
+            return res.status(404).json({ error: "Student not found" });
+        }
+
+        const latestLink = await describeLatestLink(student_id);
+
+        res.json({
+            success: true,
+            data: {
+                ...student,
+                // An invited student whose link lapsed needs a resend
+                needs_new_link: student.onboarding_status === "INVITED" && latestLink?.state !== "ACTIVE",
+                latest_link: latestLink
+            }
+        });
+    } catch (error) {
+        console.error("Get onboarding status error:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+// Revoke the current link and email a new one (academic)
+const resendSetupLink = async (req, res) => {
+    const { student_id } = req.params;
+
+    try {
+        const { data: student, error } = await supabase
+            .from("students")
+            .select(STUDENT_ONBOARDING_COLUMNS)
+            .eq("student_id", student_id)
+            .single();
+
+        if (error || !student) {
+            return res.status(404).json({ error: "Student not found" });
+        }
+
+        if (!student.status) {
+            return res.status(400).json({ error: "Student must be approved before a setup link can be sent" });
+        }
+
+        if (student.onboarding_status === "COMPLETED") {
+            return res.status(400).json({ error: "Student has already set a password" });
+        }
+
+        const setup = await issueSetupToken(student_id, req.user.id);
+
+        let email;
+        try {
+            email = await sendSetupEmail(student, {
+                link: setup.link,
+                expiresAt: setup.expires_at,
+                registrationNumber: student.registration_number,
+                resend: true,
+                sentBy: req.user.id
+            });
+        } catch (mailError) {
+            console.error("❌ Failed to queue setup email:", mailError);
+            return res.status(502).json({ error: "A new link was created but the email could not be queued" });
+        }
+
+        const emailSent = email.status === "sent";
+
+        res.json({
+            success: true,
+            message: emailSent
+                ? "A new setup link has been emailed to the student"
+                : "A new setup link was created. The email could not be sent yet and will be retried automatically.",
+            data: {
+                onboarding_status: "INVITED",
+                link_expires_at: setup.expires_at,
+                email_sent: emailSent,
+                email_id: email.id,
+                email_status: email.status
+            }
+        });
+    } catch (error) {
+        console.error("Resend setup link error:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+// Make any outstanding link unusable, e.g. when it went to the wrong address (academic)
+const expireSetupLinks = async (req, res) => {
+    const { student_id } = req.params;
+
+    try {
+        const revoked = await revokeSetupTokens(student_id);
+
+        res.json({
+            success: true,
+            message: revoked > 0 ? "Setup link expired" : "No active setup link to expire",
+            data: { revoked }
+        });
+    } catch (error) {
+        console.error("Expire setup links error:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+};
+
+module.exports = {
+    verifySetupToken,
+    completePasswordSetup,
+    loginStudent,
+    getOnboardingStatus,
+    resendSetupLink,
+    expireSetupLinks
+};
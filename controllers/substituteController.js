@@ -0,0 +1,404 @@
+const supabase = require("../config/supabase.js");
+const { getTeacherIdForUser } = require("../utils/batchPolicy.js");
+const { notify } = require("../utils/notificationService.js");
+const { findBatchConflicts, shouldBlock } = require("../utils/scheduleConflicts.js");
+const { isValidDate } = require("../utils/batchSchedule.js");
+
+const MAX_COVER_DAYS = 90;
+
+// Rows written before this workflow may use title-case statuses
+const ACTIVE_STATUSES = ['PENDING', 'Pending', 'APPROVED', 'Approved'];
+
+const REQUEST_SELECT = '*, batch:batches(batch_id, batch_name, time_from, time_to)';
+
+const formatDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', { timeZone: 'UTC' });
+
+const windowText = (request) => (
+    request.date_from === request.date_to
+        ? formatDate(request.date_from)
+        : `${formatDate(request.date_from)} to ${formatDate(request.date_to)}`
+);
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Add teacher_name / sub_teacher_name to request rows
+const withTeacherNames = async (requests) => {
+    const teacherIds = [...new Set(requests.flatMap(r => [r.teacher_id, r.sub_teacher_id]).filter(Boolean))];
+    if (teacherIds.length === 0) return requests;
+
+    const { data: teachers, error } = await supabase
+        .from('teachers')
+        .select('teacher_id, user:users(name)')
+        .in('teacher_id', teacherIds);
+
+    if (error) {
+        console.error('Error fetching teacher names:', error);
+        return requests;
+    }
+
+    const names = new Map(teachers.map(t => [t.teacher_id, t.user?.name || null]));
+    return requests.map(r => ({
+        ...r,
+        teacher_name: names.get(r.teacher_id) || null,
+        sub_teacher_name: names.get(r.sub_teacher_id) || null
+    }));
+};
+
+const teacherName = async (teacherId) => {
+    const { data } = await supabase
+        .from('teachers')
+        .select('user:users(name)')
+        .eq('teacher_id', teacherId)
+        .single();
+    return data?.user?.name || 'A teacher';
+};
+
+// Teacher: request cover for one of their batches
+const createSubstituteRequest = async (req, res) => {
+    try {
+        const { batch_id, date_from, reason } = req.body;
+        const dateTo = req.body.date_to || date_from;
+
+        if (!batch_id || !date_from) {
+            return res.status(400).json({ success: false, error: 'batch_id and date_from are required.' });
+        }
+        if (!isValidDate(date_from) || !isValidDate(dateTo)) {
+            return res.status(400).json({ success: false, error: 'Dates must be valid dates in YYYY-MM-DD format.' });
+        }
+        if (dateTo < date_from) {
+            return res.status(400).json({ success: false, error: 'date_to must not be before date_from.' });
+        }
+        if (dateTo < today()) {
+            return res.status(400).json({ success: false, error: 'Cover cannot be requested for past dates.' });
+        }
+        if ((new Date(dateTo) - new Date(date_from)) / 86400000 + 1 > MAX_COVER_DAYS) {
+            return res.status(400).json({ success: false, error: `Cover cannot exceed ${MAX_COVER_DAYS} days.` });
+        }
+
+        const teacherId = await getTeacherIdForUser(req.user.id);
+
+        const { data: batch, error: batchError } = await supabase
+            .from('batches')
+            .select('batch_id, batch_name, teacher, assistant_tutor, created_by')
+            .eq('batch_id', batch_id)
+            .single();
+
+        if (batchError || !batch) {
+            return res.status(404).json({ success: false, error: 'Batch not found.' });
+        }
+
+        // Only the batch's own teachers can ask for cover (not a current substitute)
+        if (!teacherId || (batch.teacher !== teacherId && batch.assistant_tutor !== teacherId)) {
+            return res.status(403).json({ success: false, error: 'Only the teacher or assistant tutor of this batch can request cover.' });
+        }
+
+        const { data: overlapping, error: overlapError } = await supabase
+            .from('teacher_batch_requests')
+            .select('id')
+            .eq('batch_id', batch_id)
+            .eq('teacher_id', teacherId)
+            .in('status', ACTIVE_STATUSES)
+            .lte('date_from', dateTo)
+            .gte('date_to', date_from)
+            .limit(1);
+
+        if (overlapError) {
+            console.error('Error checking overlapping cover requests:', overlapError);
+            return res.status(500).json({ success: false, error: 'Failed to check existing cover requests.' });
+        }
+        if (overlapping.length > 0) {
+            return res.status(409).json({ success: false, error: 'You already have a cover request for these dates.' });
+        }
+
+        const { data: request, error: insertError } = await supabase
+            .from('teacher_batch_requests')
+            .insert([{
+                batch_id,
+                teacher_id: teacherId,
+                requested_by: req.user.id,
+                date_from,
+                date_to: dateTo,
+                reason: reason ? reason.trim() : null,
+                status: 'PENDING'
+            }])
+            .select()
+            .single();
+
+        if (insertError) {
+            console.error('Error creating cover request:', insertError);
+            return res.status(400).json({ success: false, error: insertError.message });
+        }
+
+        const requesterName = await teacherName(teacherId);
+        await notify('SUBSTITUTE_REQUESTED', {
+            requesterName,
+            batchName: batch.batch_name,
+            window: windowText(request),
+            reason: request.reason
+        }, { academicsFor: batch.created_by }, { relatedId: request.id });
+
+        res.status(201).json({ success: true, message: 'Cover request submitted.', data: request });
+    } catch (error) {
+        console.error('Server error in createSubstituteRequest:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+// Teacher: cover they requested and cover assigned to them
+const getMySubstituteRequests = async (req, res) => {
+    try {
+        const teacherId = await getTeacherIdForUser(req.user.id);
+        if (!teacherId) {
+            return res.status(403).json({ success: false, error: 'Teacher record not found.' });
+        }
+
+        const { data, error } = await supabase
+            .from('teacher_batch_requests')
+            .select(REQUEST_SELECT)
+            .or(`teacher_id.eq.${teacherId},sub_teacher_id.eq.${teacherId}`)
+            .order('date_from', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching cover requests:', error);
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        const requests = await withTeacherNames(data);
+        res.json({
+            success: true,
+            data: {
+                requested: requests.filter(r => r.teacher_id === teacherId),
+                covering: requests.filter(r => r.sub_teacher_id === teacherId)
+            }
+        });
+    } catch (error) {
+        console.error('Server error in getMySubstituteRequests:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+// Academic / Manager / Admin: all cover requests, ?status= and ?batch_id= filters
+const getSubstituteRequests = async (req, res) => {
+    try {
+        let query = supabase
+            .from('teacher_batch_requests')
+            .select(REQUEST_SELECT)
+            .order('created_at', { ascending: false });
+
+        if (req.query.status) query = query.eq('status', req.query.status.toUpperCase());
+        if (req.query.batch_id) query = query.eq('batch_id', req.query.batch_id);
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Error fetching cover requests:', error);
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        res.json({ success: true, data: await withTeacherNames(data) });
+    } catch (error) {
+        console.error('Server error in getSubstituteRequests:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+// Academic: approve a pending request and pick the substitute
+const approveSubstituteRequest = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { sub_teacher_id, notes } = req.body;
+
+        if (!sub_teacher_id) {
+            return res.status(400).json({ success: false, error: 'sub_teacher_id is required.' });
+        }
+
+        const { data: request, error: requestError } = await supabase
+            .from('teacher_batch_requests')
+            .select('*, batch:batches(batch_id, batch_name, teacher, assistant_tutor, time_from, time_to, schedule_days, created_by)')
+            .eq('id', id)
+            .single();
+
+        if (requestError || !request) {
+            return res.status(404).json({ success: false, error: 'Cover request not found.' });
+        }
+        if (!['PENDING', 'Pending'].includes(request.status)) {
+            return res.status(409).json({ success: false, error: `Cover request is already ${request.status.toLowerCase()}.` });
+        }
+        if (sub_teacher_id === request.teacher_id) {
+            return res.status(400).json({ success: false, error: 'The substitute must be a different teacher.' });
+        }
+
+        const { data: subTeacher, error: subError } = await supabase
+            .from('teachers')
+            .select('teacher_id')
+            .eq('teacher_id', sub_teacher_id)
+            .single();
+
+        if (subError || !subTeacher) {
+            return res.status(400).json({ success: false, error: 'Substitute teacher not found.' });
+        }
+
+        // The substitute must be free at the batch's class time during the window
+        const conflicts = await findBatchConflicts({
+            batch_id: request.batch_id,
+            teacher: sub_teacher_id,
+            time_from: request.batch.time_from,
+            time_to: request.batch.time_to,
+            schedule_days: request.batch.schedule_days,
+            start_date: request.date_from,
+            end_date: request.date_to
+        });
+        if (shouldBlock(conflicts)) {
+            return res.status(409).json({ success: false, error: 'The substitute has scheduling conflicts.', conflicts });
+        }
+
+        const { data: approved, error: updateError } = await supabase
+            .from('teacher_batch_requests')
+            .update({
+                status: 'APPROVED',
+                sub_teacher_id,
+                approved_by: req.user.id,
+                approved_at: new Date().toISOString(),
+                review_notes: notes || null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .in('status', ['PENDING', 'Pending'])
+            .select()
+            .maybeSingle();
+
+        if (updateError) {
+            console.error('Error approving cover request:', updateError);
+            return res.status(400).json({ success: false, error: updateError.message });
+        }
+        if (!approved) {
+            return res.status(409).json({ success: false, error: 'Cover request was already reviewed.' });
+        }
+
+        const batch = request.batch;
+        const subName = await teacherName(sub_teacher_id);
+        const window = windowText(approved);
+
+        const coverData = { subName, batchName: batch.batch_name, window };
+        await notify('SUBSTITUTE_ASSIGNED', coverData, { teachers: [sub_teacher_id] }, { relatedId: approved.id });
+        // Students of the whole merge group hear who takes their classes
+        await notify('SUBSTITUTE_APPROVED', coverData, {
+            teachers: [approved.teacher_id, batch.teacher, batch.assistant_tutor],
+            mergedBatchStudents: approved.batch_id,
+            exclude: [sub_teacher_id]
+        }, { relatedId: approved.id });
+
+        res.json({
+            success: true,
+            message: 'Cover request approved.',
+            data: approved,
+            ...(conflicts.length > 0 && { conflicts })
+        });
+    } catch (error) {
+        console.error('Server error in approveSubstituteRequest:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+// Academic: reject a pending request
+const rejectSubstituteRequest = async (req, res) => {
+    try {
+        const notes = req.body.notes || null;
+
+        const { data: rejected, error } = await supabase
+            .from('teacher_batch_requests')
+            .update({
+                status: 'REJECTED',
+                approved_by: req.user.id,
+                review_notes: notes,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', req.params.id)
+            .in('status', ['PENDING', 'Pending'])
+            .select('*, batch:batches(batch_name)')
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error rejecting cover request:', error);
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (!rejected) {
+            return res.status(409).json({ success: false, error: 'Cover request not found or already reviewed.' });
+        }
+
+        await notify('SUBSTITUTE_REJECTED', {
+            batchName: rejected.batch?.batch_name,
+            window: windowText(rejected),
+            notes
+        }, { teachers: [rejected.teacher_id] }, { relatedId: rejected.id });
+
+        res.json({ success: true, message: 'Cover request rejected.', data: rejected });
+    } catch (error) {
+        console.error('Server error in rejectSubstituteRequest:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+// Requesting teacher (pending or upcoming cover) or academic (any active cover): cancel
+const cancelSubstituteRequest = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const isAcademic = ['academic', 'admin'].includes((req.user.role || '').toLowerCase());
+
+        const { data: request, error: requestError } = await supabase
+            .from('teacher_batch_requests')
+            .select('*, batch:batches(batch_name, created_by)')
+            .eq('id', id)
+            .single();
+
+        if (requestError || !request) {
+            return res.status(404).json({ success: false, error: 'Cover request not found.' });
+        }
+
+        if (!isAcademic) {
+            const teacherId = await getTeacherIdForUser(req.user.id);
+            if (!teacherId || request.teacher_id !== teacherId) {
+                return res.status(403).json({ success: false, error: 'You can only cancel your own cover requests.' });
+            }
+        }
+
+        if (!ACTIVE_STATUSES.includes(request.status) || request.date_to < today()) {
+            return res.status(409).json({ success: false, error: 'Only pending or current cover can be cancelled.' });
+        }
+
+        const { data: cancelled, error: updateError } = await supabase
+            .from('teacher_batch_requests')
+            .update({ status: 'CANCELLED', cancelled_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .in('status', ACTIVE_STATUSES)
+            .select()
+            .maybeSingle();
+
+        if (updateError) {
+            console.error('Error cancelling cover request:', updateError);
+            return res.status(400).json({ success: false, error: updateError.message });
+        }
+        if (!cancelled) {
+            return res.status(409).json({ success: false, error: 'Cover request was already closed.' });
+        }
+
+        await notify('SUBSTITUTE_CANCELLED', { batchName: request.batch?.batch_name, window: windowText(request) }, {
+            teachers: [request.teacher_id, request.sub_teacher_id],
+            ...(!isAcademic && { academicsFor: request.batch?.created_by })
+        }, { relatedId: id });
+
+        res.json({ success: true, message: 'Cover request cancelled.', data: cancelled });
+    } catch (error) {
+        console.error('Server error in cancelSubstituteRequest:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+module.exports = {
+    createSubstituteRequest,
+    getMySubstituteRequests,
+    getSubstituteRequests,
+    approveSubstituteRequest,
+    rejectSubstituteRequest,
+    cancelSubstituteRequest
+};
@@ -15,6 +15,16 @@ const readingRoutes = require("./routes/readingRoutes.js");
 const writingRoutes = require("./routes/writingRoutes.js");
 const certificateRoutes = require("./routes/certificateRoutes.js");
 const assessmentRoutes = require("./routes/assessmentRoutes.js");
+const authRoutes = require("./routes/authRoutes.js");
+const auditRoutes = require("./routes/auditRoutes.js");
+const leaveRoutes = require("./routes/leaveRoutes.js");
+const calendarRoutes = require("./routes/calendarRoutes.js");
+const substituteRoutes = require("./routes/substituteRoutes.js");
+const onboardingRoutes = require("./routes/onboardingRoutes.js");
+const emailRoutes = require("./routes/emailRoutes.js");
+const notificationRoutes = require("./routes/notificationRoutes.js");
+const { startOutboxWorker } = require("./utils/emailOutbox.js");
+const { startDigestWorker } = require("./utils/notificationDigest.js");
 
 dotenv.config();
 
@@ -24,6 +34,7 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+app.use("/api/auth", authRoutes);
 app.use("/api/batches", batchRoutes);
 app.use("/api/notes", notesRoutes);
 app.use("/api/gmeets", gmeetRoutes);
@@ -37,6 +48,13 @@ app.use("/api/reading", readingRoutes);
 app.use("/api/writing", writingRoutes);
 app.use("/api/certificates", certificateRoutes);
 app.use("/api/assessment", assessmentRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/leave", leaveRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/substitutes", substituteRoutes);
+app.use("/api/onboarding", onboardingRoutes);
+app.use("/api/emails", emailRoutes);
+app.use("/api/notifications", notificationRoutes);
 
 // Student-specific routes
 app.use("/api/classes", require("./routes/studentClassRoutes.js"));
@@ -44,4 +62,8 @@ app.use("/api/classes", require("./routes/studentClassRoutes.js"));
 const PORT = process.env.PORT || 3005;
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
+    // Retries emails whose first attempt failed
+    startOutboxWorker();
+    // Sends each teacher's daily digest
+    startDigestWorker();
 });
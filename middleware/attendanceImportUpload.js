@@ -0,0 +1,48 @@
+const multer = require("multer");
+
+// Configure multer to store files in memory (the CSV is parsed, not stored)
+const storage = multer.memoryStorage();
+
+// File filter for attendance imports (CSV only)
+const fileFilter = (req, file, cb) => {
+    const allowedTypes = [
+        'text/csv',
+        'application/csv',
+        'application/vnd.ms-excel', // Browsers on Windows report .csv files as this
+        'text/plain'
+    ];
+
+    if (allowedTypes.includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.csv')) {
+        cb(null, true);
+    } else {
+        cb(new Error('Invalid file type. Only CSV files are allowed.'), false);
+    }
+};
+
+const upload = multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+        fileSize: 2 * 1024 * 1024, // 2MB limit
+    }
+});
+
+// Accept a single "file" field for multipart requests; JSON requests may send
+// the CSV text as `csv` in the body instead
+const attendanceImportUpload = (req, res, next) => {
+    const contentType = req.headers['content-type'] || '';
+
+    if (!contentType.includes('multipart/form-data')) {
+        return next();
+    }
+
+    return upload.single('file')(req, res, (err) => {
+        if (err) {
+            console.error('Multer error in attendanceImportUpload:', err);
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        next();
+    });
+};
+
+module.exports = attendanceImportUpload;
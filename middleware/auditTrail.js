@@ -0,0 +1,84 @@
+const supabase = require("../config/supabase.js");
+const { recordAuditEvent } = require("../utils/auditLogger.js");
+
+// Load the current state of the audited entity (single row, or rows for id arrays / many)
+const loadSnapshot = async (snapshot, req, entityId) => {
+    if (!snapshot || entityId === null || entityId === undefined) return null;
+
+    const table = typeof snapshot.table === 'function' ? snapshot.table(req) : snapshot.table;
+    const column = snapshot.column || 'id';
+    if (!table) return null;
+
+    let query = supabase.from(table).select('*');
+    query = Array.isArray(entityId) ? query.in(column, entityId) : query.eq(column, entityId);
+
+    const { data, error } = await query;
+    if (error) {
+        console.error(`❌ Error loading audit snapshot from ${table}:`, error);
+        return null;
+    }
+
+    if (Array.isArray(entityId) || snapshot.many) return data;
+    return data[0] || null;
+};
+
+/**
+ * Express middleware that records an audit_events row once a state-changing
+ * request has succeeded (2xx/3xx).
+ *
+ * @param {object} options
+ * @param {string} options.action       e.g. 'BATCH_APPROVED'
+ * @param {string} options.entityType   e.g. 'batch'
+ * @param {Function} [options.entityId] (req) => id, or an array of ids for bulk actions
+ * @param {Function} [options.responseId] (responseBody) => id, for creations where the id is only known afterwards
+ * @param {object} [options.snapshot]   { table, column = 'id', many = false } used to capture before/after state
+ * @param {Function} [options.skip]     (req) => true for requests that do not change state (e.g. dry runs)
+ */
+const auditAction = ({ action, entityType, entityId = null, responseId = null, snapshot = null, skip = null }) => {
+    return async (req, res, next) => {
+        if (skip && skip(req)) return next();
+
+        let id = null;
+        let before = null;
+
+        try {
+            id = entityId ? entityId(req) : null;
+            before = await loadSnapshot(snapshot, req, id);
+        } catch (error) {
+            console.error(`❌ Error preparing audit event ${action}:`, error);
+        }
+
+        // Keep a reference to the response body so creations can report their new id
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            res.locals.auditResponseBody = body;
+            return originalJson(body);
+        };
+
+        res.on('finish', () => {
+            if (res.statusCode >= 400) return;
+
+            (async () => {
+                const resolvedId = id ?? (responseId ? responseId(res.locals.auditResponseBody) : null);
+                const after = req.method === 'DELETE'
+                    ? null
+                    : await loadSnapshot(snapshot, req, resolvedId);
+
+                await recordAuditEvent({
+                    req,
+                    action,
+                    entityType,
+                    entityId: resolvedId,
+                    before,
+                    after,
+                    diffKey: snapshot?.diffKey || snapshot?.column || 'id',
+                    statusCode: res.statusCode
+                });
+            })().catch(error => console.error(`❌ Error recording audit event ${action}:`, error));
+        });
+
+        next();
+    };
+};
+
+module.exports = { auditAction };
@@ -0,0 +1,98 @@
+const supabase = require("../config/supabase.js");
+const { checkBatchAccess } = require("../utils/batchPolicy.js");
+
+// Pick the first value found at req[source][key] for the given sources
+const pick = (req, key, sources) => {
+    for (const source of sources) {
+        const value = req[source]?.[key];
+        if (value) return value;
+    }
+    return null;
+};
+
+// Batch id taken straight from the request (params, body or query)
+const batchIdFrom = (key, sources = ['params', 'body', 'query']) => async (req) => ({
+    batchId: pick(req, key, sources)
+});
+
+// Batch id looked up from a batch-owned row, e.g. a gmeet or an LSRW attempt.
+// `dateColumn` (optional) is used as the date for substitute-window checks.
+const batchIdFromRecord = (table, idColumn, key, { sources = ['params', 'body'], batchColumn = 'batch_id', dateColumn = null } = {}) => async (req) => {
+    const id = pick(req, key, sources);
+    if (!id) return { batchId: null };
+
+    const columns = dateColumn ? `${batchColumn}, ${dateColumn}` : batchColumn;
+    const { data, error } = await supabase
+        .from(table)
+        .select(columns)
+        .eq(idColumn, id)
+        .single();
+
+    if (error || !data) return { batchId: null, notFound: true };
+
+    return { batchId: data[batchColumn], date: dateColumn ? data[dateColumn] : undefined };
+};
+
+// Attendance records belong to a session, which belongs to the batch
+const batchIdFromAttendanceRecord = (key = 'id') => async (req) => {
+    const id = pick(req, key, ['params']);
+    if (!id) return { batchId: null };
+
+    const { data, error } = await supabase
+        .from('attendance_records')
+        .select('attendance_sessions!inner(batch_id, session_date)')
+        .eq('id', id)
+        .single();
+
+    if (error || !data) return { batchId: null, notFound: true };
+
+    return {
+        batchId: data.attendance_sessions.batch_id,
+        date: data.attendance_sessions.session_date
+    };
+};
+
+/**
+ * Express middleware enforcing the batch policy (see utils/batchPolicy.js).
+ * `resolve(req)` returns `{ batchId, date?, notFound? }`; the date is used for
+ * substitute-window checks and defaults to today. Only routes that create a
+ * session for a date pass `sessionDateKey`, the body field holding that date;
+ * elsewhere a client-supplied date is ignored, so it cannot reopen an expired
+ * substitute window.
+ */
+const authorizeBatch = (resolve, { sessionDateKey = null } = {}) => {
+    return async (req, res, next) => {
+        try {
+            const { batchId, date, notFound } = await resolve(req);
+
+            if (notFound) {
+                return res.status(404).json({ success: false, error: 'Resource not found.' });
+            }
+
+            if (!batchId) {
+                return res.status(400).json({ success: false, error: 'Batch ID is required.' });
+            }
+
+            const access = await checkBatchAccess(req.user, batchId, {
+                date: date || (sessionDateKey ? req.body?.[sessionDateKey] : null)
+            });
+
+            if (!access.allowed) {
+                return res.status(access.status).json({ success: false, error: access.reason });
+            }
+
+            req.authorizedBatchId = batchId;
+            next();
+        } catch (error) {
+            console.error('❌ Error in batch authorization:', error);
+            res.status(500).json({ success: false, error: 'Failed to verify batch access.' });
+        }
+    };
+};
+
+module.exports = {
+    authorizeBatch,
+    batchIdFrom,
+    batchIdFromRecord,
+    batchIdFromAttendanceRecord
+};
@@ -0,0 +1,47 @@
+const multer = require("multer");
+
+// Configure multer to store files in memory (for Supabase upload)
+const storage = multer.memoryStorage();
+
+// File filter for leave request documents (PDF or image)
+const fileFilter = (req, file, cb) => {
+    const allowedTypes = [
+        'application/pdf',
+        'image/jpeg',
+        'image/png',
+        'image/webp'
+    ];
+
+    if (allowedTypes.includes(file.mimetype)) {
+        cb(null, true);
+    } else {
+        cb(new Error('Invalid file type. Only PDF, JPG, PNG or WEBP files are allowed.'), false);
+    }
+};
+
+const upload = multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+    }
+});
+
+// Optional single "document" field; JSON requests pass straight through
+const leaveDocumentUpload = (req, res, next) => {
+    const contentType = req.headers['content-type'] || '';
+
+    if (!contentType.includes('multipart/form-data')) {
+        return next();
+    }
+
+    return upload.single('document')(req, res, (err) => {
+        if (err) {
+            console.error('Multer error in leaveDocumentUpload:', err);
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        next();
+    });
+};
+
+module.exports = leaveDocumentUpload;
@@ -0,0 +1,45 @@
+const { resolveStudentId, isStudentEnrolledInBatch } = require("../utils/studentAccess.js");
+
+// Derive the student from the verified token and expose it as req.student.
+// Student-facing controllers must use req.student.student_id and never an id
+// supplied in the body, query string or URL.
+const resolveStudent = async (req, res, next) => {
+    try {
+        const studentId = await resolveStudentId(req.user);
+        if (!studentId) {
+            return res.status(403).json({ error: "Access Denied. Student record not found." });
+        }
+
+        req.student = { student_id: studentId };
+        next();
+    } catch (error) {
+        console.error('❌ Error resolving student identity:', error);
+        res.status(500).json({ error: "Failed to verify student identity" });
+    }
+};
+
+// Require an active enrollment in the batch (or its merge group).
+// `resolve(req)` returns `{ batchId }`, see middleware/batchAuthorization.js.
+// Must run after resolveStudent.
+const requireStudentEnrollment = (resolve) => {
+    return async (req, res, next) => {
+        try {
+            const { batchId } = await resolve(req);
+            if (!batchId) {
+                return res.status(400).json({ error: "Batch ID is required." });
+            }
+
+            const isEnrolled = await isStudentEnrolledInBatch(req.student?.student_id, batchId);
+            if (!isEnrolled) {
+                return res.status(403).json({ error: "Access Denied. You are not enrolled in this batch." });
+            }
+
+            next();
+        } catch (error) {
+            console.error('❌ Error checking student enrollment:', error);
+            res.status(500).json({ error: "Failed to verify enrollment" });
+        }
+    };
+};
+
+module.exports = { resolveStudent, requireStudentEnrollment };
@@ -0,0 +1,52 @@
+-- Migration: Add batch_code to batches with an atomic allocator
+-- Purpose: Batch numbers came from the text-ordered maximum of batch_name, which
+--          races between coordinators and sorts B1000 before B999. Numbers now
+--          come from a sequence and the code (B118) is stored apart from the
+--          display name (B118-FRENCH A1-09:00AM-10:00AM)
+-- Date: October 2026
+
+ALTER TABLE public.batches ADD COLUMN IF NOT EXISTS batch_number INTEGER;
+ALTER TABLE public.batches ADD COLUMN IF NOT EXISTS batch_code TEXT;
+
+-- Backfill from existing names
+UPDATE public.batches
+SET batch_number = substring(batch_name FROM '^B(\d+)')::INTEGER,
+    batch_code = 'B' || substring(batch_name FROM '^B(\d+)')
+WHERE batch_code IS NULL
+  AND batch_name ~ '^B\d+';
+
+-- Numbering continues after the highest existing batch (B118 is the first ever issued)
+CREATE SEQUENCE IF NOT EXISTS public.batch_number_seq START WITH 118;
+
+SELECT setval(
+    'public.batch_number_seq',
+    GREATEST((SELECT COALESCE(MAX(batch_number), 117) FROM public.batches), 117)
+);
+
+CREATE OR REPLACE FUNCTION next_batch_number()
+RETURNS INTEGER AS $$
+    SELECT nextval('public.batch_number_seq')::INTEGER;
+$$ LANGUAGE sql;
+
+-- The old allocator could hand out the same number twice; only enforce
+-- uniqueness once any such duplicates have been renumbered
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT batch_code FROM public.batches
+        WHERE batch_code IS NOT NULL
+        GROUP BY batch_code HAVING COUNT(*) > 1
+    ) THEN
+        RAISE NOTICE 'Duplicate batch codes found; unique index idx_batches_batch_code not created';
+    ELSE
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_batches_batch_code
+            ON public.batches(batch_code) WHERE batch_code IS NOT NULL;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_batches_batch_number ON public.batches(batch_number);
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.batches.batch_number IS 'Number allocated by next_batch_number(); sort batches by this, not by name';
+COMMENT ON COLUMN public.batches.batch_code IS 'Stable batch code (B118); batch_name is the display name rebuilt from it';
+COMMENT ON FUNCTION next_batch_number() IS 'Allocates the next batch number atomically';
@@ -0,0 +1,21 @@
+-- Migration: Add Room Capacity to Centers
+-- Purpose: Let scheduling conflict detection know how many batches a center can
+--          host at the same time
+-- Date: October 2026
+
+-- NULL means the center has no limit
+ALTER TABLE public.centers
+ADD COLUMN IF NOT EXISTS room_capacity INTEGER CHECK (room_capacity IS NULL OR room_capacity > 0);
+
+-- Conflict lookups filter batches by teacher / assistant tutor / center and status
+CREATE INDEX IF NOT EXISTS idx_batches_teacher_status
+ON public.batches(teacher, status);
+
+CREATE INDEX IF NOT EXISTS idx_batches_assistant_tutor_status
+ON public.batches(assistant_tutor, status);
+
+CREATE INDEX IF NOT EXISTS idx_batches_center_status
+ON public.batches(center, status);
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.centers.room_capacity IS 'Number of batches the center can run at the same time. NULL = unlimited.';
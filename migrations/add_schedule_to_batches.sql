@@ -0,0 +1,31 @@
+-- Migration: Add Recurring Class Schedule to Batches
+-- Purpose: Store the weekly schedule on the batch so dated gmeet sessions can be
+--          generated (and regenerated) for all total_sessions
+-- Date: October 2026
+
+-- Weekdays the batch meets on, as three-letter codes ('mon', 'tue', ...)
+ALTER TABLE public.batches
+ADD COLUMN IF NOT EXISTS schedule_days TEXT[];
+
+ALTER TABLE public.batches
+ADD COLUMN IF NOT EXISTS schedule_start_date DATE;
+
+-- Extra dates to skip on top of holiday academic_events
+ALTER TABLE public.batches
+ADD COLUMN IF NOT EXISTS schedule_skip_dates DATE[] DEFAULT '{}';
+
+ALTER TABLE public.batches
+ADD COLUMN IF NOT EXISTS schedule_updated_at TIMESTAMP WITH TIME ZONE;
+
+-- Sessions created by the schedule generator
+ALTER TABLE public.gmeets
+ADD COLUMN IF NOT EXISTS is_generated BOOLEAN DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_gmeets_batch_date
+ON public.gmeets(batch_id, date);
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.batches.schedule_days IS 'Weekdays the batch meets on (mon, tue, wed, thu, fri, sat, sun). Class times are time_from/time_to.';
+COMMENT ON COLUMN public.batches.schedule_start_date IS 'First date sessions may be scheduled on.';
+COMMENT ON COLUMN public.batches.schedule_skip_dates IS 'Dates with no class in addition to holiday academic_events.';
+COMMENT ON COLUMN public.gmeets.is_generated IS 'True when the session date was set by the batch schedule generator.';
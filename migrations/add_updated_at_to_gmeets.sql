@@ -0,0 +1,26 @@
+-- Migration: Add updated_at to GMeets
+-- Purpose: Calendar feeds need to know when a session last changed, so that
+--          LAST-MODIFIED and SEQUENCE are emitted and DTSTAMP stays stable
+--          between fetches. A trigger keeps the column current on every update
+-- Date: October 2026
+
+ALTER TABLE public.gmeets
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Keep updated_at current on every change
+CREATE OR REPLACE FUNCTION update_gmeets_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_gmeets_updated_at ON public.gmeets;
+CREATE TRIGGER trigger_update_gmeets_updated_at
+    BEFORE UPDATE ON public.gmeets
+    FOR EACH ROW
+    EXECUTE FUNCTION update_gmeets_updated_at();
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.gmeets.updated_at IS 'Last change to the session; drives LAST-MODIFIED and SEQUENCE in calendar feeds';
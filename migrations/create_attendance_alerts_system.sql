@@ -0,0 +1,51 @@
+-- Migration: Create Low-Attendance Alert System
+-- Purpose: Configurable attendance thresholds and de-duplicated early-warning alerts
+-- Date: October 2026
+
+-- ==============================================
+-- 1. ALERT RULES (configurable thresholds)
+-- ==============================================
+
+CREATE TABLE IF NOT EXISTS public.attendance_alert_rules (
+    rule_type TEXT PRIMARY KEY CHECK (rule_type IN ('LOW_ATTENDANCE', 'CONSECUTIVE_ABSENCES')),
+    threshold NUMERIC NOT NULL CHECK (threshold > 0),
+    min_sessions INTEGER NOT NULL DEFAULT 0 CHECK (min_sessions >= 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_by UUID,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE public.attendance_alert_rules IS 'Thresholds evaluated after attendance is marked';
+COMMENT ON COLUMN public.attendance_alert_rules.threshold IS 'LOW_ATTENDANCE: minimum attendance percentage. CONSECUTIVE_ABSENCES: number of absences in a row';
+COMMENT ON COLUMN public.attendance_alert_rules.min_sessions IS 'Sessions a student must have before the rule applies';
+
+-- Default rules: below 75% after 4 sessions, or 3 absences in a row
+INSERT INTO public.attendance_alert_rules (rule_type, threshold, min_sessions)
+VALUES ('LOW_ATTENDANCE', 75, 4), ('CONSECUTIVE_ABSENCES', 3, 0)
+ON CONFLICT (rule_type) DO NOTHING;
+
+-- ==============================================
+-- 2. ALERTS (de-duplication state)
+-- ==============================================
+
+CREATE TABLE IF NOT EXISTS public.attendance_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    student_id UUID NOT NULL REFERENCES public.students(student_id) ON DELETE CASCADE,
+    batch_id UUID NOT NULL REFERENCES public.batches(batch_id) ON DELETE CASCADE,
+    rule_type TEXT NOT NULL,
+    threshold NUMERIC NOT NULL,
+    value NUMERIC,
+    triggered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Only one open alert per student, batch and rule: an alert is raised again
+-- only after the student has recovered and the previous one was resolved
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_alerts_open
+    ON public.attendance_alerts(student_id, batch_id, rule_type)
+    WHERE resolved_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_attendance_alerts_batch ON public.attendance_alerts(batch_id);
+
+COMMENT ON TABLE public.attendance_alerts IS 'Low-attendance alerts raised per student and batch; resolved_at is set once the student recovers';
+COMMENT ON COLUMN public.attendance_alerts.value IS 'Attendance percentage or absence streak when the alert was raised';
@@ -0,0 +1,33 @@
+-- Migration: Create Attendance Self Check-In
+-- Purpose: Teachers open a time-boxed check-in window on an attendance session;
+--          students check in with a rotating code and are marked present or late
+-- Date: October 2026
+
+CREATE TABLE IF NOT EXISTS public.attendance_checkin_windows (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES public.attendance_sessions(id) ON DELETE CASCADE,
+    opened_by UUID REFERENCES public.users(id),
+    opened_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    closes_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    closed_at TIMESTAMP WITH TIME ZONE,
+
+    -- Rotating code settings
+    secret TEXT NOT NULL,
+    rotation_seconds INTEGER NOT NULL DEFAULT 30 CHECK (rotation_seconds BETWEEN 10 AND 600),
+
+    -- Minutes after the batch's time_from during which a check-in still counts as present
+    grace_minutes INTEGER NOT NULL DEFAULT 10 CHECK (grace_minutes >= 0)
+);
+
+-- Only one open window per session
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_checkin_windows_open
+ON public.attendance_checkin_windows(session_id)
+WHERE closed_at IS NULL;
+
+-- When and how a record was self-marked (NULL when marked by the teacher)
+ALTER TABLE public.attendance_records
+ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON TABLE public.attendance_checkin_windows IS 'Time-boxed self check-in windows opened by teachers on attendance sessions';
+COMMENT ON COLUMN public.attendance_checkin_windows.secret IS 'Per-window secret the rotating check-in codes are derived from';
+COMMENT ON COLUMN public.attendance_records.checked_in_at IS 'When the student checked in themselves';
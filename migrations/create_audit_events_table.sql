@@ -0,0 +1,41 @@
+-- Migration: Create audit_events table
+-- Purpose: Record who changed what for every state-changing academic action
+--          (batch approvals, marks, attendance edits, certificates, LSRW changes)
+-- Date: October 2026
+
+CREATE TABLE IF NOT EXISTS public.audit_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- Actor (users.id for staff, students.student_id for students)
+    actor_id UUID,
+    actor_role TEXT,
+    actor_name TEXT,
+
+    -- What happened
+    action TEXT NOT NULL,         -- e.g. 'BATCH_APPROVED', 'ASSESSMENT_MARKS_SAVED'
+    entity_type TEXT NOT NULL,    -- e.g. 'batch', 'attendance_record', 'certificate'
+    entity_id TEXT,               -- NULL for bulk actions (ids are in request_metadata.entity_ids)
+
+    -- State of the entity before and after, plus the changed fields
+    before_state JSONB,
+    after_state JSONB,
+    diff JSONB,
+
+    -- method, path, status_code, ip, user_agent, params, query, sanitized body
+    request_metadata JSONB,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for the filters exposed by GET /api/audit
+CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON public.audit_events(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor_id ON public.audit_events(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_action ON public.audit_events(action);
+CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON public.audit_events(entity_type, entity_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.audit_events IS 'Append-only audit trail of state-changing academic actions';
+COMMENT ON COLUMN public.audit_events.action IS 'Action name, e.g. BATCH_APPROVED, ATTENDANCE_RECORD_UPDATED';
+COMMENT ON COLUMN public.audit_events.entity_type IS 'Kind of entity the action applied to';
+COMMENT ON COLUMN public.audit_events.diff IS 'Changed fields as { field: { before, after } }';
+COMMENT ON COLUMN public.audit_events.request_metadata IS 'Request details (method, path, ip, user agent, sanitized body)';
@@ -0,0 +1,82 @@
+-- Migration: Enforce batch capacity and add a per-batch waitlist
+-- Purpose: batches.max_students becomes a hard limit on active enrollments.
+--          Students who do not fit wait in an ordered queue and are promoted
+--          automatically when a seat frees up
+-- Date: October 2026
+
+CREATE TABLE IF NOT EXISTS public.batch_waitlist (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    batch_id UUID NOT NULL REFERENCES public.batches(batch_id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES public.students(student_id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'WAITING' CHECK (status IN ('WAITING', 'PROMOTED', 'CANCELLED')),
+    notes TEXT,
+    added_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    promoted_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE
+);
+
+-- A student waits at most once per batch
+CREATE UNIQUE INDEX IF NOT EXISTS idx_batch_waitlist_waiting_student
+    ON public.batch_waitlist(batch_id, student_id) WHERE status = 'WAITING';
+CREATE INDEX IF NOT EXISTS idx_batch_waitlist_batch_position ON public.batch_waitlist(batch_id, status, position);
+CREATE INDEX IF NOT EXISTS idx_batch_waitlist_student ON public.batch_waitlist(student_id);
+CREATE INDEX IF NOT EXISTS idx_enrollment_batch_status ON public.enrollment(batch, status);
+
+-- Reject an active enrollment that would take a batch past max_students.
+-- The batch row is locked so two enrollments cannot both take the last seat.
+CREATE OR REPLACE FUNCTION enforce_batch_capacity()
+RETURNS TRIGGER AS $$
+DECLARE
+    capacity INTEGER;
+    enrolled INTEGER;
+BEGIN
+    IF NEW.batch IS NULL OR NEW.status IS NOT TRUE THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND OLD.batch IS NOT DISTINCT FROM NEW.batch AND OLD.status IS TRUE THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT max_students INTO capacity FROM public.batches WHERE batch_id = NEW.batch FOR UPDATE;
+
+    IF capacity IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT COUNT(*) INTO enrolled
+    FROM public.enrollment
+    WHERE batch = NEW.batch AND status IS TRUE AND enrollment_id <> NEW.enrollment_id;
+
+    IF enrolled >= capacity THEN
+        RAISE EXCEPTION 'BATCH_FULL: batch % has % of % seats taken', NEW.batch, enrolled, capacity
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_enforce_batch_capacity ON public.enrollment;
+CREATE TRIGGER trigger_enforce_batch_capacity
+    BEFORE INSERT OR UPDATE OF batch, status ON public.enrollment
+    FOR EACH ROW
+    EXECUTE FUNCTION enforce_batch_capacity();
+
+-- Active enrollments and waiting students of many batches in one grouped query
+CREATE OR REPLACE FUNCTION batch_occupancy_counts(p_batch_ids UUID[])
+RETURNS TABLE (batch_id UUID, enrolled BIGINT, waiting BIGINT) AS $$
+    SELECT b.id,
+           (SELECT COUNT(*) FROM public.enrollment e WHERE e.batch = b.id AND e.status IS TRUE),
+           (SELECT COUNT(*) FROM public.batch_waitlist w WHERE w.batch_id = b.id AND w.status = 'WAITING')
+    FROM unnest(p_batch_ids) AS b(id);
+$$ LANGUAGE sql STABLE;
+
+-- Add comments for documentation
+COMMENT ON TABLE public.batch_waitlist IS 'Students waiting for a seat in a full batch, promoted in position order';
+COMMENT ON COLUMN public.batch_waitlist.position IS 'Queue order within the batch; lowest is promoted first';
+COMMENT ON COLUMN public.batch_waitlist.status IS 'WAITING, PROMOTED (now enrolled) or CANCELLED';
+COMMENT ON FUNCTION enforce_batch_capacity() IS 'Blocks active enrollments beyond batches.max_students (raises BATCH_FULL)';
+COMMENT ON FUNCTION batch_occupancy_counts(UUID[]) IS 'Active enrollments and WAITING waitlist entries per batch, for capacity figures';
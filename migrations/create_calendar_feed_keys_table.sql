@@ -0,0 +1,19 @@
+-- Migration: Create calendar_feed_keys table
+-- Purpose: Per-user secret mixed into the signature of ICS feed URLs, so a
+--          user can invalidate leaked calendar links by rotating it
+-- Date: October 2026
+
+CREATE TABLE IF NOT EXISTS public.calendar_feed_keys (
+    subject_id UUID NOT NULL,
+    role TEXT NOT NULL,
+    feed_key TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    rotated_at TIMESTAMP WITH TIME ZONE,
+
+    PRIMARY KEY (subject_id, role)
+);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.calendar_feed_keys IS 'Feed signing keys for subscribable ICS calendar URLs';
+COMMENT ON COLUMN public.calendar_feed_keys.subject_id IS 'users.id, or students.student_id for students';
+COMMENT ON COLUMN public.calendar_feed_keys.feed_key IS 'Random key; rotating it invalidates every feed URL issued to the user';
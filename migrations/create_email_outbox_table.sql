@@ -0,0 +1,53 @@
+-- Migration: Email outbox
+-- Purpose: Emails are no longer sent inline with failures only logged. Every
+--          email is rendered from a template and persisted here first, then
+--          delivered by the configured transport. Failed deliveries are retried
+--          with backoff until max_attempts, after which an admin can inspect
+--          and retry them
+-- Date: October 2026
+
+CREATE TABLE IF NOT EXISTS public.email_outbox (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    template TEXT NOT NULL,
+    to_address TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    html TEXT,
+    text TEXT,
+    status TEXT NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    locked_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    transport TEXT,
+    provider_message_id TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    related_type TEXT,
+    related_id TEXT,
+    created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'email_outbox_status_check'
+    ) THEN
+        ALTER TABLE public.email_outbox
+        ADD CONSTRAINT email_outbox_status_check
+        CHECK (status IN ('queued', 'sending', 'sent', 'failed'));
+    END IF;
+END $$;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON public.email_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_created ON public.email_outbox(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_related ON public.email_outbox(related_type, related_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.email_outbox IS 'Every outgoing email, persisted before delivery and retried on failure';
+COMMENT ON COLUMN public.email_outbox.status IS 'queued (waiting or retrying), sending (claimed by a worker), sent, or failed (attempts exhausted)';
+COMMENT ON COLUMN public.email_outbox.html IS 'Rendered body; cleared once sent, and for setup-link emails also once failed, because it can carry single-use links';
+COMMENT ON COLUMN public.email_outbox.locked_at IS 'When a worker claimed the row; stale claims are picked up again';
+COMMENT ON COLUMN public.email_outbox.related_id IS 'Id of the record the email is about, e.g. the student for a setup link';
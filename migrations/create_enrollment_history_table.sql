@@ -0,0 +1,35 @@
+-- Migration: Create enrollment_history table for batch transfers
+-- Purpose: Moving a student to another batch keeps a record of where they came
+--          from, why, who moved them and what happened to their LSRW progress
+-- Date: October 2026
+
+CREATE TABLE IF NOT EXISTS public.enrollment_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    student_id UUID NOT NULL REFERENCES public.students(student_id) ON DELETE CASCADE,
+    enrollment_id UUID,
+    from_batch_id UUID REFERENCES public.batches(batch_id) ON DELETE SET NULL,
+    to_batch_id UUID REFERENCES public.batches(batch_id) ON DELETE SET NULL,
+    reason TEXT,
+    lsrw_mode TEXT NOT NULL DEFAULT 'carry_over' CHECK (lsrw_mode IN ('carry_over', 'archive')),
+    lsrw_summary JSONB DEFAULT '{}'::jsonb, -- {listening: {moved, kept}, reading: ..., ...}
+    from_sessions_completed INTEGER, -- Completed sessions of the old batch at transfer time
+    to_sessions_completed INTEGER, -- Completed sessions of the new batch at transfer time
+    transferred_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    transferred_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Set when carrying over LSRW progress failed; the transfer itself stands
+ALTER TABLE public.enrollment_history ADD COLUMN IF NOT EXISTS lsrw_error TEXT;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_enrollment_history_student ON public.enrollment_history(student_id, transferred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_enrollment_history_from_batch ON public.enrollment_history(from_batch_id);
+CREATE INDEX IF NOT EXISTS idx_enrollment_history_to_batch ON public.enrollment_history(to_batch_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.enrollment_history IS 'One row per batch transfer of a student';
+COMMENT ON COLUMN public.enrollment_history.lsrw_mode IS 'carry_over: LSRW answers moved to the new batch; archive: left under the old batch';
+COMMENT ON COLUMN public.enrollment_history.lsrw_summary IS 'Per-module counts of LSRW rows moved and kept under the old batch';
+COMMENT ON COLUMN public.enrollment_history.lsrw_error IS 'Error of a failed LSRW carry-over; the answers then stay under the old batch';
+COMMENT ON COLUMN public.enrollment_history.from_sessions_completed IS 'Completed sessions of the old batch when the student left, for prorating';
+COMMENT ON COLUMN public.enrollment_history.to_sessions_completed IS 'Completed sessions of the new batch when the student joined, for prorating';
@@ -0,0 +1,44 @@
+-- Migration: Create leave_requests table for Student → Teacher / Academic Coordinator workflow
+-- Purpose: Students request leave for a date range; approval marks matching attendance as excused
+-- Date: October 2026
+
+CREATE TABLE IF NOT EXISTS leave_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    student_id UUID NOT NULL REFERENCES students(student_id) ON DELETE CASCADE,
+    batch_id UUID NOT NULL REFERENCES batches(batch_id) ON DELETE CASCADE,
+
+    -- Request Details
+    date_from DATE NOT NULL,
+    date_to DATE NOT NULL,
+    reason TEXT NOT NULL,
+    document_path TEXT, -- Path in the private leave_documents storage bucket
+    document_name TEXT,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+
+    -- Review (batch teacher or academic coordinator)
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    review_notes TEXT,
+    records_excused INTEGER DEFAULT 0,
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    CHECK (date_to >= date_from)
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_leave_requests_student_id ON leave_requests(student_id);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_batch_status ON leave_requests(batch_id, status);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_dates ON leave_requests(date_from, date_to);
+
+-- Private bucket for supporting documents (medical certificates etc.)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('leave_documents', 'leave_documents', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Add comments for documentation
+COMMENT ON TABLE leave_requests IS 'Student leave requests; approved requests mark attendance in the date range as excused';
+COMMENT ON COLUMN leave_requests.status IS 'pending, approved, rejected, or cancelled (by the student while pending)';
+COMMENT ON COLUMN leave_requests.records_excused IS 'Attendance records marked excused when the request was approved';
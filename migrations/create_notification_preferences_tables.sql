@@ -0,0 +1,71 @@
+-- Migration: Notification preferences and daily digests
+-- Purpose: Staff choose per notification type how it reaches them: in-app,
+--          in-app and email, held for the daily digest, or off. A daily job
+--          sends each teacher a digest of today's classes, LSRW work awaiting
+--          feedback, classes without an attendance session, and any held
+--          notifications
+-- Date: October 2026
+
+CREATE TABLE IF NOT EXISTS public.notification_preferences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    notification_type TEXT NOT NULL,
+    channel TEXT NOT NULL DEFAULT 'in_app',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- One choice per user and type
+    UNIQUE(user_id, notification_type)
+);
+
+-- Notifications held back for the next digest instead of being stored in-app
+CREATE TABLE IF NOT EXISTS public.notification_digest_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    audience TEXT NOT NULL,
+    notification_type TEXT NOT NULL,
+    message TEXT NOT NULL,
+    related_id TEXT,
+    digested_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One digest per user and day; the row is claimed before the digest is sent
+CREATE TABLE IF NOT EXISTS public.notification_digests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    digest_date DATE NOT NULL,
+    summary JSONB,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(user_id, digest_date)
+);
+
+-- Address for notification and digest emails
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS email TEXT;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'notification_preferences_channel_check'
+    ) THEN
+        ALTER TABLE public.notification_preferences
+        ADD CONSTRAINT notification_preferences_channel_check
+        CHECK (channel IN ('in_app', 'email', 'digest', 'off'));
+    END IF;
+END $$;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_notification_preferences_user ON public.notification_preferences(user_id);
+CREATE INDEX IF NOT EXISTS idx_notification_digest_items_pending ON public.notification_digest_items(user_id, created_at) WHERE digested_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_notification_digests_date ON public.notification_digests(digest_date);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.notification_preferences IS 'How each notification type reaches a user; types without a row use the default (in_app)';
+COMMENT ON COLUMN public.notification_preferences.notification_type IS 'Stored notification type, e.g. BATCH_APPROVED or LOW_ATTENDANCE';
+COMMENT ON COLUMN public.notification_preferences.channel IS 'in_app, email (in-app and email), digest (held for the daily digest) or off';
+COMMENT ON TABLE public.notification_digest_items IS 'Notifications held for the daily digest of users who chose the digest channel';
+COMMENT ON COLUMN public.notification_digest_items.digested_at IS 'Set when the item went out in a digest';
+COMMENT ON TABLE public.notification_digests IS 'Daily digests sent, one per user and day';
+COMMENT ON COLUMN public.notification_digests.summary IS 'Counts of what the digest contained';
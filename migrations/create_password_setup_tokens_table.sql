@@ -0,0 +1,44 @@
+-- Migration: Password-setup links for student onboarding
+-- Purpose: Approved students no longer receive a shared default password by
+--          email. Approval issues a single-use, expiring setup token (only its
+--          SHA-256 hash is stored) and the student chooses their own password
+-- Date: October 2026
+
+CREATE TABLE IF NOT EXISTS public.password_setup_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    student_id UUID NOT NULL REFERENCES public.students(student_id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Onboarding state on the student
+ALTER TABLE public.students ADD COLUMN IF NOT EXISTS onboarding_status TEXT DEFAULT 'PENDING';
+ALTER TABLE public.students ADD COLUMN IF NOT EXISTS setup_link_sent_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.students ADD COLUMN IF NOT EXISTS onboarding_completed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.students ADD COLUMN IF NOT EXISTS password_hash TEXT;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'students_onboarding_status_check'
+    ) THEN
+        ALTER TABLE public.students
+        ADD CONSTRAINT students_onboarding_status_check
+        CHECK (onboarding_status IN ('PENDING', 'INVITED', 'COMPLETED'));
+    END IF;
+END $$;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_password_setup_tokens_student ON public.password_setup_tokens(student_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_students_onboarding_status ON public.students(onboarding_status);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.password_setup_tokens IS 'Single-use password-setup links sent to approved students';
+COMMENT ON COLUMN public.password_setup_tokens.token_hash IS 'SHA-256 of the token in the link; the token itself is never stored';
+COMMENT ON COLUMN public.password_setup_tokens.revoked_at IS 'Set when the link is resent or expired by a coordinator';
+COMMENT ON COLUMN public.students.onboarding_status IS 'PENDING (not approved), INVITED (setup link sent) or COMPLETED (password set)';
+COMMENT ON COLUMN public.students.password_hash IS 'scrypt$<salt>$<hash> (base64) of the password the student chose';
@@ -0,0 +1,68 @@
+-- Migration: Sequential student registration numbers
+-- Purpose: Replace random registration numbers with a counter per scope
+--          (the registration number format with the sequence left out, e.g.
+--          ISMLTACH for Tamil Nadu / Chennai), incremented atomically
+-- Date: October 2026
+
+CREATE TABLE IF NOT EXISTS public.registration_counters (
+    scope TEXT PRIMARY KEY,
+    last_value INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Take the next value of a scope's counter. The upsert locks the counter row,
+-- so concurrent approvals in the same scope never get the same value.
+CREATE OR REPLACE FUNCTION next_registration_sequence(p_scope TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+    next_value INTEGER;
+BEGIN
+    INSERT INTO public.registration_counters (scope, last_value)
+    VALUES (p_scope, 1)
+    ON CONFLICT (scope) DO UPDATE
+        SET last_value = public.registration_counters.last_value + 1,
+            updated_at = NOW()
+    RETURNING last_value INTO next_value;
+
+    RETURN next_value;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Start each counter above the numbers already issued in its scope, so the
+-- first sequential numbers do not run into older random ones (1000-9999).
+-- Scopes follow the default format ISML{STATE}{CENTER}{SEQ:4}: the letters
+-- before the trailing digits, with '#' in place of the sequence.
+INSERT INTO public.registration_counters (scope, last_value)
+SELECT substring(registration_number FROM '^(.*[^0-9])[0-9]+$') || '#',
+       MAX(substring(registration_number FROM '([0-9]+)$')::INTEGER)
+FROM public.students
+WHERE registration_number ~ '^.*[^0-9][0-9]{1,9}$'
+GROUP BY 1
+ON CONFLICT (scope) DO UPDATE
+    SET last_value = GREATEST(public.registration_counters.last_value, EXCLUDED.last_value),
+        updated_at = NOW();
+
+-- Registration numbers must be unique. Older random numbers may already
+-- collide; the migration stops until those students are renumbered.
+DO $$
+DECLARE
+    duplicates TEXT;
+BEGIN
+    SELECT string_agg(registration_number, ', ') INTO duplicates
+    FROM (
+        SELECT registration_number FROM public.students
+        WHERE registration_number IS NOT NULL
+        GROUP BY registration_number HAVING COUNT(*) > 1
+    ) d;
+
+    IF duplicates IS NOT NULL THEN
+        RAISE EXCEPTION 'Duplicate registration numbers found (%); renumber those students and run this migration again', duplicates;
+    END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_students_registration_number
+    ON public.students(registration_number) WHERE registration_number IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE public.registration_counters IS 'Last registration sequence issued per scope (format prefix without the sequence)';
+COMMENT ON FUNCTION next_registration_sequence(TEXT) IS 'Atomically increments and returns the counter of a registration scope';
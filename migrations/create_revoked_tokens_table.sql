@@ -0,0 +1,29 @@
+-- Migration: Create revoked_tokens table
+-- Purpose: Revocation list checked by authMiddleware on every request
+-- Date: October 2026
+
+-- A row with a jti revokes that single token.
+-- A row with a NULL jti revokes every token of user_id issued before revoked_at.
+CREATE TABLE IF NOT EXISTS public.revoked_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    jti TEXT UNIQUE,
+    user_id UUID,
+    reason TEXT,
+    revoked_by UUID,
+    revoked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE,
+
+    CONSTRAINT revoked_tokens_target_check CHECK (jti IS NOT NULL OR user_id IS NOT NULL)
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_revoked_tokens_user_id ON public.revoked_tokens(user_id, revoked_at);
+CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires_at ON public.revoked_tokens(expires_at);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.revoked_tokens IS 'JWT revocation list (logout, rotated refresh tokens, revoked users)';
+COMMENT ON COLUMN public.revoked_tokens.jti IS 'JWT ID of the revoked token; NULL for a user-wide revocation';
+COMMENT ON COLUMN public.revoked_tokens.user_id IS 'User (or student) the token belongs to';
+COMMENT ON COLUMN public.revoked_tokens.reason IS 'Why the token was revoked (logout, rotated, teacher left, ...)';
+COMMENT ON COLUMN public.revoked_tokens.revoked_at IS 'When the revocation was recorded; user-wide rows revoke tokens issued before this time';
+COMMENT ON COLUMN public.revoked_tokens.expires_at IS 'Expiry of the revoked token; rows can be purged after this time';
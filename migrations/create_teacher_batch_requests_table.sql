@@ -0,0 +1,38 @@
+-- Migration: Create teacher_batch_requests table for substitute teacher cover
+-- Purpose: A teacher requests cover for a date range; an academic coordinator
+--          approves and picks the substitute, who can then act on the batch
+--          (gmeets, LSRW, attendance) between date_from and date_to only
+-- Date: October 2026
+
+CREATE TABLE IF NOT EXISTS teacher_batch_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    batch_id UUID NOT NULL REFERENCES batches(batch_id) ON DELETE CASCADE,
+    date_from DATE NOT NULL,
+    date_to DATE NOT NULL,
+    status TEXT DEFAULT 'PENDING',
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    CHECK (date_to >= date_from)
+);
+
+-- The table may predate this workflow; add whatever is missing
+ALTER TABLE teacher_batch_requests ADD COLUMN IF NOT EXISTS teacher_id UUID REFERENCES teachers(teacher_id) ON DELETE CASCADE;
+ALTER TABLE teacher_batch_requests ADD COLUMN IF NOT EXISTS requested_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE teacher_batch_requests ADD COLUMN IF NOT EXISTS reason TEXT;
+ALTER TABLE teacher_batch_requests ADD COLUMN IF NOT EXISTS sub_teacher_id UUID;
+ALTER TABLE teacher_batch_requests ADD COLUMN IF NOT EXISTS approved_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE teacher_batch_requests ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE teacher_batch_requests ADD COLUMN IF NOT EXISTS review_notes TEXT;
+ALTER TABLE teacher_batch_requests ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE teacher_batch_requests ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_teacher_batch_requests_batch_status ON teacher_batch_requests(batch_id, status);
+CREATE INDEX IF NOT EXISTS idx_teacher_batch_requests_sub_teacher ON teacher_batch_requests(sub_teacher_id, status);
+CREATE INDEX IF NOT EXISTS idx_teacher_batch_requests_teacher ON teacher_batch_requests(teacher_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE teacher_batch_requests IS 'Substitute teacher cover requests for a batch and date range';
+COMMENT ON COLUMN teacher_batch_requests.teacher_id IS 'Teacher (teachers.teacher_id) who needs cover';
+COMMENT ON COLUMN teacher_batch_requests.sub_teacher_id IS 'Substitute (teachers.teacher_id) chosen by the academic coordinator';
+COMMENT ON COLUMN teacher_batch_requests.status IS 'PENDING, APPROVED, REJECTED or CANCELLED';
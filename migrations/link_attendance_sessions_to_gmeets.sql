@@ -0,0 +1,51 @@
+-- Migration: Link Attendance Sessions to GMeet Sessions
+-- Purpose: Explicit gmeet_id/session_number link on attendance_sessions, and a
+--          status so a session can be cancelled together with its class
+-- Date: October 2026
+
+ALTER TABLE public.attendance_sessions
+ADD COLUMN IF NOT EXISTS gmeet_id UUID REFERENCES public.gmeets(meet_id) ON DELETE SET NULL;
+
+ALTER TABLE public.attendance_sessions
+ADD COLUMN IF NOT EXISTS session_number INTEGER;
+
+ALTER TABLE public.attendance_sessions
+ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Cancelled'));
+
+ALTER TABLE public.attendance_sessions
+ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+ALTER TABLE public.attendance_sessions
+ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+
+-- A gmeet session has at most one attendance session
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_sessions_gmeet_id
+ON public.attendance_sessions(gmeet_id)
+WHERE gmeet_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_attendance_sessions_status
+ON public.attendance_sessions(batch_id, status);
+
+-- Backfill: link existing sessions to the gmeet held on the same date
+UPDATE public.attendance_sessions s
+SET gmeet_id = g.meet_id,
+    session_number = g.session_number
+FROM public.gmeets g
+WHERE s.gmeet_id IS NULL
+  AND g.batch_id = s.batch_id
+  AND g.date = s.session_date
+  AND NOT EXISTS (
+      SELECT 1 FROM public.attendance_sessions linked WHERE linked.gmeet_id = g.meet_id
+  )
+  AND g.meet_id = (
+      SELECT g2.meet_id FROM public.gmeets g2
+      WHERE g2.batch_id = s.batch_id AND g2.date = s.session_date
+      ORDER BY g2.session_number NULLS LAST
+      LIMIT 1
+  );
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.attendance_sessions.gmeet_id IS 'GMeet session this attendance was taken for';
+COMMENT ON COLUMN public.attendance_sessions.session_number IS 'Session number copied from the linked gmeet';
+COMMENT ON COLUMN public.attendance_sessions.status IS 'Active, or Cancelled when the linked gmeet was cancelled (excluded from reports)';
+COMMENT ON COLUMN public.attendance_sessions.cancellation_reason IS 'Cancellation reason copied from the linked gmeet';
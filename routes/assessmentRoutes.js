@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const authenticate = require('../config/authMiddleware.js');
+const { authorizeBatch, batchIdFrom } = require('../middleware/batchAuthorization.js');
+const { auditAction } = require('../middleware/auditTrail.js');
 const {
   getBatchStudentsWithMarks,
   saveBatchMarks,
@@ -12,19 +14,22 @@ const {
 // Apply authentication middleware to all routes - allow teacher role
 router.use(authenticate(['teacher', 'academic', 'admin', 'manager']));
 
+// Every assessment route is scoped to /batch/:batchId
+const authorizeAssessmentBatch = authorizeBatch(batchIdFrom('batchId', ['params']));
+
 // Get students in a batch with their assessment marks
-router.get('/batch/:batchId/students', getBatchStudentsWithMarks);
+router.get('/batch/:batchId/students', authorizeAssessmentBatch, getBatchStudentsWithMarks);
 
 // Save or update assessment marks for a batch
-router.post('/batch/:batchId/marks', saveBatchMarks);
+router.post('/batch/:batchId/marks', authorizeAssessmentBatch, auditAction({ action: 'ASSESSMENT_MARKS_SAVED', entityType: 'batch', entityId: req => req.params.batchId, snapshot: { table: 'assessment_marks', column: 'batch_id', many: true, diffKey: 'student_id' } }), saveBatchMarks);
 
 // Submit final assessment marks for a batch
-router.post('/batch/:batchId/submit', submitBatchMarks);
+router.post('/batch/:batchId/submit', authorizeAssessmentBatch, auditAction({ action: 'ASSESSMENT_MARKS_SUBMITTED', entityType: 'batch', entityId: req => req.params.batchId, snapshot: { table: 'assessment_marks', column: 'batch_id', many: true, diffKey: 'student_id' } }), submitBatchMarks);
 
 // Get batch assessment summary
-router.get('/batch/:batchId/summary', getBatchAssessmentSummary);
+router.get('/batch/:batchId/summary', authorizeAssessmentBatch, getBatchAssessmentSummary);
 
 // Set assessment date for a batch
-router.post('/batch/:batchId/assessment-date', setBatchAssessmentDate);
+router.post('/batch/:batchId/assessment-date', authorizeAssessmentBatch, auditAction({ action: 'ASSESSMENT_DATE_SET', entityType: 'batch', entityId: req => req.params.batchId, snapshot: { table: 'batches', column: 'batch_id' } }), setBatchAssessmentDate);
 
 module.exports = router;
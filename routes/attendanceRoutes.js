@@ -2,32 +2,73 @@ const express = require("express");
 const {
   createAttendanceSession,
   getBatchAttendance,
+  getBatchAttendanceReport,
+  getStudentAttendance,
+  exportBatchAttendance,
+  exportCenterAttendance,
+  importBatchAttendance,
+  openCheckInWindow,
+  getCheckInCode,
+  closeCheckInWindow,
+  studentCheckIn,
   updateAttendanceRecord,
   bulkUpdateAttendanceRecords,
+  getAttendanceAlertRules,
+  updateAttendanceAlertRule,
   debugTeacherAssignment,
 } = require("../controllers/attendanceController.js");
 const authenticate = require("../config/authMiddleware.js");
+const { authorizeBatch, batchIdFrom, batchIdFromRecord, batchIdFromAttendanceRecord } = require("../middleware/batchAuthorization.js");
+const { auditAction } = require("../middleware/auditTrail.js");
+const attendanceImportUpload = require("../middleware/attendanceImportUpload.js");
+const { resolveStudent } = require("../middleware/studentIdentity.js");
 
 const router = express.Router();
 
+const authorizeSession = authorizeBatch(batchIdFromRecord("attendance_sessions", "id", "sessionId", { sources: ["params"], dateColumn: "session_date" }));
+
 // Create attendance session (Teacher only)
-router.post("/sessions", authenticate(["teacher"]), createAttendanceSession);
+router.post("/sessions", authenticate(["teacher"]), authorizeBatch(batchIdFrom("batch_id", ["body"]), { sessionDateKey: "session_date" }), auditAction({ action: "ATTENDANCE_SESSION_CREATED", entityType: "attendance_session", responseId: body => body?.data?.session?.id, snapshot: { table: "attendance_sessions" } }), createAttendanceSession);
 
 // Get attendance data for a batch (Role-based access)
-router.get("/batch/:id", authenticate(["academic", "manager", "admin", "teacher"]), getBatchAttendance);
+router.get("/batch/:id", authenticate(["academic", "manager", "admin", "teacher"]), authorizeBatch(batchIdFrom("id", ["params"])), getBatchAttendance);
+
+// Attendance report for a batch: per-student percentages, absence streaks and per-session rates
+router.get("/batch/:id/report", authenticate(["academic", "manager", "admin", "teacher"]), authorizeBatch(batchIdFrom("id", ["params"])), getBatchAttendanceReport);
+
+// Export attendance register (students × dates) as CSV or XLSX: ?format=csv|xlsx&from=&to=
+router.get("/batch/:id/export", authenticate(["academic", "manager", "admin", "teacher", "center"]), authorizeBatch(batchIdFrom("id", ["params"])), exportBatchAttendance);
+router.get("/center/:centerId/export", authenticate(["academic", "manager", "admin", "center", "state"]), exportCenterAttendance);
+
+// Import attendance from CSV (registration number, date, status); dry run unless ?commit=true
+router.post("/batch/:id/import", authenticate(["teacher", "academic", "center", "admin"]), attendanceImportUpload, authorizeBatch(batchIdFrom("id", ["params"])), auditAction({ action: "ATTENDANCE_IMPORTED", entityType: "batch", entityId: req => req.params.id, skip: req => String(req.query.commit ?? req.body?.commit) !== 'true' }), importBatchAttendance);
+
+// Attendance summary for a student across all of their batches
+router.get("/student/:studentId", authenticate(["academic", "manager", "admin", "teacher", "student"]), getStudentAttendance);
+
+// Self check-in: teacher opens a time-boxed window and shows the rotating code / QR
+router.post("/sessions/:sessionId/check-in/open", authenticate(["teacher"]), authorizeSession, auditAction({ action: "CHECKIN_WINDOW_OPENED", entityType: "attendance_session", entityId: req => req.params.sessionId }), openCheckInWindow);
+router.get("/sessions/:sessionId/check-in/code", authenticate(["teacher"]), authorizeSession, getCheckInCode);
+router.post("/sessions/:sessionId/check-in/close", authenticate(["teacher"]), authorizeSession, closeCheckInWindow);
+
+// Self check-in: student submits the code (or scanned QR payload)
+router.post("/check-in", authenticate("student"), resolveStudent, auditAction({ action: "ATTENDANCE_CHECKED_IN", entityType: "attendance_record", responseId: body => body?.data?.record_id, snapshot: { table: "attendance_records" } }), studentCheckIn);
 
 // Update individual attendance record (Teacher only)
-router.put("/records/:id", authenticate(["teacher"]), updateAttendanceRecord);
+router.put("/records/:id", authenticate(["teacher"]), authorizeBatch(batchIdFromAttendanceRecord("id")), auditAction({ action: "ATTENDANCE_RECORD_UPDATED", entityType: "attendance_record", entityId: req => req.params.id, snapshot: { table: "attendance_records" } }), updateAttendanceRecord);
 
 // Bulk update attendance records (Teacher only)
 router.post(
   "/records/bulk-update",
   authenticate(["teacher"]),
-  bulkUpdateAttendanceRecords
+  auditAction({ action: "ATTENDANCE_RECORDS_BULK_UPDATED", entityType: "attendance_record", entityId: req => (req.body.records || []).map(r => r.id), snapshot: { table: "attendance_records" } }), bulkUpdateAttendanceRecords
 );
 
+// Low-attendance alert thresholds
+router.get("/alert-rules", authenticate(["academic", "manager", "admin"]), getAttendanceAlertRules);
+router.put("/alert-rules/:ruleType", authenticate(["academic", "admin"]), auditAction({ action: "ATTENDANCE_ALERT_RULE_UPDATED", entityType: "attendance_alert_rule", entityId: req => req.params.ruleType, snapshot: { table: "attendance_alert_rules", column: "rule_type" } }), updateAttendanceAlertRule);
 
 // Debug endpoint to check teacher assignment
-router.get("/debug/:batchId", authenticate(["academic", "manager", "admin", "teacher"]), debugTeacherAssignment);
+router.get("/debug/:batchId", authenticate(["academic", "manager", "admin", "teacher"]), authorizeBatch(batchIdFrom("batchId", ["params"])), debugTeacherAssignment);
 
 module.exports = router;
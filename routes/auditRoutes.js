@@ -0,0 +1,11 @@
+const express = require("express");
+const authenticate = require("../config/authMiddleware.js");
+const { getAuditEvents, getAuditEventById } = require("../controllers/auditController.js");
+
+const router = express.Router();
+
+// Audit trail (Admin and Manager only)
+router.get("/", authenticate(["admin", "manager"]), getAuditEvents);
+router.get("/:id", authenticate(["admin", "manager"]), getAuditEventById);
+
+module.exports = router;
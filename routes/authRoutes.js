@@ -0,0 +1,24 @@
+const express = require("express");
+const authenticate = require("../config/authMiddleware.js");
+const {
+    issueSessionTokens,
+    refreshAccessToken,
+    logout,
+    revokeTokens
+} = require("../controllers/authController.js");
+
+const router = express.Router();
+
+// Issue the first refresh token of a session for a login token (any authenticated user, once per token)
+router.post("/session", authenticate(), issueSessionTokens);
+
+// Exchange a refresh token for a new access token (no access token required)
+router.post("/refresh", refreshAccessToken);
+
+// Revoke the caller's own tokens
+router.post("/logout", authenticate(), logout);
+
+// Revoke a token by jti or all tokens of a user (Admin and Manager only)
+router.post("/revoke", authenticate(["admin", "manager"]), revokeTokens);
+
+module.exports = router;
@@ -6,7 +6,15 @@ const {
     updateBatch, 
     deleteBatch, 
     approveStudent,
+    getRegistrationNumberPreview,
     updateStudentBatch,
+    getEnrollmentHistory,
+    // Batch Waitlist Functions
+    getBatchWaitlist,
+    addBatchWaitlistEntry,
+    moveBatchWaitlistEntry,
+    removeBatchWaitlistEntry,
+    withdrawStudentFromBatch,
     getPendingBatches,
     approveBatch,
     rejectBatch,
@@ -21,6 +29,10 @@ const {
     startBatch,
     completeBatch,
     getStartedBatches,
+    // Batch Schedule Functions
+    getBatchSchedule,
+    updateBatchSchedule,
+    generateBatchSessions,
     // Batch Merge Functions
     getBatchesForMerge,
     createMergeGroup,
@@ -28,30 +40,41 @@ const {
     deleteMergeGroup
 } = require("../controllers/batchController.js");
 const authenticate = require("../config/authMiddleware.js");
+const { authorizeBatch, batchIdFrom } = require("../middleware/batchAuthorization.js");
+const { auditAction } = require("../middleware/auditTrail.js");
 
 const router = express.Router();
 
 // Create batch routes (Academic, Manager, Admin, Center)
-router.post("/", authenticate(["academic", "manager", "admin", "center"]), createBatch);
+router.post("/", authenticate(["academic", "manager", "admin", "center"]), auditAction({ action: "BATCH_CREATED", entityType: "batch", responseId: body => body?.batch?.batch_id, snapshot: { table: "batches", column: "batch_id" } }), createBatch);
 
 // Get batches routes (Academic, Manager, Admin)
 router.get("/", authenticate(["academic", "manager", "admin"]), getBatches);
-router.get("/:id", authenticate(["academic", "manager", "admin", "teacher"]), getBatchById);
+router.get("/registration-number/preview", authenticate(["academic", "manager", "admin"]), getRegistrationNumberPreview);
+router.get("/:id", authenticate(["academic", "manager", "admin", "teacher"]), authorizeBatch(batchIdFrom("id", ["params"])), getBatchById);
 
 // Student enrollment routes (Academic only)
-router.post("/approve", authenticate("academic"), approveStudent);
-router.put("/update-student-batch", authenticate("academic"), updateStudentBatch);
+router.post("/approve", authenticate("academic"), auditAction({ action: "STUDENT_APPROVED", entityType: "student", entityId: req => req.body.student_id, snapshot: { table: "students", column: "student_id" } }), approveStudent);
+router.put("/update-student-batch", authenticate("academic"), auditAction({ action: "STUDENT_BATCH_UPDATED", entityType: "enrollment", entityId: req => req.body.student_id, snapshot: { table: "enrollment", column: "student", many: true, diffKey: "enrollment_id" } }), updateStudentBatch);
+router.get("/students/:student_id/enrollment-history", authenticate(["academic", "manager", "admin"]), getEnrollmentHistory);
+
+// Capacity + waitlist (seats freed by withdrawals, transfers or a larger max_students are filled from the waitlist)
+router.get("/:id/waitlist", authenticate(["academic", "manager", "admin", "teacher"]), authorizeBatch(batchIdFrom("id", ["params"])), getBatchWaitlist);
+router.post("/:id/waitlist", authenticate("academic"), auditAction({ action: "WAITLIST_ENTRY_ADDED", entityType: "batch_waitlist", responseId: body => body?.waitlist_entry?.id, snapshot: { table: "batch_waitlist", column: "id" } }), addBatchWaitlistEntry);
+router.put("/:id/waitlist/:entry_id", authenticate("academic"), auditAction({ action: "WAITLIST_REORDERED", entityType: "batch", entityId: req => req.params.id, snapshot: { table: "batch_waitlist", column: "batch_id", many: true, diffKey: "id" } }), moveBatchWaitlistEntry);
+router.delete("/:id/waitlist/:entry_id", authenticate("academic"), auditAction({ action: "WAITLIST_ENTRY_REMOVED", entityType: "batch_waitlist", entityId: req => req.params.entry_id, snapshot: { table: "batch_waitlist", column: "id" } }), removeBatchWaitlistEntry);
+router.delete("/:id/students/:student_id", authenticate("academic"), auditAction({ action: "STUDENT_WITHDRAWN", entityType: "enrollment", entityId: req => req.params.student_id, snapshot: { table: "enrollment", column: "student", many: true, diffKey: "enrollment_id" } }), withdrawStudentFromBatch);
 
 // Batch approval workflow routes (Manager and Admin only) - MUST come before /:id routes
 router.get("/pending", authenticate(["manager", "admin"]), getPendingBatches);
-router.put("/:id/approve", authenticate(["manager", "admin"]), approveBatch);
-router.put("/:id/reject", authenticate(["manager", "admin"]), rejectBatch);
+router.put("/:id/approve", authenticate(["manager", "admin"]), auditAction({ action: "BATCH_APPROVED", entityType: "batch", entityId: req => req.params.id, snapshot: { table: "batches", column: "batch_id" } }), approveBatch);
+router.put("/:id/reject", authenticate(["manager", "admin"]), auditAction({ action: "BATCH_REJECTED", entityType: "batch", entityId: req => req.params.id, snapshot: { table: "batches", column: "batch_id" } }), rejectBatch);
 
 // Update batch routes (Academic, Manager, Admin)
-router.put("/:id", authenticate(["academic", "manager", "admin"]), updateBatch);
+router.put("/:id", authenticate(["academic", "manager", "admin"]), auditAction({ action: "BATCH_UPDATED", entityType: "batch", entityId: req => req.params.id, snapshot: { table: "batches", column: "batch_id" } }), updateBatch);
 
 // Delete batch routes (Admin only)
-router.delete("/:id", authenticate("admin"), deleteBatch);
+router.delete("/:id", authenticate("admin"), auditAction({ action: "BATCH_DELETED", entityType: "batch", entityId: req => req.params.id, snapshot: { table: "batches", column: "batch_id" } }), deleteBatch);
 
 // ==================== BATCH START + ATTENDANCE ROUTES ====================
 
@@ -59,31 +82,36 @@ router.delete("/:id", authenticate("admin"), deleteBatch);
 // ==================== BATCH REQUEST ROUTES ====================
 
 // Batch request routes
-router.post("/requests/create", authenticate(["center"]), createBatchRequest);
+router.post("/requests/create", authenticate(["center"]), auditAction({ action: "BATCH_REQUEST_CREATED", entityType: "batch_request", responseId: body => body?.data?.request_id, snapshot: { table: "batch_requests", column: "request_id" } }), createBatchRequest);
 router.get("/requests/state", authenticate(["state"]), getBatchRequestsForState);
 router.get("/requests/academic", authenticate(["academic"]), getBatchRequestsForAcademic);
-router.post("/requests/:id/approve", authenticate(["state"]), approveBatchRequest);
-router.post("/requests/:id/reject", authenticate(["state", "academic"]), rejectBatchRequest);
-router.post("/requests/:id/create-batch", authenticate(["academic"]), createBatchFromRequest);
+router.post("/requests/:id/approve", authenticate(["state"]), auditAction({ action: "BATCH_REQUEST_APPROVED", entityType: "batch_request", entityId: req => req.params.id, snapshot: { table: "batch_requests", column: "request_id" } }), approveBatchRequest);
+router.post("/requests/:id/reject", authenticate(["state", "academic"]), auditAction({ action: "BATCH_REQUEST_REJECTED", entityType: "batch_request", entityId: req => req.params.id, snapshot: { table: "batch_requests", column: "request_id" } }), rejectBatchRequest);
+router.post("/requests/:id/create-batch", authenticate(["academic"]), auditAction({ action: "BATCH_CREATED_FROM_REQUEST", entityType: "batch_request", entityId: req => req.params.id, snapshot: { table: "batch_requests", column: "request_id" } }), createBatchFromRequest);
 
 // Batch Start + Attendance Routes
-router.post("/:id/start", authenticate(["academic", "manager", "admin"]), startBatch);
-router.post("/:id/complete", authenticate(["academic", "manager", "admin"]), completeBatch);
+router.post("/:id/start", authenticate(["academic", "manager", "admin"]), auditAction({ action: "BATCH_STARTED", entityType: "batch", entityId: req => req.params.id, snapshot: { table: "batches", column: "batch_id" } }), startBatch);
+router.post("/:id/complete", authenticate(["academic", "manager", "admin"]), auditAction({ action: "BATCH_COMPLETED", entityType: "batch", entityId: req => req.params.id, snapshot: { table: "batches", column: "batch_id" } }), completeBatch);
 router.get("/started/list", authenticate(), getStartedBatches);
 
+// Recurring schedule + dated session generation
+router.get("/:id/schedule", authenticate(["academic", "manager", "admin", "teacher"]), authorizeBatch(batchIdFrom("id", ["params"])), getBatchSchedule);
+router.put("/:id/schedule", authenticate(["academic", "manager", "admin"]), auditAction({ action: "BATCH_SCHEDULE_UPDATED", entityType: "batch", entityId: req => req.params.id, snapshot: { table: "batches", column: "batch_id" } }), updateBatchSchedule);
+router.post("/:id/schedule/generate", authenticate(["academic", "manager", "admin"]), auditAction({ action: "BATCH_SESSIONS_GENERATED", entityType: "batch", entityId: req => req.params.id }), generateBatchSessions);
+
 // ==================== BATCH MERGE ROUTES ====================
 
 // Get eligible batches for merging (Academic Admin only)
 router.get("/merge/eligible", authenticate(["academic"]), getBatchesForMerge);
 
 // Create a new merge group (Academic Admin only)
-router.post("/merge/create", authenticate(["academic"]), createMergeGroup);
+router.post("/merge/create", authenticate(["academic"]), auditAction({ action: "MERGE_GROUP_CREATED", entityType: "merge_group", responseId: body => body?.data?.merge_group_id, snapshot: { table: "batch_merge_groups", column: "merge_group_id" } }), createMergeGroup);
 
 // Get all merge groups (Academic Admin and Teachers)
 router.get("/merge/list", authenticate(["academic", "teacher"]), getMergeGroups);
 
 // Delete merge group (Academic Admin only)
-router.delete("/merge/:merge_group_id", authenticate(["academic"]), deleteMergeGroup);
+router.delete("/merge/:merge_group_id", authenticate(["academic"]), auditAction({ action: "MERGE_GROUP_DELETED", entityType: "merge_group", entityId: req => req.params.merge_group_id, snapshot: { table: "batch_merge_groups", column: "merge_group_id" } }), deleteMergeGroup);
 
 module.exports = router;
 
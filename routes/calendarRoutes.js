@@ -0,0 +1,23 @@
+const express = require("express");
+const authenticate = require("../config/authMiddleware.js");
+const {
+    getCalendarLinks,
+    rotateCalendarLinks,
+    getBatchFeed,
+    getTeacherFeed,
+    getEventsFeed
+} = require("../controllers/calendarController.js");
+
+const router = express.Router();
+
+// Signed feed URLs for the logged-in user, and resetting them
+router.get("/links", authenticate(), getCalendarLinks);
+router.post("/links/rotate", authenticate(), rotateCalendarLinks);
+
+// ICS feeds - calendar apps cannot send a bearer token, so these are
+// authorized by the signed ?token= in the URL instead
+router.get("/batch/:batch_id.ics", getBatchFeed);
+router.get("/teacher/:teacher_id.ics", getTeacherFeed);
+router.get("/events.ics", getEventsFeed);
+
+module.exports = router;
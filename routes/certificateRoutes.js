@@ -1,6 +1,7 @@
 const express = require('express');
 const multer = require('multer');
 const authenticate = require('../config/authMiddleware');
+const { auditAction } = require('../middleware/auditTrail');
 const {
     uploadCertificate,
     getAllCertificates,
@@ -25,6 +26,7 @@ router.post('/upload',
         { name: 'page2', maxCount: 1 }
     ]),
     handleMulterError,
+    auditAction({ action: 'CERTIFICATE_TEMPLATE_UPLOADED', entityType: 'certificate_upload', responseId: body => body?.data?.upload_id, snapshot: { table: 'certificate_uploads', column: 'upload_id' } }),
     uploadCertificate
 );
 
@@ -37,6 +39,7 @@ router.get('/',
 // Routes - Delete only for Academic Coordinator
 router.delete('/:uploadId',
     authenticate(['academic_coordinator', 'academic']),
+    auditAction({ action: 'CERTIFICATE_TEMPLATE_DELETED', entityType: 'certificate_upload', entityId: req => req.params.uploadId, snapshot: { table: 'certificate_uploads', column: 'upload_id' } }),
     deleteCertificate
 );
 
@@ -48,12 +51,14 @@ router.post('/reupload',
         { name: 'page2', maxCount: 1 }
     ]),
     handleMulterError,
+    auditAction({ action: 'CERTIFICATE_TEMPLATE_REUPLOADED', entityType: 'certificate_upload', responseId: body => body?.data?.upload_id, snapshot: { table: 'certificate_uploads', column: 'upload_id' } }),
     reuploadCertificate
 );
 
 // Routes - Generate certificate for student
 router.post('/generate',
     authenticate(['admin', 'manager', 'academic_coordinator', 'academic']),
+    auditAction({ action: 'CERTIFICATE_GENERATED', entityType: 'certificate', responseId: body => body?.data?.certificateId, snapshot: { table: 'generated_certificates', column: 'certificate_id' } }),
     generateCertificate
 );
 
@@ -66,18 +71,21 @@ router.get('/status',
 // Routes - Update alignment config
 router.put('/alignment/:uploadId',
     authenticate(['admin', 'academic_coordinator', 'academic']),
+    auditAction({ action: 'CERTIFICATE_ALIGNMENT_UPDATED', entityType: 'certificate_upload', entityId: req => req.params.uploadId, snapshot: { table: 'certificate_uploads', column: 'upload_id' } }),
     updateCertificateAlignment
 );
  
 // Routes - Approve generated certificate
 router.post('/approve',
     authenticate(['admin', 'manager', 'academic_coordinator', 'academic']),
+    auditAction({ action: 'CERTIFICATE_APPROVED', entityType: 'certificate', entityId: req => req.body.certificateId, snapshot: { table: 'generated_certificates', column: 'certificate_id' } }),
     approveGeneratedCertificate
 );
  
 // Routes - Delete generated certificate
 router.delete('/generated/:certificateId',
     authenticate(['admin', 'manager', 'academic_coordinator', 'academic']),
+    auditAction({ action: 'CERTIFICATE_DELETED', entityType: 'certificate', entityId: req => req.params.certificateId, snapshot: { table: 'generated_certificates', column: 'certificate_id' } }),
     deleteGeneratedCertificate
 );
 
@@ -0,0 +1,13 @@
+const express = require("express");
+const authenticate = require("../config/authMiddleware.js");
+const { auditAction } = require("../middleware/auditTrail.js");
+const { getEmails, getEmailById, retryOutboxEmail } = require("../controllers/emailController.js");
+
+const router = express.Router();
+
+// Email outbox (Admin only)
+router.get("/", authenticate("admin"), getEmails);
+router.get("/:id", authenticate("admin"), getEmailById);
+router.post("/:id/retry", authenticate("admin"), auditAction({ action: "EMAIL_RETRIED", entityType: "email", entityId: req => req.params.id }), retryOutboxEmail);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require("express");
 const  authenticate = require("../config/authMiddleware.js");
+const { authorizeBatch, batchIdFrom, batchIdFromRecord } = require("../middleware/batchAuthorization.js");
 const {
     createGMeet,
     getGMeetsByBatch,
@@ -12,12 +13,14 @@ const {
 
 const router = express.Router();
 
-router.post("/", authenticate(["teacher", "academic", "admin", "manager"]), createGMeet);
+const authorizeMeet = authorizeBatch(batchIdFromRecord("gmeets", "meet_id", "meet_id", { dateColumn: "date" }));
+
+router.post("/", authenticate(["teacher", "academic", "admin", "manager"]), authorizeBatch(batchIdFrom("batch_id", ["body"]), { sessionDateKey: "date" }), createGMeet);
 router.get("/today/live", authenticate(["admin", "manager", "academic"]), getTodayLiveClasses);
 router.get("/all", authenticate(["admin", "manager", "academic"]), getAllClasses);
-router.get("/:batch_id", authenticate(["teacher", "academic", "admin", "manager"]), getGMeetsByBatch);
-router.get("/meet/:meet_id", authenticate(["teacher", "academic", "admin", "manager"]), getGMeetById);
-router.put("/:meet_id", authenticate(["teacher", "academic", "admin", "manager"]), updateGMeet);
-router.delete("/:meet_id", authenticate(["teacher", "academic", "admin", "manager"]), deleteGMeet);
+router.get("/:batch_id", authenticate(["teacher", "academic", "admin", "manager"]), authorizeBatch(batchIdFrom("batch_id", ["params"])), getGMeetsByBatch);
+router.get("/meet/:meet_id", authenticate(["teacher", "academic", "admin", "manager"]), authorizeMeet, getGMeetById);
+router.put("/:meet_id", authenticate(["teacher", "academic", "admin", "manager"]), authorizeMeet, updateGMeet);
+router.delete("/:meet_id", authenticate(["teacher", "academic", "admin", "manager"]), authorizeMeet, deleteGMeet);
 
 module.exports = router;
@@ -0,0 +1,32 @@
+const express = require("express");
+const authenticate = require("../config/authMiddleware.js");
+const leaveDocumentUpload = require("../middleware/leaveDocumentUpload.js");
+const { authorizeBatch, batchIdFrom, batchIdFromRecord } = require("../middleware/batchAuthorization.js");
+const { resolveStudent, requireStudentEnrollment } = require("../middleware/studentIdentity.js");
+const { auditAction } = require("../middleware/auditTrail.js");
+const {
+    createLeaveRequest,
+    getMyLeaveRequests,
+    cancelLeaveRequest,
+    getBatchLeaveRequests,
+    reviewLeaveRequest
+} = require("../controllers/leaveController.js");
+
+const router = express.Router();
+
+// Student routes - Request leave (optional "document" upload)
+router.post("/", authenticate("student"), leaveDocumentUpload, resolveStudent, requireStudentEnrollment(batchIdFrom("batch_id", ["body"])), auditAction({ action: "LEAVE_REQUESTED", entityType: "leave_request", responseId: body => body?.data?.id, snapshot: { table: "leave_requests" } }), createLeaveRequest);
+
+// Student routes - Own leave requests
+router.get("/my", authenticate("student"), resolveStudent, getMyLeaveRequests);
+
+// Student routes - Withdraw a pending request
+router.put("/:id/cancel", authenticate("student"), resolveStudent, auditAction({ action: "LEAVE_CANCELLED", entityType: "leave_request", entityId: req => req.params.id, snapshot: { table: "leave_requests" } }), cancelLeaveRequest);
+
+// Tutor / Academic routes - Leave requests for a batch
+router.get("/batch/:batch_id", authenticate(["teacher", "academic", "manager", "admin"]), authorizeBatch(batchIdFrom("batch_id", ["params"])), getBatchLeaveRequests);
+
+// Tutor / Academic routes - Approve or reject
+router.put("/:id/review", authenticate(["teacher", "academic"]), authorizeBatch(batchIdFromRecord("leave_requests", "id", "id", { sources: ["params"] })), auditAction({ action: "LEAVE_REVIEWED", entityType: "leave_request", entityId: req => req.params.id, snapshot: { table: "leave_requests" } }), reviewLeaveRequest);
+
+module.exports = router;
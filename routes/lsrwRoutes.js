@@ -1,6 +1,9 @@
 const express = require("express");
 const authenticate = require("../config/authMiddleware.js");
 const lsrwUpload = require("../middleware/lsrwUpload.js");
+const { authorizeBatch, batchIdFrom, batchIdFromRecord } = require("../middleware/batchAuthorization.js");
+const { resolveStudent, requireStudentEnrollment } = require("../middleware/studentIdentity.js");
+const { auditAction } = require("../middleware/auditTrail.js");
 const {
     uploadLSRWContent,
     getLSRWByCourse,
@@ -19,6 +22,9 @@ const {
 
 const router = express.Router();
 
+// Table holding each module's sessions, used to snapshot reorders for the audit trail
+const SESSION_TABLES = { listening: "lsrw_content", speaking: "speaking_materials", reading: "reading_materials", writing: "writing_tasks" };
+
 // Resource Manager routes - All Content view (Optimized)
 router.get("/all-content", authenticate("resource_manager"), getAllLSRWContent);
 
@@ -26,37 +32,37 @@ router.get("/all-content", authenticate("resource_manager"), getAllLSRWContent);
 router.get("/dashboard-stats", authenticate("resource_manager"), getDashboardStats);
 
 // Resource Manager routes - Upload LSRW content
-router.post("/upload", authenticate("resource_manager"), lsrwUpload, uploadLSRWContent);
+router.post("/upload", authenticate("resource_manager"), lsrwUpload, auditAction({ action: "LSRW_CONTENT_UPLOADED", entityType: "lsrw_content", responseId: body => body?.data?.id, snapshot: { table: "lsrw_content" } }), uploadLSRWContent);
 
 // Get LSRW content by course
 router.get("/byCourse/:course_id", authenticate("resource_manager"), getLSRWByCourse);
 
 // Update session numbers for listening materials (reorder)
-router.put("/updateSessionNumbers", authenticate("resource_manager"), updateSessionNumbers);
+router.put("/updateSessionNumbers", authenticate("resource_manager"), auditAction({ action: "LSRW_SESSIONS_REORDERED", entityType: "lsrw_content", entityId: req => (req.body.sessionOrders || []).map(order => order.id || order.lsrw_id), snapshot: { table: req => SESSION_TABLES[req.body.module_type || "listening"] } }), updateSessionNumbers);
 
 // Delete listening session (delete entire session with all files)
-router.delete("/session/:id", authenticate("resource_manager"), deleteListeningSession);
+router.delete("/session/:id", authenticate("resource_manager"), auditAction({ action: "LSRW_SESSION_DELETED", entityType: "lsrw_content", entityId: req => req.params.id, snapshot: { table: "lsrw_content" } }), deleteListeningSession);
 
 // Tutor routes - Get batch LSRW content
-router.get("/batch/:batch_id", authenticate("teacher"), getLSRWByBatch);
+router.get("/batch/:batch_id", authenticate("teacher"), authorizeBatch(batchIdFrom("batch_id", ["params"])), getLSRWByBatch);
 
 // Tutor routes - Mark lesson as completed
-router.put("/complete/:mapping_id", authenticate("teacher"), markLSRWComplete);
+router.put("/complete/:mapping_id", authenticate("teacher"), authorizeBatch(batchIdFromRecord("lsrw_batch_mapping", "id", "mapping_id")), auditAction({ action: "LSRW_LESSON_COMPLETED", entityType: "lsrw_batch_mapping", entityId: req => req.params.mapping_id, snapshot: { table: "lsrw_batch_mapping" } }), markLSRWComplete);
 
 // Tutor routes - Get student submissions for verification
-router.get("/batch/:batch_id/submissions", authenticate("teacher"), getStudentSubmissions);
+router.get("/batch/:batch_id/submissions", authenticate("teacher"), authorizeBatch(batchIdFrom("batch_id", ["params"])), getStudentSubmissions);
 
 // Tutor routes - Verify and release student marks
-router.put("/verify/:submission_id", authenticate("teacher"), verifyStudentSubmission);
+router.put("/verify/:submission_id", authenticate("teacher"), authorizeBatch(batchIdFromRecord("lsrw_student_answers", "id", "submission_id")), auditAction({ action: "LSRW_SUBMISSION_VERIFIED", entityType: "lsrw_student_answer", entityId: req => req.params.submission_id, snapshot: { table: "lsrw_student_answers" } }), verifyStudentSubmission);
 
 // Student routes - Get visible LSRW content
-router.get("/student/:batch_id", authenticate("student"), getStudentLSRW);
+router.get("/student/:batch_id", authenticate("student"), resolveStudent, requireStudentEnrollment(batchIdFrom("batch_id", ["params"])), getStudentLSRW);
 
 // Student routes - Submit answers
-router.post("/submit", authenticate("student"), submitStudentAnswers);
+router.post("/submit", authenticate("student"), resolveStudent, requireStudentEnrollment(batchIdFrom("batch_id", ["body"])), auditAction({ action: "LSRW_ANSWERS_SUBMITTED", entityType: "lsrw_student_answer", responseId: body => body?.data?.id, snapshot: { table: "lsrw_student_answers" } }), submitStudentAnswers);
 
-// Student routes - Get results
-router.get("/results/:student_id/:lsrw_id", authenticate("student"), getStudentResults);
+// Student routes - Get results (the :student_id segment must match the caller)
+router.get("/results/:student_id/:lsrw_id", authenticate("student"), resolveStudent, getStudentResults);
 
 module.exports = router;
 
@@ -1,6 +1,7 @@
 const express = require("express");
 const authenticate = require("../config/authMiddleware.js");
 const upload = require("../middleware/upload.js");
+const { authorizeBatch, batchIdFrom, batchIdFromRecord } = require("../middleware/batchAuthorization.js");
 const {
     createNote,
     getNotes,
@@ -11,11 +12,13 @@ const {
 
 const router = express.Router();
 
+const authorizeNote = authorizeBatch(batchIdFromRecord("notes", "notes_id", "id"));
+
 // Use multer middleware for file uploads (accept multiple files)
-router.post("/", authenticate("teacher"), upload.array('files', 10), createNote);
-router.get("/", authenticate("teacher"), getNotes);
-router.get("/:id", authenticate("teacher"), getNoteById);
-router.put("/:id", authenticate("teacher"), updateNote);
-router.delete("/:id", authenticate("teacher"), deleteNote);
+router.post("/", authenticate("teacher"), upload.array('files', 10), authorizeBatch(batchIdFrom("batch_id", ["body"])), createNote);
+router.get("/", authenticate("teacher"), authorizeBatch(batchIdFrom("batch_id", ["query"])), getNotes);
+router.get("/:id", authenticate("teacher"), authorizeNote, getNoteById);
+router.put("/:id", authenticate("teacher"), authorizeNote, updateNote);
+router.delete("/:id", authenticate("teacher"), authorizeNote, deleteNote);
 
 module.exports = router;
@@ -0,0 +1,30 @@
+const express = require("express");
+const authenticate = require("../config/authMiddleware.js");
+const { auditAction } = require("../middleware/auditTrail.js");
+const { resolveStudent } = require("../middleware/studentIdentity.js");
+const {
+    streamNotifications,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    previewDigest,
+    runDigests
+} = require("../controllers/notificationController.js");
+
+const router = express.Router();
+
+const STAFF_ROLES = ["teacher", "academic", "manager", "admin"];
+
+// Live notification stream (Server-Sent Events); the token goes in the
+// Authorization header, so browsers need a fetch-based EventSource client
+router.get("/stream", authenticate(STAFF_ROLES), streamNotifications);
+router.get("/student/stream", authenticate("student"), resolveStudent, streamNotifications);
+
+// Per-type delivery preferences of the caller (Staff)
+router.get("/preferences", authenticate(STAFF_ROLES), getNotificationPreferences);
+router.put("/preferences", authenticate(STAFF_ROLES), auditAction({ action: "NOTIFICATION_PREFERENCES_UPDATED", entityType: "user", entityId: req => req.user.id }), updateNotificationPreferences);
+
+// Daily digest: preview your own (Staff), send the day's digests now (Admin)
+router.get("/digest/preview", authenticate(STAFF_ROLES), previewDigest);
+router.post("/digest/run", authenticate("admin"), auditAction({ action: "NOTIFICATION_DIGESTS_RUN", entityType: "notification_digest" }), runDigests);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require("express");
+const authenticate = require("../config/authMiddleware.js");
+const { auditAction } = require("../middleware/auditTrail.js");
+const {
+    verifySetupToken,
+    completePasswordSetup,
+    loginStudent,
+    getOnboardingStatus,
+    resendSetupLink,
+    expireSetupLinks
+} = require("../controllers/onboardingController.js");
+
+const router = express.Router();
+
+// Password setup from the emailed link - the student has no account yet,
+// so these are authorized by the single-use token in the body
+router.post("/setup/verify", verifySetupToken);
+router.post("/setup", completePasswordSetup);
+
+// Student login with the password set above (no token required)
+router.post("/login", loginStudent);
+
+// Onboarding status and link management (Academic; status also for Manager and Admin)
+router.get("/students/:student_id", authenticate(["academic", "manager", "admin"]), getOnboardingStatus);
+router.post("/students/:student_id/resend", authenticate("academic"), auditAction({ action: "SETUP_LINK_RESENT", entityType: "student", entityId: req => req.params.student_id }), resendSetupLink);
+router.post("/students/:student_id/expire", authenticate("academic"), auditAction({ action: "SETUP_LINK_EXPIRED", entityType: "student", entityId: req => req.params.student_id }), expireSetupLinks);
+
+module.exports = router;
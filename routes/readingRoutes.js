@@ -2,6 +2,9 @@ const express = require("express");
 const authenticate = require("../config/authMiddleware.js");
 const readingUpload = require("../middleware/readingUpload.js");
 const optionalReadingUpload = require("../middleware/optionalReadingUpload.js");
+const { authorizeBatch, batchIdFrom, batchIdFromRecord } = require("../middleware/batchAuthorization.js");
+const { resolveStudent, requireStudentEnrollment } = require("../middleware/studentIdentity.js");
+const { auditAction } = require("../middleware/auditTrail.js");
 const {
     uploadReadingMaterial,
     getReadingByCourse,
@@ -21,34 +24,34 @@ const router = express.Router();
 router.post("/extract", authenticate("resource_manager"), readingUpload, require("../controllers/lsrwController.js").extractReadingContent);
 
 // Resource Manager routes - Upload Reading material
-router.post("/upload", authenticate("resource_manager"), readingUpload, uploadReadingMaterial);
+router.post("/upload", authenticate("resource_manager"), readingUpload, auditAction({ action: "READING_MATERIAL_UPLOADED", entityType: "reading_material", responseId: body => body?.data?.id, snapshot: { table: "reading_materials" } }), uploadReadingMaterial);
 
 // Get Reading content by course (Resource Manager)
 router.get("/byCourse/:course_id", authenticate("resource_manager"), getReadingByCourse);
 
 // Resource Manager routes - Delete reading session
-router.delete("/session/:id", authenticate("resource_manager"), deleteReadingSession);
+router.delete("/session/:id", authenticate("resource_manager"), auditAction({ action: "READING_SESSION_DELETED", entityType: "reading_material", entityId: req => req.params.id, snapshot: { table: "reading_materials" } }), deleteReadingSession);
 
 // Teacher routes - Get batch Reading content
-router.get("/batch/:batch_id", authenticate("teacher"), getReadingByBatch);
+router.get("/batch/:batch_id", authenticate("teacher"), authorizeBatch(batchIdFrom("batch_id", ["params"])), getReadingByBatch);
 
 // Teacher routes - Mark material as completed
-router.put("/complete/:mapping_id", authenticate("teacher"), markReadingComplete);
+router.put("/complete/:mapping_id", authenticate("teacher"), authorizeBatch(batchIdFromRecord("reading_batch_map", "id", "mapping_id")), auditAction({ action: "READING_LESSON_COMPLETED", entityType: "reading_batch_map", entityId: req => req.params.mapping_id, snapshot: { table: "reading_batch_map" } }), markReadingComplete);
 
 // Teacher routes - Get student submissions for review
-router.get("/batch/:batch_id/submissions", authenticate("teacher"), getReadingSubmissions);
+router.get("/batch/:batch_id/submissions", authenticate("teacher"), authorizeBatch(batchIdFrom("batch_id", ["params"])), getReadingSubmissions);
 
 // Teacher routes - Add/Update feedback for reading attempt (supports marks and audio)
-router.post("/feedback", authenticate("teacher"), optionalReadingUpload, addReadingFeedback);
+router.post("/feedback", authenticate("teacher"), optionalReadingUpload, authorizeBatch(batchIdFromRecord("reading_attempts", "id", "attempt_id")), auditAction({ action: "READING_FEEDBACK_ADDED", entityType: "reading_attempt", entityId: req => req.body.attempt_id, snapshot: { table: "reading_attempts" } }), addReadingFeedback);
 
 // Teacher routes - Verify reading attempt and release marks
-router.put("/verify/:attempt_id", authenticate("teacher"), verifyReadingAttempt);
+router.put("/verify/:attempt_id", authenticate("teacher"), authorizeBatch(batchIdFromRecord("reading_attempts", "id", "attempt_id")), auditAction({ action: "READING_ATTEMPT_VERIFIED", entityType: "reading_attempt", entityId: req => req.params.attempt_id, snapshot: { table: "reading_attempts" } }), verifyReadingAttempt);
 
 // Student routes - Get visible Reading content
-router.get("/student/:batch_id", authenticate("student"), getStudentReading);
+router.get("/student/:batch_id", authenticate("student"), resolveStudent, requireStudentEnrollment(batchIdFrom("batch_id", ["params"])), getStudentReading);
 
 // Student routes - Submit reading quiz attempt
-router.post("/attempt", authenticate("student"), submitReadingAttempt);
+router.post("/attempt", authenticate("student"), resolveStudent, requireStudentEnrollment(batchIdFrom("batch_id", ["body"])), auditAction({ action: "READING_ATTEMPT_SUBMITTED", entityType: "reading_attempt", responseId: body => body?.data?.id, snapshot: { table: "reading_attempts" } }), submitReadingAttempt);
 
 module.exports = router;
 
@@ -2,6 +2,9 @@ const express = require("express");
 const authenticate = require("../config/authMiddleware.js");
 const speakingUpload = require("../middleware/speakingUpload.js");
 const optionalSpeakingUpload = require("../middleware/optionalSpeakingUpload.js");
+const { authorizeBatch, batchIdFrom, batchIdFromRecord } = require("../middleware/batchAuthorization.js");
+const { resolveStudent, requireStudentEnrollment } = require("../middleware/studentIdentity.js");
+const { auditAction } = require("../middleware/auditTrail.js");
 const {
     uploadSpeakingMaterial,
     getSpeakingByCourse,
@@ -20,22 +23,22 @@ const router = express.Router();
 console.log('✅ Speaking routes loaded - /feedback route registered');
 
 // Resource Manager routes - Upload speaking material
-router.post("/upload", authenticate("resource_manager"), speakingUpload, uploadSpeakingMaterial);
+router.post("/upload", authenticate("resource_manager"), speakingUpload, auditAction({ action: "SPEAKING_MATERIAL_UPLOADED", entityType: "speaking_material", responseId: body => body?.data?.id, snapshot: { table: "speaking_materials" } }), uploadSpeakingMaterial);
 
 // Get speaking materials by course
 router.get("/byCourse/:course_id", authenticate("resource_manager"), getSpeakingByCourse);
 
 // Delete speaking session (delete entire session with all files)
-router.delete("/session/:id", authenticate("resource_manager"), deleteSpeakingSession);
+router.delete("/session/:id", authenticate("resource_manager"), auditAction({ action: "SPEAKING_SESSION_DELETED", entityType: "speaking_material", entityId: req => req.params.id, snapshot: { table: "speaking_materials" } }), deleteSpeakingSession);
 
 // Teacher routes - Get batch speaking materials
-router.get("/batch/:batch_id", authenticate("teacher"), getSpeakingByBatch);
+router.get("/batch/:batch_id", authenticate("teacher"), authorizeBatch(batchIdFrom("batch_id", ["params"])), getSpeakingByBatch);
 
 // Teacher routes - Mark material as completed
-router.put("/complete/:mapping_id", authenticate("teacher"), markSpeakingComplete);
+router.put("/complete/:mapping_id", authenticate("teacher"), authorizeBatch(batchIdFromRecord("speaking_batch_map", "id", "mapping_id")), auditAction({ action: "SPEAKING_LESSON_COMPLETED", entityType: "speaking_batch_map", entityId: req => req.params.mapping_id, snapshot: { table: "speaking_batch_map" } }), markSpeakingComplete);
 
 // Teacher routes - Get student submissions for review
-router.get("/batch/:batch_id/submissions", authenticate("teacher"), getSpeakingSubmissions);
+router.get("/batch/:batch_id/submissions", authenticate("teacher"), authorizeBatch(batchIdFrom("batch_id", ["params"])), getSpeakingSubmissions);
 
 // Teacher routes - Add/Update feedback for student attempt (supports text and audio)
 // Handles both JSON (no files) and multipart/form-data (with audio file)
@@ -54,7 +57,7 @@ router.post("/feedback", authenticate("teacher"), (req, res, next) => {
         req.files = {};
         return next();
     }
-}, async (req, res) => {
+}, authorizeBatch(batchIdFromRecord("speaking_attempts", "id", "attempt_id")), auditAction({ action: "SPEAKING_FEEDBACK_ADDED", entityType: "speaking_attempt", entityId: req => req.body.attempt_id, snapshot: { table: "speaking_attempts" } }), async (req, res) => {
     console.log('🎯 Calling addSpeakingFeedback controller');
     console.log('📋 Final req.body:', JSON.stringify(req.body));
     console.log('📁 Final req.files keys:', Object.keys(req.files || {}));
@@ -69,10 +72,10 @@ router.post("/feedback", authenticate("teacher"), (req, res, next) => {
 });
 
 // Student routes - Get visible speaking materials
-router.get("/student/:batch_id", authenticate("student"), getStudentSpeaking);
+router.get("/student/:batch_id", authenticate("student"), resolveStudent, requireStudentEnrollment(batchIdFrom("batch_id", ["params"])), getStudentSpeaking);
 
 // Student routes - Save speaking attempt (draft or submit)
-router.post("/attempt", authenticate("student"), saveSpeakingAttempt);
+router.post("/attempt", authenticate("student"), resolveStudent, requireStudentEnrollment(batchIdFrom("batch_id", ["body"])), auditAction({ action: "SPEAKING_ATTEMPT_SUBMITTED", entityType: "speaking_attempt", responseId: body => body?.data?.id, snapshot: { table: "speaking_attempts" } }), saveSpeakingAttempt);
 
 module.exports = router;
 
@@ -1,25 +1,17 @@
 const express = require("express");
+const authenticate = require("../config/authMiddleware.js");
 const { getMergedBatchIds } = require("../utils/batchMergeHelper");
+const { batchIdFrom } = require("../middleware/batchAuthorization.js");
+const { resolveStudent, requireStudentEnrollment } = require("../middleware/studentIdentity.js");
 const supabase = require("../config/supabase.js");
 
 const router = express.Router();
 
-// Simple authentication check - just verify token exists
-const checkAuth = (req, res, next) => {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-        return res.status(401).json({ error: "Access Denied. No Token Provided." });
-    }
-    const token = authHeader.split(" ")[1];
-    if (!token) {
-        return res.status(401).json({ error: "Access Denied. Token is missing." });
-    }
-    // Token exists, proceed (full verification happens in controllers if needed)
-    next();
-};
+// Only students with an active enrollment in the batch (or its merge group) may read its classes
+const checkEnrollment = [authenticate("student"), resolveStudent, requireStudentEnrollment(batchIdFrom("batchId", ["params"]))];
 
 // GET /api/classes/notes/:batchId - Get notes for a batch (including merged batches)
-router.get("/notes/:batchId", checkAuth, async (req, res) => {
+router.get("/notes/:batchId", checkEnrollment, async (req, res) => {
     try {
         const { batchId } = req.params;
         console.log('📚 Notes request for batch:', batchId);
@@ -49,7 +41,7 @@ router.get("/notes/:batchId", checkAuth, async (req, res) => {
 });
 
 // GET /api/classes/gmeets/:batchId - Get schedules for a batch (including merged batches)
-router.get("/gmeets/:batchId", checkAuth, async (req, res) => {
+router.get("/gmeets/:batchId", checkEnrollment, async (req, res) => {
     try {
         const { batchId } = req.params;
         console.log('📅 GMeets request for batch:', batchId);
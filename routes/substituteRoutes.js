@@ -0,0 +1,27 @@
+const express = require("express");
+const authenticate = require("../config/authMiddleware.js");
+const { auditAction } = require("../middleware/auditTrail.js");
+const {
+    createSubstituteRequest,
+    getMySubstituteRequests,
+    getSubstituteRequests,
+    approveSubstituteRequest,
+    rejectSubstituteRequest,
+    cancelSubstituteRequest
+} = require("../controllers/substituteController.js");
+
+const router = express.Router();
+
+// Tutor routes - Request cover for own batch, list own requests and assigned cover
+router.post("/", authenticate("teacher"), auditAction({ action: "SUBSTITUTE_REQUESTED", entityType: "teacher_batch_request", responseId: body => body?.data?.id, snapshot: { table: "teacher_batch_requests" } }), createSubstituteRequest);
+router.get("/my", authenticate("teacher"), getMySubstituteRequests);
+
+// Academic routes - Review cover requests and pick the substitute
+router.get("/", authenticate(["academic", "manager", "admin"]), getSubstituteRequests);
+router.put("/:id/approve", authenticate("academic"), auditAction({ action: "SUBSTITUTE_APPROVED", entityType: "teacher_batch_request", entityId: req => req.params.id, snapshot: { table: "teacher_batch_requests" } }), approveSubstituteRequest);
+router.put("/:id/reject", authenticate("academic"), auditAction({ action: "SUBSTITUTE_REJECTED", entityType: "teacher_batch_request", entityId: req => req.params.id, snapshot: { table: "teacher_batch_requests" } }), rejectSubstituteRequest);
+
+// Requesting tutor or academic - Cancel pending or current cover
+router.put("/:id/cancel", authenticate(["teacher", "academic", "admin"]), auditAction({ action: "SUBSTITUTE_CANCELLED", entityType: "teacher_batch_request", entityId: req => req.params.id, snapshot: { table: "teacher_batch_requests" } }), cancelSubstituteRequest);
+
+module.exports = router;
@@ -3,6 +3,9 @@ const authenticate = require("../config/authMiddleware.js");
 const writingUpload = require("../middleware/writingUpload.js");
 const { writingSubmissionUpload } = require("../middleware/writingUpload.js");
 const optionalWritingUpload = require("../middleware/optionalWritingUpload.js");
+const { authorizeBatch, batchIdFrom, batchIdFromRecord } = require("../middleware/batchAuthorization.js");
+const { resolveStudent, requireStudentEnrollment } = require("../middleware/studentIdentity.js");
+const { auditAction } = require("../middleware/auditTrail.js");
 const {
     uploadWritingTask,
     getWritingByCourse,
@@ -18,31 +21,31 @@ const {
 const router = express.Router();
 
 // Resource Manager routes - Upload writing task
-router.post("/upload", authenticate("resource_manager"), writingUpload, uploadWritingTask);
+router.post("/upload", authenticate("resource_manager"), writingUpload, auditAction({ action: "WRITING_TASK_UPLOADED", entityType: "writing_task", responseId: body => body?.data?.id, snapshot: { table: "writing_tasks" } }), uploadWritingTask);
 
 // Get writing tasks by course (Resource Manager)
 router.get("/byCourse/:course_id", authenticate("resource_manager"), getWritingByCourse);
 
 // Delete writing session (delete entire session with all files)
-router.delete("/session/:id", authenticate("resource_manager"), deleteWritingSession);
+router.delete("/session/:id", authenticate("resource_manager"), auditAction({ action: "WRITING_SESSION_DELETED", entityType: "writing_task", entityId: req => req.params.id, snapshot: { table: "writing_tasks" } }), deleteWritingSession);
 
 // Teacher routes - Get batch writing tasks
-router.get("/batch/:batch_id", authenticate("teacher"), getWritingByBatch);
+router.get("/batch/:batch_id", authenticate("teacher"), authorizeBatch(batchIdFrom("batch_id", ["params"])), getWritingByBatch);
 
 // Teacher routes - Mark task as read/completed
-router.put("/complete/:mapping_id", authenticate("teacher"), markWritingComplete);
+router.put("/complete/:mapping_id", authenticate("teacher"), authorizeBatch(batchIdFromRecord("writing_batch_map", "id", "mapping_id")), auditAction({ action: "WRITING_LESSON_COMPLETED", entityType: "writing_batch_map", entityId: req => req.params.mapping_id, snapshot: { table: "writing_batch_map" } }), markWritingComplete);
 
 // Teacher routes - Get student submissions for review
-router.get("/batch/:batch_id/submissions", authenticate("teacher"), getWritingSubmissions);
+router.get("/batch/:batch_id/submissions", authenticate("teacher"), authorizeBatch(batchIdFrom("batch_id", ["params"])), getWritingSubmissions);
 
 // Teacher routes - Add/Update feedback for writing submission
-router.post("/feedback", authenticate("teacher"), optionalWritingUpload, addWritingFeedback);
+router.post("/feedback", authenticate("teacher"), optionalWritingUpload, authorizeBatch(batchIdFromRecord("writing_submissions", "id", "submission_id")), auditAction({ action: "WRITING_FEEDBACK_ADDED", entityType: "writing_submission", entityId: req => req.body.submission_id, snapshot: { table: "writing_submissions" } }), addWritingFeedback);
 
 // Student routes - Get visible writing tasks
-router.get("/student/:batch_id", authenticate("student"), getStudentWriting);
+router.get("/student/:batch_id", authenticate("student"), resolveStudent, requireStudentEnrollment(batchIdFrom("batch_id", ["params"])), getStudentWriting);
 
 // Student routes - Submit writing (upload image)
-router.post("/submit", authenticate("student"), writingSubmissionUpload, submitWritingSubmission);
+router.post("/submit", authenticate("student"), writingSubmissionUpload, resolveStudent, requireStudentEnrollment(batchIdFrom("batch_id", ["body"])), auditAction({ action: "WRITING_SUBMISSION_SUBMITTED", entityType: "writing_submission", responseId: body => body?.data?.id, snapshot: { table: "writing_submissions" } }), submitWritingSubmission);
 
 module.exports = router;
 
@@ -0,0 +1,184 @@
+const supabase = require("../config/supabase.js");
+const { getMergedBatchIds } = require("./batchMergeHelper");
+const { fetchAllRows, loadAttendance, buildStudentStats } = require("./attendanceAnalytics");
+const { getAcademicRecipients } = require("./notificationRecipients");
+const { notify } = require("./notificationService");
+
+// Used when the attendance_alert_rules table is empty or unavailable
+const DEFAULT_ALERT_RULES = [
+    {
+        rule_type: 'LOW_ATTENDANCE',
+        threshold: Number(process.env.ATTENDANCE_ALERT_MIN_PERCENTAGE) || 75,
+        min_sessions: Number(process.env.ATTENDANCE_ALERT_MIN_SESSIONS) || 4,
+        is_active: true
+    },
+    {
+        rule_type: 'CONSECUTIVE_ABSENCES',
+        threshold: Number(process.env.ATTENDANCE_ALERT_CONSECUTIVE_ABSENCES) || 3,
+        min_sessions: 0,
+        is_active: true
+    }
+];
+
+const getAlertRules = async () => {
+    const { data, error } = await supabase
+        .from('attendance_alert_rules')
+        .select('rule_type, threshold, min_sessions, is_active');
+
+    if (error || !data || data.length === 0) {
+        if (error) console.error('❌ Error loading attendance alert rules, using defaults:', error);
+        return DEFAULT_ALERT_RULES;
+    }
+    return data;
+};
+
+// Returns the value that breached the rule, or null when the student is within it
+const evaluateRule = (rule, stats) => {
+    if (!stats || stats.counts.total < (rule.min_sessions || 0)) return null;
+
+    if (rule.rule_type === 'LOW_ATTENDANCE') {
+        const percentage = stats.attendance_percentage;
+        return percentage !== null && percentage < Number(rule.threshold) ? percentage : null;
+    }
+    if (rule.rule_type === 'CONSECUTIVE_ABSENCES') {
+        const streak = stats.current_absence_streak;
+        return streak >= Number(rule.threshold) ? streak : null;
+    }
+    return null;
+};
+
+const alertMessages = (rule, value, studentName, batchName) => {
+    if (rule.rule_type === 'LOW_ATTENDANCE') {
+        return {
+            staff: `Low attendance: ${studentName} is at ${value}% in batch ${batchName} (threshold ${rule.threshold}%).`,
+            student: `Your attendance in batch ${batchName} is ${value}%, below the required ${rule.threshold}%. Please contact your tutor.`
+        };
+    }
+    return {
+        staff: `${studentName} has missed ${value} consecutive sessions in batch ${batchName}.`,
+        student: `You have missed ${value} consecutive sessions in batch ${batchName}. Please contact your tutor.`
+    };
+};
+
+const sendAlertNotifications = async ({ rule, value, student, batch, academicIds }) => {
+    const messages = alertMessages(rule, value, student.name || 'A student', batch.batch_name);
+
+    await notify('ATTENDANCE_ALERT', { staffMessage: messages.staff, studentMessage: messages.student }, {
+        batch,
+        academics: academicIds,
+        students: [student.student_id]
+    }, { relatedId: batch.batch_id, type: rule.rule_type });
+};
+
+/**
+ * Evaluate the alert rules for every student enrolled in the batch (or its
+ * merge group) and notify teachers, academic coordinators and the student
+ * about new breaches. An open alert is not repeated until the student has
+ * recovered, at which point it is resolved. Never throws.
+ *
+ * `excludeSessionIds` skips sessions whose records are still the all-absent
+ * defaults (a session that was just created and not yet marked).
+ */
+const evaluateAttendanceAlerts = async (batchId, { excludeSessionIds = [] } = {}) => {
+    try {
+        const rules = (await getAlertRules()).filter(r => r.is_active);
+        if (rules.length === 0) return { raised: 0, resolved: 0 };
+
+        const mergedBatchIds = await getMergedBatchIds(batchId);
+        const attendance = await loadAttendance(mergedBatchIds);
+        const sessions = attendance.sessions.filter(s => !excludeSessionIds.includes(s.id));
+        const records = attendance.records.filter(r => !excludeSessionIds.includes(r.session_id));
+        const stats = buildStudentStats(sessions, records);
+
+        const enrollments = await fetchAllRows(() => supabase
+            .from('enrollment')
+            .select(`
+                enrollment_id,
+                student,
+                batch,
+                students!inner (student_id, name),
+                batches!inner (batch_id, batch_name, teacher, assistant_tutor, created_by)
+            `)
+            .in('batch', mergedBatchIds)
+            .eq('status', true)
+            .order('enrollment_id', { ascending: true }));
+
+        const openAlerts = await fetchAllRows(() => supabase
+            .from('attendance_alerts')
+            .select('id, student_id, batch_id, rule_type')
+            .in('batch_id', mergedBatchIds)
+            .is('resolved_at', null)
+            .order('id', { ascending: true }));
+
+        const openKeys = new Map(openAlerts.map(a => [`${a.student_id}:${a.batch_id}:${a.rule_type}`, a.id]));
+        const academicIdsByCreator = new Map();
+        const toResolve = [];
+        let raised = 0;
+
+        for (const enrollment of enrollments) {
+            const studentStats = stats.get(enrollment.student);
+
+            for (const rule of rules) {
+                const key = `${enrollment.student}:${enrollment.batch}:${rule.rule_type}`;
+                const value = evaluateRule(rule, studentStats);
+
+                if (value === null) {
+                    if (openKeys.has(key)) toResolve.push(openKeys.get(key));
+                    continue;
+                }
+                if (openKeys.has(key)) continue;
+
+                const { error: insertError } = await supabase
+                    .from('attendance_alerts')
+                    .insert({
+                        student_id: enrollment.student,
+                        batch_id: enrollment.batch,
+                        rule_type: rule.rule_type,
+                        threshold: rule.threshold,
+                        value
+                    });
+
+                // 23505: raised concurrently by another request
+                if (insertError) {
+                    if (insertError.code !== '23505') {
+                        console.error('❌ Failed to record attendance alert:', insertError);
+                    }
+                    continue;
+                }
+
+                const createdBy = enrollment.batches.created_by || null;
+                if (!academicIdsByCreator.has(createdBy)) {
+                    academicIdsByCreator.set(createdBy, await getAcademicRecipients(createdBy));
+                }
+
+                await sendAlertNotifications({
+                    rule,
+                    value,
+                    student: enrollment.students,
+                    batch: enrollment.batches,
+                    academicIds: academicIdsByCreator.get(createdBy)
+                });
+                raised += 1;
+            }
+        }
+
+        if (toResolve.length > 0) {
+            const { error: resolveError } = await supabase
+                .from('attendance_alerts')
+                .update({ resolved_at: new Date().toISOString() })
+                .in('id', toResolve);
+
+            if (resolveError) console.error('❌ Failed to resolve attendance alerts:', resolveError);
+        }
+
+        if (raised > 0 || toResolve.length > 0) {
+            console.log(`🔔 Attendance alerts for batch ${batchId}: ${raised} raised, ${toResolve.length} resolved`);
+        }
+        return { raised, resolved: toResolve.length };
+    } catch (error) {
+        console.error(`❌ Error evaluating attendance alerts for batch ${batchId}:`, error);
+        return { raised: 0, resolved: 0 };
+    }
+};
+
+module.exports = { DEFAULT_ALERT_RULES, getAlertRules, evaluateRule, evaluateAttendanceAlerts };
@@ -0,0 +1,184 @@
+const supabase = require("../config/supabase.js");
+
+const ATTENDANCE_STATUSES = ['present', 'late', 'absent', 'excused'];
+
+// Late still counts as attended; excused sessions are left out of the percentage
+const ATTENDED_STATUSES = ['present', 'late'];
+
+// Rows per request; PostgREST returns at most max-rows (1000 by default) per select
+const PAGE_SIZE = 1000;
+// Ids per .in() filter, to keep request URLs short
+const IN_FILTER_CHUNK = 200;
+
+/**
+ * Every row of a query, read page by page with .range() so results are not cut
+ * off at the row limit. `buildQuery` must return a new query ordered by a unique
+ * key each time it is called, so the pages do not overlap.
+ */
+const fetchAllRows = async (buildQuery) => {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) return rows;
+    }
+};
+
+const chunk = (values, size) => {
+    const chunks = [];
+    for (let i = 0; i < values.length; i += size) chunks.push(values.slice(i, i + size));
+    return chunks;
+};
+
+// fetchAllRows for a query filtered on many ids; `buildQuery(ids)` gets one chunk of them
+const fetchAllRowsIn = async (ids, buildQuery) => {
+    const rows = [];
+    for (const idChunk of chunk(ids, IN_FILTER_CHUNK)) {
+        rows.push(...await fetchAllRows(() => buildQuery(idChunk)));
+    }
+    return rows;
+};
+
+const roundPercentage = (value) => Math.round(value * 100) / 100;
+
+const emptyCounts = () => ({ present: 0, late: 0, absent: 0, excused: 0, total: 0 });
+
+// Attendance percentage over the sessions that count (total minus excused)
+const attendancePercentage = (counts) => {
+    const countable = counts.total - counts.excused;
+    if (countable <= 0) return null;
+    return roundPercentage(((counts.present + counts.late) / countable) * 100);
+};
+
+// Load sessions (oldest first) and their records for a set of batch IDs,
+// optionally limited to a from/to date range (inclusive, YYYY-MM-DD).
+// Cancelled sessions are left out.
+const loadAttendance = async (batchIds, { from, to } = {}) => {
+    const sessions = await fetchAllRows(() => {
+        let query = supabase
+            .from('attendance_sessions')
+            .select('id, batch_id, session_date, notes, gmeet_id, session_number')
+            .in('batch_id', batchIds)
+            .neq('status', 'Cancelled')
+            .order('session_date', { ascending: true })
+            .order('id', { ascending: true });
+
+        if (from) query = query.gte('session_date', from);
+        if (to) query = query.lte('session_date', to);
+        return query;
+    });
+
+    if (sessions.length === 0) {
+        return { sessions: [], records: [] };
+    }
+
+    const records = await fetchAllRowsIn(sessions.map(s => s.id), (sessionIds) => supabase
+        .from('attendance_records')
+        .select('id, session_id, student_id, status, marked_at')
+        .in('session_id', sessionIds)
+        .order('id', { ascending: true }));
+
+    return { sessions, records };
+};
+
+// Per-student counts, percentage and absence streaks.
+// Sessions must be ordered by session_date ascending.
+const buildStudentStats = (sessions, records) => {
+    const sessionById = new Map(sessions.map((s, index) => [s.id, { ...s, index }]));
+    const recordsByStudent = new Map();
+
+    records.forEach(record => {
+        if (!sessionById.has(record.session_id)) return;
+        if (!recordsByStudent.has(record.student_id)) recordsByStudent.set(record.student_id, []);
+        recordsByStudent.get(record.student_id).push(record);
+    });
+
+    const stats = new Map();
+    recordsByStudent.forEach((studentRecords, studentId) => {
+        const counts = emptyCounts();
+        let currentStreak = 0;
+        let longestStreak = 0;
+        let lastAttended = null;
+
+        studentRecords
+            .sort((a, b) => sessionById.get(a.session_id).index - sessionById.get(b.session_id).index)
+            .forEach(record => {
+                if (!ATTENDANCE_STATUSES.includes(record.status)) return;
+                counts[record.status] += 1;
+                counts.total += 1;
+
+                // Excused sessions neither break nor extend an absence streak
+                if (record.status === 'absent') {
+                    currentStreak += 1;
+                    longestStreak = Math.max(longestStreak, currentStreak);
+                } else if (ATTENDED_STATUSES.includes(record.status)) {
+                    currentStreak = 0;
+                    lastAttended = sessionById.get(record.session_id).session_date;
+                }
+            });
+
+        stats.set(studentId, {
+            counts,
+            attendance_percentage: attendancePercentage(counts),
+            current_absence_streak: currentStreak,
+            longest_absence_streak: longestStreak,
+            last_attended_date: lastAttended
+        });
+    });
+
+    return stats;
+};
+
+// Attendance rate per session date. Merged batches may each hold a session on
+// the same date, so sessions are combined by date.
+const buildSessionSeries = (sessions, records) => {
+    const byDate = new Map();
+    const dateBySession = new Map(sessions.map(s => [s.id, s.session_date]));
+
+    sessions.forEach(session => {
+        if (!byDate.has(session.session_date)) {
+            byDate.set(session.session_date, {
+                session_date: session.session_date,
+                session_ids: [],
+                batch_ids: [],
+                ...emptyCounts()
+            });
+        }
+        const point = byDate.get(session.session_date);
+        point.session_ids.push(session.id);
+        if (!point.batch_ids.includes(session.batch_id)) point.batch_ids.push(session.batch_id);
+    });
+
+    records.forEach(record => {
+        const point = byDate.get(dateBySession.get(record.session_id));
+        if (!point || !ATTENDANCE_STATUSES.includes(record.status)) return;
+        point[record.status] += 1;
+        point.total += 1;
+    });
+
+    return [...byDate.values()].map(point => ({
+        ...point,
+        attendance_rate: attendancePercentage(point)
+    }));
+};
+
+// Average of the per-student percentages (students with no countable sessions are skipped)
+const averagePercentage = (percentages) => {
+    const values = percentages.filter(p => p !== null && p !== undefined);
+    if (values.length === 0) return null;
+    return roundPercentage(values.reduce((sum, p) => sum + p, 0) / values.length);
+};
+
+module.exports = {
+    ATTENDANCE_STATUSES,
+    ATTENDED_STATUSES,
+    emptyCounts,
+    attendancePercentage,
+    fetchAllRows,
+    fetchAllRowsIn,
+    loadAttendance,
+    buildStudentStats,
+    buildSessionSeries,
+    averagePercentage
+};
@@ -0,0 +1,133 @@
+const { ATTENDANCE_STATUSES } = require("./attendanceAnalytics");
+
+// Accepted header names for each column (compared lowercased, without spaces/punctuation)
+const COLUMN_ALIASES = {
+    registration_number: ['registrationnumber', 'registrationno', 'regno', 'regnumber', 'registration'],
+    date: ['date', 'sessiondate'],
+    status: ['status', 'attendance']
+};
+
+// Single-letter codes used on paper registers
+const STATUS_CODES = { p: 'present', a: 'absent', l: 'late', e: 'excused' };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF or LF line endings
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const source = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+const normalizeHeader = (value) => value.toLowerCase().replace(/[^a-z]/g, '');
+
+// Column positions from the header row; falls back to (reg no, date, status) order
+const resolveColumns = (firstRow) => {
+    const headers = firstRow.map(normalizeHeader);
+    const columns = {};
+
+    Object.entries(COLUMN_ALIASES).forEach(([column, aliases]) => {
+        const index = headers.findIndex(h => aliases.includes(h));
+        if (index !== -1) columns[column] = index;
+    });
+
+    if (Object.keys(columns).length === 3) {
+        return { columns, hasHeader: true };
+    }
+    return { columns: { registration_number: 0, date: 1, status: 2 }, hasHeader: false };
+};
+
+// Accept YYYY-MM-DD and DD-MM-YYYY / DD/MM/YYYY as written on paper registers
+const normalizeDate = (value) => {
+    const text = (value || '').trim();
+    let iso = text;
+
+    const dayFirst = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+    if (dayFirst) {
+        iso = `${dayFirst[3]}-${dayFirst[2].padStart(2, '0')}-${dayFirst[1].padStart(2, '0')}`;
+    }
+
+    if (!DATE_PATTERN.test(iso)) return null;
+    const parsed = new Date(`${iso}T00:00:00Z`);
+    if (isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== iso) return null;
+    return iso;
+};
+
+const normalizeStatus = (value) => {
+    const text = (value || '').trim().toLowerCase();
+    if (ATTENDANCE_STATUSES.includes(text)) return text;
+    return STATUS_CODES[text] || null;
+};
+
+/**
+ * Turn CSV text into rows of { row, registration_number, date, status, errors }.
+ * `row` is the 1-based row number in the file (header included, blank lines skipped).
+ */
+const parseAttendanceCsv = (text) => {
+    const rows = parseCsv(text);
+    if (rows.length === 0) return [];
+
+    const { columns, hasHeader } = resolveColumns(rows[0]);
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    const offset = hasHeader ? 2 : 1;
+
+    return dataRows.map((cells, index) => {
+        const registrationNumber = (cells[columns.registration_number] || '').trim();
+        const rawDate = (cells[columns.date] || '').trim();
+        const rawStatus = (cells[columns.status] || '').trim();
+        const date = normalizeDate(rawDate);
+        const status = normalizeStatus(rawStatus);
+
+        const errors = [];
+        if (!registrationNumber) errors.push('Registration number is required.');
+        if (!date) errors.push(`Invalid date "${rawDate}". Use YYYY-MM-DD or DD-MM-YYYY.`);
+        if (!status) errors.push(`Invalid status "${rawStatus}". Use present, absent, late or excused (or P/A/L/E).`);
+
+        return {
+            row: index + offset,
+            registration_number: registrationNumber,
+            date,
+            status,
+            errors
+        };
+    });
+};
+
+module.exports = { parseCsv, parseAttendanceCsv, normalizeDate, normalizeStatus };
@@ -0,0 +1,147 @@
+const supabase = require("../config/supabase.js");
+const ExcelJS = require("exceljs");
+const { fetchAllRows, fetchAllRowsIn, loadAttendance, buildStudentStats, emptyCounts } = require("./attendanceAnalytics");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Status codes written into the register cells
+const STATUS_CODES = { present: 'P', absent: 'A', late: 'L', excused: 'E' };
+
+// Empty, or a real YYYY-MM-DD date (2026-02-30 is refused)
+const isValidDate = (value) => {
+    if (!value) return true;
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Build an attendance register (students × session dates) for a batch and the
+ * other batches of its merge group. Each row holds the status per date, or
+ * null when the student has no record for that date.
+ */
+const buildAttendanceRegister = async (batchIds, { from, to } = {}) => {
+    const { sessions, records } = await loadAttendance(batchIds, { from, to });
+
+    const { data: batches, error: batchesError } = await supabase
+        .from('batches')
+        .select('batch_id, batch_name')
+        .in('batch_id', batchIds);
+
+    if (batchesError) throw batchesError;
+
+    const enrollments = await fetchAllRows(() => supabase
+        .from('enrollment')
+        .select('enrollment_id, student, batch')
+        .in('batch', batchIds)
+        .eq('status', true)
+        .order('enrollment_id', { ascending: true }));
+
+    // Enrolled students plus anyone with records (e.g. transferred out since)
+    const batchByStudent = new Map(enrollments.map(e => [e.student, e.batch]));
+    const studentIds = [...new Set([...batchByStudent.keys(), ...records.map(r => r.student_id)])];
+
+    const students = await fetchAllRowsIn(studentIds, (ids) => supabase
+        .from('students')
+        .select('student_id, name, registration_number')
+        .in('student_id', ids)
+        .order('student_id', { ascending: true }));
+
+    const batchNames = new Map(batches.map(b => [b.batch_id, b.batch_name]));
+    const sessionById = new Map(sessions.map(s => [s.id, s]));
+    const dates = [...new Set(sessions.map(s => s.session_date))];
+    const stats = buildStudentStats(sessions, records);
+
+    const statusesByStudent = new Map();
+    records.forEach(record => {
+        const session = sessionById.get(record.session_id);
+        if (!session) return;
+        if (!statusesByStudent.has(record.student_id)) statusesByStudent.set(record.student_id, {});
+        statusesByStudent.get(record.student_id)[session.session_date] = record.status;
+    });
+
+    const rows = students
+        .map(student => {
+            const studentStats = stats.get(student.student_id);
+            const batchId = batchByStudent.get(student.student_id) || null;
+            return {
+                student_id: student.student_id,
+                registration_number: student.registration_number || '',
+                name: student.name || '',
+                batch_name: batchId ? batchNames.get(batchId) : '',
+                statuses: statusesByStudent.get(student.student_id) || {},
+                counts: studentStats ? studentStats.counts : emptyCounts(),
+                attendance_percentage: studentStats ? studentStats.attendance_percentage : null
+            };
+        })
+        .sort((a, b) => a.registration_number.localeCompare(b.registration_number) || a.name.localeCompare(b.name));
+
+    return { dates, rows };
+};
+
+// Header and cell values shared by the CSV and XLSX writers; statuses are written as P/A/L/E
+const registerTable = ({ dates, rows }) => {
+    const header = ['Registration No', 'Student Name', 'Batch', ...dates, 'Present', 'Late', 'Absent', 'Excused', 'Attendance %'];
+    const body = rows.map(row => [
+        row.registration_number,
+        row.name,
+        row.batch_name,
+        ...dates.map(date => STATUS_CODES[row.statuses[date]] || ''),
+        row.counts.present,
+        row.counts.late,
+        row.counts.absent,
+        row.counts.excused,
+        row.attendance_percentage === null ? '' : row.attendance_percentage
+    ]);
+    return [header, ...body];
+};
+
+// Quote CSV fields and neutralise values a spreadsheet would treat as formulas
+const csvCell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (table) => table.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+// Merge several registers (e.g. every batch of a center) into one, over the union of dates
+const combineRegisters = (registers) => {
+    const dates = [...new Set(registers.flatMap(r => r.dates))].sort();
+    const rows = registers.flatMap(r => r.rows);
+    return { dates, rows };
+};
+
+// Add one worksheet per register; sheet names must be unique and at most 31 characters
+const addRegisterSheet = (workbook, name, register) => {
+    const baseName = (name || 'Attendance').replace(/[\\/?*[\]:]/g, '-').slice(0, 28);
+    let sheetName = baseName;
+    for (let i = 2; workbook.getWorksheet(sheetName); i++) {
+        sheetName = `${baseName}-${i}`;
+    }
+
+    const sheet = workbook.addWorksheet(sheetName);
+    registerTable(register).forEach(row => sheet.addRow(row));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', xSplit: 2, ySplit: 1 }];
+    sheet.getColumn(1).width = 18;
+    sheet.getColumn(2).width = 28;
+    sheet.getColumn(3).width = 20;
+    return sheet;
+};
+
+const createWorkbook = () => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    return workbook;
+};
+
+module.exports = {
+    isValidDate,
+    buildAttendanceRegister,
+    registerTable,
+    toCsv,
+    combineRegisters,
+    addRegisterSheet,
+    createWorkbook
+};
@@ -0,0 +1,115 @@
+const { supabaseAdmin } = require("../config/supabase.js");
+
+// Request fields and row columns (password_hash, token_hash, ...) that must never be written to the audit trail
+const SENSITIVE_KEYS = /password|token|secret|authorization/i;
+const MAX_STRING_LENGTH = 1000;
+
+// Strip credentials and truncate very long strings before storing request data or row snapshots
+const sanitize = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(sanitize);
+    }
+    if (value && typeof value === 'object') {
+        if (Buffer.isBuffer(value)) return '[binary]';
+        const result = {};
+        Object.entries(value).forEach(([key, val]) => {
+            result[key] = SENSITIVE_KEYS.test(key) ? '[redacted]' : sanitize(val);
+        });
+        return result;
+    }
+    if (typeof value === 'string' && value.length > MAX_STRING_LENGTH) {
+        return `${value.slice(0, MAX_STRING_LENGTH)}…`;
+    }
+    return value;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Field-level diff of two row snapshots: { field: { before, after } } for changed fields only.
+// Arrays of rows are compared row by row using `key`.
+const computeDiff = (before, after, key = 'id') => {
+    if (Array.isArray(before) || Array.isArray(after)) {
+        const beforeRows = new Map((before || []).map(row => [row[key], row]));
+        const afterRows = new Map((after || []).map(row => [row[key], row]));
+        const ids = new Set([...beforeRows.keys(), ...afterRows.keys()]);
+        const diff = {};
+        ids.forEach(id => {
+            const rowDiff = computeDiff(beforeRows.get(id) || null, afterRows.get(id) || null, key);
+            if (rowDiff && Object.keys(rowDiff).length > 0) diff[id] = rowDiff;
+        });
+        return diff;
+    }
+
+    if (!isPlainObject(before) && !isPlainObject(after)) {
+        return null;
+    }
+
+    const diff = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    fields.forEach(field => {
+        const oldValue = before ? before[field] : undefined;
+        const newValue = after ? after[field] : undefined;
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            diff[field] = { before: oldValue ?? null, after: newValue ?? null };
+        }
+    });
+    return diff;
+};
+
+// Request details stored alongside every audit event
+const buildRequestMetadata = (req, statusCode) => {
+    const files = [];
+    if (req.file) files.push(req.file.originalname);
+    if (Array.isArray(req.files)) files.push(...req.files.map(f => f.originalname));
+    else if (req.files) Object.values(req.files).flat().forEach(f => files.push(f.originalname));
+
+    return {
+        method: req.method,
+        path: req.originalUrl,
+        status_code: statusCode,
+        ip: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.ip,
+        user_agent: req.headers['user-agent'] || null,
+        params: sanitize(req.params),
+        query: sanitize(req.query),
+        body: sanitize(req.body),
+        files: files.length > 0 ? files : undefined
+    };
+};
+
+/**
+ * Write one row to audit_events. Never throws: a failed audit write is logged
+ * but must not fail the academic action that triggered it.
+ */
+const recordAuditEvent = async ({ req, action, entityType, entityId = null, before = null, after = null, diffKey = 'id', statusCode = null, metadata = {} }) => {
+    try {
+        // Diff the raw rows so a changed credential still shows up, with its values redacted
+        const diff = sanitize(computeDiff(before, after, diffKey));
+
+        const { error } = await supabaseAdmin
+            .from('audit_events')
+            .insert({
+                actor_id: req.user?.id || null,
+                actor_role: req.user?.role || null,
+                actor_name: req.user?.full_name || req.user?.name || null,
+                action,
+                entity_type: entityType,
+                entity_id: Array.isArray(entityId) ? null : (entityId ? String(entityId) : null),
+                before_state: sanitize(before),
+                after_state: sanitize(after),
+                diff,
+                request_metadata: {
+                    ...buildRequestMetadata(req, statusCode),
+                    ...(Array.isArray(entityId) ? { entity_ids: entityId } : {}),
+                    ...metadata
+                }
+            });
+
+        if (error) {
+            console.error(`❌ Failed to record audit event ${action}:`, error);
+        }
+    } catch (error) {
+        console.error(`❌ Error recording audit event ${action}:`, error);
+    }
+};
+
+module.exports = { recordAuditEvent, computeDiff, sanitize };
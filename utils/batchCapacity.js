@@ -0,0 +1,245 @@
+const supabase = require("../config/supabase.js");
+const { CLOSED_BATCH_STATUSES, checkTransfer, moveEnrollment } = require("./batchTransfer.js");
+const { notify } = require("./notificationService.js");
+
+// Raised by the enforce_batch_capacity trigger when the last seat is already taken
+const isCapacityError = (error) => error?.code === '23514' && /BATCH_FULL/.test(error.message || '');
+
+// Active enrollments and waiting students per batch, counted in the database in
+// one grouped query (batch_occupancy_counts), so the figures are not capped by
+// the row limit of a select: { [batchId]: { enrolled, waiting } }
+const countPerBatch = async (batchIds) => {
+    if (batchIds.length === 0) return {};
+
+    const { data, error } = await supabase.rpc('batch_occupancy_counts', { p_batch_ids: batchIds });
+
+    if (error) throw error;
+    return Object.fromEntries((data || []).map(row => [
+        row.batch_id,
+        { enrolled: Number(row.enrolled) || 0, waiting: Number(row.waiting) || 0 }
+    ]));
+};
+
+// Active enrollments per batch: { [batchId]: count }
+const countEnrolled = async (batchIds) => {
+    const counts = await countPerBatch(batchIds);
+    return Object.fromEntries(Object.entries(counts).map(([batchId, c]) => [batchId, c.enrolled]));
+};
+
+const buildOccupancy = (maxStudents, enrolled, waiting) => ({
+    capacity: maxStudents || null,
+    enrolled,
+    seats_available: maxStudents ? Math.max(maxStudents - enrolled, 0) : null,
+    is_full: maxStudents ? enrolled >= maxStudents : false,
+    waitlist_count: waiting
+});
+
+/**
+ * Capacity figures for a list of batches ({ batch_id, max_students }).
+ * Returns { [batchId]: { capacity, enrolled, seats_available, is_full, waitlist_count } }.
+ * A batch without max_students has no limit (capacity and seats_available are null).
+ */
+const getOccupancy = async (batches) => {
+    const counts = await countPerBatch(batches.map(b => b.batch_id));
+
+    return Object.fromEntries(batches.map(b => [
+        b.batch_id,
+        buildOccupancy(b.max_students, counts[b.batch_id]?.enrolled || 0, counts[b.batch_id]?.waiting || 0)
+    ]));
+};
+
+// Waiting entries of a batch in promotion order
+const getWaitingEntries = async (batchId) => {
+    const { data, error } = await supabase
+        .from('batch_waitlist')
+        .select('id, batch_id, student_id, position, notes, added_by, created_at')
+        .eq('batch_id', batchId)
+        .eq('status', 'WAITING')
+        .order('position', { ascending: true })
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+};
+
+/**
+ * Why a student with this enrollment (or none) cannot wait for a batch and be
+ * promoted into it later, leaving aside that it is full. Promotion never
+ * changes a student's course, so a student of another course cannot wait.
+ * Returns { fromBatch, problems } in the shape of checkTransfer.
+ */
+const waitlistProblems = async (batch, enrollment) => {
+    let fromBatch = null;
+    if (enrollment?.batch && enrollment.batch !== batch.batch_id) {
+        const { data, error } = await supabase
+            .from('batches')
+            .select('batch_id, course_id')
+            .eq('batch_id', enrollment.batch)
+            .single();
+
+        if (error) throw error;
+        fromBatch = data;
+    }
+
+    const problems = (await checkTransfer({ fromBatch, toBatch: batch }))
+        .filter(p => p.code !== 'BATCH_FULL')
+        .map(p => p.code === 'COURSE_MISMATCH'
+            ? { ...p, message: 'The batch is for a different course than the student\'s current batch; waitlisted students are only promoted within their course.' }
+            : p);
+
+    return { fromBatch, problems };
+};
+
+// Append a student to the end of the batch's queue
+const addToWaitlist = async ({ batchId, studentId, notes, addedBy }) => {
+    const waiting = await getWaitingEntries(batchId);
+    const position = waiting.length > 0 ? waiting[waiting.length - 1].position + 1 : 1;
+
+    const { data, error } = await supabase
+        .from('batch_waitlist')
+        .insert([{
+            batch_id: batchId,
+            student_id: studentId,
+            position,
+            notes: notes || null,
+            added_by: addedBy || null
+        }])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+};
+
+// Close the student's waiting entry once they are enrolled in the batch by other means
+const markWaitlistPromoted = async (batchId, studentId) => {
+    const { error } = await supabase
+        .from('batch_waitlist')
+        .update({ status: 'PROMOTED', promoted_at: new Date().toISOString() })
+        .eq('batch_id', batchId)
+        .eq('student_id', studentId)
+        .eq('status', 'WAITING');
+
+    if (error) throw error;
+};
+
+const notifyPromotion = (batch, student) => notify('STUDENT_PROMOTED_FROM_WAITLIST', {
+    studentName: student.name,
+    batchName: batch.batch_name
+}, { batch, students: [student.student_id] }, { relatedId: batch.batch_id });
+
+/**
+ * Fill the free seats of a batch from its waitlist, in position order.
+ *
+ * A waiting student without an enrollment is enrolled; one enrolled elsewhere is
+ * transferred (with an enrollment_history row), which frees a seat in their old
+ * batch, so that batch's waitlist is promoted in turn. Students who cannot be
+ * enrolled, or who would change course, stay on the list. Returns the promoted
+ * waitlist entries.
+ */
+const promoteFromWaitlist = async (batchId, { promotedBy } = {}) => {
+    const { data: batch, error: batchError } = await supabase
+        .from('batches')
+        .select('batch_id, batch_name, status, course_id, max_students, teacher, assistant_tutor')
+        .eq('batch_id', batchId)
+        .single();
+
+    if (batchError || !batch || CLOSED_BATCH_STATUSES.includes(batch.status)) {
+        return [];
+    }
+
+    const waiting = await getWaitingEntries(batchId);
+    const promoted = [];
+    const freedBatchIds = new Set();
+
+    for (const entry of waiting) {
+        const enrolled = (await countEnrolled([batchId]))[batchId] || 0;
+        if (batch.max_students && enrolled >= batch.max_students) break;
+
+        const { data: student } = await supabase
+            .from('students')
+            .select('student_id, name, status')
+            .eq('student_id', entry.student_id)
+            .single();
+
+        if (!student || !student.status) continue;
+
+        const { data: enrollment, error: enrollmentError } = await supabase
+            .from('enrollment')
+            .select('enrollment_id, batch, status')
+            .eq('student', entry.student_id)
+            .maybeSingle();
+
+        if (enrollmentError) {
+            console.error('Error checking enrollment for waitlist promotion:', enrollmentError);
+            continue;
+        }
+
+        let check;
+        try {
+            check = await waitlistProblems(batch, enrollment);
+        } catch (error) {
+            console.error('Error checking waitlist entry for promotion:', error);
+            continue;
+        }
+
+        // E.g. the student moved to another course since joining the list
+        if (check.problems.length > 0) continue;
+
+        try {
+            if (!enrollment) {
+                const { error: insertError } = await supabase
+                    .from('enrollment')
+                    .insert([{
+                        student: entry.student_id,
+                        batch: batchId,
+                        status: true,
+                        created_at: new Date().toISOString()
+                    }]);
+
+                if (insertError) throw insertError;
+            } else if (enrollment.batch !== batchId || !enrollment.status) {
+                const { fromBatch } = check;
+
+                await moveEnrollment({
+                    studentId: entry.student_id,
+                    enrollment,
+                    fromBatch,
+                    toBatch: batch,
+                    reason: 'Promoted from waitlist',
+                    transferredBy: promotedBy,
+                    // Promotion gives the student the seat, so an inactive enrollment becomes active
+                    reactivate: true
+                });
+
+                if (fromBatch && enrollment.status) {
+                    freedBatchIds.add(fromBatch.batch_id);
+                }
+            }
+        } catch (error) {
+            if (isCapacityError(error)) break;
+            console.error('Error promoting student from waitlist:', error);
+            continue;
+        }
+
+        await markWaitlistPromoted(batchId, entry.student_id);
+        await notifyPromotion(batch, student);
+        promoted.push(entry);
+    }
+
+    for (const freedBatchId of freedBatchIds) {
+        await promoteFromWaitlist(freedBatchId, { promotedBy });
+    }
+
+    return promoted;
+};
+
+module.exports = {
+    isCapacityError,
+    getOccupancy,
+    getWaitingEntries,
+    waitlistProblems,
+    addToWaitlist,
+    markWaitlistPromoted,
+    promoteFromWaitlist
+};
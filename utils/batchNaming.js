@@ -0,0 +1,38 @@
+const supabase = require("../config/supabase.js");
+
+// 09:00 → 09:00AM
+const formatToAmPm = (time) => {
+    const [hours, minutes] = time.split(':');
+    const date = new Date();
+    date.setHours(hours, minutes);
+    return date.toLocaleTimeString('en-US', {
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: true
+    }).replace(/\s/g, '');
+};
+
+// Display name: B118-FRENCH A1-09:00AM-10:00AM
+const buildBatchName = ({ batchCode, courseName, timeFrom, timeTo }) =>
+    `${batchCode}-${courseName.toUpperCase()}-${formatToAmPm(timeFrom)}-${formatToAmPm(timeTo)}`;
+
+// Code of a batch created before batch_code existed, read from its name
+const batchCodeFromName = (batchName) => {
+    const match = (batchName || '').match(/^B(\d+)/);
+    return match ? `B${match[1]}` : null;
+};
+
+// Take the next batch number from the database sequence; never handed out twice
+const allocateBatchCode = async () => {
+    const { data: batchNumber, error } = await supabase.rpc('next_batch_number');
+
+    if (error) throw error;
+    return { batch_number: batchNumber, batch_code: `B${batchNumber}` };
+};
+
+module.exports = {
+    formatToAmPm,
+    buildBatchName,
+    batchCodeFromName,
+    allocateBatchCode
+};
@@ -0,0 +1,202 @@
+const supabase = require("../config/supabase.js");
+const { getMergedBatchIds } = require("./batchMergeHelper");
+
+// Roles that can act on every batch
+const GLOBAL_BATCH_ROLES = ['academic', 'manager', 'admin'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// YYYY-MM-DD of a date or timestamp (today when missing), or null when it is
+// not a real date. new Date() would roll 2026-02-30 over into March.
+const toDateString = (value) => {
+    if (!value) return today();
+
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const parsed = new Date(`${value}T00:00:00Z`);
+        return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value ? value : null;
+    }
+
+    const parsed = new Date(value);
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+};
+
+// Resolve teachers.teacher_id for a logged-in teacher (users.id)
+const getTeacherIdForUser = async (userId) => {
+    const { data: teacher, error } = await supabase
+        .from('teachers')
+        .select('teacher_id')
+        .eq('teacher', userId)
+        .single();
+
+    if (error || !teacher) {
+        return null;
+    }
+    return teacher.teacher_id;
+};
+
+// The reverse: users.id of each teachers.teacher_id, as a Map
+const getUserIdsForTeachers = async (teacherIds) => {
+    if (teacherIds.length === 0) return new Map();
+
+    const { data, error } = await supabase
+        .from('teachers')
+        .select('teacher_id, teacher')
+        .in('teacher_id', teacherIds);
+
+    if (error) {
+        console.error('❌ Error resolving teacher user ids:', error);
+        return new Map();
+    }
+    return new Map(data.map(t => [t.teacher_id, t.teacher]));
+};
+
+// An approved substitute may act on the batch only while the cover window
+// (date_from..date_to) is running, and only on dates inside it
+const isApprovedSubstitute = async (teacherId, userId, batchIds, date) => {
+    const { data: subRows, error } = await supabase
+        .from('teacher_batch_requests')
+        .select('date_from, date_to, sub_teacher_id')
+        .in('batch_id', batchIds)
+        .in('status', ['APPROVED', 'Approved'])
+        .in('sub_teacher_id', [teacherId, userId].filter(Boolean));
+
+    if (error) {
+        console.error('❌ Error checking substitute teacher requests:', error);
+        return false;
+    }
+
+    const now = today();
+    return (subRows || []).some(r => (
+        r.date_from <= date && r.date_to >= date && r.date_from <= now && r.date_to >= now
+    ));
+};
+
+const isCenterAdminOf = async (userId, centerIds) => {
+    if (centerIds.length === 0) return false;
+
+    const { data: centers, error } = await supabase
+        .from('centers')
+        .select('center_id')
+        .eq('center_admin', userId)
+        .in('center_id', centerIds);
+
+    return !error && centers && centers.length > 0;
+};
+
+const isStateAdminOf = async (userId, centerIds) => {
+    if (centerIds.length === 0) return false;
+
+    const { data: centers, error: centerError } = await supabase
+        .from('centers')
+        .select('state')
+        .in('center_id', centerIds);
+
+    if (centerError || !centers) return false;
+
+    const stateIds = [...new Set(centers.map(c => c.state).filter(Boolean))];
+    if (stateIds.length === 0) return false;
+
+    const { data: states, error: stateError } = await supabase
+        .from('states')
+        .select('state_id')
+        .eq('state_admin', userId)
+        .in('state_id', stateIds);
+
+    return !stateError && states && states.length > 0;
+};
+
+/**
+ * Decide whether a user may act on a batch.
+ *
+ * Allowed: academic/manager/admin; the batch's teacher or assistant tutor; an approved
+ * substitute while their cover window runs, for a `date` (defaults to today) inside it
+ * (an invalid date is refused with 400);
+ * the center admin of the batch's center; the state admin of that center's state.
+ * Access to any batch of a merge group grants access to the whole group, since merged
+ * batches share classes.
+ *
+ * @returns {Promise<{ allowed: boolean, status: number, reason?: string }>}
+ */
+const checkBatchAccess = async (user, batchId, { date } = {}) => {
+    const userId = user?.id;
+    const userRole = (user?.role || '').toLowerCase();
+
+    if (!userId || !batchId) {
+        return { allowed: false, status: 403, reason: 'Missing user or batch.' };
+    }
+
+    const batchIds = await getMergedBatchIds(batchId);
+
+    const { data: batches, error } = await supabase
+        .from('batches')
+        .select('batch_id, teacher, assistant_tutor, center')
+        .in('batch_id', batchIds);
+
+    if (error) {
+        console.error('❌ Error fetching batch for authorization:', error);
+        return { allowed: false, status: 500, reason: 'Failed to verify batch access.' };
+    }
+
+    if (!batches || !batches.some(b => b.batch_id === batchId)) {
+        return { allowed: false, status: 404, reason: 'Batch not found.' };
+    }
+
+    if (GLOBAL_BATCH_ROLES.includes(userRole)) {
+        return { allowed: true, status: 200 };
+    }
+
+    const centerIds = [...new Set(batches.map(b => b.center).filter(Boolean))];
+    const day = toDateString(date);
+
+    if (!day) {
+        return { allowed: false, status: 400, reason: 'Invalid date.' };
+    }
+
+    if (userRole === 'teacher') {
+        const teacherId = await getTeacherIdForUser(userId);
+
+        if (teacherId && batches.some(b => b.teacher === teacherId || b.assistant_tutor === teacherId)) {
+            return { allowed: true, status: 200 };
+        }
+
+        if (await isApprovedSubstitute(teacherId, userId, batchIds, day)) {
+            return { allowed: true, status: 200 };
+        }
+    } else if (userRole === 'center') {
+        if (await isCenterAdminOf(userId, centerIds)) {
+            return { allowed: true, status: 200 };
+        }
+    } else if (userRole === 'state') {
+        if (await isStateAdminOf(userId, centerIds)) {
+            return { allowed: true, status: 200 };
+        }
+    }
+
+    return { allowed: false, status: 403, reason: 'You are not authorized to access this batch.' };
+};
+
+// Center-wide access: academic/manager/admin, the center admin, or the state admin of its state
+const canAccessCenter = async (user, centerId) => {
+    const userRole = (user?.role || '').toLowerCase();
+
+    if (!user?.id || !centerId) return false;
+    if (GLOBAL_BATCH_ROLES.includes(userRole)) return true;
+    if (userRole === 'center') return isCenterAdminOf(user.id, [centerId]);
+    if (userRole === 'state') return isStateAdminOf(user.id, [centerId]);
+    return false;
+};
+
+// Boolean shorthand for controllers that authorize inline
+const canAccessBatch = async (user, batchId, options) => {
+    const result = await checkBatchAccess(user, batchId, options);
+    return result.allowed;
+};
+
+module.exports = {
+    GLOBAL_BATCH_ROLES,
+    getTeacherIdForUser,
+    getUserIdsForTeachers,
+    checkBatchAccess,
+    canAccessBatch,
+    canAccessCenter
+};
@@ -0,0 +1,262 @@
+const supabase = require("../config/supabase.js");
+const { CLASS_TIMEZONE } = require("./checkInCodes");
+const { findGMeetConflicts, shouldBlock } = require("./scheduleConflicts.js");
+const { notify } = require("./notificationService.js");
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// academic_events types that mean no classes (comma-separated, case-insensitive)
+const HOLIDAY_EVENT_TYPES = (process.env.HOLIDAY_EVENT_TYPES || 'holiday')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean);
+
+// Upper bound on how far the generator looks ahead, so a schedule that can
+// never fit (e.g. every weekday skipped) fails instead of looping
+const MAX_SCHEDULE_DAYS = 3 * 366;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Round-trips so impossible dates such as 2026-02-30 are rejected, not rolled over
+const isValidDate = (value) => {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const addDays = (date, days) => {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + days);
+    return next.toISOString().split('T')[0];
+};
+
+const weekdayOf = (date) => WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+// Today's date where the classes are held
+const localToday = () => new Intl.DateTimeFormat('en-CA', {
+    timeZone: CLASS_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+}).format(new Date());
+
+// Accept 'mon', 'Monday', 1 (0 = Sunday) ... Returns codes in week order, or null if any is invalid
+const normalizeWeekdays = (days) => {
+    if (!Array.isArray(days) || days.length === 0) return null;
+
+    const codes = new Set();
+    for (const day of days) {
+        let code = null;
+        if (Number.isInteger(day) && day >= 0 && day <= 6) {
+            code = WEEKDAYS[day];
+        } else if (typeof day === 'string') {
+            const prefix = day.trim().toLowerCase().slice(0, 3);
+            if (WEEKDAYS.includes(prefix)) code = prefix;
+        }
+        if (!code) return null;
+        codes.add(code);
+    }
+    return WEEKDAYS.filter(code => codes.has(code));
+};
+
+// Every date covered by an active holiday event ending on or after `fromDate`
+const getHolidayDates = async (fromDate) => {
+    const { data, error } = await supabase
+        .from('academic_events')
+        .select('title, event_type, event_start_date, event_end_date')
+        .eq('status', 'active')
+        .or(`event_start_date.gte.${fromDate},event_end_date.gte.${fromDate}`);
+
+    if (error) throw error;
+
+    const holidays = new Map();
+    for (const event of data) {
+        if (!HOLIDAY_EVENT_TYPES.includes((event.event_type || '').toLowerCase())) continue;
+
+        const endDate = event.event_end_date || event.event_start_date;
+        for (let date = event.event_start_date, i = 0; date <= endDate && i < MAX_SCHEDULE_DAYS; date = addDays(date, 1), i++) {
+            if (!holidays.has(date)) holidays.set(date, event.title);
+        }
+    }
+    return holidays;
+};
+
+/**
+ * Walk forward from `startDate` and pick `count` class dates on the schedule's
+ * weekdays, skipping holidays, the batch's skip list and dates already taken.
+ * Returns the dates plus the scheduled weekdays that were skipped and why.
+ */
+const planSessionDates = ({ days, startDate, count, holidays = new Map(), skipDates = new Set(), takenDates = new Set() }) => {
+    const dates = [];
+    const skipped = [];
+
+    for (let date = startDate, i = 0; dates.length < count; date = addDays(date, 1), i++) {
+        if (i >= MAX_SCHEDULE_DAYS) {
+            throw new Error(`Could not fit ${count} sessions within ${MAX_SCHEDULE_DAYS} days of ${startDate}.`);
+        }
+        if (!days.includes(weekdayOf(date)) || takenDates.has(date)) continue;
+
+        if (holidays.has(date)) {
+            skipped.push({ date, reason: `Holiday: ${holidays.get(date)}` });
+        } else if (skipDates.has(date)) {
+            skipped.push({ date, reason: 'In the batch skip list' });
+        } else {
+            dates.push(date);
+        }
+    }
+    return { dates, skipped };
+};
+
+// Scheduling conflicts of the planned sessions, each tagged with its session
+const plannedConflicts = async (batch, planned) => {
+    const conflicts = [];
+    for (const session of planned) {
+        const found = await findGMeetConflicts({
+            batch_id: batch.batch_id,
+            date: session.date,
+            time: session.time,
+            meet_id: session.meet_id || null
+        });
+        found.forEach(conflict => conflicts.push({ session_number: session.session_number, date: session.date, ...conflict }));
+    }
+    return conflicts;
+};
+
+/**
+ * Give every session 1..total_sessions of the batch a date from its schedule.
+ * Completed, cancelled and past sessions are never moved. Future scheduled
+ * sessions that already have a date keep it unless `regenerate` is set, in
+ * which case they are re-dated from today (or the schedule start) onwards.
+ * Existing gmeet rows are updated in place so links and attendance stay attached.
+ *
+ * New and re-dated sessions are checked for scheduling conflicts like any other
+ * gmeet: in block mode nothing is written and the result has blocked: true.
+ * The batch's teachers and students are told about sessions that moved.
+ */
+const materializeSchedule = async (batch, { regenerate = false } = {}) => {
+    const total = batch.total_sessions;
+    const today = localToday();
+
+    const { data: sessions, error: sessionsError } = await supabase
+        .from('gmeets')
+        .select('meet_id, session_number, title, date, status')
+        .eq('batch_id', batch.batch_id);
+
+    if (sessionsError) throw sessionsError;
+
+    const bySessionNumber = new Map();
+    for (const session of sessions) {
+        if (session.session_number && !bySessionNumber.has(session.session_number)) {
+            bySessionNumber.set(session.session_number, session);
+        }
+    }
+
+    const isFixed = (session) => (
+        (session.status && session.status !== 'Scheduled')
+            || (session.date && (session.date < today || !regenerate))
+    );
+
+    const takenDates = new Set();
+    let lastFixedDate = null;
+    const openNumbers = [];
+    for (let number = 1; number <= total; number++) {
+        const session = bySessionNumber.get(number);
+        if (session && isFixed(session)) {
+            if (session.date) {
+                takenDates.add(session.date);
+                if (!lastFixedDate || session.date > lastFixedDate) lastFixedDate = session.date;
+            }
+        } else {
+            openNumbers.push(number);
+        }
+    }
+
+    // New dates follow every session that keeps its date
+    let startDate = batch.schedule_start_date;
+    if (regenerate && today > startDate) startDate = today;
+    if (lastFixedDate && addDays(lastFixedDate, 1) > startDate) startDate = addDays(lastFixedDate, 1);
+
+    const holidays = await getHolidayDates(startDate);
+    const { dates, skipped } = planSessionDates({
+        days: batch.schedule_days,
+        startDate,
+        count: openNumbers.length,
+        holidays,
+        skipDates: new Set(batch.schedule_skip_dates || []),
+        takenDates
+    });
+
+    const toCreate = [];
+    const toUpdate = [];
+    openNumbers.forEach((number, index) => {
+        const session = bySessionNumber.get(number);
+        const fields = { date: dates[index], time: batch.time_from, is_generated: true };
+        if (session) {
+            if (session.date !== fields.date) toUpdate.push({ meet_id: session.meet_id, session_number: number, ...fields });
+        } else {
+            toCreate.push({
+                batch_id: batch.batch_id,
+                session_number: number,
+                title: `Session ${number}`,
+                meet_link: null,
+                current: false,
+                note: null,
+                ...fields
+            });
+        }
+    });
+
+    const planned = openNumbers.map((number, index) => ({ session_number: number, date: dates[index] }));
+
+    const conflicts = await plannedConflicts(batch, [...toCreate, ...toUpdate]);
+    if (shouldBlock(conflicts)) {
+        return { total_sessions: total, blocked: true, conflicts, skipped_dates: skipped, sessions: planned };
+    }
+
+    if (toCreate.length > 0) {
+        const { error } = await supabase.from('gmeets').insert(toCreate);
+        if (error) throw error;
+    }
+
+    for (const { meet_id, session_number, ...fields } of toUpdate) {
+        const { error } = await supabase.from('gmeets').update(fields).eq('meet_id', meet_id);
+        if (error) throw error;
+    }
+
+    // Sessions that had a date before; newly dated ones were never announced
+    const moves = toUpdate
+        .map(update => ({ session: bySessionNumber.get(update.session_number), to: update.date }))
+        .filter(({ session }) => session.date)
+        .map(({ session, to }) => ({ title: session.title || `Session ${session.session_number}`, from: session.date, to }));
+
+    if (moves.length > 0) {
+        await notify('SESSIONS_RESCHEDULED', { batchName: batch.batch_name, moves }, {
+            batchTeachers: batch.batch_id,
+            mergedBatchStudents: batch.batch_id
+        }, { relatedId: batch.batch_id });
+    }
+
+    return {
+        total_sessions: total,
+        created: toCreate.length,
+        rescheduled: toUpdate.length,
+        unchanged: total - toCreate.length - toUpdate.length,
+        first_date: dates[0] || null,
+        last_date: dates[dates.length - 1] || null,
+        skipped_dates: skipped,
+        conflicts,
+        sessions: planned
+    };
+};
+
+module.exports = {
+    WEEKDAYS,
+    HOLIDAY_EVENT_TYPES,
+    isValidDate,
+    addDays,
+    localToday,
+    normalizeWeekdays,
+    getHolidayDates,
+    planSessionDates,
+    materializeSchedule
+};
@@ -0,0 +1,192 @@
+const supabase = require("../config/supabase.js");
+
+// Student LSRW progress tables and the column identifying the item answered.
+// Speaking keeps a draft and a submitted attempt per material, so status is part of its key.
+const LSRW_PROGRESS_TABLES = {
+    listening: { table: 'lsrw_student_answers', keyColumns: ['lsrw_content_id'] },
+    reading: { table: 'reading_attempts', keyColumns: ['reading_material_id'] },
+    speaking: { table: 'speaking_attempts', keyColumns: ['speaking_material_id', 'status'] },
+    writing: { table: 'writing_submissions', keyColumns: ['writing_task_id'] }
+};
+
+const LSRW_MODES = ['carry_over', 'archive'];
+
+// Batches a student cannot be moved into
+const CLOSED_BATCH_STATUSES = ['Completed', 'Rejected', 'Cancelled'];
+
+const rowKey = (row, keyColumns) => keyColumns.map(column => row[column]).join(':');
+
+/**
+ * Problems that stop a transfer: closed or full target batch, or a different
+ * course (unless allowCourseChange). Returns a list of { code, message }.
+ */
+const checkTransfer = async ({ fromBatch, toBatch, allowCourseChange = false }) => {
+    const problems = [];
+
+    if (fromBatch && fromBatch.batch_id === toBatch.batch_id) {
+        problems.push({ code: 'SAME_BATCH', message: 'The student is already in this batch.' });
+    }
+
+    if (CLOSED_BATCH_STATUSES.includes(toBatch.status)) {
+        problems.push({ code: 'BATCH_CLOSED', message: `Students cannot be moved into a ${toBatch.status.toLowerCase()} batch.` });
+    }
+
+    if (fromBatch && fromBatch.course_id !== toBatch.course_id && !allowCourseChange) {
+        problems.push({
+            code: 'COURSE_MISMATCH',
+            message: 'The target batch is for a different course. Pass allow_course_change to move the student anyway.'
+        });
+    }
+
+    if (toBatch.max_students) {
+        const { count, error } = await supabase
+            .from('enrollment')
+            .select('enrollment_id', { count: 'exact', head: true })
+            .eq('batch', toBatch.batch_id)
+            .eq('status', true);
+
+        if (error) throw error;
+        if (count >= toBatch.max_students) {
+            problems.push({ code: 'BATCH_FULL', message: `The target batch is full (${count}/${toBatch.max_students} students).` });
+        }
+    }
+
+    return problems;
+};
+
+/**
+ * Move the student's LSRW answers from one batch to another. An item the
+ * student already answered in the target batch keeps that answer, and the old
+ * one stays under the old batch. With mode 'archive' nothing is moved.
+ * Returns per-module counts: { listening: { moved, kept }, ... }.
+ */
+const transferLsrwProgress = async (studentId, fromBatchId, toBatchId, mode) => {
+    const summary = {};
+
+    for (const [module, { table, keyColumns }] of Object.entries(LSRW_PROGRESS_TABLES)) {
+        const { data: oldRows, error: oldError } = await supabase
+            .from(table)
+            .select(['id', ...keyColumns].join(', '))
+            .eq('student_id', studentId)
+            .eq('batch_id', fromBatchId);
+
+        if (oldError) throw oldError;
+
+        if (mode !== 'carry_over' || oldRows.length === 0) {
+            summary[module] = { moved: 0, kept: oldRows.length };
+            continue;
+        }
+
+        const { data: targetRows, error: targetError } = await supabase
+            .from(table)
+            .select(keyColumns.join(', '))
+            .eq('student_id', studentId)
+            .eq('batch_id', toBatchId);
+
+        if (targetError) throw targetError;
+
+        const answered = new Set(targetRows.map(row => rowKey(row, keyColumns)));
+        const movable = oldRows.filter(row => !answered.has(rowKey(row, keyColumns)));
+
+        if (movable.length > 0) {
+            const { error: moveError } = await supabase
+                .from(table)
+                .update({ batch_id: toBatchId })
+                .in('id', movable.map(row => row.id));
+
+            if (moveError) throw moveError;
+        }
+
+        summary[module] = { moved: movable.length, kept: oldRows.length - movable.length };
+    }
+
+    return summary;
+};
+
+const countCompletedSessions = async (batchId) => {
+    const { count, error } = await supabase
+        .from('gmeets')
+        .select('meet_id', { count: 'exact', head: true })
+        .eq('batch_id', batchId)
+        .eq('status', 'Completed');
+
+    if (error) throw error;
+    return count || 0;
+};
+
+/**
+ * Move an existing enrollment to another batch: record the history row, update
+ * the enrollment (removing the history row again if that fails), then carry over
+ * or archive LSRW progress. A course change always archives. An inactive
+ * enrollment stays inactive unless `reactivate` is set. A failed LSRW carry-over
+ * does not undo the move; it is recorded as lsrw_error on the history row.
+ * Returns { enrollment, history, lsrwSummary }; database errors are thrown as is.
+ */
+const moveEnrollment = async ({ studentId, enrollment, fromBatch, toBatch, reason, mode = 'carry_over', transferredBy, reactivate = false }) => {
+    const lsrwMode = fromBatch && fromBatch.course_id !== toBatch.course_id ? 'archive' : mode;
+
+    const { data: history, error: historyError } = await supabase
+        .from('enrollment_history')
+        .insert([{
+            student_id: studentId,
+            enrollment_id: enrollment.enrollment_id,
+            from_batch_id: enrollment.batch,
+            to_batch_id: toBatch.batch_id,
+            reason: reason || null,
+            lsrw_mode: lsrwMode,
+            from_sessions_completed: enrollment.batch ? await countCompletedSessions(enrollment.batch) : null,
+            to_sessions_completed: await countCompletedSessions(toBatch.batch_id),
+            transferred_by: transferredBy || null
+        }])
+        .select()
+        .single();
+
+    if (historyError) throw historyError;
+
+    const { data: updated, error: updateError } = await supabase
+        .from('enrollment')
+        .update({ batch: toBatch.batch_id, ...(reactivate && { status: true }) })
+        .eq('enrollment_id', enrollment.enrollment_id)
+        .select()
+        .single();
+
+    if (updateError) {
+        await supabase.from('enrollment_history').delete().eq('id', history.id);
+        throw updateError;
+    }
+
+    let lsrwSummary = {};
+    let lsrwErrorMessage = null;
+    if (enrollment.batch) {
+        try {
+            lsrwSummary = await transferLsrwProgress(studentId, enrollment.batch, toBatch.batch_id, lsrwMode);
+        } catch (lsrwError) {
+            console.error('Error transferring LSRW progress:', lsrwError);
+            // Don't fail the transfer; the answers stay under the old batch
+            lsrwErrorMessage = lsrwError.message || String(lsrwError);
+        }
+
+        const { error: summaryError } = await supabase
+            .from('enrollment_history')
+            .update({ lsrw_summary: lsrwSummary, lsrw_error: lsrwErrorMessage })
+            .eq('id', history.id);
+
+        if (summaryError) console.error('Error recording LSRW transfer result:', summaryError);
+    }
+
+    return {
+        enrollment: updated,
+        history: { ...history, lsrw_summary: lsrwSummary, lsrw_error: lsrwErrorMessage },
+        lsrwSummary
+    };
+};
+
+module.exports = {
+    LSRW_PROGRESS_TABLES,
+    LSRW_MODES,
+    CLOSED_BATCH_STATUSES,
+    checkTransfer,
+    transferLsrwProgress,
+    countCompletedSessions,
+    moveEnrollment
+};
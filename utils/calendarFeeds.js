@@ -0,0 +1,75 @@
+const crypto = require("crypto");
+const supabase = require("../config/supabase.js");
+require("dotenv").config();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const getSecret = () => {
+    const secret = process.env.CALENDAR_FEED_SECRET || process.env.SECRET_KEY;
+    if (!secret) {
+        throw new Error("SECRET_KEY is missing in environment variables.");
+    }
+    return secret;
+};
+
+// Feed key of a user; with `create`, one is generated on first use
+const getFeedKey = async (subjectId, role, { create = false } = {}) => {
+    const { data, error } = await supabase
+        .from('calendar_feed_keys')
+        .select('feed_key')
+        .eq('subject_id', subjectId)
+        .eq('role', role)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (data || !create) return data ? data.feed_key : null;
+
+    const feedKey = crypto.randomBytes(24).toString('hex');
+    const { error: insertError } = await supabase
+        .from('calendar_feed_keys')
+        .insert([{ subject_id: subjectId, role, feed_key: feedKey }]);
+
+    if (insertError) throw insertError;
+    return feedKey;
+};
+
+// Replace the user's feed key; every URL issued before stops working
+const rotateFeedKey = async (subjectId, role) => {
+    const feedKey = crypto.randomBytes(24).toString('hex');
+    const { error } = await supabase
+        .from('calendar_feed_keys')
+        .upsert({ subject_id: subjectId, role, feed_key: feedKey, rotated_at: new Date().toISOString() }, { onConflict: 'subject_id,role' });
+
+    if (error) throw error;
+    return feedKey;
+};
+
+const signature = (role, subjectId, feedKey, feedType, resourceId) => crypto
+    .createHmac('sha256', getSecret())
+    .update(`${role}:${subjectId}:${feedKey}:${feedType}:${resourceId}`)
+    .digest('base64url');
+
+// Token carried in the feed URL: "<role>.<subject id>.<signature>"
+const signFeedToken = (role, subjectId, feedKey, feedType, resourceId) => (
+    `${role}.${subjectId}.${signature(role, subjectId, feedKey, feedType, resourceId)}`
+);
+
+/**
+ * Check a feed token for one feed. Returns { role, subjectId } of the user the
+ * URL was issued to, or null when the token is malformed, forged or rotated out.
+ */
+const verifyFeedToken = async (token, feedType, resourceId) => {
+    const [role, subjectId, given] = String(token || '').split('.');
+    if (!role || !UUID_PATTERN.test(subjectId || '') || !given) return null;
+
+    const feedKey = await getFeedKey(subjectId, role);
+    if (!feedKey) return null;
+
+    const expected = Buffer.from(signature(role, subjectId, feedKey, feedType, resourceId));
+    const provided = Buffer.from(given);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) return null;
+
+    return { role, subjectId };
+};
+
+module.exports = { getFeedKey, rotateFeedKey, signFeedToken, verifyFeedToken };
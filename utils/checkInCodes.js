@@ -0,0 +1,85 @@
+const crypto = require("crypto");
+
+const CODE_DIGITS = 6;
+
+// Timezone the batches' time_from/time_to are written in
+const CLASS_TIMEZONE = process.env.CLASS_TIMEZONE || 'Asia/Kolkata';
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+const currentStep = (rotationSeconds, now = Date.now()) => Math.floor(now / (rotationSeconds * 1000));
+
+// HOTP-style code for one rotation step of a window
+const codeForStep = (secret, windowId, step) => {
+    const digest = crypto.createHmac('sha256', secret).update(`${windowId}:${step}`).digest();
+    const value = digest.readUInt32BE(digest.length - 4) % (10 ** CODE_DIGITS);
+    return String(value).padStart(CODE_DIGITS, '0');
+};
+
+// Current code plus when it rotates, for the teacher's screen
+const currentCode = (window, now = Date.now()) => {
+    const step = currentStep(window.rotation_seconds, now);
+    return {
+        code: codeForStep(window.secret, window.id, step),
+        qr_payload: `${window.id}.${codeForStep(window.secret, window.id, step)}`,
+        expires_in_seconds: Math.ceil(((step + 1) * window.rotation_seconds * 1000 - now) / 1000)
+    };
+};
+
+// Accept the current code and the previous one, so a code read just before it rotated still works
+const verifyCode = (window, code, now = Date.now()) => {
+    if (typeof code !== 'string' || !/^\d+$/.test(code)) return false;
+
+    const step = currentStep(window.rotation_seconds, now);
+    return [step, step - 1].some(s => {
+        const expected = Buffer.from(codeForStep(window.secret, window.id, s));
+        const given = Buffer.from(code.padStart(CODE_DIGITS, '0'));
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    });
+};
+
+// A QR payload is "<window id>.<code>"
+const parseQrPayload = (payload) => {
+    const match = typeof payload === 'string' && payload.trim().match(/^([0-9a-f-]{36})\.(\d+)$/i);
+    return match ? { windowId: match[1], code: match[2] } : null;
+};
+
+// Wall-clock date/time in the class timezone as a comparable minute count
+const localMinutes = (date, timeZone = CLASS_TIMEZONE) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date).map(p => [p.type, p.value])
+    );
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) / 60000;
+};
+
+/**
+ * 'present' when checking in no later than time_from + grace minutes on the
+ * session date (class timezone), otherwise 'late'. Without a time_from every
+ * check-in counts as present.
+ */
+const checkInStatus = ({ sessionDate, timeFrom, graceMinutes }, now = new Date()) => {
+    if (!timeFrom) return 'present';
+
+    const [hours, minutes] = timeFrom.split(':').map(Number);
+    const [year, month, day] = sessionDate.split('-').map(Number);
+    const startMinutes = Date.UTC(year, month - 1, day, hours, minutes) / 60000;
+
+    return localMinutes(now) <= startMinutes + graceMinutes ? 'present' : 'late';
+};
+
+module.exports = {
+    CLASS_TIMEZONE,
+    generateSecret,
+    currentCode,
+    verifyCode,
+    parseQrPayload,
+    checkInStatus
+};
@@ -0,0 +1,253 @@
+const supabase = require("../config/supabase.js");
+const { EMAIL_TEMPLATES } = require("./emailTemplates.js");
+const { getTransport } = require("./emailTransports.js");
+require("dotenv").config();
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+// Wait before attempt 2, 3, 4, ... (the last delay repeats)
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+// A claim older than this belongs to a worker that died mid-send
+const STALE_CLAIM_MINUTES = 10;
+const OUTBOX_INTERVAL_SECONDS = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS ?? "60", 10);
+
+// Everything but the rendered body, which can carry single-use links
+const OUTBOX_COLUMNS = "id, template, to_address, subject, status, attempts, max_attempts, next_attempt_at, last_error, transport, provider_message_id, sent_at, related_type, related_id, created_by, created_at, updated_at";
+
+// Whether the email's body carries a secret (e.g. a setup link) that must not outlive delivery
+const isSensitive = (email) => Boolean(EMAIL_TEMPLATES[email.template]?.sensitive);
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+/**
+ * Render a template and persist it as a queued email. Nothing is sent yet.
+ * @param {string} templateName  key of EMAIL_TEMPLATES
+ * @param {string} to            recipient address
+ * @param {object} data          values the template needs
+ * @param {object} [options]     { relatedType, relatedId, createdBy, maxAttempts }
+ * @returns {Promise<object>} the outbox row
+ */
+const queueEmail = async (templateName, to, data, { relatedType = null, relatedId = null, createdBy = null, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) => {
+    const template = EMAIL_TEMPLATES[templateName];
+    if (!template) {
+        throw new Error(`Unknown email template: ${templateName}`);
+    }
+    if (!to) {
+        throw new Error(`No recipient address for ${templateName} email`);
+    }
+
+    const { subject, html, text } = template.render(data);
+
+    const { data: row, error } = await supabase
+        .from("email_outbox")
+        .insert([{
+            template: templateName,
+            to_address: to,
+            subject,
+            html,
+            text,
+            max_attempts: maxAttempts,
+            related_type: relatedType,
+            related_id: relatedId ? String(relatedId) : null,
+            created_by: createdBy
+        }])
+        .select(OUTBOX_COLUMNS)
+        .single();
+
+    if (error) throw error;
+    return row;
+};
+
+/**
+ * Claim an email for sending. The update only matches a due queued row or a
+ * stale claim, so two workers never send the same email.
+ */
+const claimEmail = async (id) => {
+    const now = new Date().toISOString();
+    const staleBefore = minutesFromNow(-STALE_CLAIM_MINUTES);
+
+    const { data, error } = await supabase
+        .from("email_outbox")
+        .update({ status: "sending", locked_at: now, updated_at: now })
+        .eq("id", id)
+        .or(`and(status.eq.queued,next_attempt_at.lte."${now}"),and(status.eq.sending,locked_at.lt."${staleBefore}")`)
+        .select("*")
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * Make one delivery attempt. On success the row becomes sent and its body is
+ * dropped; on failure it is queued again with backoff, or failed once
+ * max_attempts is reached, which also drops the body of a sensitive template.
+ * Delivery errors are recorded, not thrown.
+ * @returns {Promise<object|null>} the updated row, or null when it was not due or already claimed
+ */
+const deliverEmail = async (id) => {
+    const email = await claimEmail(id);
+    if (!email) return null;
+
+    const transport = getTransport();
+    const attempts = email.attempts + 1;
+    const now = new Date().toISOString();
+    let update;
+
+    try {
+        const { messageId } = await transport.send({
+            to: email.to_address,
+            subject: email.subject,
+            html: email.html,
+            text: email.text
+        });
+
+        update = {
+            status: "sent",
+            attempts,
+            sent_at: now,
+            transport: transport.name,
+            provider_message_id: messageId || null,
+            last_error: null,
+            html: null,
+            text: null
+        };
+    } catch (sendError) {
+        const exhausted = attempts >= email.max_attempts;
+        console.error(`❌ Email ${id} (${email.template}) attempt ${attempts}/${email.max_attempts} failed:`, sendError.message);
+
+        update = {
+            status: exhausted ? "failed" : "queued",
+            attempts,
+            transport: transport.name,
+            last_error: sendError.message,
+            next_attempt_at: exhausted
+                ? null
+                : minutesFromNow(RETRY_DELAYS_MINUTES[Math.min(attempts - 1, RETRY_DELAYS_MINUTES.length - 1)]),
+            ...(exhausted && isSensitive(email) && { html: null, text: null })
+        };
+    }
+
+    const { data, error } = await supabase
+        .from("email_outbox")
+        .update({ ...update, locked_at: null, updated_at: now })
+        .eq("id", id)
+        .select(OUTBOX_COLUMNS)
+        .single();
+
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * Queue an email and make the first attempt right away. Only a failure to
+ * queue is thrown; a failed send stays in the outbox for the retry worker.
+ * @returns {Promise<object>} the outbox row after the first attempt
+ */
+const sendEmail = async (templateName, to, data, options) => {
+    const queued = await queueEmail(templateName, to, data, options);
+
+    try {
+        return (await deliverEmail(queued.id)) || queued;
+    } catch (error) {
+        console.error(`❌ Error delivering email ${queued.id}:`, error);
+        return queued;
+    }
+};
+
+/**
+ * Attempt every email that is due: queued rows whose next attempt has come,
+ * and rows left in sending by a worker that died.
+ * @returns {Promise<{ attempted: number, sent: number }>}
+ */
+const processOutbox = async ({ limit = 50 } = {}) => {
+    const now = new Date().toISOString();
+    const staleBefore = minutesFromNow(-STALE_CLAIM_MINUTES);
+
+    const { data: due, error } = await supabase
+        .from("email_outbox")
+        .select("id")
+        .or(`and(status.eq.queued,next_attempt_at.lte."${now}"),and(status.eq.sending,locked_at.lt."${staleBefore}")`)
+        .order("next_attempt_at", { ascending: true })
+        .limit(limit);
+
+    if (error) throw error;
+
+    let attempted = 0;
+    let sent = 0;
+    for (const { id } of due) {
+        try {
+            const result = await deliverEmail(id);
+            if (!result) continue;
+            attempted++;
+            if (result.status === "sent") sent++;
+        } catch (deliverError) {
+            console.error(`❌ Error delivering email ${id}:`, deliverError);
+        }
+    }
+
+    return { attempted, sent };
+};
+
+/**
+ * Retry a queued or failed email now, e.g. from the admin endpoint. A failed
+ * email gets one more attempt on top of the ones it used up.
+ * @param {object} email  outbox row ({ id, status, attempts, max_attempts })
+ * @returns {Promise<object|null>} the row after the attempt, or null when another worker claimed it first
+ */
+const retryEmail = async (email) => {
+    const now = new Date().toISOString();
+
+    const { error } = await supabase
+        .from("email_outbox")
+        .update({
+            status: "queued",
+            next_attempt_at: now,
+            max_attempts: Math.max(email.max_attempts, email.attempts + 1),
+            updated_at: now
+        })
+        .eq("id", email.id)
+        .eq("status", email.status);
+
+    if (error) throw error;
+
+    return deliverEmail(email.id);
+};
+
+/**
+ * Start the periodic retry worker. EMAIL_OUTBOX_INTERVAL_SECONDS sets the
+ * period (default 60); 0 disables it, e.g. when another process runs it.
+ */
+const startOutboxWorker = () => {
+    if (!(OUTBOX_INTERVAL_SECONDS > 0)) return null;
+
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const { attempted, sent } = await processOutbox();
+            if (attempted > 0) {
+                console.log(`📧 Email outbox: ${sent}/${attempted} sent`);
+            }
+        } catch (error) {
+            console.error("❌ Email outbox run failed:", error);
+        } finally {
+            running = false;
+        }
+    }, OUTBOX_INTERVAL_SECONDS * 1000);
+
+    // Never keep the process alive just for the worker
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    OUTBOX_COLUMNS,
+    isSensitive,
+    queueEmail,
+    deliverEmail,
+    sendEmail,
+    processOutbox,
+    retryEmail,
+    startOutboxWorker
+};
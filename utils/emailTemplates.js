@@ -0,0 +1,180 @@
+/**
+ * Named email templates used by emailOutbox.
+ *
+ * Each template renders { subject, html, text } from the data the caller passes.
+ * A template marked `sensitive` carries a secret such as a single-use link.
+ * Values are interpolated into the HTML escaped; the text part is the plain
+ * version for clients that do not show HTML.
+ */
+
+const escapeHtml = (value) => String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Shared frame of every ISML email
+const layout = ({ heading, body }) => `
+    <div style="font-family: Arial, sans-serif; background:#f9f9f9; padding:20px; color:#333;">
+      <div style="max-width:600px; margin:0 auto; background:white; border-radius:10px; box-shadow:0 2px 8px rgba(0,0,0,0.1); overflow:hidden;">
+
+        <div style="background:#2563eb; padding:20px; text-align:center; color:white;">
+          <h1 style="margin:0; font-size:24px;">${heading}</h1>
+        </div>
+
+        <div style="padding:20px;">
+          ${body}
+        </div>
+
+        <div style="background:#f1f5f9; padding:15px; text-align:center; font-size:12px; color:#555;">
+          <p style="margin:0;">Regards,<br/>Team <b>ISML</b></p>
+        </div>
+      </div>
+    </div>
+  `;
+
+const EMAIL_TEMPLATES = {
+    // Sent on approval (and on resend) with the single-use password-setup link.
+    // sensitive: the body is dropped from the outbox once sent or failed for good
+    STUDENT_SETUP_LINK: {
+        sensitive: true,
+        render: ({ name, link, expiresAt, registrationNumber, resend = false }) => {
+            const expiry = new Date(expiresAt).toUTCString();
+
+            const html = layout({
+                heading: resend ? "Set Up Your ISML Password 🔐" : "Welcome to ISML 🎓",
+                body: `
+          <p style="font-size:16px;">Hi <b>${escapeHtml(name)}</b>,</p>
+          ${resend ? `
+          <p style="font-size:15px; line-height:1.6;">
+            Here is a new link to set the password for your ISML account. Any earlier link no longer works.
+          </p>` : `
+          <p style="font-size:15px; line-height:1.6;">
+            🎉 Congratulations! Your <b>ISML Registration</b> has been successfully <span style="color:green; font-weight:bold;">approved</span>.
+          </p>`}
+
+          ${registrationNumber ? `
+          <div style="margin:20px 0; padding:15px; border:2px dashed #2563eb; border-radius:8px; text-align:center;">
+            <p style="margin:0; font-size:16px;">Your Registration Number:</p>
+            <h2 style="margin:10px 0; font-size:22px; color:#2563eb;">${escapeHtml(registrationNumber)}</h2>
+          </div>` : ""}
+
+          <p style="font-size:15px; line-height:1.6;">
+            Choose your password to activate your account. The link works once and expires on <b>${expiry}</b>.
+          </p>
+
+          <a href="${escapeHtml(link)}" target="_blank"
+            style="display:inline-block; margin-top:10px; padding:12px 20px; background:#10b981; color:white; text-decoration:none; border-radius:6px; font-size:16px;">
+            Set Your Password →
+          </a>
+
+          <p style="margin-top:20px; font-size:13px; color:#666; font-style:italic;">
+            💡 If the link has expired, ask your academic coordinator to send a new one.
+          </p>`
+            });
+
+            const text = [
+                `Hi ${name},`,
+                "",
+                resend
+                    ? "Here is a new link to set the password for your ISML account. Any earlier link no longer works."
+                    : "Congratulations! Your ISML Registration has been approved.",
+                ...(registrationNumber ? ["", `Your Registration Number: ${registrationNumber}`] : []),
+                "",
+                `Choose your password to activate your account. The link works once and expires on ${expiry}:`,
+                link,
+                "",
+                "If the link has expired, ask your academic coordinator to send a new one.",
+                "",
+                "Regards,",
+                "Team ISML"
+            ].join("\n");
+
+            return {
+                subject: resend
+                    ? "🔐 Your new ISML password setup link"
+                    : "🎉 Congratulations! Your ISML Registration is Approved 🎉",
+                html,
+                text
+            };
+        }
+    },
+
+    // Any in-app notification that the user also wants by email
+    NOTIFICATION: {
+        render: ({ message, type }) => {
+            const [title, ...rest] = String(message).split("\n");
+
+            return {
+                subject: `ISML: ${title}`,
+                html: layout({
+                    heading: escapeHtml(title),
+                    body: `
+          ${rest.map(line => `<p style="font-size:15px; line-height:1.6;">${escapeHtml(line)}</p>`).join("\n          ")}
+          <p style="margin-top:20px; font-size:12px; color:#666;">
+            You get this email because ${escapeHtml(type)} notifications are set to email in your notification preferences.
+          </p>`
+                }),
+                text: [
+                    message,
+                    "",
+                    `You get this email because ${type} notifications are set to email in your notification preferences.`
+                ].join("\n")
+            };
+        }
+    },
+
+    // Daily digest of a teacher's day; see utils/notificationDigest.js for the data
+    DAILY_DIGEST: {
+        render: ({ date, sessions, pendingFeedback, missingAttendance, updates }) => {
+            const sections = [];
+
+            if (sessions.length > 0) {
+                sections.push({
+                    title: `Today's classes (${sessions.length})`,
+                    items: sessions.map(s => `${s.time || "Time not set"} · ${s.batch_name}: ${s.title}${s.session_number ? ` (session ${s.session_number})` : ""}`)
+                });
+            }
+            if (pendingFeedback.total > 0) {
+                sections.push({
+                    title: `LSRW awaiting feedback (${pendingFeedback.total})`,
+                    items: pendingFeedback.batches.map(b => `${b.batch_name}: speaking ${b.speaking}, reading ${b.reading}, writing ${b.writing}`)
+                });
+            }
+            if (missingAttendance.length > 0) {
+                sections.push({
+                    title: `Classes without an attendance session (${missingAttendance.length})`,
+                    items: missingAttendance.map(m => `${m.date} · ${m.batch_name}: ${m.title}`)
+                });
+            }
+            if (updates.length > 0) {
+                sections.push({
+                    title: `Notifications held for this digest (${updates.length})`,
+                    items: updates.map(u => u.message.replace(/\n/g, " – "))
+                });
+            }
+
+            const html = layout({
+                heading: `Your ISML Day 📋 ${escapeHtml(date)}`,
+                body: sections.map(section => `
+          <h3 style="font-size:16px; margin:20px 0 8px;">${escapeHtml(section.title)}</h3>
+          <ul style="font-size:14px; line-height:1.6; padding-left:20px; margin:0;">
+            ${section.items.map(item => `<li>${escapeHtml(item)}</li>`).join("\n            ")}
+          </ul>`).join("\n")
+            });
+
+            const text = [
+                `Your ISML Day ${date}`,
+                ...sections.flatMap(section => ["", section.title, ...section.items.map(item => `- ${item}`)]),
+                "",
+                "Regards,",
+                "Team ISML"
+            ].join("\n");
+
+            return { subject: `📋 Your ISML daily digest for ${date}`, html, text };
+        }
+    }
+};
+
+module.exports = { EMAIL_TEMPLATES };
@@ -0,0 +1,105 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const nodemailer = require("nodemailer");
+require("dotenv").config();
+
+/**
+ * Email transports. Each one is { name, send(message) } where message is
+ * { from, to, subject, html, text } and send resolves to { messageId } or throws.
+ *
+ * MAIL_TRANSPORT picks one:
+ *   smtp     (default) SMTP_HOST/SMTP_PORT/SMTP_SECURE, or Gmail when SMTP_HOST is unset,
+ *            authenticated with MAIL_USER/MAIL_PASSWORD
+ *   file     writes each message as an .eml file to MAIL_OUTBOX_DIR, for development and tests
+ *   console  logs each message, for development
+ */
+
+const defaultFrom = () => process.env.MAIL_FROM || `"ISML Team" <${process.env.MAIL_USER || "no-reply@localhost"}>`;
+
+const smtpTransport = () => {
+    let transporter = null;
+
+    return {
+        name: "smtp",
+        send: async (message) => {
+            if (!process.env.MAIL_USER || !process.env.MAIL_PASSWORD) {
+                throw new Error("Email configuration missing. Please configure MAIL_USER and MAIL_PASSWORD in .env file");
+            }
+
+            if (!transporter) {
+                const auth = { user: process.env.MAIL_USER, pass: process.env.MAIL_PASSWORD };
+                transporter = process.env.SMTP_HOST
+                    ? nodemailer.createTransport({
+                        host: process.env.SMTP_HOST,
+                        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+                        secure: process.env.SMTP_SECURE === "true",
+                        auth
+                    })
+                    : nodemailer.createTransport({ service: "Gmail", auth });
+            }
+
+            const info = await transporter.sendMail({ from: defaultFrom(), ...message });
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+const fileTransport = () => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), "isml-mail");
+    // Builds the full MIME message without sending it anywhere
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+
+    return {
+        name: "file",
+        send: async (message) => {
+            const info = await transporter.sendMail({ from: defaultFrom(), ...message });
+            await fs.promises.mkdir(dir, { recursive: true });
+
+            const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^A-Za-z0-9.-]/g, "")}.eml`);
+            await fs.promises.writeFile(file, info.message);
+            console.log(`📧 Email to ${message.to} written to ${file}`);
+
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+const consoleTransport = () => ({
+    name: "console",
+    send: async (message) => {
+        console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text || message.html}`);
+        return { messageId: `console-${Date.now()}` };
+    }
+});
+
+const TRANSPORTS = {
+    smtp: smtpTransport,
+    file: fileTransport,
+    console: consoleTransport
+};
+
+let activeTransport = null;
+
+// The configured transport, created once
+const getTransport = () => {
+    if (!activeTransport) {
+        const name = (process.env.MAIL_TRANSPORT || "smtp").toLowerCase();
+        if (!TRANSPORTS[name]) {
+            console.error(`⚠️  Unknown MAIL_TRANSPORT "${name}", falling back to smtp`);
+        }
+        activeTransport = (TRANSPORTS[name] || smtpTransport)();
+    }
+    return activeTransport;
+};
+
+// Swap the transport, e.g. for a stand-in in scripts and tests
+const setTransport = (transport) => {
+    activeTransport = transport;
+};
+
+module.exports = {
+    TRANSPORTS,
+    getTransport,
+    setTransport
+};
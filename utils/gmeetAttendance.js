@@ -0,0 +1,147 @@
+const supabase = require("../config/supabase.js");
+const { getMergedBatchIds } = require("./batchMergeHelper");
+const { getStudentsOnLeave, defaultRecordStatus } = require("./leaveRequests");
+
+// Find the attendance session for a gmeet: the explicitly linked one, or an
+// unlinked session of the same batch on the gmeet's date
+const findSessionForGMeet = async (gmeet) => {
+    const { data: linked, error: linkedError } = await supabase
+        .from('attendance_sessions')
+        .select('id, gmeet_id, status')
+        .eq('gmeet_id', gmeet.meet_id)
+        .maybeSingle();
+
+    if (linkedError) throw linkedError;
+    if (linked || !gmeet.date) return linked;
+
+    const { data: sameDate, error: sameDateError } = await supabase
+        .from('attendance_sessions')
+        .select('id, gmeet_id, status')
+        .eq('batch_id', gmeet.batch_id)
+        .eq('session_date', gmeet.date)
+        .maybeSingle();
+
+    if (sameDateError) throw sameDateError;
+    if (sameDate && sameDate.gmeet_id && sameDate.gmeet_id !== gmeet.meet_id) return null;
+    return sameDate;
+};
+
+// Create the attendance session for a completed gmeet with every student of the
+// batch (and its merge group) marked absent (excused when on approved leave),
+// or link/reactivate an existing one
+const createAttendanceForCompletedGMeet = async (gmeet, userId) => {
+    if (!gmeet.date) {
+        return { action: 'skipped', reason: 'The session has no date, so attendance was not created.' };
+    }
+
+    const existing = await findSessionForGMeet(gmeet);
+    if (existing) {
+        const { error } = await supabase
+            .from('attendance_sessions')
+            .update({
+                gmeet_id: gmeet.meet_id,
+                session_number: gmeet.session_number ?? null,
+                status: 'Active',
+                cancellation_reason: null,
+                cancelled_at: null
+            })
+            .eq('id', existing.id);
+
+        if (error) throw error;
+        return { action: existing.status === 'Cancelled' ? 'reactivated' : 'linked', session_id: existing.id };
+    }
+
+    const { data: session, error: sessionError } = await supabase
+        .from('attendance_sessions')
+        .insert([{
+            batch_id: gmeet.batch_id,
+            session_date: gmeet.date,
+            created_by: userId,
+            gmeet_id: gmeet.meet_id,
+            session_number: gmeet.session_number ?? null,
+            notes: gmeet.title ? `Created from ${gmeet.title}` : null
+        }])
+        .select('id')
+        .single();
+
+    // 23505: the batch already has an attendance session on this date, taken
+    // for another gmeet (attendance_sessions is unique per batch and date)
+    if (sessionError?.code === '23505') {
+        return {
+            action: 'conflict',
+            reason: `Another class of this batch on ${gmeet.date} already has the attendance session for that date.`
+        };
+    }
+    if (sessionError) throw sessionError;
+
+    const mergedBatchIds = await getMergedBatchIds(gmeet.batch_id);
+    const { data: enrollments, error: enrollmentsError } = await supabase
+        .from('enrollment')
+        .select('student')
+        .in('batch', mergedBatchIds)
+        .eq('status', true);
+
+    if (enrollmentsError) throw enrollmentsError;
+
+    const studentIds = [...new Set(enrollments.map(e => e.student))];
+    const studentsOnLeave = await getStudentsOnLeave(mergedBatchIds, gmeet.date);
+    if (studentIds.length > 0) {
+        const { error: recordsError } = await supabase
+            .from('attendance_records')
+            .insert(studentIds.map(studentId => ({
+                session_id: session.id,
+                student_id: studentId,
+                status: defaultRecordStatus(studentId, studentsOnLeave)
+            })));
+
+        if (recordsError) {
+            await supabase.from('attendance_sessions').delete().eq('id', session.id);
+            throw recordsError;
+        }
+    }
+
+    return { action: 'created', session_id: session.id, records_created: studentIds.length };
+};
+
+const cancelAttendanceForGMeet = async (gmeet) => {
+    const existing = await findSessionForGMeet(gmeet);
+    if (!existing) {
+        return { action: 'none' };
+    }
+
+    const { error } = await supabase
+        .from('attendance_sessions')
+        .update({
+            gmeet_id: gmeet.meet_id,
+            status: 'Cancelled',
+            cancellation_reason: gmeet.cancellation_reason || null,
+            cancelled_at: new Date().toISOString()
+        })
+        .eq('id', existing.id);
+
+    if (error) throw error;
+    return { action: 'cancelled', session_id: existing.id };
+};
+
+/**
+ * Keep the attendance session in step with a gmeet whose status changed:
+ * Completed creates (or links) the attendance session, Cancelled cancels it.
+ * Never throws; failures are reported in the result, and action 'conflict'
+ * means the date's attendance session belongs to another gmeet.
+ */
+const syncAttendanceWithGMeet = async (gmeet, { userId } = {}) => {
+    try {
+        if (gmeet.status === 'Completed') {
+            return await createAttendanceForCompletedGMeet(gmeet, userId);
+        }
+        if (gmeet.status === 'Cancelled') {
+            return await cancelAttendanceForGMeet(gmeet);
+        }
+        return { action: 'none' };
+    } catch (error) {
+        console.error(`❌ Error syncing attendance for gmeet ${gmeet.meet_id}:`, error);
+        return { action: 'failed', error: error.message };
+    }
+};
+
+module.exports = { findSessionForGMeet, syncAttendanceWithGMeet };
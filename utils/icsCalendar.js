@@ -0,0 +1,139 @@
+const { CLASS_TIMEZONE } = require("./checkInCodes");
+
+// Domain part of event UIDs; must never change once feeds are published
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'isml-lms';
+
+const PRODUCT_ID = '-//ISML//LMS Calendar//EN';
+
+// RFC 5545 text escaping
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets
+const foldLine = (line) => {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char, 'utf8');
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + size > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const utcDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const zoneFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: CLASS_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+});
+
+// Minutes CLASS_TIMEZONE is ahead of UTC at an instant (ms)
+const zoneOffsetMinutes = (instant) => {
+    const parts = Object.fromEntries(zoneFormat.formatToParts(new Date(instant)).map(p => [p.type, Number(p.value)]));
+    return (Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant) / 60000;
+};
+
+// '2026-10-19' + '09:30:00' in CLASS_TIMEZONE -> '20261019T040000Z'. Times are
+// written in UTC so clients need no VTIMEZONE definition to place them.
+const utcFromLocal = (date, time) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours = 0, minutes = 0, seconds = 0] = String(time).split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes, Math.floor(seconds));
+
+    // Second pass in case the offset differs at the resulting instant (DST change)
+    let instant = wallClock - zoneOffsetMinutes(wallClock) * 60000;
+    instant = wallClock - zoneOffsetMinutes(instant) * 60000;
+    return utcDateTime(instant);
+};
+
+const addMinutes = (time, minutes) => {
+    const [hours, mins] = String(time).split(':').map(Number);
+    const total = hours * 60 + mins + minutes;
+    return `${String(Math.floor(total / 60) % 24).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+const nextDate = (date) => {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next.toISOString().split('T')[0];
+};
+
+const uidFor = (kind, id) => `${kind}-${id}@${UID_DOMAIN}`;
+
+/**
+ * One VEVENT. Timed events take start/end times in CLASS_TIMEZONE and are
+ * written in UTC; events without a start time are all-day (end date inclusive).
+ * DTSTAMP, LAST-MODIFIED and SEQUENCE come from updatedAt.
+ *
+ * @param {object} event { uid, summary, description, location, url, date, endDate,
+ *                         startTime, endTime, status: 'CONFIRMED'|'CANCELLED', updatedAt }
+ */
+const buildEvent = (event) => {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${utcDateTime(event.updatedAt || Date.now())}`
+    ];
+
+    if (event.startTime) {
+        const sameDay = !event.endDate || event.endDate === event.date;
+        const endTime = event.endTime && (!sameDay || event.endTime > event.startTime) ? event.endTime : addMinutes(event.startTime, 60);
+        lines.push(`DTSTART:${utcFromLocal(event.date, event.startTime)}`);
+        lines.push(`DTEND:${utcFromLocal(event.endDate || event.date, endTime)}`);
+    } else {
+        lines.push(`DTSTART;VALUE=DATE:${event.date.replace(/-/g, '')}`);
+        lines.push(`DTEND;VALUE=DATE:${nextDate(event.endDate || event.date).replace(/-/g, '')}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.updatedAt) {
+        lines.push(`LAST-MODIFIED:${utcDateTime(event.updatedAt)}`);
+        // Seconds since epoch only ever grow, so clients treat each change as newer
+        lines.push(`SEQUENCE:${Math.floor(new Date(event.updatedAt).getTime() / 1000)}`);
+    }
+    lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+// Complete VCALENDAR document with CRLF line endings
+const buildCalendar = ({ name, events }) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${CLASS_TIMEZONE}`,
+        ...events.flatMap(buildEvent),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { UID_DOMAIN, escapeText, foldLine, addMinutes, uidFor, buildEvent, buildCalendar };
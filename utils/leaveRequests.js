@@ -0,0 +1,54 @@
+const supabase = require("../config/supabase.js");
+const { getMergedBatchIds } = require("./batchMergeHelper");
+
+// Students with an approved leave covering `date` in any of the batches.
+// Used to default new attendance records to excused instead of absent.
+const getStudentsOnLeave = async (batchIds, date) => {
+    const { data, error } = await supabase
+        .from('leave_requests')
+        .select('student_id')
+        .in('batch_id', batchIds)
+        .eq('status', 'approved')
+        .lte('date_from', date)
+        .gte('date_to', date);
+
+    if (error) {
+        console.error('❌ Error fetching approved leave:', error);
+        return new Set();
+    }
+    return new Set(data.map(l => l.student_id));
+};
+
+// Default status for a new attendance record
+const defaultRecordStatus = (studentId, studentsOnLeave) => (
+    studentsOnLeave.has(studentId) ? 'excused' : 'absent'
+);
+
+// Mark the student's absent records in the leave's date range (across the merge
+// group) as excused. Returns the number of records changed.
+const excuseRecordsForLeave = async (leave) => {
+    const batchIds = await getMergedBatchIds(leave.batch_id);
+
+    const { data: sessions, error: sessionsError } = await supabase
+        .from('attendance_sessions')
+        .select('id')
+        .in('batch_id', batchIds)
+        .gte('session_date', leave.date_from)
+        .lte('session_date', leave.date_to);
+
+    if (sessionsError) throw sessionsError;
+    if (sessions.length === 0) return 0;
+
+    const { data: updated, error: updateError } = await supabase
+        .from('attendance_records')
+        .update({ status: 'excused', marked_at: new Date().toISOString() })
+        .in('session_id', sessions.map(s => s.id))
+        .eq('student_id', leave.student_id)
+        .eq('status', 'absent')
+        .select('id');
+
+    if (updateError) throw updateError;
+    return updated.length;
+};
+
+module.exports = { getStudentsOnLeave, defaultRecordStatus, excuseRecordsForLeave };
@@ -0,0 +1,327 @@
+const supabase = require("../config/supabase.js");
+const { supabaseAdmin } = require("../config/supabase.js");
+const { CLASS_TIMEZONE } = require("./checkInCodes.js");
+const { addDays, localToday } = require("./batchSchedule.js");
+const { CLOSED_BATCH_STATUSES } = require("./batchTransfer.js");
+const { notify } = require("./notificationService.js");
+const { DIGEST_TYPE } = require("./notificationPreferences.js");
+const { getTeacherIdForUser } = require("./batchPolicy.js");
+const { fetchAllRows } = require("./attendanceAnalytics.js");
+require("dotenv").config();
+
+// Local hour (CLASS_TIMEZONE) after which the day's digests go out; "off" disables the job
+const DIGEST_HOUR = process.env.NOTIFICATION_DIGEST_HOUR ?? "7";
+const DIGEST_CHECK_MINUTES = 15;
+// How far back classes without an attendance session are reported
+const MISSING_ATTENDANCE_LOOKBACK_DAYS = 14;
+
+const localHour = () => Number(new Intl.DateTimeFormat('en-GB', {
+    timeZone: CLASS_TIMEZONE,
+    hour: 'numeric',
+    hourCycle: 'h23'
+}).format(new Date()));
+
+// Open batches where the teacher (teachers.teacher_id) is the main or assistant teacher
+const teacherBatches = async (teacherId) => {
+    const { data, error } = await supabase
+        .from('batches')
+        .select('batch_id, batch_name, status')
+        .or(`teacher.eq.${teacherId},assistant_tutor.eq.${teacherId}`);
+
+    if (error) throw error;
+    return data.filter(b => !CLOSED_BATCH_STATUSES.includes(b.status));
+};
+
+const todaysSessions = async (batchNames, date) => {
+    const { data, error } = await supabase
+        .from('gmeets')
+        .select('meet_id, batch_id, title, time, session_number, meet_link, status')
+        .in('batch_id', [...batchNames.keys()])
+        .eq('date', date)
+        .neq('status', 'Cancelled')
+        .order('time', { ascending: true });
+
+    if (error) throw error;
+    return data.map(s => ({ ...s, batch_name: batchNames.get(s.batch_id) }));
+};
+
+// Rows of a batch-scoped table, optionally without a row in feedbackTable
+// pointing at them (anti-join in the query), paged so counts are not cut off
+const pendingRows = (table, batchIds, { feedbackTable, filter } = {}) => fetchAllRows(() => {
+    let query = supabase
+        .from(table)
+        .select(feedbackTable ? `id, batch_id, ${feedbackTable}!left(id)` : 'id, batch_id')
+        .in('batch_id', batchIds);
+
+    if (feedbackTable) query = query.is(feedbackTable, null);
+    if (filter) query = filter(query);
+    return query.order('id', { ascending: true });
+});
+
+// Submitted speaking attempts and writing submissions without feedback, and reading attempts not yet verified
+const pendingFeedback = async (batchNames) => {
+    const batchIds = [...batchNames.keys()];
+
+    const [speaking, reading, writing] = await Promise.all([
+        pendingRows('speaking_attempts', batchIds, { feedbackTable: 'speaking_feedback', filter: q => q.eq('status', 'submitted') }),
+        pendingRows('reading_attempts', batchIds, { filter: q => q.eq('verified', false) }),
+        pendingRows('writing_submissions', batchIds, { feedbackTable: 'writing_feedback' })
+    ]);
+
+    const pending = { speaking, reading, writing };
+
+    const byBatch = new Map();
+    Object.entries(pending).forEach(([skill, rows]) => rows.forEach(row => {
+        if (!byBatch.has(row.batch_id)) {
+            byBatch.set(row.batch_id, { batch_id: row.batch_id, batch_name: batchNames.get(row.batch_id), speaking: 0, reading: 0, writing: 0 });
+        }
+        byBatch.get(row.batch_id)[skill]++;
+    }));
+
+    return {
+        speaking: pending.speaking.length,
+        reading: pending.reading.length,
+        writing: pending.writing.length,
+        total: pending.speaking.length + pending.reading.length + pending.writing.length,
+        batches: [...byBatch.values()]
+    };
+};
+
+// Classes held before today (within the lookback) that have no attendance session
+const missingAttendance = async (batchNames, date) => {
+    const batchIds = [...batchNames.keys()];
+    const from = addDays(date, -MISSING_ATTENDANCE_LOOKBACK_DAYS);
+
+    const { data: sessions, error } = await supabase
+        .from('gmeets')
+        .select('meet_id, batch_id, title, date, session_number, status')
+        .in('batch_id', batchIds)
+        .gte('date', from)
+        .lt('date', date)
+        .neq('status', 'Cancelled')
+        .order('date', { ascending: true });
+
+    if (error) throw error;
+    if (sessions.length === 0) return [];
+
+    const { data: taken, error: takenError } = await supabase
+        .from('attendance_sessions')
+        .select('batch_id, session_date, gmeet_id')
+        .in('batch_id', batchIds)
+        .gte('session_date', from);
+
+    if (takenError) throw takenError;
+
+    // Older attendance sessions are only linked by batch and date
+    const linked = new Set(taken.map(a => a.gmeet_id).filter(Boolean));
+    const byDate = new Set(taken.map(a => `${a.batch_id}:${a.session_date}`));
+
+    return sessions
+        .filter(s => !linked.has(s.meet_id) && !byDate.has(`${s.batch_id}:${s.date}`))
+        .map(s => ({ ...s, batch_name: batchNames.get(s.batch_id) }));
+};
+
+const heldUpdates = async (userId) => {
+    const { data, error } = await supabase
+        .from('notification_digest_items')
+        .select('id, notification_type, message, related_id, created_at')
+        .eq('user_id', userId)
+        .is('digested_at', null)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * What a user's digest for a date contains. Teachers get their classes of the
+ * day, LSRW work awaiting feedback and classes without attendance; everyone
+ * gets the notifications they chose to hold for the digest.
+ * @param {{ id: string, role: string }} user  users row; id is users.id
+ * @param {string} date  YYYY-MM-DD in CLASS_TIMEZONE
+ */
+const buildDigest = async (user, date) => {
+    const digest = {
+        date,
+        sessions: [],
+        pendingFeedback: { speaking: 0, reading: 0, writing: 0, total: 0, batches: [] },
+        missingAttendance: [],
+        updates: await heldUpdates(user.id)
+    };
+
+    if ((user.role || '').toLowerCase() !== 'teacher') return digest;
+
+    const teacherId = await getTeacherIdForUser(user.id);
+    if (!teacherId) return digest;
+
+    const batches = await teacherBatches(teacherId);
+    if (batches.length === 0) return digest;
+
+    const batchNames = new Map(batches.map(b => [b.batch_id, b.batch_name]));
+    [digest.sessions, digest.pendingFeedback, digest.missingAttendance] = await Promise.all([
+        todaysSessions(batchNames, date),
+        pendingFeedback(batchNames),
+        missingAttendance(batchNames, date)
+    ]);
+
+    return digest;
+};
+
+const isEmptyDigest = (digest) => (
+    digest.sessions.length === 0 &&
+    digest.pendingFeedback.total === 0 &&
+    digest.missingAttendance.length === 0 &&
+    digest.updates.length === 0
+);
+
+const summarize = (digest) => ({
+    sessions: digest.sessions.length,
+    pending_feedback: digest.pendingFeedback.total,
+    missing_attendance: digest.missingAttendance.length,
+    updates: digest.updates.length
+});
+
+const RECIPIENT_KEYS = { teacher: 'teachers', academic: 'academics', manager: 'managers', admin: 'admins' };
+
+// notify() recipients for a user: teachers are addressed by teachers.teacher_id, other staff by users.id
+const digestRecipients = async (user) => {
+    const role = (user.role || '').toLowerCase();
+    if (role === 'teacher') {
+        const teacherId = await getTeacherIdForUser(user.id);
+        return teacherId ? { teachers: [teacherId] } : null;
+    }
+    return { [RECIPIENT_KEYS[role] || 'teachers']: [user.id] };
+};
+
+/**
+ * Build and send one user's digest for a date, at most once per user and day:
+ * the notification_digests row is claimed first and released if building fails.
+ * Preferences and digest rows are keyed by users.id.
+ * @returns {Promise<'sent' | 'empty' | 'already_sent' | 'skipped'>}
+ */
+const sendDigest = async (user, date) => {
+    const recipients = await digestRecipients(user);
+    // A teacher login without a teachers row has no classes and no inbox
+    if (!recipients) return 'skipped';
+
+    const { data: claim, error: claimError } = await supabase
+        .from('notification_digests')
+        .insert([{ user_id: user.id, digest_date: date }])
+        .select('id')
+        .single();
+
+    if (claimError?.code === '23505') return 'already_sent';
+    if (claimError) throw claimError;
+
+    let digest;
+    try {
+        digest = await buildDigest(user, date);
+    } catch (error) {
+        await supabase.from('notification_digests').delete().eq('id', claim.id);
+        throw error;
+    }
+
+    const empty = isEmptyDigest(digest);
+    if (!empty) {
+        await notify(DIGEST_TYPE, digest, recipients);
+
+        if (digest.updates.length > 0) {
+            const { error } = await supabase
+                .from('notification_digest_items')
+                .update({ digested_at: new Date().toISOString() })
+                .in('id', digest.updates.map(u => u.id));
+
+            if (error) console.error('❌ Error marking digest items as sent:', error);
+        }
+    }
+
+    await supabase
+        .from('notification_digests')
+        .update({ summary: summarize(digest), sent_at: empty ? null : new Date().toISOString() })
+        .eq('id', claim.id);
+
+    return empty ? 'empty' : 'sent';
+};
+
+/**
+ * Send the day's digests: every active teacher, and anyone else with
+ * notifications held for the digest.
+ * @returns {Promise<{ date: string, sent: number, empty: number, already_sent: number, skipped: number, failed: number }>}
+ */
+const runDailyDigests = async ({ date = localToday() } = {}) => {
+    const { data: teachers, error } = await supabaseAdmin
+        .from('users')
+        .select('id, role')
+        .eq('role', 'teacher')
+        .eq('status', true);
+
+    if (error) throw error;
+
+    const { data: held, error: heldError } = await supabase
+        .from('notification_digest_items')
+        .select('user_id')
+        .is('digested_at', null);
+
+    if (heldError) throw heldError;
+
+    const users = new Map(teachers.map(t => [t.id, t]));
+    const otherIds = [...new Set(held.map(h => h.user_id))].filter(id => !users.has(id));
+    if (otherIds.length > 0) {
+        const { data: others, error: othersError } = await supabaseAdmin
+            .from('users')
+            .select('id, role')
+            .in('id', otherIds);
+
+        if (othersError) throw othersError;
+        others.forEach(u => users.set(u.id, u));
+    }
+
+    const result = { date, sent: 0, empty: 0, already_sent: 0, skipped: 0, failed: 0 };
+    for (const user of users.values()) {
+        try {
+            result[await sendDigest(user, date)]++;
+        } catch (digestError) {
+            console.error(`❌ Error sending digest to ${user.id}:`, digestError);
+            result.failed++;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Start the daily digest job. Every DIGEST_CHECK_MINUTES it sends the day's
+ * digests once the local hour reaches NOTIFICATION_DIGEST_HOUR (default 7);
+ * the per-user claim makes it safe to run in more than one process.
+ */
+const startDigestWorker = () => {
+    if (String(DIGEST_HOUR).toLowerCase() === 'off') return null;
+
+    let lastRunDate = null;
+    let running = false;
+    const timer = setInterval(async () => {
+        const today = localToday();
+        if (running || lastRunDate === today || localHour() < Number(DIGEST_HOUR)) return;
+
+        running = true;
+        try {
+            const result = await runDailyDigests({ date: today });
+            lastRunDate = today;
+            console.log(`📋 Daily digests for ${today}: ${result.sent} sent, ${result.empty} empty, ${result.failed} failed`);
+        } catch (error) {
+            console.error('❌ Daily digest run failed:', error);
+        } finally {
+            running = false;
+        }
+    }, DIGEST_CHECK_MINUTES * 60 * 1000);
+
+    // Never keep the process alive just for the job
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    buildDigest,
+    runDailyDigests,
+    startDigestWorker
+};
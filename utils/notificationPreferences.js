@@ -0,0 +1,98 @@
+const supabase = require("../config/supabase.js");
+const { NOTIFICATION_TEMPLATES } = require("./notificationTemplates.js");
+
+// in_app: stored for the in-app list (default); email: in-app and by email;
+// digest: held for the daily digest; off: not delivered
+const NOTIFICATION_CHANNELS = ['in_app', 'email', 'digest', 'off'];
+const DEFAULT_CHANNEL = 'in_app';
+const DIGEST_TYPE = 'DAILY_DIGEST';
+// Types whose default is not in_app
+const DEFAULT_CHANNELS = { [DIGEST_TYPE]: 'email' };
+
+// Every type a user can set a preference for (the stored types, not template names)
+const NOTIFICATION_TYPES = Object.entries(NOTIFICATION_TEMPLATES).flatMap(([name, template]) => template.types || [name]);
+
+const defaultChannelFor = (type) => DEFAULT_CHANNELS[type] || DEFAULT_CHANNEL;
+
+// Returns a problem description, or null when the preference is acceptable
+const validatePreference = (type, channel) => {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+        return `Unknown notification type: ${type}`;
+    }
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        return `channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`;
+    }
+    if (type === DIGEST_TYPE && channel === 'digest') {
+        return "The daily digest cannot be held for the digest";
+    }
+    return null;
+};
+
+/**
+ * Channel of one notification type for each user.
+ * @returns {Promise<Map<string, string>>} user id -> channel
+ */
+const channelsFor = async (userIds, type) => {
+    const channels = new Map(userIds.map(id => [id, defaultChannelFor(type)]));
+    if (userIds.length === 0) return channels;
+
+    const { data, error } = await supabase
+        .from('notification_preferences')
+        .select('user_id, channel')
+        .eq('notification_type', type)
+        .in('user_id', userIds);
+
+    // Without preferences everyone gets the default rather than nothing
+    if (error) {
+        console.error('❌ Error fetching notification preferences:', error);
+        return channels;
+    }
+
+    data.forEach(pref => channels.set(pref.user_id, pref.channel));
+    return channels;
+};
+
+// Every type with the user's channel, saved or default
+const getPreferences = async (userId) => {
+    const { data, error } = await supabase
+        .from('notification_preferences')
+        .select('notification_type, channel, updated_at')
+        .eq('user_id', userId);
+
+    if (error) throw error;
+
+    const saved = new Map(data.map(pref => [pref.notification_type, pref]));
+    return NOTIFICATION_TYPES.map(type => ({
+        type,
+        channel: saved.get(type)?.channel || defaultChannelFor(type),
+        is_default: !saved.has(type),
+        updated_at: saved.get(type)?.updated_at || null
+    }));
+};
+
+// Save { [type]: channel }; callers validate first
+const setPreferences = async (userId, preferences) => {
+    const now = new Date().toISOString();
+    const rows = Object.entries(preferences).map(([type, channel]) => ({
+        user_id: userId,
+        notification_type: type,
+        channel,
+        updated_at: now
+    }));
+
+    const { error } = await supabase
+        .from('notification_preferences')
+        .upsert(rows, { onConflict: 'user_id,notification_type' });
+
+    if (error) throw error;
+};
+
+module.exports = {
+    NOTIFICATION_CHANNELS,
+    NOTIFICATION_TYPES,
+    DIGEST_TYPE,
+    validatePreference,
+    channelsFor,
+    getPreferences,
+    setPreferences
+};
@@ -0,0 +1,40 @@
+const { supabaseAdmin } = require("../config/supabase.js");
+
+// Academic coordinator who created the batch, or every academic coordinator
+const getAcademicRecipients = async (createdBy) => {
+    if (createdBy) {
+        const { data: creator } = await supabaseAdmin
+            .from('users')
+            .select('id, role')
+            .eq('id', createdBy)
+            .single();
+
+        if (creator && creator.role === 'academic') return [creator.id];
+    }
+
+    const { data: coordinators, error } = await supabaseAdmin
+        .from('users')
+        .select('id')
+        .eq('role', 'academic');
+
+    if (error) {
+        console.error('❌ Error fetching academic coordinators:', error);
+        return [];
+    }
+    return coordinators.map(c => c.id);
+};
+
+// Name to show for a user in notifications (full name, then name, then the fallback)
+const getUserDisplayName = async (userId, fallback) => {
+    if (!userId) return fallback;
+
+    const { data: user } = await supabaseAdmin
+        .from('users')
+        .select('full_name, name')
+        .eq('id', userId)
+        .single();
+
+    return user?.full_name || user?.name || fallback;
+};
+
+module.exports = { getAcademicRecipients, getUserDisplayName };
@@ -0,0 +1,338 @@
+const supabase = require("../config/supabase.js");
+const { supabaseAdmin } = require("../config/supabase.js");
+const { getMergedBatchIds } = require("./batchMergeHelper");
+const { getAcademicRecipients } = require("./notificationRecipients.js");
+const { NOTIFICATION_TEMPLATES } = require("./notificationTemplates.js");
+const { publish } = require("./notificationStream.js");
+const { channelsFor } = require("./notificationPreferences.js");
+const { EMAIL_TEMPLATES } = require("./emailTemplates.js");
+const { queueEmail, deliverEmail } = require("./emailOutbox.js");
+const { getUserIdsForTeachers } = require("./batchPolicy.js");
+
+// Notification table of each audience, its recipient column and the shape of one row in it
+const AUDIENCES = {
+    teacher: {
+        table: 'teacher_notifications',
+        column: 'teacher',
+        row: ({ id, message, type, relatedId }) => ({ teacher: id, message, type, related_id: relatedId, is_read: false })
+    },
+    academic: {
+        table: 'academic_notifications',
+        column: 'academic_coordinator_id',
+        row: ({ id, message, type, relatedId }) => ({ academic_coordinator_id: id, message, type, related_id: relatedId, is_read: false })
+    },
+    manager: {
+        table: 'manager_notifications',
+        column: 'manager_id',
+        row: ({ id, message, type, metadata }) => ({ manager_id: id, message, type, is_read: false, metadata })
+    },
+    admin: {
+        table: 'admin_notifications',
+        column: 'admin_id',
+        row: ({ id, message, type, metadata }) => ({ admin_id: id, message, type, is_read: false, metadata })
+    },
+    student: {
+        table: 'notifications',
+        column: 'student',
+        row: ({ id, message }) => ({ student: id, message, is_read: false })
+    }
+};
+
+const CLOSED_BATCH_STATUSES = ['Completed', 'Rejected', 'Cancelled'];
+
+// Active users of a role (managers and admins)
+const usersWithRole = async (role) => {
+    const { data, error } = await supabaseAdmin
+        .from('users')
+        .select('id')
+        .eq('role', role)
+        .eq('status', true);
+
+    if (error) {
+        console.error(`❌ Error fetching ${role} recipients:`, error);
+        return [];
+    }
+    return data.map(u => u.id);
+};
+
+const allAcademics = async () => {
+    const { data, error } = await supabaseAdmin
+        .from('users')
+        .select('id')
+        .eq('role', 'academic');
+
+    if (error) {
+        console.error('❌ Error fetching academic recipients:', error);
+        return [];
+    }
+    return data.map(u => u.id);
+};
+
+// Only the creator, and only when they are an academic coordinator
+const academicCreator = async (userId) => {
+    const { data } = await supabaseAdmin
+        .from('users')
+        .select('id, role')
+        .eq('id', userId)
+        .single();
+
+    return data && data.role === 'academic' ? [data.id] : [];
+};
+
+const enrolledStudents = async (batchIds) => {
+    const { data, error } = await supabase
+        .from('enrollment')
+        .select('student')
+        .in('batch', batchIds)
+        .eq('status', true);
+
+    if (error) {
+        console.error('❌ Error fetching student recipients:', error);
+        return [];
+    }
+    return data.map(e => e.student);
+};
+
+// Main and assistant teacher of a batch
+const teachersOfBatch = async (batchId) => {
+    const { data, error } = await supabase
+        .from('batches')
+        .select('teacher, assistant_tutor')
+        .eq('batch_id', batchId)
+        .maybeSingle();
+
+    if (error) {
+        console.error('❌ Error fetching batch teacher recipients:', error);
+        return null;
+    }
+    return data;
+};
+
+// Main and assistant teachers of the open batches at a center
+const centerTeachers = async (centerId) => {
+    const { data, error } = await supabase
+        .from('batches')
+        .select('teacher, assistant_tutor, status')
+        .eq('center', centerId);
+
+    if (error) {
+        console.error('❌ Error fetching center teacher recipients:', error);
+        return [];
+    }
+    return data
+        .filter(b => !CLOSED_BATCH_STATUSES.includes(b.status))
+        .flatMap(b => [b.teacher, b.assistant_tutor]);
+};
+
+/**
+ * Turn a recipient spec into [{ audience, id, role? }], without duplicates.
+ *
+ *   batch: { teacher, assistant_tutor }   the batch's main and assistant teacher
+ *   batchTeachers: batchId                the same, looked up from the batch id
+ *   teachers: [teacher_id]                students: [student_id]
+ *   batchStudents: batchId                active students of the batch
+ *   mergedBatchStudents: batchId          active students of the batch's whole merge group
+ *   centerTeachers: centerId              teachers of the center's open batches
+ *   academics: [user_id]                  academicsFor: createdBy (creator if academic, else all)
+ *   academicCreator: createdBy            the creator only, if academic
+ *   allAcademics: true                    managers / admins: true (all active) or [user_id]
+ *   exclude: [id]                         never notify these ids (e.g. whoever acted)
+ */
+const resolveRecipients = async (spec = {}) => {
+    const recipients = [];
+    const add = (audience, ids, role) => {
+        (ids || []).filter(Boolean).forEach(id => recipients.push({ audience, id, ...(role && { role }) }));
+    };
+
+    const batch = spec.batch || (spec.batchTeachers && await teachersOfBatch(spec.batchTeachers));
+    if (batch) {
+        add('teacher', [batch.teacher], 'main');
+        add('teacher', [batch.assistant_tutor], 'assistant');
+    }
+    add('teacher', spec.teachers);
+    if (spec.centerTeachers) add('teacher', await centerTeachers(spec.centerTeachers));
+
+    add('student', spec.students);
+    if (spec.batchStudents) add('student', await enrolledStudents([spec.batchStudents]));
+    if (spec.mergedBatchStudents) add('student', await enrolledStudents(await getMergedBatchIds(spec.mergedBatchStudents)));
+
+    add('academic', spec.academics);
+    // Present but empty (unknown creator) still means every academic coordinator
+    if ('academicsFor' in spec) add('academic', await getAcademicRecipients(spec.academicsFor));
+    if (spec.academicCreator) add('academic', await academicCreator(spec.academicCreator));
+    if (spec.allAcademics) add('academic', await allAcademics());
+
+    if (spec.managers) add('manager', spec.managers === true ? await usersWithRole('manager') : spec.managers);
+    if (spec.admins) add('admin', spec.admins === true ? await usersWithRole('admin') : spec.admins);
+
+    const excluded = new Set(spec.exclude || []);
+    const seen = new Set();
+    return recipients.filter(r => {
+        const key = `${r.audience}:${r.id}`;
+        if (excluded.has(r.id) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+/**
+ * Account and channel of each recipient. Teacher recipients are identified by
+ * teachers.teacher_id (like teacher_notifications.teacher) and other staff by
+ * users.id, while preferences, digest items and email addresses are keyed by
+ * users.id. Students have no preferences and always get the in-app notification.
+ */
+const recipientAccounts = async (resolved, type) => {
+    const teacherIds = [...new Set(resolved.filter(r => r.audience === 'teacher').map(r => r.id))];
+    const teacherUserIds = await getUserIdsForTeachers(teacherIds);
+
+    const userIdOf = (recipient) => {
+        if (recipient.audience === 'student') return null;
+        if (recipient.audience === 'teacher') return teacherUserIds.get(recipient.id) || null;
+        return recipient.id;
+    };
+
+    const staffIds = [...new Set(resolved.map(userIdOf).filter(Boolean))];
+    const channels = await channelsFor(staffIds, type);
+
+    return {
+        userIdOf,
+        channelOf: (recipient) => {
+            const userId = userIdOf(recipient);
+            return userId ? channels.get(userId) : 'in_app';
+        }
+    };
+};
+
+const holdForDigest = async (items) => {
+    const { error } = await supabase.from('notification_digest_items').insert(items);
+    if (error) {
+        console.error('❌ Failed to hold notifications for the digest:', error);
+    }
+};
+
+// Queue the email copies (by users.id) and send them in the background; the outbox retries failures
+const emailNotifications = async (emails, templateName, data, type, relatedId) => {
+    const { data: users, error } = await supabaseAdmin
+        .from('users')
+        .select('id, email')
+        .in('id', emails.map(e => e.id));
+
+    if (error) {
+        console.error('❌ Error fetching notification email addresses:', error);
+        return;
+    }
+
+    const addresses = new Map(users.filter(u => u.email).map(u => [u.id, u.email]));
+    const emailTemplate = EMAIL_TEMPLATES[templateName] ? templateName : 'NOTIFICATION';
+
+    await Promise.all(emails.map(async ({ id, message }) => {
+        if (!addresses.has(id)) return;
+        try {
+            const queued = await queueEmail(emailTemplate, addresses.get(id),
+                emailTemplate === 'NOTIFICATION' ? { message, type } : data,
+                { relatedType: type, relatedId });
+            deliverEmail(queued.id).catch(error => console.error(`❌ Error delivering email ${queued.id}:`, error));
+        } catch (queueError) {
+            console.error(`❌ Failed to queue ${type} email:`, queueError);
+        }
+    }));
+};
+
+/**
+ * Send a named notification. Builds each recipient's message from the template,
+ * then writes one batch of rows per notification table and pushes the new rows
+ * to the recipients' notification streams. Each staff recipient's preference for
+ * the type decides whether they get it in-app, also by email, in the daily
+ * digest, or not at all. Failures are logged and never thrown, so a
+ * notification problem cannot fail the request that caused it.
+ *
+ * @param {string} templateName  key of NOTIFICATION_TEMPLATES
+ * @param {object} data          values the template needs
+ * @param {object} recipients    spec for resolveRecipients
+ * @param {object} [options]     { relatedId, type } - type overrides the stored type
+ * @returns {Promise<{ [audience]: number }>} rows written per audience
+ */
+const notify = async (templateName, data, recipients, { relatedId = null, type = templateName } = {}) => {
+    const template = NOTIFICATION_TEMPLATES[templateName];
+    if (!template) {
+        console.error(`❌ Unknown notification template: ${templateName}`);
+        return {};
+    }
+
+    const delivered = {};
+
+    try {
+        const resolved = await resolveRecipients(recipients);
+        const metadata = template.metadata ? template.metadata(data) : null;
+        const { userIdOf, channelOf } = await recipientAccounts(resolved, type);
+
+        const rowsByAudience = {};
+        const digestItems = [];
+        const emails = [];
+        resolved.forEach(recipient => {
+            const channel = channelOf(recipient);
+            if (channel === 'off') return;
+
+            const message = template.message(data, recipient);
+            if (channel === 'digest') {
+                digestItems.push({
+                    user_id: userIdOf(recipient),
+                    audience: recipient.audience,
+                    notification_type: type,
+                    message,
+                    related_id: relatedId ? String(relatedId) : null
+                });
+                return;
+            }
+
+            const row = AUDIENCES[recipient.audience].row({ id: recipient.id, message, type, relatedId, metadata });
+            (rowsByAudience[recipient.audience] = rowsByAudience[recipient.audience] || []).push(row);
+            if (channel === 'email') emails.push({ id: userIdOf(recipient), message });
+        });
+
+        if (digestItems.length > 0) await holdForDigest(digestItems);
+        if (emails.length > 0) await emailNotifications(emails, templateName, data, type, relatedId);
+
+        await Promise.all(Object.entries(rowsByAudience).map(async ([audience, rows]) => {
+            const { table, column } = AUDIENCES[audience];
+            const { data: inserted, error } = await supabaseAdmin.from(table).insert(rows).select();
+            if (error) {
+                console.error(`❌ Failed to send ${type} ${audience} notifications:`, error);
+                return;
+            }
+            delivered[audience] = rows.length;
+
+            // Push the new rows to the recipients' open notification streams
+            inserted.forEach(row => publish([{ audience, id: row[column] }], 'notification', { table, notification: row }));
+        }));
+    } catch (error) {
+        console.error(`❌ Error sending ${type} notifications:`, error);
+    }
+
+    return delivered;
+};
+
+/**
+ * Push a live event (nothing is stored) to the recipients' notification
+ * streams, e.g. so a teacher's review queue refreshes when a student submits.
+ * Like notify, failures are logged and never thrown.
+ *
+ * @param {string} event       SSE event name, e.g. 'speaking_attempt.submitted'
+ * @param {object} data        JSON payload
+ * @param {object} recipients  spec for resolveRecipients
+ */
+const emitEvent = async (event, data, recipients) => {
+    try {
+        const resolved = await resolveRecipients(recipients);
+        publish(resolved.map(({ audience, id }) => ({ audience, id })), event, data);
+    } catch (error) {
+        console.error(`❌ Error emitting ${event} event:`, error);
+    }
+};
+
+module.exports = {
+    AUDIENCES,
+    resolveRecipients,
+    notify,
+    emitEvent
+};
@@ -0,0 +1,96 @@
+const { EventEmitter } = require("events");
+
+/**
+ * In-process hub behind the notification stream (SSE).
+ *
+ * Every published event is addressed to one recipient ({ audience, id }) and
+ * gets an id "<epoch ms>-<sequence>". The last REPLAY_BUFFER_SIZE events are
+ * kept so a client that reconnects with Last-Event-ID gets exactly what it
+ * missed. When the buffer no longer reaches back that far (or the server
+ * restarted) the caller falls back to the time part of the id.
+ *
+ * The hub only sees events published by this process, so run a single API
+ * process per stream, or put a shared broker behind publish/subscribe.
+ */
+
+const REPLAY_BUFFER_SIZE = 1000;
+const STARTED_AT = Date.now();
+
+const hub = new EventEmitter();
+// One listener per open stream
+hub.setMaxListeners(0);
+
+const buffer = [];
+let sequence = 0;
+// Highest sequence number that has fallen out of the buffer
+let droppedThrough = 0;
+
+const recipientKey = ({ audience, id }) => `${audience}:${id}`;
+
+const parseEventId = (eventId) => {
+    const match = /^(\d+)-(\d+)$/.exec(String(eventId || "").trim());
+    if (!match) return null;
+    return { time: Number(match[1]), seq: Number(match[2]) };
+};
+
+/**
+ * Publish an event to each recipient.
+ * @param {Array<{ audience: string, id: string }>} recipients
+ * @param {string} event  SSE event name, e.g. 'notification' or 'speaking_attempt.submitted'
+ * @param {object} data   JSON payload
+ */
+const publish = (recipients, event, data) => {
+    recipients.forEach(recipient => {
+        sequence++;
+        const entry = {
+            id: `${Date.now()}-${sequence}`,
+            seq: sequence,
+            key: recipientKey(recipient),
+            event,
+            data
+        };
+
+        buffer.push(entry);
+        if (buffer.length > REPLAY_BUFFER_SIZE) {
+            droppedThrough = buffer.shift().seq;
+        }
+
+        hub.emit(entry.key, entry);
+    });
+};
+
+// Listen for a recipient's events; returns the unsubscribe function
+const subscribe = (recipient, listener) => {
+    const key = recipientKey(recipient);
+    hub.on(key, listener);
+    return () => hub.off(key, listener);
+};
+
+/**
+ * What a reconnecting recipient missed since lastEventId.
+ * @returns {{ complete: boolean, events: object[], since: Date|null }}
+ *   complete: the buffered events cover the gap exactly;
+ *   otherwise since is the time to replay stored notifications from.
+ */
+const eventsSince = (recipient, lastEventId) => {
+    const last = parseEventId(lastEventId);
+    if (!last) return { complete: false, events: [], since: null };
+
+    // Sequence numbers restart with the process, so only trust ours
+    if (last.seq > 0 && last.time >= STARTED_AT && last.seq >= droppedThrough) {
+        const key = recipientKey(recipient);
+        return {
+            complete: true,
+            events: buffer.filter(entry => entry.seq > last.seq && entry.key === key),
+            since: null
+        };
+    }
+
+    return { complete: false, events: [], since: new Date(last.time) };
+};
+
+module.exports = {
+    publish,
+    subscribe,
+    eventsSince
+};
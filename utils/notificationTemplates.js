@@ -0,0 +1,147 @@
+/**
+ * Named notification templates used by notificationService.
+ *
+ * Each template builds the message for one recipient: message(data, recipient),
+ * where recipient is { audience: 'teacher' | 'academic' | 'manager' | 'admin' | 'student', id, role? }
+ * and role is 'main' or 'assistant' for the teachers of a batch. metadata(data), when
+ * present, is stored with manager and admin notifications. The template name is
+ * stored as the notification type unless the caller passes another one; types
+ * lists those other types, so users can set preferences for them.
+ */
+
+const teacherRole = (recipient) => recipient.role || 'main';
+
+const NOTIFICATION_TEMPLATES = {
+    // ---------- Batch lifecycle ----------
+    BATCH_ASSIGNED: {
+        message: ({ batchName, pending }, r) => pending
+            ? `New Batch Assigned 🎉\nYou have been assigned as the ${teacherRole(r)} teacher for batch "${batchName}". The batch is pending approval.`
+            : `Batch Assigned 🎉\nYou have been assigned as the ${teacherRole(r)} teacher for batch "${batchName}".`
+    },
+    BATCH_PENDING_APPROVAL: {
+        message: ({ batchName, createdByName }, r) =>
+            `New Batch Waiting for Approval 📋\nBatch "${batchName}" has been created by ${createdByName} and is waiting for ${r.audience === 'manager' ? 'your ' : ''}approval.`,
+        metadata: ({ batchId, batchName, createdBy, createdByName }) => ({
+            batch_id: batchId,
+            batch_name: batchName,
+            created_by: createdBy,
+            created_by_name: createdByName
+        })
+    },
+    BATCH_APPROVED: {
+        message: ({ batchName, approverName, createdByName }, r) => {
+            if (r.audience === 'academic') return `Batch "${batchName}" approved by ${approverName}`;
+            if (r.audience === 'teacher') {
+                return `Batch Approved 🎉\nYou have been assigned to batch "${batchName}" as the ${teacherRole(r)} teacher. The batch has been approved and is now active.`;
+            }
+            return `Batch Approved ✅\nBatch "${batchName}" created by ${createdByName} has been approved by ${approverName}.`;
+        },
+        metadata: ({ batchId, batchName, approvedBy, approverName, createdBy, createdByName }) => ({
+            batch_id: batchId,
+            batch_name: batchName,
+            approved_by: approvedBy,
+            approved_by_name: approverName,
+            created_by: createdBy,
+            created_by_name: createdByName
+        })
+    },
+    BATCH_REJECTED: {
+        message: ({ batchName, approverName, reason }) => `Batch "${batchName}" rejected by ${approverName}. Reason: ${reason}`
+    },
+    BATCH_STARTED: {
+        message: ({ batchName }, r) => teacherRole(r) === 'assistant'
+            ? `Batch Started 🚀\nThe batch "${batchName}" where you are assigned as assistant teacher has been started. You can now begin assisting with classes.`
+            : `Batch Started 🚀\nYour batch "${batchName}" has been started. You can now begin conducting classes and managing sessions.`
+    },
+    BATCH_REQUEST: {
+        message: ({ centerName, courseName }) => `Center ${centerName} has submitted a request to create ${courseName} batch.`
+    },
+
+    // ---------- Students and enrollment ----------
+    STUDENT_APPROVED: {
+        message: ({ registrationNumber }) =>
+            `Welcome to ISML! 🎉\n\nYour registration has been approved.\n\nYour Registration Number: ${registrationNumber}\n\n"Education is the most powerful weapon which you can use to change the world." - Nelson Mandela\n\nWe're excited to have you on board! Start your learning journey today. 🚀`
+    },
+    STUDENT_TRANSFERRED_OUT: {
+        message: ({ studentName, fromName, toName }) =>
+            `Student Transferred Out ➡️\n${studentName} has moved from batch "${fromName}" to "${toName}".`
+    },
+    STUDENT_TRANSFERRED_IN: {
+        message: ({ studentName, fromName, toName }) =>
+            `Student Transferred In ⬅️\n${studentName} has joined batch "${toName}" from "${fromName}".`
+    },
+    STUDENT_PROMOTED_FROM_WAITLIST: {
+        message: ({ studentName, batchName }, r) => r.audience === 'student'
+            ? `A seat opened up in batch "${batchName}" and you have been enrolled from the waitlist.`
+            : `Student Joined From Waitlist ⬅️\n${studentName || 'A student'} has been enrolled in batch "${batchName}" from the waitlist.`
+    },
+    CERTIFICATE_ISSUED: {
+        message: ({ courseName }) =>
+            `Congratulations! 🎓\nYour certificate for the course "${courseName}" has been issued. Well done on your achievement and keep up the great work! ✨`
+    },
+
+    // ---------- Leave ----------
+    LEAVE_REQUESTED: {
+        message: ({ studentName, dates, batchName, reason }) => `${studentName} requested leave for ${dates} in batch ${batchName}: ${reason}`
+    },
+    LEAVE_APPROVED: {
+        message: ({ dates, batchName }) => `Your leave for ${dates} in batch ${batchName} was approved.`
+    },
+    LEAVE_REJECTED: {
+        message: ({ dates, batchName, notes }) => `Your leave for ${dates} in batch ${batchName} was rejected${notes ? `: ${notes}` : '.'}`
+    },
+
+    // ---------- Substitute teachers ----------
+    SUBSTITUTE_REQUESTED: {
+        message: ({ requesterName, batchName, window, reason }) =>
+            `Substitute Needed 🔁\n${requesterName} requested cover for batch "${batchName}" on ${window}${reason ? `: ${reason}` : '.'}`
+    },
+    SUBSTITUTE_ASSIGNED: {
+        message: ({ batchName, window }) =>
+            `Cover Assigned 🔁\nYou will take batch "${batchName}" on ${window}. You can manage its classes, LSRW and attendance during that time.`
+    },
+    SUBSTITUTE_APPROVED: {
+        message: ({ subName, batchName, window }, r) => r.audience === 'student'
+            ? `${subName} will take your classes in batch ${batchName} on ${window}.`
+            : `Cover Approved ✅\n${subName} will cover batch "${batchName}" on ${window}.`
+    },
+    SUBSTITUTE_REJECTED: {
+        message: ({ batchName, window, notes }) =>
+            `Cover Request Rejected\nYour cover request for batch "${batchName}" on ${window} was rejected${notes ? `: ${notes}` : '.'}`
+    },
+    SUBSTITUTE_CANCELLED: {
+        message: ({ batchName, window }) => `Cover Cancelled\nCover for batch "${batchName}" on ${window} was cancelled.`
+    },
+
+    // ---------- Class schedule ----------
+    // Sessions given a new date when a batch's schedule was regenerated
+    SESSIONS_RESCHEDULED: {
+        message: ({ batchName, moves }) => [
+            `Classes Rescheduled 📅\nThese classes of batch "${batchName}" have new dates:`,
+            ...moves.map(m => `${m.title}: ${m.from} → ${m.to}`)
+        ].join('\n')
+    },
+
+    // ---------- Attendance ----------
+    // Stored under the alert rule's type; the messages come from the rule evaluation
+    ATTENDANCE_ALERT: {
+        types: ['LOW_ATTENDANCE', 'CONSECUTIVE_ABSENCES'],
+        message: ({ staffMessage, studentMessage }, r) => r.audience === 'student' ? studentMessage : staffMessage
+    },
+
+    // ---------- Digest ----------
+    // Built by notificationDigest; the email version lists every item
+    DAILY_DIGEST: {
+        message: ({ date, sessions, pendingFeedback, missingAttendance, updates }) => [
+            `Daily Digest 📋 ${date}`,
+            ...(sessions.length > 0 ? [`Classes today: ${sessions.length}`] : []),
+            ...(pendingFeedback.total > 0
+                ? [`LSRW awaiting feedback: ${pendingFeedback.total} (speaking ${pendingFeedback.speaking}, reading ${pendingFeedback.reading}, writing ${pendingFeedback.writing})`]
+                : []),
+            ...(missingAttendance.length > 0 ? [`Classes without an attendance session: ${missingAttendance.length}`] : []),
+            ...(updates.length > 0 ? [`Held notifications: ${updates.length}`] : [])
+        ].join('\n')
+    }
+};
+
+module.exports = { NOTIFICATION_TEMPLATES };
@@ -0,0 +1,97 @@
+const supabase = require("../config/supabase.js");
+const { CLASS_TIMEZONE } = require("./checkInCodes.js");
+
+/**
+ * Registration number template. Tokens:
+ *   {STATE}  first two letters of the state name   {CENTER} first two letters of the center name
+ *   {YEAR}   four-digit year of approval           {YY}     two-digit year
+ *   {SEQ:n}  counter value, zero-padded to n digits (exactly one, required)
+ * Everything except {SEQ} forms the counter scope, so each state/center (and year,
+ * if used) counts on its own.
+ */
+const DEFAULT_REGISTRATION_FORMAT = 'ISML{STATE}{CENTER}{SEQ:4}';
+
+const TOKEN_PATTERN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const KNOWN_TOKENS = ['STATE', 'CENTER', 'YEAR', 'YY', 'SEQ'];
+
+// Returns a problem description, or null when the template is usable
+const validateFormat = (format) => {
+    if (!format || typeof format !== 'string') return 'Format must be a non-empty string.';
+
+    const tokens = [...format.matchAll(TOKEN_PATTERN)].map(match => match[1]);
+    const unknown = tokens.filter(token => !KNOWN_TOKENS.includes(token));
+
+    if (unknown.length > 0) return `Unknown token(s): ${unknown.map(t => `{${t}}`).join(', ')}.`;
+    if (tokens.filter(token => token === 'SEQ').length !== 1) return 'Format must contain exactly one {SEQ} token.';
+    return null;
+};
+
+const REGISTRATION_NUMBER_FORMAT = (() => {
+    const configured = process.env.REGISTRATION_NUMBER_FORMAT;
+    if (!configured) return DEFAULT_REGISTRATION_FORMAT;
+
+    const problem = validateFormat(configured);
+    if (problem) {
+        console.error(`❌ Invalid REGISTRATION_NUMBER_FORMAT "${configured}": ${problem} Using ${DEFAULT_REGISTRATION_FORMAT}.`);
+        return DEFAULT_REGISTRATION_FORMAT;
+    }
+    return configured;
+})();
+
+const codeFrom = (name, fallback) => name?.slice(0, 2).toUpperCase() || fallback;
+
+const tokenValues = ({ stateName, centerName }, now = new Date()) => {
+    const year = new Intl.DateTimeFormat('en-US', { timeZone: CLASS_TIMEZONE, year: 'numeric' }).format(now);
+    return {
+        STATE: codeFrom(stateName, 'XX'),
+        CENTER: codeFrom(centerName, 'YY'),
+        YEAR: year,
+        YY: year.slice(-2)
+    };
+};
+
+// Render the template; a null sequence leaves {SEQ} as '#', which gives the counter scope
+const render = (format, values, sequence) => format.replace(TOKEN_PATTERN, (match, token, width) => {
+    if (token !== 'SEQ') return values[token];
+    if (sequence === null) return '#';
+    return String(sequence).padStart(parseInt(width || '1', 10), '0');
+});
+
+const scopeFor = (codes, format = REGISTRATION_NUMBER_FORMAT) => render(format, tokenValues(codes), null);
+
+/**
+ * Take the next registration number for a state/center. Each call consumes a
+ * counter value, so an unused number leaves a gap but is never handed out twice.
+ * @param {{ stateName?: string, centerName?: string }} codes
+ * @returns {Promise<{ registrationNumber: string, scope: string, sequence: number }>}
+ */
+const nextRegistrationNumber = async (codes, { format = REGISTRATION_NUMBER_FORMAT } = {}) => {
+    const scope = scopeFor(codes, format);
+    const { data: sequence, error } = await supabase.rpc('next_registration_sequence', { p_scope: scope });
+
+    if (error) throw error;
+    return { registrationNumber: render(format, tokenValues(codes), sequence), scope, sequence };
+};
+
+// The number the next approval in this scope would get, without consuming it
+const previewRegistrationNumber = async (codes, { format = REGISTRATION_NUMBER_FORMAT } = {}) => {
+    const scope = scopeFor(codes, format);
+    const { data: counter, error } = await supabase
+        .from('registration_counters')
+        .select('last_value')
+        .eq('scope', scope)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    const sequence = (counter?.last_value || 0) + 1;
+    return { registrationNumber: render(format, tokenValues(codes), sequence), scope, sequence };
+};
+
+module.exports = {
+    DEFAULT_REGISTRATION_FORMAT,
+    REGISTRATION_NUMBER_FORMAT,
+    validateFormat,
+    nextRegistrationNumber,
+    previewRegistrationNumber
+};
@@ -0,0 +1,268 @@
+const supabase = require("../config/supabase.js");
+const { getMergedBatchIds } = require("./batchMergeHelper");
+
+// 'warn' (default) saves conflicting changes and returns the conflicts, 'block' rejects them with 409
+const CONFLICT_MODE = (process.env.SCHEDULE_CONFLICT_MODE || 'warn').toLowerCase() === 'block' ? 'block' : 'warn';
+
+// Batches that hold a teacher or a room
+const ACTIVE_BATCH_STATUSES = ['Started', 'Approved'];
+
+const DEFAULT_SESSION_MINUTES = 60;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Ids go into a PostgREST or-filter, so anything but a UUID is dropped
+const isUuid = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+// '09:30' / '09:30:00' -> 570
+const toMinutes = (time) => {
+    if (!time) return null;
+    const [hours, minutes] = String(time).split(':').map(Number);
+    if (Number.isNaN(hours) || Number.isNaN(minutes)) return null;
+    return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const toDate = (value) => (value ? String(value).slice(0, 10) : null);
+
+const weekdayOf = (date) => WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+const timesOverlap = (a, b) => (
+    a.from !== null && a.to !== null && b.from !== null && b.to !== null && a.from < b.to && b.from < a.to
+);
+
+// A batch without schedule_days may meet on any day, so it overlaps every day;
+// such overlaps are reported as uncertain (see daysUnknown)
+const daysOverlap = (aDays, bDays) => (
+    !aDays || !aDays.length || !bDays || !bDays.length || aDays.some(day => bDays.includes(day))
+);
+
+// Whether an overlap rests on a slot whose class days are not known
+const daysUnknown = (slot, other) => !(slot.date || slot.days?.length) || !(other.date || other.days?.length);
+
+const UNCERTAIN_NOTE = ' Class days are not set for one of the batches, so this may not be a real clash.';
+
+const dateRangesOverlap = (aStart, aEnd, bStart, bEnd) => (
+    (!aStart || !bEnd || aStart <= bEnd) && (!bStart || !aEnd || bStart <= aEnd)
+);
+
+const sessionMinutes = (batch) => {
+    const from = toMinutes(batch.time_from);
+    const to = toMinutes(batch.time_to);
+    return from !== null && to !== null && to > from ? to - from : DEFAULT_SESSION_MINUTES;
+};
+
+// The regular class slot of a batch
+const batchSlot = (batch) => ({
+    from: toMinutes(batch.time_from),
+    to: toMinutes(batch.time_to),
+    days: batch.schedule_days || null,
+    start: toDate(batch.schedule_start_date || batch.start_date),
+    end: toDate(batch.end_date)
+});
+
+// A single dated session; gmeets only store a start time, so the length comes from the batch
+const gmeetSlot = (gmeet, batch) => {
+    const from = toMinutes(gmeet.time);
+    return { from, to: from === null ? null : from + sessionMinutes(batch), date: gmeet.date };
+};
+
+const slotsOverlap = (slot, other) => {
+    if (!timesOverlap(slot, other)) return false;
+
+    if (slot.date && other.date) return slot.date === other.date;
+    if (slot.date) {
+        return daysOverlap([weekdayOf(slot.date)], other.days) && dateRangesOverlap(slot.date, slot.date, other.start, other.end);
+    }
+    if (other.date) {
+        return daysOverlap(slot.days, [weekdayOf(other.date)]) && dateRangesOverlap(slot.start, slot.end, other.date, other.date);
+    }
+    return daysOverlap(slot.days, other.days) && dateRangesOverlap(slot.start, slot.end, other.start, other.end);
+};
+
+const describeBatch = (batch) => ({
+    batch_id: batch.batch_id,
+    batch_name: batch.batch_name,
+    status: batch.status,
+    time_from: batch.time_from,
+    time_to: batch.time_to,
+    days: batch.schedule_days || null
+});
+
+const describeGMeet = (gmeet, batch) => ({
+    meet_id: gmeet.meet_id,
+    title: gmeet.title,
+    date: gmeet.date,
+    time_from: toTime(toMinutes(gmeet.time)),
+    time_to: toTime(toMinutes(gmeet.time) + sessionMinutes(batch)),
+    batch_id: batch.batch_id,
+    batch_name: batch.batch_name
+});
+
+/**
+ * Find what a proposed slot collides with. `slot` is either a batch's regular
+ * slot or a single dated session. Checks the teacher and assistant tutor against
+ * the regular slots and scheduled gmeets of every Started/Approved batch they
+ * teach or assist, and the center against its room_capacity. Batches in the
+ * same merge group as `batchId` share their classes and are never a conflict.
+ *
+ * Each conflict is { type: 'TEACHER' | 'ASSISTANT_TUTOR' | 'CENTER_CAPACITY', uncertain, ... };
+ * uncertain is true when the overlap assumes class days that are not set.
+ */
+const findConflicts = async ({ batchId = null, teacher = null, assistantTutor = null, center = null, slot, excludeMeetId = null }) => {
+    if (slot.from === null || slot.to === null) return [];
+
+    const people = [...new Set([teacher, assistantTutor].filter(isUuid))];
+    const filters = [];
+    if (people.length > 0) {
+        filters.push(`teacher.in.(${people.join(',')})`, `assistant_tutor.in.(${people.join(',')})`);
+    }
+    if (isUuid(center)) filters.push(`center.eq.${center}`);
+    if (filters.length === 0) return [];
+
+    const excludedBatchIds = batchId ? await getMergedBatchIds(batchId) : [];
+
+    const { data: batches, error: batchesError } = await supabase
+        .from('batches')
+        .select('batch_id, batch_name, status, teacher, assistant_tutor, center, time_from, time_to, start_date, end_date, schedule_days, schedule_start_date')
+        .in('status', ACTIVE_BATCH_STATUSES)
+        .or(filters.join(','));
+
+    if (batchesError) throw batchesError;
+
+    const candidates = batches.filter(b => !excludedBatchIds.includes(b.batch_id));
+    if (candidates.length === 0) return [];
+
+    const today = new Date().toISOString().split('T')[0];
+    let gmeetsQuery = supabase
+        .from('gmeets')
+        .select('meet_id, batch_id, title, date, time, status')
+        .in('batch_id', candidates.map(b => b.batch_id))
+        .eq('status', 'Scheduled')
+        .not('time', 'is', null);
+
+    gmeetsQuery = slot.date ? gmeetsQuery.eq('date', slot.date) : gmeetsQuery.gte('date', slot.start && slot.start > today ? slot.start : today);
+    if (slot.end) gmeetsQuery = gmeetsQuery.lte('date', slot.end);
+
+    const { data: gmeets, error: gmeetsError } = await gmeetsQuery;
+    if (gmeetsError) throw gmeetsError;
+
+    const batchById = new Map(candidates.map(b => [b.batch_id, b]));
+    const overlappingBatches = candidates.filter(b => slotsOverlap(slot, batchSlot(b)));
+    const overlappingGMeets = gmeets
+        .filter(g => g.meet_id !== excludeMeetId)
+        .filter(g => !overlappingBatches.some(b => b.batch_id === g.batch_id))
+        .filter(g => slotsOverlap(slot, gmeetSlot(g, batchById.get(g.batch_id))));
+
+    const conflicts = [];
+
+    const roleChecks = [['TEACHER', teacher, 'Teacher'], ['ASSISTANT_TUTOR', assistantTutor, 'Assistant tutor']];
+    for (const [type, personId, label] of roleChecks) {
+        if (!personId) continue;
+
+        const holds = (b) => b.teacher === personId || b.assistant_tutor === personId;
+        const roleIn = (b) => (b.teacher === personId ? 'teacher' : 'assistant_tutor');
+
+        overlappingBatches.filter(holds).forEach(b => {
+            const uncertain = daysUnknown(slot, batchSlot(b));
+            conflicts.push({
+                type,
+                uncertain,
+                teacher_id: personId,
+                role_in_conflicting_batch: roleIn(b),
+                batch: describeBatch(b),
+                message: `${label} already has batch ${b.batch_name} at ${b.time_from}-${b.time_to}.${uncertain ? UNCERTAIN_NOTE : ''}`
+            });
+        });
+
+        overlappingGMeets.filter(g => holds(batchById.get(g.batch_id))).forEach(g => {
+            const b = batchById.get(g.batch_id);
+            const session = describeGMeet(g, b);
+            const uncertain = daysUnknown(slot, gmeetSlot(g, b));
+            conflicts.push({
+                type,
+                uncertain,
+                teacher_id: personId,
+                role_in_conflicting_batch: roleIn(b),
+                gmeet: session,
+                message: `${label} already has session "${g.title}" of batch ${b.batch_name} on ${g.date} at ${session.time_from}-${session.time_to}.${uncertain ? UNCERTAIN_NOTE : ''}`
+            });
+        });
+    }
+
+    if (center) {
+        const centerBatches = overlappingBatches.filter(b => b.center === center);
+        const centerGMeets = overlappingGMeets.filter(g => batchById.get(g.batch_id).center === center);
+        const centerBatchIds = new Set([...centerBatches, ...centerGMeets].map(row => row.batch_id));
+
+        if (centerBatchIds.size > 0) {
+            const { data: centerRow, error: centerError } = await supabase
+                .from('centers')
+                .select('center_id, center_name, room_capacity')
+                .eq('center_id', center)
+                .maybeSingle();
+
+            if (centerError) throw centerError;
+
+            if (centerRow?.room_capacity && centerBatchIds.size >= centerRow.room_capacity) {
+                const uncertain = centerBatches.some(b => daysUnknown(slot, batchSlot(b)))
+                    || centerGMeets.some(g => daysUnknown(slot, gmeetSlot(g, batchById.get(g.batch_id))));
+                conflicts.push({
+                    type: 'CENTER_CAPACITY',
+                    uncertain,
+                    center_id: center,
+                    room_capacity: centerRow.room_capacity,
+                    batches: [...centerBatchIds].map(id => describeBatch(batchById.get(id))),
+                    message: `${centerRow.center_name} can run ${centerRow.room_capacity} batch(es) at once and ${centerBatchIds.size} already overlap this time.${uncertain ? UNCERTAIN_NOTE : ''}`
+                });
+            }
+        }
+    }
+
+    return conflicts;
+};
+
+// Conflicts for a batch's regular slot (create / update / create from request)
+const findBatchConflicts = (batch) => findConflicts({
+    batchId: batch.batch_id || null,
+    teacher: batch.teacher,
+    assistantTutor: batch.assistant_tutor,
+    center: batch.center,
+    slot: batchSlot(batch)
+});
+
+// Conflicts for one dated session of a batch
+const findGMeetConflicts = async ({ batch_id, date, time, meet_id = null }) => {
+    if (!date || !time) return [];
+
+    const { data: batch, error } = await supabase
+        .from('batches')
+        .select('batch_id, teacher, assistant_tutor, center, time_from, time_to')
+        .eq('batch_id', batch_id)
+        .single();
+
+    if (error) throw error;
+
+    return findConflicts({
+        batchId: batch.batch_id,
+        teacher: batch.teacher,
+        assistantTutor: batch.assistant_tutor,
+        center: batch.center,
+        slot: gmeetSlot({ date, time }, batch),
+        excludeMeetId: meet_id
+    });
+};
+
+// Block mode only rejects clashes that do not rest on unknown class days
+const shouldBlock = (conflicts) => CONFLICT_MODE === 'block' && conflicts.some(c => !c.uncertain);
+
+module.exports = {
+    CONFLICT_MODE,
+    ACTIVE_BATCH_STATUSES,
+    findBatchConflicts,
+    findGMeetConflicts,
+    shouldBlock
+};
@@ -0,0 +1,51 @@
+const supabase = require("../config/supabase.js");
+const { getMergedBatchIds } = require("./batchMergeHelper");
+
+// Map an authenticated student token to students.student_id.
+// Student tokens carry the student's id as `id` (older tokens) or `student_id`;
+// either way it must match a row in the students table.
+const resolveStudentId = async (user) => {
+    const candidateId = user?.student_id || user?.id;
+    if (!candidateId) {
+        return null;
+    }
+
+    const { data: student, error } = await supabase
+        .from("students")
+        .select("student_id")
+        .eq("student_id", candidateId)
+        .single();
+
+    if (error || !student) {
+        return null;
+    }
+
+    return student.student_id;
+};
+
+// Check that a student has an active enrollment in the batch or in any batch
+// of its merge group
+const isStudentEnrolledInBatch = async (studentId, batchId) => {
+    if (!studentId || !batchId) {
+        return false;
+    }
+
+    const mergedBatchIds = await getMergedBatchIds(batchId);
+
+    const { data: enrollments, error } = await supabase
+        .from("enrollment")
+        .select("enrollment_id")
+        .eq("student", studentId)
+        .eq("status", true)
+        .in("batch", mergedBatchIds)
+        .limit(1);
+
+    if (error) {
+        console.error("❌ Error checking student enrollment:", error);
+        return false;
+    }
+
+    return enrollments.length > 0;
+};
+
+module.exports = { resolveStudentId, isStudentEnrolledInBatch };
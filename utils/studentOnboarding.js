@@ -0,0 +1,162 @@
+const crypto = require("crypto");
+const supabase = require("../config/supabase.js");
+const { sendEmail } = require("./emailOutbox.js");
+const { revokeAllUserTokens } = require("./tokenService.js");
+require("dotenv").config();
+
+const SETUP_TOKEN_TTL_HOURS = parseInt(process.env.PASSWORD_SETUP_TTL_HOURS, 10) || 72;
+const STUDENT_PORTAL_URL = (process.env.STUDENT_PORTAL_URL || "https://ismlstudents.iypan.com").replace(/\/+$/, "");
+const MIN_PASSWORD_LENGTH = 8;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const setupLinkFor = (token) => `${STUDENT_PORTAL_URL}/setup-password?token=${encodeURIComponent(token)}`;
+
+// Returns a problem description, or null when the password is acceptable
+const checkPasswordStrength = (password) => {
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+    }
+    if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+        return "Password must contain at least one letter and one number.";
+    }
+    return null;
+};
+
+// scrypt$<salt>$<hash>, both base64
+const hashPassword = (password) => new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16);
+    crypto.scrypt(password, salt, 64, (err, derived) => {
+        if (err) return reject(err);
+        resolve(`scrypt$${salt.toString("base64")}$${derived.toString("base64")}`);
+    });
+});
+
+const verifyPassword = (password, stored) => new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = (stored || "").split("$");
+    if (scheme !== "scrypt" || !salt || !hash) return resolve(false);
+
+    const expected = Buffer.from(hash, "base64");
+    crypto.scrypt(password, Buffer.from(salt, "base64"), expected.length, (err, derived) => {
+        if (err) return reject(err);
+        resolve(crypto.timingSafeEqual(derived, expected));
+    });
+});
+
+// On approval: drop any password the student had (the old shared default
+// included) and end every session signed in with it, so only a password set
+// through the setup link works from then on
+const invalidateStudentCredentials = async (studentId, revokedBy) => {
+    const { error } = await supabase
+        .from("students")
+        .update({ password_hash: null })
+        .eq("student_id", studentId);
+
+    if (error) throw error;
+
+    await revokeAllUserTokens({ user_id: studentId, reason: "approved; password must be set with the setup link", revoked_by: revokedBy || null });
+};
+
+// Revoke every unused link of a student, so only the newest one works
+const revokeSetupTokens = async (studentId) => {
+    const { data, error } = await supabase
+        .from("password_setup_tokens")
+        .update({ revoked_at: new Date().toISOString() })
+        .eq("student_id", studentId)
+        .is("used_at", null)
+        .is("revoked_at", null)
+        .select("id");
+
+    if (error) throw error;
+    return (data || []).length;
+};
+
+/**
+ * Issue a new setup token for a student, revoking any earlier one, and mark the
+ * student INVITED. The raw token is returned once and only its hash is stored.
+ * @returns {Promise<{ token: string, link: string, expires_at: string }>}
+ */
+const issueSetupToken = async (studentId, createdBy) => {
+    await revokeSetupTokens(studentId);
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(Date.now() + SETUP_TOKEN_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+    const { error } = await supabase
+        .from("password_setup_tokens")
+        .insert([{
+            student_id: studentId,
+            token_hash: hashToken(token),
+            expires_at: expiresAt,
+            created_by: createdBy || null
+        }]);
+
+    if (error) throw error;
+
+    const { error: studentError } = await supabase
+        .from("students")
+        .update({ onboarding_status: "INVITED", setup_link_sent_at: new Date().toISOString() })
+        .eq("student_id", studentId);
+
+    if (studentError) throw studentError;
+
+    return { token, link: setupLinkFor(token), expires_at: expiresAt };
+};
+
+// The live token row for a raw token, or null when unknown, used, revoked or expired
+const findUsableToken = async (token) => {
+    if (!token || typeof token !== "string") return null;
+
+    const { data, error } = await supabase
+        .from("password_setup_tokens")
+        .select("id, student_id, expires_at")
+        .eq("token_hash", hashToken(token))
+        .is("used_at", null)
+        .is("revoked_at", null)
+        .gt("expires_at", new Date().toISOString())
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * Mark a token used. The update only matches a still-unused row, so when two
+ * requests race with the same link only one of them gets the row back.
+ */
+const consumeSetupToken = async (token) => {
+    const { data, error } = await supabase
+        .from("password_setup_tokens")
+        .update({ used_at: new Date().toISOString() })
+        .eq("token_hash", hashToken(token))
+        .is("used_at", null)
+        .is("revoked_at", null)
+        .gt("expires_at", new Date().toISOString())
+        .select("id, student_id")
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+// The setup email carries the link and registration number, never a password.
+// It goes through the outbox and resolves to the outbox row after the first attempt.
+const sendSetupEmail = (student, { link, expiresAt, registrationNumber, resend = false, sentBy = null }) => sendEmail(
+    "STUDENT_SETUP_LINK",
+    student.email,
+    { name: student.name, link, expiresAt, registrationNumber, resend },
+    { relatedType: "student", relatedId: student.student_id, createdBy: sentBy }
+);
+
+module.exports = {
+    SETUP_TOKEN_TTL_HOURS,
+    checkPasswordStrength,
+    hashPassword,
+    verifyPassword,
+    invalidateStudentCredentials,
+    revokeSetupTokens,
+    issueSetupToken,
+    findUsableToken,
+    consumeSetupToken,
+    sendSetupEmail
+};
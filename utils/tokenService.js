@@ -0,0 +1,202 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const supabase = require("../config/supabase.js");
+require("dotenv").config();
+
+// Only HMAC-SHA256 tokens are accepted; "none" and asymmetric algorithms are rejected outright
+const ALLOWED_ALGORITHMS = ["HS256"];
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "1h";
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || "7d";
+
+// Registered claims that are regenerated every time a token is issued
+const RESERVED_CLAIMS = ["iat", "exp", "nbf", "jti", "iss", "aud", "token_type"];
+
+const getSecret = (tokenType) => {
+    const secret = tokenType === "refresh"
+        ? (process.env.REFRESH_SECRET_KEY || process.env.SECRET_KEY)
+        : process.env.SECRET_KEY;
+
+    if (!secret) {
+        throw new Error("SECRET_KEY is missing in environment variables.");
+    }
+    return secret;
+};
+
+const buildVerifyOptions = () => {
+    const options = { algorithms: ALLOWED_ALGORITHMS };
+    if (process.env.JWT_ISSUER) options.issuer = process.env.JWT_ISSUER;
+    if (process.env.JWT_AUDIENCE) options.audience = process.env.JWT_AUDIENCE;
+    return options;
+};
+
+// Verify signature, algorithm, exp/nbf and (when configured) iss/aud of a token.
+// Throws a jsonwebtoken error (or plain Error) when the token is not acceptable.
+const verifyToken = (token, expectedType = "access") => {
+    const decoded = jwt.verify(token, getSecret(expectedType), buildVerifyOptions());
+
+    if (!decoded.exp) {
+        throw new Error("Token has no expiry (exp) claim.");
+    }
+
+    // Access tokens issued before refresh support have no token_type; treat them as access tokens
+    const tokenType = decoded.token_type || "access";
+    if (tokenType !== expectedType) {
+        throw new Error(`Invalid token type: expected "${expectedType}", got "${tokenType}".`);
+    }
+
+    return decoded;
+};
+
+// Check the revocation list. A token is revoked when its jti is listed, or when
+// all of the user's tokens issued before a user-wide revocation were revoked.
+const isTokenRevoked = async (decoded) => {
+    const filters = [];
+    if (decoded.jti) {
+        filters.push(`jti.eq.${decoded.jti}`);
+    }
+    if (decoded.id && decoded.iat) {
+        const issuedAt = new Date(decoded.iat * 1000).toISOString();
+        filters.push(`and(jti.is.null,user_id.eq.${decoded.id},revoked_at.gt."${issuedAt}")`);
+    }
+
+    if (filters.length === 0) {
+        return false;
+    }
+
+    const { data, error } = await supabase
+        .from("revoked_tokens")
+        .select("id")
+        .or(filters.join(","))
+        .limit(1);
+
+    if (error) {
+        // Fail closed: if we cannot read the revocation list we cannot trust the token
+        throw new Error(`Unable to check token revocation: ${error.message}`);
+    }
+
+    return data.length > 0;
+};
+
+// Copy the identity claims (id, role, name, ...) of a decoded token
+const extractClaims = (decoded) => {
+    const claims = { ...decoded };
+    RESERVED_CLAIMS.forEach(claim => delete claims[claim]);
+    return claims;
+};
+
+const signToken = (claims, tokenType, expiresIn) => {
+    const jti = crypto.randomUUID();
+    const options = { algorithm: ALLOWED_ALGORITHMS[0], expiresIn, jwtid: jti };
+    if (process.env.JWT_ISSUER) options.issuer = process.env.JWT_ISSUER;
+    if (process.env.JWT_AUDIENCE) options.audience = process.env.JWT_AUDIENCE;
+
+    const token = jwt.sign({ ...claims, token_type: tokenType }, getSecret(tokenType), options);
+    const { exp } = jwt.decode(token);
+
+    return { token, jti, expires_at: new Date(exp * 1000).toISOString() };
+};
+
+const issueAccessToken = (claims) => signToken(claims, "access", ACCESS_TOKEN_TTL);
+
+const issueRefreshToken = (claims) => signToken(claims, "refresh", REFRESH_TOKEN_TTL);
+
+// Add a single token (by jti) to the revocation list
+const revokeToken = async ({ jti, user_id, expires_at = null, reason = null, revoked_by = null }) => {
+    const { error } = await supabase
+        .from("revoked_tokens")
+        .upsert({
+            jti,
+            user_id,
+            expires_at,
+            reason,
+            revoked_by,
+            revoked_at: new Date().toISOString()
+        }, { onConflict: "jti" });
+
+    if (error) {
+        throw new Error(error.message);
+    }
+};
+
+/**
+ * Mark a refresh token used by inserting its jti. The unique jti makes this the
+ * single point where two requests with the same token are told apart.
+ * @returns {Promise<{ used: boolean, previousReason: string | null }>} used is
+ *          true when the token had already been used or revoked
+ */
+const consumeRefreshToken = async (decoded) => {
+    const { error } = await supabase
+        .from("revoked_tokens")
+        .insert({
+            jti: decoded.jti,
+            user_id: decoded.id,
+            expires_at: new Date(decoded.exp * 1000).toISOString(),
+            reason: "rotated",
+            revoked_by: decoded.id,
+            revoked_at: new Date().toISOString()
+        });
+
+    if (!error) return { used: false, previousReason: null };
+    if (error.code !== "23505") throw new Error(error.message);
+
+    const { data } = await supabase
+        .from("revoked_tokens")
+        .select("reason")
+        .eq("jti", decoded.jti)
+        .maybeSingle();
+
+    return { used: true, previousReason: data?.reason || null };
+};
+
+/**
+ * Exchange an access token for a refresh-token session, once: its jti is
+ * inserted (which also retires the access token, a new one is issued with the
+ * refresh token), so a second exchange of the same token is refused.
+ * @returns {Promise<boolean>} false when the token was already exchanged or revoked
+ */
+const startRefreshSession = async (decoded) => {
+    const { error } = await supabase
+        .from("revoked_tokens")
+        .insert({
+            jti: decoded.jti,
+            user_id: decoded.id,
+            expires_at: new Date(decoded.exp * 1000).toISOString(),
+            reason: "session_started",
+            revoked_by: decoded.id,
+            revoked_at: new Date().toISOString()
+        });
+
+    if (!error) return true;
+    if (error.code !== "23505") throw new Error(error.message);
+    return false;
+};
+
+// Revoke every token a user currently holds (e.g. when a teacher leaves)
+const revokeAllUserTokens = async ({ user_id, reason = null, revoked_by = null }) => {
+    const { error } = await supabase
+        .from("revoked_tokens")
+        .insert({
+            jti: null,
+            user_id,
+            reason,
+            revoked_by,
+            revoked_at: new Date().toISOString()
+        });
+
+    if (error) {
+        throw new Error(error.message);
+    }
+};
+
+module.exports = {
+    verifyToken,
+    isTokenRevoked,
+    extractClaims,
+    issueAccessToken,
+    issueRefreshToken,
+    revokeToken,
+    consumeRefreshToken,
+    startRefreshSession,
+    revokeAllUserTokens
+};